@@ -4,7 +4,31 @@
     return String(str || '').replace(/[&<>"']/g, s => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[s]));
   }
 
-  async function fetchJSON(url, opts = {}) {
+  // Access tokens are short-lived: renew with the (single use) refresh token
+  let refreshing = null;
+  function refreshAccessToken() {
+    const refreshToken = localStorage.getItem('pdc_refresh_token');
+    if (!refreshToken) return Promise.resolve(false);
+    if (!refreshing) {
+      refreshing = fetch('/api/auth/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      })
+        .then(async (res) => {
+          if (!res.ok) return false;
+          const data = await res.json();
+          localStorage.setItem('pdc_auth_token', data.token);
+          localStorage.setItem('pdc_refresh_token', data.refreshToken);
+          return true;
+        })
+        .catch(() => false)
+        .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+  }
+
+  async function fetchJSON(url, opts = {}, retried = false) {
     const headers = new Headers(opts.headers || {});
     if (opts.body && typeof opts.body === 'object' && !(opts.body instanceof FormData)) {
       headers.set('Content-Type', 'application/json');
@@ -12,6 +36,9 @@
     const token = localStorage.getItem('pdc_auth_token');
     if (token) headers.set('Authorization', `Bearer ${token}`);
     const res = await fetch(url, { ...opts, headers });
+    if (res.status === 401 && !retried && !url.includes('/auth/') && await refreshAccessToken()) {
+      return fetchJSON(url, opts, true);
+    }
     if (!res.ok) {
       let body = null;
       try { body = await res.json(); } catch (_) { body = null; }
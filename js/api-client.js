@@ -3,13 +3,16 @@
  * Import from pages that use `type="module"`, e.g.:
  *   import API, { login, getProducts } from './js/api-client.js';
  *
- * - Exports a full set of functions covering auth, products, orders, payments,
- *   wallet, messages, facilities, storage, transport, documents and admin endpoints.
+ * - Exports a full set of functions covering auth, organisations, API keys,
+ *   products, orders, payments, wallet, messages, facilities, storage,
+ *   transport, documents and admin endpoints.
  * - Uses a robust fetchJSON implementation that:
  *   - Attaches Bearer token from localStorage automatically
  *   - Preserves FormData uploads (does not set Content-Type for FormData)
+ *   - Sends `Idempotency-Key` when given one (orders, checkout, transaction actions)
  *   - Returns parsed JSON when available
- *   - On 401 it clears session and redirects to auth page (with redirect param)
+ *   - On 401 it renews the access token once with the refresh token; when that
+ *     fails it clears session and redirects to auth page (with redirect param)
  *
  * NOTE: adapt endpoint paths if your server uses different routes (this client
  * assumes the server API sits under /api and the endpoints described in the repo).
@@ -18,17 +21,32 @@
 const API_BASE = '/api';
 const TOKEN_KEY = 'pdc_auth_token';
 const USER_KEY = 'pdc_user_data';
+const REFRESH_KEY = 'pdc_refresh_token';
 
 function safeParse(text) {
   try { return JSON.parse(text); } catch (e) { return null; }
 }
 
+function newIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
 function getToken() {
   try { return localStorage.getItem(TOKEN_KEY); } catch (e) { return null; }
 }
 function setToken(token) {
   try { if (token) localStorage.setItem(TOKEN_KEY, token); else localStorage.removeItem(TOKEN_KEY); } catch (e) {}
 }
+function getRefreshToken() {
+  try { return localStorage.getItem(REFRESH_KEY); } catch (e) { return null; }
+}
+function setRefreshToken(token) {
+  try { if (token) localStorage.setItem(REFRESH_KEY, token); else localStorage.removeItem(REFRESH_KEY); } catch (e) {}
+}
+function saveSession(data) {
+  if (data?.token) setToken(data.token);
+  if (data?.refreshToken) setRefreshToken(data.refreshToken);
+}
 function getUser() {
   try { return JSON.parse(localStorage.getItem(USER_KEY) || 'null'); } catch (e) { return null; }
 }
@@ -38,10 +56,35 @@ function setUser(user) {
 function logoutAndRedirect(redirectTo) {
   setUser(null);
   setToken(null);
+  setRefreshToken(null);
   const redirect = redirectTo ? `?redirect=${encodeURIComponent(redirectTo)}` : '';
   window.location.href = `/auth.html${redirect}`;
 }
 
+// Access tokens are short-lived. One refresh at a time: the refresh token is
+// single use, so parallel 401s wait for the same new token.
+let refreshing = null;
+function refreshAccessToken() {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return Promise.resolve(false);
+  if (!refreshing) {
+    refreshing = fetch(`${API_BASE}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+      credentials: 'same-origin'
+    })
+      .then(async (res) => {
+        if (!res.ok) return false;
+        saveSession(await res.json());
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
 /**
  * fetchJSON: central HTTP helper
  * - url: full path or endpoint relative to API_BASE
@@ -66,11 +109,20 @@ export async function fetchJSON(url, opts = {}) {
     headers.set('Authorization', `Bearer ${token}`);
   }
 
+  // Money-moving calls send an Idempotency-Key so a retried request is
+  // answered from the server's record instead of being executed twice.
+  if (opts.idempotencyKey) headers.set('Idempotency-Key', opts.idempotencyKey);
+
   const res = await fetch(fullUrl, { method, headers, body, credentials: opts.credentials || 'same-origin' });
 
   const text = await res.text();
   const data = safeParse(text);
 
+  // Expired access token: renew it and send the request again (once)
+  if (res.status === 401 && !opts._retried && !url.startsWith('/auth/') && await refreshAccessToken()) {
+    return fetchJSON(url, { ...opts, _retried: true });
+  }
+
   if (res.status === 401) {
     // Unauthorized: clear session and redirect to login preserving current path
     logoutAndRedirect(window.location.pathname + window.location.search);
@@ -80,9 +132,15 @@ export async function fetchJSON(url, opts = {}) {
   }
 
   if (!res.ok) {
-    const message = (data && (data.error || data.message)) || res.statusText || `HTTP ${res.status}`;
+    let message = (data && (data.error || data.message)) || res.statusText || `HTTP ${res.status}`;
+    // Validation errors list every field: "price: must be greater than 0; …"
+    if (Array.isArray(data?.details) && data.details.length) {
+      message = data.details.map((d) => (d.field ? `${d.field}: ${d.message}` : d.message)).join('; ');
+    }
     const err = new Error(message);
     err.status = res.status;
+    err.code = data?.code;
+    err.details = data?.details;
     err.body = data;
     throw err;
   }
@@ -93,10 +151,12 @@ export async function fetchJSON(url, opts = {}) {
 }
 
 // ---- Auth ----
+// `email` may also be a confirmed phone number
 export async function login(email, password) {
-  const data = await fetchJSON('/auth/login', { method: 'POST', body: { email, password } });
+  const identifier = email.includes('@') ? { email } : { phoneNumber: email };
+  const data = await fetchJSON('/auth/login', { method: 'POST', body: { ...identifier, password } });
   if (data?.token && data?.user) {
-    setToken(data.token);
+    saveSession(data);
     setUser(data.user);
   }
   return data;
@@ -105,21 +165,96 @@ export async function register(payload) {
   // payload: { email, password, name, role, ... }
   const data = await fetchJSON('/auth/register', { method: 'POST', body: payload });
   if (data?.token && data?.user) {
-    setToken(data.token);
+    saveSession(data);
     setUser(data.user);
   }
   return data;
 }
-export function logout() {
+// Ends the session on the server too; `{ all: true }` signs out every device
+export async function logout({ all = false } = {}) {
+  const refreshToken = getRefreshToken();
+  await fetchJSON('/auth/logout', { method: 'POST', body: { refreshToken: refreshToken || undefined, all } }).catch(() => {});
   setToken(null);
+  setRefreshToken(null);
   setUser(null);
-  // Optionally call server logout endpoint if exists:
-  // fetchJSON('/auth/logout', { method: 'POST' }).catch(()=>{});
   window.location.href = '/auth.html';
 }
+// Password reset: { email } sends a link, { phoneNumber } an SMS code; then
+// resetPassword({ token, password }) or ({ phoneNumber, code, password })
+export function forgotPassword(payload) {
+  return fetchJSON('/auth/password/forgot', { method: 'POST', body: payload });
+}
+export function resetPassword(payload) {
+  return fetchJSON('/auth/password/reset', { method: 'POST', body: payload });
+}
+export function requestEmailVerification() { return fetchJSON('/auth/email/verification', { method: 'POST' }); }
+export function verifyEmail(token) { return fetchJSON('/auth/email/verify', { method: 'POST', body: { token } }); }
+export function requestPhoneVerification(phoneNumber) {
+  return fetchJSON('/auth/phone/verification', { method: 'POST', body: phoneNumber ? { phoneNumber } : {} });
+}
+export function verifyPhone(code) { return fetchJSON('/auth/phone/verify', { method: 'POST', body: { code } }); }
+export function logoutAllDevices() { return logout({ all: true }); }
+export function listSessions() { return fetchJSON('/auth/sessions'); }
+export function revokeSession(id) {
+  return fetchJSON(`/auth/sessions/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+// Two-factor: login() answers { twoFactorRequired, challengeToken } instead of
+// tokens when it is on – then verifyTwoFactorLogin(challengeToken, code)
+export async function verifyTwoFactorLogin(challengeToken, code) {
+  const data = await fetchJSON('/auth/2fa/verify', { method: 'POST', body: { challengeToken, code } });
+  saveSession(data);
+  setUser(data.user);
+  return data;
+}
+export function getTwoFactorStatus() { return fetchJSON('/auth/2fa'); }
+export function setupTwoFactor() { return fetchJSON('/auth/2fa/setup', { method: 'POST' }); }
+// Returns the backup codes; this session then counts as signed in with 2FA
+export async function enableTwoFactor(code) {
+  const data = await fetchJSON('/auth/2fa/enable', { method: 'POST', body: { code } });
+  if (data?.token) setToken(data.token);
+  return data;
+}
+export function disableTwoFactor(code) { return fetchJSON('/auth/2fa/disable', { method: 'POST', body: { code } }); }
+export function regenerateBackupCodes(code) { return fetchJSON('/auth/2fa/backup-codes', { method: 'POST', body: { code } }); }
 export function getCurrentUser() { return getUser(); }
 export function getAuthToken() { return getToken(); }
 
+// ---- Organisations ----
+export function listOrganisations() { return fetchJSON('/organisations'); }
+export function getOrganisation(id) { return fetchJSON(`/organisations/${encodeURIComponent(id)}`); }
+export function createOrganisation(payload) { return fetchJSON('/organisations', { method: 'POST', body: payload }); }
+// Act for an organisation on this device (null: as yourself again). The stored
+// user gets `acting` = { id, name, role } so pages can show whose account it is.
+export async function switchOrganisation(organisationId) {
+  const data = await fetchJSON('/auth/acting', { method: 'POST', body: { organisationId } });
+  setToken(data.token);
+  const user = getUser();
+  if (user) setUser({ ...user, acting: data.organisation && { id: data.organisation.id, name: data.organisation.name, role: data.organisation.role } });
+  return data;
+}
+export function listInvitations(organisationId) { return fetchJSON(`/organisations/${encodeURIComponent(organisationId)}/invitations`); }
+// invitation = { role, email } or { role, phoneNumber }
+export function inviteMember(organisationId, invitation) {
+  return fetchJSON(`/organisations/${encodeURIComponent(organisationId)}/invitations`, { method: 'POST', body: invitation });
+}
+export function revokeInvitation(organisationId, invitationId) {
+  return fetchJSON(`/organisations/${encodeURIComponent(organisationId)}/invitations/${encodeURIComponent(invitationId)}`, { method: 'DELETE' });
+}
+export function acceptInvitation(token) { return fetchJSON('/organisations/invitations/accept', { method: 'POST', body: { token } }); }
+// changes = { role?, permissions? }
+export function updateMember(organisationId, userId, changes) {
+  return fetchJSON(`/organisations/${encodeURIComponent(organisationId)}/members/${encodeURIComponent(userId)}`, { method: 'PATCH', body: changes });
+}
+export function removeMember(organisationId, userId) {
+  return fetchJSON(`/organisations/${encodeURIComponent(organisationId)}/members/${encodeURIComponent(userId)}`, { method: 'DELETE' });
+}
+
+// ---- API keys (the organisation's while acting for it) ----
+export function listApiKeys() { return fetchJSON('/api-keys'); }
+// apiKey = { name, scopes: ['products:write', 'orders:read'], expiresAt? } – the reply's `key` is shown once
+export function createApiKey(apiKey) { return fetchJSON('/api-keys', { method: 'POST', body: apiKey }); }
+export function revokeApiKey(id) { return fetchJSON(`/api-keys/${encodeURIComponent(id)}`, { method: 'DELETE' }); }
+
 // ---- Products ----
 export function listProducts(params = {}) {
   const qs = new URLSearchParams(params).toString();
@@ -143,11 +278,25 @@ export function listOrders(params = {}) {
   const qs = new URLSearchParams(params).toString();
   return fetchJSON(`/orders?${qs}`);
 }
-export function createOrder(payload) {
-  return fetchJSON('/orders', { method: 'POST', body: payload });
+export function createOrder(payload, idempotencyKey = newIdempotencyKey()) {
+  return fetchJSON('/orders', { method: 'POST', body: payload, idempotencyKey });
 }
-export function updateOrderStatus(id, status) {
-  return fetchJSON(`/orders/${encodeURIComponent(id)}/status`, { method: 'PATCH', body: { status } });
+export function checkout(payload, idempotencyKey = newIdempotencyKey()) {
+  // payload: { items: [{ productId, quantity }], shippingAddressLine1?, shippingCity?, ... }
+  return fetchJSON('/orders/checkout', { method: 'POST', body: payload, idempotencyKey });
+}
+export function getCheckout(id) {
+  return fetchJSON(`/orders/checkout?id=${encodeURIComponent(id)}`);
+}
+export function updateOrderStatus(id, status, notes) {
+  return fetchJSON(`/orders/${encodeURIComponent(id)}`, { method: 'PATCH', body: { orderStatus: status, notes } });
+}
+export function getOrderHistory(id) {
+  return fetchJSON(`/orders/${encodeURIComponent(id)}/history`);
+}
+// type: 'INVOICE' | 'CREDIT_NOTE' – the issued document as JSON
+export function getOrderInvoice(id, type = 'INVOICE') {
+  return fetchJSON(`/orders/${encodeURIComponent(id)}/invoice?format=json&type=${type}`);
 }
 
 // ---- Payments / Escrow / Transactions ----
@@ -158,18 +307,55 @@ export function listTransactions(params = {}) {
 export function getTransaction(id) {
   return fetchJSON(`/payments/transactions/${encodeURIComponent(id)}`);
 }
-export function actOnTransaction(id, action) {
-  return fetchJSON(`/payments/transactions/${encodeURIComponent(id)}`, { method: 'PATCH', body: { action } });
+export function actOnTransaction(id, action, extra = {}, idempotencyKey = newIdempotencyKey()) {
+  // extra: e.g. { milestones } for SPLIT_ESCROW, { milestoneId } for RELEASE_MILESTONE
+  return fetchJSON(`/payments/transactions/${encodeURIComponent(id)}`, { method: 'PATCH', body: { ...extra, action }, idempotencyKey });
 }
 export function getTransactionEvents(id) {
   return fetchJSON(`/payments/transactions/${encodeURIComponent(id)}/events`);
 }
+export function createPaymentReference(transactionId, provider, idempotencyKey = newIdempotencyKey()) {
+  // → { entity, reference, amount, expiresAt, instructions } – FUNDED once the provider confirms
+  return fetchJSON('/payments/references', { method: 'POST', body: { transactionId, provider }, idempotencyKey });
+}
+export function listPaymentReferences(transactionId) {
+  return fetchJSON(`/payments/references?transactionId=${encodeURIComponent(transactionId)}`);
+}
+export function simulatePayment(reference, outcome = 'PAID', amount) {
+  // development only – see src/payments/simulator.js
+  return fetchJSON('/payments/simulator', { method: 'POST', body: { reference, outcome, amount } });
+}
+
+// ---- Disputes ----
+export function listDisputes(params = {}) {
+  const qs = new URLSearchParams(params).toString();
+  return fetchJSON(`/payments/disputes?${qs}`);
+}
+export function getDispute(id) {
+  return fetchJSON(`/payments/disputes/${encodeURIComponent(id)}`);
+}
+export function openDispute(payload, idempotencyKey = newIdempotencyKey()) {
+  // payload: { transactionId, reason, description, documentIds? } – upload evidence with uploadDocument first
+  return fetchJSON('/payments/disputes', { method: 'POST', body: payload, idempotencyKey });
+}
+export function actOnDispute(id, action, extra = {}, idempotencyKey = newIdempotencyKey()) {
+  // RESPOND { response, documentIds? } · ADD_EVIDENCE { documentIds, note? } · RULE { ruling, notes, buyerAmount?, sellerAmount? }
+  return fetchJSON(`/payments/disputes/${encodeURIComponent(id)}`, { method: 'PATCH', body: { ...extra, action }, idempotencyKey });
+}
 
 // ---- Wallet ----
 export function getWallet() { return fetchJSON('/wallet'); }
 export function getWalletTransactions() { return fetchJSON('/wallet/transactions'); }
-export function creditWallet(amount, meta = {}) { return fetchJSON('/wallet/credit', { method: 'POST', body: { amount, meta } }); }
-export function debitWallet(amount, meta = {}) { return fetchJSON('/wallet/debit', { method: 'POST', body: { amount, meta } }); }
+export function listPayouts(params = {}) { const qs = new URLSearchParams(params).toString(); return fetchJSON(`/wallet/payouts?${qs}`); }
+export function requestPayout(payload, idempotencyKey = newIdempotencyKey()) {
+  // payload: { amount, method: 'BANK_TRANSFER', iban, accountHolder } | { amount, method: 'MOBILE_MONEY', phoneNumber, mobileProvider }
+  // + twoFactorCode for large amounts (403 TWO_FACTOR_REQUIRED without it)
+  return fetchJSON('/wallet/payouts', { method: 'POST', body: payload, idempotencyKey });
+}
+export function actOnPayout(id, action, extra = {}, idempotencyKey = newIdempotencyKey()) {
+  // CANCEL · APPROVE · REJECT { reason } · COMPLETE { externalReference }
+  return fetchJSON(`/wallet/payouts/${encodeURIComponent(id)}`, { method: 'PATCH', body: { ...extra, action }, idempotencyKey });
+}
 
 // ---- Messages ----
 export function listMessages(params = {}) {
@@ -221,6 +407,13 @@ export function adminListUsers(params = {}) { const qs = new URLSearchParams(par
 export function adminSuspendUser(id) { return fetchJSON(`/admin/users/${encodeURIComponent(id)}/suspend`, { method: 'POST' }); }
 export function adminListVerifications(params = {}) { const qs = new URLSearchParams(params).toString(); return fetchJSON(`/admin/verification?${qs}`); }
 export function adminPatchVerification(id, status, notes = '') { return fetchJSON(`/admin/verification/${encodeURIComponent(id)}`, { method: 'PATCH', body: { status, notes } }); }
+export function adminSetUserRole(id, role) { return fetchJSON(`/admin/users/${encodeURIComponent(id)}`, { method: 'PATCH', body: { action: 'SET_ROLE', role } }); }
+// Clears a lockout after failed sign-ins
+export function adminUnlockUser(id) { return fetchJSON(`/admin/users/${encodeURIComponent(id)}`, { method: 'PATCH', body: { action: 'UNLOCK' } }); }
+// Permission matrix – grant = { role, resource, action, condition? }
+export function adminListPermissions() { return fetchJSON('/admin/permissions'); }
+export function adminGrantPermission(grant) { return fetchJSON('/admin/permissions', { method: 'POST', body: grant }); }
+export function adminRevokePermission(id) { return fetchJSON(`/admin/permissions/${encodeURIComponent(id)}`, { method: 'DELETE' }); }
 
 // ---- Utility ----
 export function ensureAuthOrRedirect() {
@@ -235,15 +428,25 @@ export function ensureAuthOrRedirect() {
 // Default export: convenience API object
 const API = {
   // auth
-  login, register, logout, getCurrentUser: getUser, getAuthToken: getToken,
+  login, register, logout, logoutAllDevices, listSessions, revokeSession,
+  forgotPassword, resetPassword, requestEmailVerification, verifyEmail, requestPhoneVerification, verifyPhone,
+  verifyTwoFactorLogin, getTwoFactorStatus, setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateBackupCodes,
+  getCurrentUser: getUser, getAuthToken: getToken,
+  // organisations
+  listOrganisations, getOrganisation, createOrganisation, switchOrganisation,
+  listInvitations, inviteMember, revokeInvitation, acceptInvitation, updateMember, removeMember,
+  // API keys
+  listApiKeys, createApiKey, revokeApiKey,
   // products
   listProducts, getProduct, createProduct, updateProduct, deleteProduct,
   // orders
-  listOrders, createOrder, updateOrderStatus,
+  listOrders, createOrder, checkout, getCheckout, updateOrderStatus, getOrderHistory, getOrderInvoice,
   // payments
   listTransactions, getTransaction, actOnTransaction, getTransactionEvents,
+  createPaymentReference, listPaymentReferences, simulatePayment,
+  listDisputes, getDispute, openDispute, actOnDispute,
   // wallet
-  getWallet, getWalletTransactions, creditWallet, debitWallet,
+  getWallet, getWalletTransactions, listPayouts, requestPayout, actOnPayout,
   // messages
   listMessages, sendMessage,
   // documents
@@ -254,6 +457,7 @@ const API = {
   listTransport, getTransport, requestTransport,
   // admin
   adminListUsers, adminSuspendUser, adminListVerifications, adminPatchVerification,
+  adminSetUserRole, adminUnlockUser, adminListPermissions, adminGrantPermission, adminRevokePermission,
   // helpers
   fetchJSON, ensureAuthOrRedirect
 };
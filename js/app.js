@@ -7,6 +7,7 @@
     API_BASE_URL: '/api',
     STORAGE_KEY: 'pdc_app_state',
     TOKEN_KEY: 'pdc_auth_token',
+    REFRESH_KEY: 'pdc_refresh_token',
     USER_KEY: 'pdc_user_data'
   };
 
@@ -25,10 +26,11 @@
       }
     },
 
-    saveUser(userData, token) {
+    saveUser(userData, token, refreshToken) {
       this.user = userData;
       this.isAuthenticated = true;
       localStorage.setItem(CONFIG.TOKEN_KEY, token);
+      if (refreshToken) localStorage.setItem(CONFIG.REFRESH_KEY, refreshToken);
       localStorage.setItem(CONFIG.USER_KEY, JSON.stringify(userData));
     },
 
@@ -36,6 +38,7 @@
       this.user = null;
       this.isAuthenticated = false;
       localStorage.removeItem(CONFIG.TOKEN_KEY);
+      localStorage.removeItem(CONFIG.REFRESH_KEY);
       localStorage.removeItem(CONFIG.USER_KEY);
     },
 
@@ -74,7 +77,8 @@
       return this.request('/auth/register', { method: 'POST', body: JSON.stringify(userData) });
     },
     logout() {
-      return this.request('/auth/logout', { method: 'POST' });
+      const refreshToken = localStorage.getItem(CONFIG.REFRESH_KEY) || undefined;
+      return this.request('/auth/logout', { method: 'POST', body: JSON.stringify({ refreshToken }) });
     },
 
     getProducts(filters = {}) {
@@ -114,8 +118,9 @@
     addFunds(amount, method) {
       return this.request('/wallet/add-funds', { method: 'POST', body: JSON.stringify({ amount, method }) });
     },
-    withdraw(amount, method) {
-      return this.request('/wallet/withdraw', { method: 'POST', body: JSON.stringify({ amount, method }) });
+    // destination: { iban, accountHolder } for BANK_TRANSFER, { phoneNumber, mobileProvider } for MOBILE_MONEY
+    withdraw(amount, method, destination = {}) {
+      return this.request('/wallet/payouts', { method: 'POST', body: JSON.stringify({ ...destination, amount, method }) });
     },
 
     getMessages() {
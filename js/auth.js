@@ -1,5 +1,9 @@
 // Minimal, robust auth script for auth.html (non-module)
-// Handles tab switching, login and register via /api/auth endpoints
+// Handles tab switching, login and register via /api/auth endpoints, plus
+// password reset (link or SMS code), e-mail confirmation links, the SMS
+// code that confirms the phone number given at registration, invitations
+// to join an organisation (accepted once signed in) and the two-factor step:
+// the authenticator code after the password, or setting it up (admins)
 (function () {
   'use strict';
 
@@ -10,14 +14,17 @@
     registerForm: '#registerForm',
     loginError: '#loginError',
     registerError: '#registerError',
+    notice: '#authNotice',
     yearAuth: '#yearAuth'
   };
 
   // Utility: safe fetch wrapper for JSON responses
-  async function postJson(url, body) {
+  async function postJson(url, body, token) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
     const res = await fetch(url, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers,
       body: JSON.stringify(body),
       credentials: 'same-origin'
     });
@@ -33,6 +40,40 @@
     return json;
   }
 
+  // Shows one panel (login, register, twoFactor, twoFactorSetup, forgot, reset, verifyPhone)
+  function showPanel(id) {
+    document.querySelectorAll(SELECTORS.authPanels).forEach(p => p.classList.toggle('hidden', p.id !== id));
+    document.querySelectorAll(SELECTORS.loginTabBtns).forEach(b => b.classList.toggle('active', b.getAttribute('data-target') === id));
+  }
+
+  function showNotice(message) {
+    const el = document.querySelector(SELECTORS.notice);
+    if (!el) return;
+    el.textContent = message;
+    el.classList.toggle('hidden', !message);
+  }
+
+  // auth.html?invitation=… – kept until the invitee is signed in
+  const INVITATION_KEY = 'pdc_pending_invitation';
+
+  async function acceptPendingInvitation() {
+    const token = sessionStorage.getItem(INVITATION_KEY);
+    if (!token) return;
+    sessionStorage.removeItem(INVITATION_KEY);
+    try {
+      await postJson('/api/organisations/invitations/accept', { token }, localStorage.getItem('pdc_auth_token'));
+      showNotice('Convite aceite. Já pode agir pela organização no seu painel.');
+    } catch (err) {
+      showNotice(err.status === 403
+        ? 'Este convite é para outro email ou telefone.'
+        : 'O convite é inválido ou expirou.');
+      console.error('[auth invitation]', err);
+    }
+  }
+
+  // The login / forgot fields take an e-mail or a phone number
+  const byIdentifier = (value) => (value.includes('@') ? { email: value } : { phoneNumber: value });
+
   // Tab switching
   function initTabs() {
     const tabs = document.querySelectorAll(SELECTORS.loginTabBtns);
@@ -70,15 +111,26 @@
     if (btn) { btn.disabled = true; btn.textContent = 'Entrando…'; }
 
     try {
-      const json = await postJson('/api/auth/login', { email, password });
+      const json = await postJson('/api/auth/login', { ...byIdentifier(email), password });
+      // Two-factor on: the code from the app comes next
+      if (json && json.twoFactorRequired) {
+        document.getElementById('twoFactorForm').elements.challengeToken.value = json.challengeToken;
+        showPanel('twoFactor');
+        return;
+      }
       if (!json || !json.token || !json.user) throw new Error('Resposta inválida do servidor');
-      localStorage.setItem('pdc_auth_token', json.token);
-      localStorage.setItem('pdc_user_data', JSON.stringify(json.user));
-      const redirect = new URLSearchParams(window.location.search).get('redirect') || 'dashboard.html';
-      window.location.href = redirect;
+      saveLogin(json);
+      if (json.twoFactorSetupRequired) {
+        await startTwoFactorSetup();
+        return;
+      }
+      await finishLogin();
     } catch (err) {
       if (err.status === 401) {
         if (errEl) errEl.textContent = 'Credenciais inválidas';
+      } else if (err.status === 429) {
+        // Locked or slowed down after failed attempts (Retry-After says how long)
+        if (errEl) errEl.textContent = 'Demasiadas tentativas falhadas. Aguarde um pouco e tente de novo.';
       } else {
         if (errEl) errEl.textContent = err.message || 'Erro ao conectar';
       }
@@ -88,6 +140,65 @@
     }
   }
 
+  function saveLogin(json) {
+    localStorage.setItem('pdc_auth_token', json.token);
+    if (json.refreshToken) localStorage.setItem('pdc_refresh_token', json.refreshToken);
+    localStorage.setItem('pdc_user_data', JSON.stringify(json.user));
+  }
+
+  async function finishLogin() {
+    await acceptPendingInvitation();
+    window.location.href = new URLSearchParams(window.location.search).get('redirect') || 'dashboard.html';
+  }
+
+  // Second login step: a code from the authenticator app or a backup code
+  async function handleTwoFactor(e) {
+    e.preventDefault();
+    const errEl = document.getElementById('twoFactorError');
+    if (errEl) errEl.textContent = '';
+    const fd = new FormData(e.target);
+    try {
+      const json = await postJson('/api/auth/2fa/verify', {
+        challengeToken: String(fd.get('challengeToken') || ''),
+        code: String(fd.get('code') || '').trim()
+      });
+      saveLogin(json);
+      await finishLogin();
+    } catch (err) {
+      if (err.body && err.body.code === 'CHALLENGE_EXPIRED') {
+        e.target.reset();
+        showNotice('O tempo para o código expirou. Entre de novo.');
+        showPanel('login');
+      } else if (errEl) {
+        errEl.textContent = err.status === 429 ? 'Demasiadas tentativas falhadas. Aguarde um pouco e tente de novo.' : 'Código inválido';
+      }
+    }
+  }
+
+  // Accounts that must have two-factor (admins) set it up right after the password
+  async function startTwoFactorSetup() {
+    const json = await postJson('/api/auth/2fa/setup', {}, localStorage.getItem('pdc_auth_token'));
+    document.getElementById('twoFactorSecret').textContent = json.secret;
+    document.getElementById('twoFactorUri').href = json.otpauthUri;
+    showPanel('twoFactorSetup');
+  }
+
+  async function handleTwoFactorSetup(e) {
+    e.preventDefault();
+    const errEl = document.getElementById('twoFactorSetupError');
+    if (errEl) errEl.textContent = '';
+    const code = String(new FormData(e.target).get('code') || '').trim();
+    try {
+      const json = await postJson('/api/auth/2fa/enable', { code }, localStorage.getItem('pdc_auth_token'));
+      if (json.token) localStorage.setItem('pdc_auth_token', json.token);
+      document.getElementById('twoFactorBackupCodes').textContent = json.backupCodes.join('\n');
+      e.target.classList.add('hidden');
+      document.getElementById('twoFactorBackup').classList.remove('hidden');
+    } catch (err) {
+      if (errEl) errEl.textContent = err.message || 'Código inválido';
+    }
+  }
+
   // Register handler
   async function handleRegister(e) {
     e.preventDefault();
@@ -108,18 +219,21 @@
       if (errEl) errEl.textContent = 'Email e senha são obrigatórios';
       return;
     }
+    const phoneNumber = String(fd.get('phoneNumber') || '').trim() || undefined;
 
     const payload = type === 'person' ? {
       email,
       password,
       name: (fd.get('fullName') || '').trim(),
-      role: fd.get('role') || undefined
+      role: fd.get('role') || undefined,
+      phoneNumber
     } : {
       email,
       password,
       name: (fd.get('companyName') || '').trim(),
       role: fd.get('role') || undefined,
-      contactPerson: (fd.get('contactPerson') || '').trim()
+      contactPerson: (fd.get('contactPerson') || '').trim(),
+      phoneNumber
     };
 
     const btn = form.querySelector('button[type="submit"]');
@@ -130,7 +244,14 @@
       const json = await postJson('/api/auth/register', payload);
       if (!json || !json.token || !json.user) throw new Error('Resposta inválida do servidor');
       localStorage.setItem('pdc_auth_token', json.token);
+      if (json.refreshToken) localStorage.setItem('pdc_refresh_token', json.refreshToken);
       localStorage.setItem('pdc_user_data', JSON.stringify(json.user));
+      await acceptPendingInvitation();
+      // A code was sent by SMS: confirm the phone before going on
+      if (json.verificationSent && json.verificationSent.phone) {
+        showPanel('verifyPhone');
+        return;
+      }
       window.location.href = 'dashboard.html';
     } catch (err) {
       if (errEl) errEl.textContent = err.message || 'Erro ao registar';
@@ -140,12 +261,126 @@
     }
   }
 
+  // Forgot password: link by e-mail, or a code by SMS entered in the reset form
+  async function handleForgot(e) {
+    e.preventDefault();
+    const errEl = document.getElementById('forgotError');
+    if (errEl) errEl.textContent = '';
+    const identifier = String(new FormData(e.target).get('identifier') || '').trim();
+    if (!identifier) return;
+
+    try {
+      const body = byIdentifier(identifier);
+      await postJson('/api/auth/password/forgot', body);
+      if (body.phoneNumber) {
+        const resetForm = document.getElementById('resetForm');
+        resetForm.elements.phoneNumber.value = identifier;
+        document.getElementById('resetCodeFields').classList.remove('hidden');
+        showPanel('reset');
+        showNotice('Se o telefone estiver confirmado, receberá um código por SMS.');
+      } else {
+        showNotice('Se o email estiver registado, receberá um link para redefinir a senha.');
+        showPanel('login');
+      }
+    } catch (err) {
+      if (errEl) errEl.textContent = err.message || 'Erro ao enviar';
+    }
+  }
+
+  async function handleReset(e) {
+    e.preventDefault();
+    const form = e.target;
+    const errEl = document.getElementById('resetError');
+    if (errEl) errEl.textContent = '';
+    const fd = new FormData(form);
+    const password = String(fd.get('password') || '');
+    if (password !== String(fd.get('confirmPassword') || '')) {
+      if (errEl) errEl.textContent = 'Senhas não coincidem';
+      return;
+    }
+    const token = String(fd.get('token') || '');
+    const body = token
+      ? { token, password }
+      : { phoneNumber: String(fd.get('phoneNumber') || '').trim(), code: String(fd.get('code') || '').trim(), password };
+
+    try {
+      await postJson('/api/auth/password/reset', body);
+      form.reset();
+      history.replaceState(null, '', window.location.pathname);
+      showNotice('Senha alterada. Entre com a nova senha.');
+      showPanel('login');
+    } catch (err) {
+      if (errEl) errEl.textContent = err.message || 'Erro ao alterar a senha';
+    }
+  }
+
+  async function handleVerifyPhone(e) {
+    e.preventDefault();
+    const errEl = document.getElementById('verifyPhoneError');
+    if (errEl) errEl.textContent = '';
+    const code = String(new FormData(e.target).get('code') || '').trim();
+    try {
+      await postJson('/api/auth/phone/verify', { code }, localStorage.getItem('pdc_auth_token'));
+      window.location.href = 'dashboard.html';
+    } catch (err) {
+      if (errEl) errEl.textContent = err.message || 'Código inválido';
+    }
+  }
+
+  // Links from e-mails and SMS: auth.html?verifyEmail=…, ?resetToken=… and
+  // ?invitation=…
+  async function handleEmailLinks() {
+    const params = new URLSearchParams(window.location.search);
+    const invitation = params.get('invitation');
+    if (invitation) {
+      sessionStorage.setItem(INVITATION_KEY, invitation);
+      history.replaceState(null, '', window.location.pathname);
+      if (localStorage.getItem('pdc_auth_token')) {
+        await acceptPendingInvitation();
+      } else {
+        showNotice('Foi convidado para uma organização. Entre ou registe-se com o email ou telefone do convite para aceitar.');
+      }
+      return;
+    }
+    const resetToken = params.get('resetToken');
+    if (resetToken) {
+      document.getElementById('resetForm').elements.token.value = resetToken;
+      showPanel('reset');
+      return;
+    }
+    const verifyToken = params.get('verifyEmail');
+    if (verifyToken) {
+      try {
+        await postJson('/api/auth/email/verify', { token: verifyToken });
+        showNotice('Email confirmado. Obrigado!');
+      } catch (err) {
+        showNotice('O link de confirmação é inválido ou expirou.');
+      }
+      history.replaceState(null, '', window.location.pathname);
+    }
+  }
+
   // Wire forms and init
   function initForms() {
     const loginForm = document.querySelector(SELECTORS.loginForm);
     const registerForm = document.querySelector(SELECTORS.registerForm);
     if (loginForm) loginForm.addEventListener('submit', handleLogin);
     if (registerForm) registerForm.addEventListener('submit', handleRegister);
+    const forms = {
+      twoFactorForm: handleTwoFactor,
+      twoFactorSetupForm: handleTwoFactorSetup,
+      forgotForm: handleForgot,
+      resetForm: handleReset,
+      verifyPhoneForm: handleVerifyPhone
+    };
+    Object.entries(forms).forEach(([id, fn]) => {
+      const form = document.getElementById(id);
+      if (form) form.addEventListener('submit', fn);
+    });
+    const continueBtn = document.getElementById('twoFactorContinue');
+    if (continueBtn) continueBtn.addEventListener('click', finishLogin);
+    const forgotLink = document.getElementById('forgotLink');
+    if (forgotLink) forgotLink.addEventListener('click', (e) => { e.preventDefault(); showPanel('forgot'); });
   }
 
   // Reg type toggle
@@ -183,6 +418,7 @@
       initTabs();
       initRegTypeToggle();
       initForms();
+      handleEmailLinks();
     } catch (e) {
       console.error('[auth init]', e);
     }
@@ -79,7 +79,7 @@
     try {
       const [products, orders, wallet] = await Promise.all([
         PDC.API.getProducts({ producerId: PDC.AppState.user.id }),
-        PDC.API.getOrders({ sellerId: PDC.AppState.user.id }),
+        PDC.API.getOrders({ role: 'seller' }),
         PDC.API.getWallet()
       ]);
 
@@ -230,9 +230,7 @@
   // Load Orders
   async function loadOrders() {
     try {
-      const response = await PDC.API.getOrders({
-        sellerId: PDC.AppState.user.id
-      });
+      const response = await PDC.API.getOrders({ role: 'seller' });
       const orders = response.data || response;
 
       renderOrdersTable(orders);
@@ -296,7 +294,7 @@
   document.getElementById('orderStatusFilter')?.addEventListener('change', async (e) => {
     const status = e.target.value;
     try {
-      const filters = { sellerId: PDC.AppState.user.id };
+      const filters = { role: 'seller' };
       if (status) filters.status = status;
 
       const response = await PDC.API.getOrders(filters);
@@ -317,7 +315,7 @@
       document.getElementById('walletBalanceDetail').textContent =
         `${parseFloat(wallet.balance || 0).toFixed(2)} AOA`;
 
-      renderTransactions(transactions.slice(0, 10));
+      renderTransactions((transactions.data || transactions).slice(0, 10));
     } catch (error) {
       console.error('Error loading wallet:', error);
       PDC.UI.showToast('Erro ao carregar carteira', 'error');
@@ -334,17 +332,21 @@
 
     container.innerHTML = `
             <div style="max-height: 400px; overflow-y: auto;">
-                ${transactions.map(tx => `
+                ${transactions.map(tx => {
+                    // Ledger entries: CREDIT = money in, DEBIT = money out
+                    const signed = tx.entryType === 'DEBIT' ? -tx.amount : tx.amount;
+                    return `
                     <div class="p-2 border-bottom">
                         <div class="d-flex justify-between">
-                            <span><strong>${tx.type || 'Transação'}</strong></span>
-                            <span class="${tx.amount > 0 ? 'text-success' : 'text-danger'}">
-                                ${tx.amount > 0 ? '+' : ''}${tx.amount} AOA
+                            <span><strong>${tx.description || tx.type || 'Transação'}</strong></span>
+                            <span class="${signed > 0 ? 'text-success' : 'text-danger'}">
+                                ${signed > 0 ? '+' : ''}${signed} AOA
                             </span>
                         </div>
                         <small class="text-muted">${PDC.UI.formatDate(tx.createdAt)}</small>
                     </div>
-                `).join('')}
+                `;
+                }).join('')}
             </div>
         `;
   }
@@ -26,8 +26,19 @@
   }
   
   export function logout() {
+    // End the session on the server as well (the page is left right away)
+    const refreshToken = localStorage.getItem('pdc_refresh_token');
+    if (refreshToken) {
+      fetch('/api/auth/logout', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+        keepalive: true
+      }).catch(() => {});
+    }
     localStorage.removeItem('pdc_user_data');
     localStorage.removeItem('pdc_auth_token');
+    localStorage.removeItem('pdc_refresh_token');
     location.href = 'auth.html';
   }
   
@@ -0,0 +1,185 @@
+// lib/api-keys.js
+// API keys for server‑to‑server integrations – a cooperative's ERP pushing
+// stock levels, pulling orders. A key acts as its account (the user's own,
+// or the organisation's when made while acting for it) and is sent instead
+// of a JWT:
+//
+//   X-API-Key: pdc_…            or   Authorization: Bearer pdc_…
+//
+// Scopes are "<area>:read" or "<area>:write" for the areas of
+// lib/organisations.js (products, storage, orders, wallet, …); write also
+// reads. Auth, organisations, API keys and admin are out of reach of any
+// key. The account's role permissions (lib/permissions.js) still apply on
+// top.
+//
+// Only a SHA‑256 of the key is stored (keys are 256 random bits); it is
+// shown once, on creation. Every request made with a key goes to AuditLog
+// as API_KEY_USED, and updates the key's lastUsedAt / lastUsedIp.
+
+const crypto = require('crypto');
+const prisma = require('./prisma');
+const { httpError } = require('./http-error');
+const { clientInfo } = require('./sessions');
+const { areaOf, memberCan, METHOD_ACTIONS } = require('./organisations');
+
+const KEY_PREFIX = 'pdc_';
+const MAX_KEYS = 20; // active keys per account
+const MAX_TTL_DAYS = Number(process.env.API_KEY_MAX_TTL_DAYS || 365);
+
+const SCOPE_AREAS = [
+  'products', 'storage', 'facilities', 'production', 'transport', 'transformation', 'procurements',
+  'offers', 'orders', 'transactions', 'payouts', 'wallet', 'documents', 'reviews', 'messages', 'notifications'
+];
+const SCOPES = SCOPE_AREAS.flatMap((area) => [`${area}:read`, `${area}:write`]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+const isApiKey = (value) => typeof value === 'string' && value.startsWith(KEY_PREFIX);
+
+const invalidKey = (message = 'Invalid API key') => httpError(401, message, undefined, 'INVALID_API_KEY');
+
+// What a key may be listed with – never the hash
+const KEY_SELECT = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  organisationId: true,
+  createdBy: { select: { id: true, username: true, fullName: true } },
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  revokedAt: true,
+  createdAt: true
+};
+
+/**
+ * The scope a request needs – "orders:read", "products:write" – or null
+ * when no key reaches it.
+ */
+function apiKeyScope(method, url) {
+  const area = areaOf(url);
+  if (!SCOPE_AREAS.includes(area)) return null;
+  return `${area}:${(METHOD_ACTIONS[method] || 'READ') === 'READ' ? 'read' : 'write'}`;
+}
+
+// write also reads
+const scopeAllows = (scopes, needed) => scopes.includes(needed) || scopes.includes(needed.replace(/:read$/, ':write'));
+
+// ---------- Managing keys ----------
+
+/**
+ * A new key for `user`'s account – the token payload, so an acting token
+ * makes a key of the organisation, limited to what `member` may do there.
+ * Returns { key, apiKey }; `key` is not stored and cannot be shown again.
+ */
+async function createApiKey(db, user, member, { name, scopes, expiresAt }, now = new Date()) {
+  if (user.role === 'ADMIN') throw httpError(403, 'Administrator accounts cannot have API keys');
+
+  scopes = [...new Set(scopes)];
+  if (member) {
+    const beyond = scopes.filter((scope) => {
+      const [area, access] = scope.split(':');
+      const actions = access === 'write' ? ['READ', 'CREATE', 'UPDATE', 'DELETE'] : ['READ'];
+      return !actions.every((action) => memberCan(member, action, area));
+    });
+    if (beyond.length) {
+      throw httpError(403, `Your role in this organisation (${member.role}) cannot grant ${beyond.join(', ')}`);
+    }
+  }
+
+  if (!expiresAt) expiresAt = new Date(now.getTime() + MAX_TTL_DAYS * DAY_MS);
+  if (expiresAt <= now) throw httpError(400, 'expiresAt must be in the future');
+  if (expiresAt - now > MAX_TTL_DAYS * DAY_MS) throw httpError(400, `A key can last ${MAX_TTL_DAYS} days at most`);
+
+  const active = await db.apiKey.count({
+    where: { userId: user.userId, revokedAt: null, expiresAt: { gt: now } }
+  });
+  if (active >= MAX_KEYS) throw httpError(409, `An account can have ${MAX_KEYS} active API keys – revoke one first`);
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await db.apiKey.create({
+    data: {
+      userId: user.userId,
+      organisationId: user.orgId || null,
+      createdById: user.actorId || user.userId,
+      name,
+      prefix: key.slice(0, KEY_PREFIX.length + 8),
+      keyHash: hashKey(key),
+      scopes,
+      expiresAt
+    },
+    select: KEY_SELECT
+  });
+  return { key, apiKey };
+}
+
+/**
+ * Revokes a key of the account; 404 when there is none (or it already is).
+ */
+async function revokeApiKey(db, user, id) {
+  const { count } = await db.apiKey.updateMany({
+    where: { id, userId: user.userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  if (!count) throw httpError(404, 'API key not found');
+}
+
+// ---------- Requests with a key ----------
+
+/**
+ * req.user for a request carrying `key`: the account's { userId, role }
+ * plus { apiKeyId, scopes }. 401 INVALID_API_KEY for an unknown, revoked or
+ * expired key.
+ */
+async function authenticateApiKey(key, req, now = new Date()) {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashKey(key) },
+    include: { user: { select: { id: true, role: true } } }
+  });
+  if (!apiKey || apiKey.revokedAt) throw invalidKey();
+  if (apiKey.expiresAt && apiKey.expiresAt <= now) throw invalidKey('This API key has expired');
+
+  await prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: { lastUsedAt: now, lastUsedIp: clientInfo(req).ipAddress }
+  });
+  return { userId: apiKey.user.id, role: apiKey.user.role, apiKeyId: apiKey.id, scopes: apiKey.scopes };
+}
+
+/**
+ * 403 unless the key's scopes cover this request.
+ */
+function checkApiKeyScope(user, method, url) {
+  const needed = apiKeyScope(method, url);
+  if (!needed) throw httpError(403, 'API keys cannot be used for this endpoint – sign in instead', undefined, 'API_KEY_SCOPE');
+  if (!scopeAllows(user.scopes, needed)) throw httpError(403, `This API key lacks the ${needed} scope`, undefined, 'API_KEY_SCOPE');
+}
+
+function recordApiKeyUse(user, req, status) {
+  return prisma.auditLog.create({
+    data: {
+      userId: user.userId,
+      action: 'API_KEY_USED',
+      entityType: 'API_KEY',
+      entityId: user.apiKeyId,
+      details: { method: req.method, path: String(req.url).split('?')[0], status },
+      ...clientInfo(req)
+    }
+  }).catch((err) => console.error('[API KEYS] audit log', err));
+}
+
+module.exports = {
+  KEY_PREFIX,
+  SCOPES,
+  SCOPE_AREAS,
+  KEY_SELECT,
+  isApiKey,
+  apiKeyScope,
+  createApiKey,
+  revokeApiKey,
+  authenticateApiKey,
+  checkApiKeyScope,
+  recordApiKeyUse
+};
@@ -0,0 +1,163 @@
+// lib/checkout.js
+// Turns a buyer's cart into one Order per seller (ProductListing.producerId),
+// all grouped under a parent Checkout so the buyer gets a single receipt.
+
+const { httpError } = require('./http-error');
+const { reserveOrderStock } = require('./inventory');
+const { recordOrderStatus } = require('./order-status');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// What an order shows of its buyer, seller and transporter
+const PARTY_SELECT = { id: true, username: true, email: true, fullName: true, companyName: true, phoneNumber: true };
+
+// What we send back for a checkout / order (same shape as GET /api/orders)
+const ORDER_INCLUDE = {
+  orderItems: {
+    include: {
+      productListing: {
+        select: { id: true, title: true, pricePerUnit: true, unitOfMeasure: true }
+      }
+    }
+  },
+  seller: { select: { id: true, email: true, fullName: true } }
+};
+
+/**
+ * Load the listings in the cart and group the lines by producer.
+ * Duplicate lines for the same product are merged.
+ * Returns [{ sellerId, currency, total, items: [{ product, quantity, price, subtotal }] }]
+ */
+async function groupCartBySeller(db, items, buyerId) {
+  if (!Array.isArray(items) || items.length === 0) throw httpError(400, 'items array required');
+
+  const quantities = new Map();
+  for (const it of items) {
+    if (!it || !it.productId) throw httpError(400, 'productId missing');
+    const qty = Number(it.quantity ?? 1);
+    if (!Number.isFinite(qty) || qty <= 0) throw httpError(400, `invalid quantity for product ${it.productId}`);
+    quantities.set(it.productId, (quantities.get(it.productId) || 0) + qty);
+  }
+
+  const products = await db.productListing.findMany({
+    where: { id: { in: [...quantities.keys()] } }
+  });
+  const productMap = new Map(products.map((p) => [p.id, p]));
+
+  const groups = new Map();
+  let currency = null;
+
+  for (const [productId, quantity] of quantities) {
+    const product = productMap.get(productId);
+    if (!product) throw httpError(404, `Product ${productId} not found`);
+    if (product.producerId === buyerId) throw httpError(400, 'You cannot order your own product');
+
+    currency = currency || product.currency;
+    if (product.currency !== currency) throw httpError(400, 'All items in a cart must share the same currency');
+
+    const price = Number(product.pricePerUnit);
+    const subtotal = round2(quantity * price);
+
+    if (!groups.has(product.producerId)) {
+      groups.set(product.producerId, { sellerId: product.producerId, currency, total: 0, items: [] });
+    }
+    const group = groups.get(product.producerId);
+    group.items.push({ product, quantity, price, subtotal });
+    group.total = round2(group.total + subtotal);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Shipping address for the order – body fields first, then the buyer's
+ * profile address. Throws 400 when neither has a usable address.
+ */
+async function resolveShipping(db, buyerId, body = {}) {
+  const buyer = await db.user.findUnique({
+    where: { id: buyerId },
+    select: { addressLine1: true, city: true, postalCode: true, country: true }
+  });
+
+  const shipping = {
+    shippingAddressLine1: body.shippingAddressLine1 || buyer?.addressLine1,
+    shippingCity: body.shippingCity || buyer?.city,
+    shippingPostalCode: body.shippingPostalCode || buyer?.postalCode || '',
+    shippingCountry: body.shippingCountry || buyer?.country || 'Angola'
+  };
+
+  if (!shipping.shippingAddressLine1 || !shipping.shippingCity) {
+    throw httpError(400, 'shippingAddressLine1 and shippingCity required');
+  }
+  return shipping;
+}
+
+/**
+ * Prisma `data` for one seller's order.
+ */
+function buildOrderData(buyerId, group, shipping, extra = {}) {
+  return {
+    buyerId,
+    sellerId: group.sellerId,
+    totalAmount: group.total,
+    currency: group.currency,
+    orderStatus: 'PENDING',
+    paymentStatus: 'PENDING',
+    ...shipping,
+    ...extra,
+    orderItems: {
+      create: group.items.map((line) => ({
+        productListingId: line.product.id,
+        quantityOrdered: line.quantity,
+        pricePerUnitAtOrder: line.price,
+        subtotal: line.subtotal
+      }))
+    }
+  };
+}
+
+/**
+ * Create the parent Checkout and one Order per seller in a single transaction,
+ * reserving stock for every order. Not enough stock for any line rolls the
+ * whole checkout back (409). Returns the checkout with its orders.
+ */
+async function createCheckout(prisma, { buyerId, items, body = {} }) {
+  return prisma.$transaction(async (tx) => {
+    const groups = await groupCartBySeller(tx, items, buyerId);
+    const shipping = await resolveShipping(tx, buyerId, body);
+
+    const checkout = await tx.checkout.create({
+      data: {
+        buyerId,
+        currency: groups[0].currency,
+        totalAmount: round2(groups.reduce((sum, g) => sum + g.total, 0))
+      }
+    });
+
+    for (const group of groups) {
+      const order = await tx.order.create({
+        data: buildOrderData(buyerId, group, shipping, {
+          checkoutId: checkout.id,
+          notesForSeller: body.notesForSeller?.[group.sellerId] || null
+        })
+      });
+      await reserveOrderStock(tx, order.id, buyerId);
+      await recordOrderStatus(tx, order.id, 'PENDING', buyerId, 'Order created');
+    }
+
+    return tx.checkout.findUnique({
+      where: { id: checkout.id },
+      include: { orders: { include: ORDER_INCLUDE, orderBy: { createdAt: 'asc' } } }
+    });
+  });
+}
+
+module.exports = {
+  PARTY_SELECT,
+  ORDER_INCLUDE,
+  round2,
+  groupCartBySeller,
+  resolveShipping,
+  buildOrderData,
+  createCheckout
+};
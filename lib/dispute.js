@@ -0,0 +1,299 @@
+// lib/dispute.js
+// Disputes on escrowed PaymentTransactions.
+//
+//   open ──► AWAITING_RESPONSE ──(other party answers / window lapses)──► UNDER_REVIEW
+//                                                                         │
+//                                         admin ruling: REFUND, RELEASE or SPLIT
+//                                                                         ▼
+//                                                                      RESOLVED
+//
+// Either party opens a dispute with a reason code; the other party then has
+// DISPUTE_RESPONSE_DAYS to answer. Evidence is any Document the party uploaded
+// through POST /api/documents/upload. The ruling settles whatever is still in
+// escrow (lib/escrow.js). Every step is logged as a PaymentTransactionEvent and
+// notifies both parties.
+//
+// Every helper that changes state expects a Prisma transaction client (`tx`).
+
+const { Prisma } = require('@prisma/client');
+const { httpError } = require('./http-error');
+const { notify } = require('./notify');
+const { RELEASABLE_STATUSES, logEscrowEvent, listEscrows, heldOf, settleEscrow } = require('./escrow');
+
+const DISPUTE_REASONS = [
+  'NOT_RECEIVED',
+  'NOT_AS_DESCRIBED',
+  'DAMAGED',
+  'WRONG_QUANTITY',
+  'LATE_DELIVERY',
+  'PAYMENT_NOT_RECEIVED',
+  'OTHER'
+];
+const DISPUTE_RULINGS = ['REFUND', 'RELEASE', 'SPLIT'];
+
+const DISPUTE_RESPONSE_DAYS = Number(process.env.DISPUTE_RESPONSE_DAYS || 5);
+const MAX_EVIDENCE = 10;
+
+const DISPUTE_INCLUDE = {
+  evidence: {
+    orderBy: { createdAt: 'asc' },
+    include: { document: { select: { id: true, type: true, fileName: true, fileUrl: true, mimeType: true, fileSize: true } } }
+  },
+  transaction: { select: { id: true, buyerId: true, sellerId: true, amount: true, currency: true, status: true } }
+};
+
+const partiesOf = (txn) => [txn.buyerId, txn.sellerId];
+
+const responseLapsed = (dispute, now = new Date()) =>
+  dispute.status === 'AWAITING_RESPONSE' && dispute.responseDueAt < now;
+
+/**
+ * Attach the caller's own uploaded documents to a dispute. Documents already
+ * attached are skipped.
+ */
+async function attachEvidence(tx, dispute, userId, documentIds = [], note) {
+  if (!Array.isArray(documentIds)) throw httpError(400, 'documentIds must be a list');
+  const ids = [...new Set(documentIds)];
+  if (!ids.length) return [];
+
+  const existing = await tx.disputeEvidence.count({ where: { disputeId: dispute.id } });
+  if (existing + ids.length > MAX_EVIDENCE) {
+    throw httpError(400, `A dispute can hold at most ${MAX_EVIDENCE} pieces of evidence`);
+  }
+
+  const documents = await tx.document.findMany({ where: { id: { in: ids }, userId } });
+  if (documents.length !== ids.length) {
+    throw httpError(400, 'Evidence must be documents you uploaded', {
+      unknown: ids.filter((id) => !documents.some((d) => d.id === id))
+    });
+  }
+
+  await tx.disputeEvidence.createMany({
+    data: ids.map((documentId) => ({ disputeId: dispute.id, documentId, submittedById: userId, note: note || null })),
+    skipDuplicates: true
+  });
+  // Tag the uploads so they can be traced back from the document list
+  await tx.document.updateMany({
+    where: { id: { in: ids }, relatedEntityId: null },
+    data: { relatedEntityId: dispute.id }
+  });
+  return ids;
+}
+
+/**
+ * Open a dispute on a funded transaction. `actorId` must be the buyer or the
+ * seller; the other one becomes the respondent.
+ */
+async function openDispute(tx, txn, { actorId, reason, description, documentIds, now = new Date() }) {
+  if (!partiesOf(txn).includes(actorId)) throw httpError(403, 'Only the buyer or the seller can open a dispute');
+  if (!RELEASABLE_STATUSES.includes(txn.status)) {
+    throw httpError(409, `Cannot dispute a ${txn.status} transaction`);
+  }
+  if (!DISPUTE_REASONS.includes(reason)) {
+    throw httpError(400, `reason must be one of ${DISPUTE_REASONS.join(', ')}`);
+  }
+  if (!description?.trim()) throw httpError(400, 'description required');
+
+  // Guarded update – two parties disputing at once open a single dispute
+  const { count } = await tx.paymentTransaction.updateMany({
+    where: { id: txn.id, status: txn.status },
+    data: { status: 'DISPUTED' }
+  });
+  if (count === 0) throw httpError(409, 'Transaction changed concurrently, reload and retry');
+
+  const dispute = await tx.dispute.create({
+    data: {
+      transactionId: txn.id,
+      openedById: actorId,
+      respondentId: actorId === txn.buyerId ? txn.sellerId : txn.buyerId,
+      reason,
+      description: description.trim(),
+      responseDueAt: new Date(now.getTime() + DISPUTE_RESPONSE_DAYS * 24 * 60 * 60 * 1000)
+    }
+  });
+  const attached = await attachEvidence(tx, dispute, actorId, documentIds);
+
+  // Action stays DISPUTE – the auto‑release job skips transactions with one
+  await logEscrowEvent(tx, txn.id, actorId, 'DISPUTE', {
+    disputeId: dispute.id,
+    reason,
+    previousStatus: txn.status,
+    evidence: attached
+  });
+  await notify(tx, partiesOf(txn), {
+    type: 'DISPUTE_OPENED',
+    title: 'Disputa aberta',
+    message: `A transação ${txn.id} está em disputa (${reason}). ` +
+      `A outra parte tem até ${dispute.responseDueAt.toISOString().slice(0, 10)} para responder.`
+  });
+
+  return tx.dispute.findUnique({ where: { id: dispute.id }, include: DISPUTE_INCLUDE });
+}
+
+/**
+ * The respondent's answer. Moves the dispute to UNDER_REVIEW.
+ */
+async function respondToDispute(tx, dispute, { actorId, response, documentIds }) {
+  if (dispute.respondentId !== actorId) throw httpError(403, 'Only the other party can respond to this dispute');
+  if (dispute.status !== 'AWAITING_RESPONSE') throw httpError(409, `Dispute is ${dispute.status}`);
+  if (!response?.trim()) throw httpError(400, 'response required');
+
+  const { count } = await tx.dispute.updateMany({
+    where: { id: dispute.id, status: 'AWAITING_RESPONSE' },
+    data: { status: 'UNDER_REVIEW', response: response.trim(), respondedAt: new Date() }
+  });
+  if (count === 0) throw httpError(409, 'Dispute changed concurrently, reload and retry');
+  const attached = await attachEvidence(tx, dispute, actorId, documentIds);
+
+  const txn = await tx.paymentTransaction.findUnique({ where: { id: dispute.transactionId } });
+  await logEscrowEvent(tx, txn.id, actorId, 'DISPUTE_RESPONSE', {
+    disputeId: dispute.id,
+    late: responseLapsed(dispute),
+    evidence: attached
+  });
+  await notify(tx, partiesOf(txn), {
+    type: 'DISPUTE_RESPONSE',
+    title: 'Resposta à disputa',
+    message: `A disputa da transação ${txn.id} foi respondida e aguarda decisão da administração.`
+  });
+
+  return tx.dispute.findUnique({ where: { id: dispute.id }, include: DISPUTE_INCLUDE });
+}
+
+/**
+ * More evidence from either party while the dispute is still open.
+ */
+async function addDisputeEvidence(tx, dispute, { actorId, documentIds, note }) {
+  if (dispute.status === 'RESOLVED') throw httpError(409, 'Dispute is already resolved');
+  if (![dispute.openedById, dispute.respondentId].includes(actorId)) {
+    throw httpError(403, 'Only the parties can add evidence');
+  }
+  if (!Array.isArray(documentIds) || !documentIds.length) throw httpError(400, 'documentIds required');
+
+  const attached = await attachEvidence(tx, dispute, actorId, documentIds, note);
+  const txn = await tx.paymentTransaction.findUnique({ where: { id: dispute.transactionId } });
+  await logEscrowEvent(tx, txn.id, actorId, 'DISPUTE_EVIDENCE', { disputeId: dispute.id, evidence: attached });
+  await notify(tx, partiesOf(txn), {
+    type: 'DISPUTE_EVIDENCE',
+    title: 'Nova prova na disputa',
+    message: `Foram anexados ${attached.length} documento(s) à disputa da transação ${txn.id}.`
+  });
+
+  return tx.dispute.findUnique({ where: { id: dispute.id }, include: DISPUTE_INCLUDE });
+}
+
+/**
+ * Admin ruling. Allowed once the respondent answered or the response window
+ * lapsed. SPLIT needs buyerAmount + sellerAmount = what is still held.
+ */
+async function ruleOnDispute(tx, dispute, { actorId, ruling, buyerAmount, sellerAmount, notes, now = new Date() }) {
+  if (dispute.status === 'RESOLVED') throw httpError(409, 'Dispute is already resolved');
+  if (dispute.status === 'AWAITING_RESPONSE' && !responseLapsed(dispute, now)) {
+    throw httpError(409, `The other party has until ${dispute.responseDueAt.toISOString()} to respond`);
+  }
+  if (!DISPUTE_RULINGS.includes(ruling)) throw httpError(400, `ruling must be one of ${DISPUTE_RULINGS.join(', ')}`);
+  if (!notes?.trim()) throw httpError(400, 'notes required – explain the ruling to both parties');
+
+  const txn = await tx.paymentTransaction.findUnique({ where: { id: dispute.transactionId } });
+  if (txn.status !== 'DISPUTED') throw httpError(409, `Transaction is ${txn.status}`);
+
+  const held = heldOf(await listEscrows(tx, txn));
+  const shares = {
+    REFUND: { buyerAmount: held, sellerAmount: 0 },
+    RELEASE: { buyerAmount: 0, sellerAmount: held },
+    SPLIT: { buyerAmount, sellerAmount }
+  }[ruling];
+  if (ruling === 'SPLIT' && (shares.buyerAmount === undefined || shares.sellerAmount === undefined)) {
+    throw httpError(400, 'SPLIT needs buyerAmount and sellerAmount');
+  }
+
+  const { count } = await tx.dispute.updateMany({
+    where: { id: dispute.id, status: { not: 'RESOLVED' } },
+    data: {
+      status: 'RESOLVED',
+      ruling,
+      buyerAmount: new Prisma.Decimal(shares.buyerAmount),
+      sellerAmount: new Prisma.Decimal(shares.sellerAmount),
+      rulingNotes: notes.trim(),
+      resolvedById: actorId,
+      resolvedAt: now
+    }
+  });
+  if (count === 0) throw httpError(409, 'Dispute was resolved concurrently');
+
+  await settleEscrow(tx, txn, {
+    ...shares,
+    actorId,
+    action: 'DISPUTE_RULING',
+    metadata: { disputeId: dispute.id, ruling, notes: notes.trim() }
+  });
+
+  const outcome = {
+    REFUND: 'reembolso total ao comprador',
+    RELEASE: 'pagamento total ao vendedor',
+    SPLIT: `${shares.buyerAmount} ${txn.currency} ao comprador e ${shares.sellerAmount} ${txn.currency} ao vendedor`
+  }[ruling];
+  await notify(tx, partiesOf(txn), {
+    type: 'DISPUTE_RESOLVED',
+    title: 'Disputa resolvida',
+    message: `Decisão sobre a transação ${txn.id}: ${outcome}. ${notes.trim()}`
+  });
+
+  return tx.dispute.findUnique({ where: { id: dispute.id }, include: DISPUTE_INCLUDE });
+}
+
+/**
+ * Move disputes whose response window lapsed to UNDER_REVIEW so admins see
+ * them, and tell both parties. Runs from the cron job.
+ */
+async function closeLapsedResponses(prisma, { now = new Date(), limit = 100 } = {}) {
+  const lapsed = await prisma.dispute.findMany({
+    where: { status: 'AWAITING_RESPONSE', responseDueAt: { lt: now } },
+    include: { transaction: true },
+    orderBy: { responseDueAt: 'asc' },
+    take: limit
+  });
+
+  const report = { checked: lapsed.length, closed: [], failed: [] };
+  for (const dispute of lapsed) {
+    try {
+      const closed = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.dispute.updateMany({
+          where: { id: dispute.id, status: 'AWAITING_RESPONSE' },
+          data: { status: 'UNDER_REVIEW' }
+        });
+        if (count === 0) return false;
+        await logEscrowEvent(tx, dispute.transactionId, null, 'DISPUTE_RESPONSE_LAPSED', {
+          actor: 'SYSTEM',
+          disputeId: dispute.id,
+          responseDueAt: dispute.responseDueAt
+        });
+        await notify(tx, partiesOf(dispute.transaction), {
+          type: 'DISPUTE_RESPONSE_LAPSED',
+          title: 'Prazo de resposta terminado',
+          message: `O prazo para responder à disputa da transação ${dispute.transactionId} terminou; ` +
+            'a administração vai decidir com base nas provas apresentadas.'
+        });
+        return true;
+      });
+      if (closed) report.closed.push(dispute.id);
+    } catch (e) {
+      // One bad dispute must not keep the rest waiting for the next run
+      console.error('[dispute response window]', dispute.id, e);
+      report.failed.push({ id: dispute.id, error: e.message });
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  DISPUTE_REASONS,
+  DISPUTE_RULINGS,
+  DISPUTE_RESPONSE_DAYS,
+  DISPUTE_INCLUDE,
+  openDispute,
+  respondToDispute,
+  addDisputeEvidence,
+  ruleOnDispute,
+  closeLapsedResponses
+};
@@ -0,0 +1,381 @@
+// lib/escrow.js
+// EscrowTransaction records behind a PaymentTransaction.
+//
+// FUND creates one HELD record for the whole amount. The seller or an admin can
+// split whatever is still HELD into milestones (e.g. 30% on pickup, 70% on
+// delivery); each milestone is then released to the seller's wallet on its
+// own. When nothing is HELD any more the transaction is RELEASED. Each
+// release to the seller pays the platform fee (lib/fees.js).
+//
+// The order a transaction pays for (Order.transactionId) follows it: PAID on
+// FUND, REFUNDED when the escrow goes back to the buyer (lib/order-status.js).
+//
+// Every helper expects a Prisma transaction client (`tx`).
+
+const { Prisma } = require('@prisma/client');
+const { httpError } = require('./http-error');
+const { creditWallet } = require('./wallet');
+const { postEscrowFunding } = require('./ledger');
+const { chargeReleaseFee } = require('./fees');
+const { syncOrderPayment } = require('./order-status');
+
+// PaymentTransaction statuses in which escrow can be split / released
+const RELEASABLE_STATUSES = ['FUNDED', 'SELLER_CONFIRMED', 'BUYER_CONFIRMED'];
+
+const MAX_MILESTONES = 10;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+async function logEscrowEvent(tx, transactionId, actorId, action, metadata) {
+  await tx.paymentTransactionEvent.create({
+    data: { transactionId, actorId: actorId || null, action, metadata: metadata || undefined }
+  });
+}
+
+/**
+ * FUND – hold the full transaction amount.
+ */
+async function holdEscrow(tx, txn) {
+  return tx.escrowTransaction.create({
+    data: {
+      paymentTransactionId: txn.id,
+      amount: new Prisma.Decimal(txn.amount),
+      status: 'HELD'
+    }
+  });
+}
+
+/**
+ * PENDING → FUNDED once the provider confirmed the buyer paid: the money
+ * enters the platform (ledger) and is held in escrow.
+ */
+async function fundTransaction(tx, txn, { actorId = null, metadata } = {}) {
+  const { count } = await tx.paymentTransaction.updateMany({
+    where: { id: txn.id, status: 'PENDING' },
+    data: { status: 'FUNDED', escrowHeldAt: new Date() }
+  });
+  if (count === 0) throw httpError(409, 'Transaction is no longer PENDING');
+
+  await postEscrowFunding(tx, txn);
+  await holdEscrow(tx, txn);
+  await logEscrowEvent(tx, txn.id, actorId, 'FUND', metadata);
+  await syncOrderPayment(tx, txn, 'PAID', { actorId, notes: `Payment received (transaction ${txn.id})` });
+  return tx.paymentTransaction.findUnique({ where: { id: txn.id } });
+}
+
+/**
+ * All escrow records of a transaction, in release order. Transactions funded
+ * before escrow records existed get their HELD record created on first use.
+ */
+async function listEscrows(tx, txn) {
+  let escrows = await tx.escrowTransaction.findMany({
+    where: { paymentTransactionId: txn.id },
+    orderBy: [{ position: 'asc' }, { createdAt: 'asc' }]
+  });
+  if (!escrows.length && [...RELEASABLE_STATUSES, 'DISPUTED'].includes(txn.status)) {
+    escrows = [await holdEscrow(tx, txn)];
+  }
+  return escrows;
+}
+
+const heldOf = (escrows) =>
+  round2(escrows.filter((e) => e.status === 'HELD').reduce((sum, e) => sum + Number(e.amount), 0));
+
+/**
+ * Replace the HELD part of the escrow with milestones.
+ * milestones: [{ milestone: 'Pickup', percentage: 30 } | { milestone, amount }]
+ * Percentages are of the amount still held; amounts must add up to it.
+ */
+async function splitEscrow(tx, txn, milestones, actorId) {
+  if (!RELEASABLE_STATUSES.includes(txn.status)) throw httpError(409, `Cannot split escrow of a ${txn.status} transaction`);
+  if (!Array.isArray(milestones) || milestones.length < 2 || milestones.length > MAX_MILESTONES) {
+    throw httpError(400, `milestones must be a list of 2 to ${MAX_MILESTONES} entries`);
+  }
+
+  const escrows = await listEscrows(tx, txn);
+  const held = heldOf(escrows);
+  if (held <= 0) throw httpError(409, 'Nothing left in escrow to split');
+
+  milestones.forEach((m, i) => {
+    if (!m?.milestone?.trim()) throw httpError(400, `milestones[${i}].milestone required`);
+  });
+
+  let amounts;
+  if (milestones.every((m) => m.amount !== undefined)) {
+    amounts = milestones.map((m) => round2(Number(m.amount)));
+    if (round2(amounts.reduce((sum, a) => sum + a, 0)) !== held) {
+      throw httpError(400, `Milestone amounts must add up to the ${held} still held`);
+    }
+  } else if (milestones.every((m) => m.percentage !== undefined)) {
+    const percentages = milestones.map((m) => Number(m.percentage));
+    if (Math.abs(percentages.reduce((sum, p) => sum + p, 0) - 100) > 1e-6) {
+      throw httpError(400, 'Milestone percentages must add up to 100');
+    }
+    amounts = percentages.map((pct) => round2((held * pct) / 100));
+    // Percentages rarely divide evenly – the last milestone absorbs the cents
+    amounts[amounts.length - 1] = round2(held - amounts.slice(0, -1).reduce((sum, a) => sum + a, 0));
+  } else {
+    throw httpError(400, 'Give every milestone either an amount or a percentage');
+  }
+  if (amounts.some((a) => !(a > 0))) throw httpError(400, 'Every milestone needs a positive amount');
+
+  const settled = escrows.filter((e) => e.status !== 'HELD');
+  const firstPosition = settled.length ? Math.max(...settled.map((e) => e.position)) + 1 : 0;
+
+  await tx.escrowTransaction.deleteMany({
+    where: { paymentTransactionId: txn.id, status: 'HELD' }
+  });
+  for (const [i, m] of milestones.entries()) {
+    await tx.escrowTransaction.create({
+      data: {
+        paymentTransactionId: txn.id,
+        milestone: m.milestone.trim(),
+        position: firstPosition + i,
+        amount: new Prisma.Decimal(amounts[i]),
+        status: 'HELD'
+      }
+    });
+  }
+
+  await logEscrowEvent(tx, txn.id, actorId, 'SPLIT_ESCROW', {
+    milestones: milestones.map((m, i) => ({ milestone: m.milestone.trim(), amount: amounts[i] }))
+  });
+  return listEscrows(tx, txn);
+}
+
+/**
+ * Release HELD escrow to the seller's wallet, less the platform fee – one
+ * milestone when `escrowId` is given, everything still held otherwise. Marks
+ * the transaction RELEASED once nothing is left.
+ */
+async function releaseEscrow(tx, txn, { escrowId, actorId, action = 'RELEASE', metadata } = {}) {
+  if (!RELEASABLE_STATUSES.includes(txn.status)) throw httpError(409, `Cannot release escrow of a ${txn.status} transaction`);
+
+  const escrows = await listEscrows(tx, txn);
+  const targets = escrows.filter((e) => e.status === 'HELD' && (!escrowId || e.id === escrowId));
+  if (!targets.length) {
+    throw httpError(escrowId ? 404 : 409, escrowId ? 'Milestone not found or already released' : 'Nothing left in escrow');
+  }
+
+  const now = new Date();
+  for (const escrow of targets) {
+    // Guarded update – a milestone can only ever be released once
+    const { count } = await tx.escrowTransaction.updateMany({
+      where: { id: escrow.id, status: 'HELD' },
+      data: { status: 'RELEASED', releaseDate: now, releasedBy: actorId || null }
+    });
+    if (count === 0) throw httpError(409, 'Milestone was released concurrently');
+
+    await creditWallet(tx, txn.sellerId, Number(escrow.amount), {
+      paymentTransactionId: txn.id,
+      escrowId: escrow.id,
+      contra: 'ESCROW',
+      description: escrow.milestone
+        ? `Escrow milestone "${escrow.milestone}" released for transaction ${txn.id}`
+        : `Escrow released for transaction ${txn.id}`
+    });
+    await chargeReleaseFee(tx, txn, Number(escrow.amount), { escrowId: escrow.id });
+  }
+
+  const stillHeld = heldOf(escrows.filter((e) => !targets.includes(e)));
+  await logEscrowEvent(tx, txn.id, actorId, action, {
+    ...metadata,
+    released: targets.map((e) => ({ escrowId: e.id, milestone: e.milestone, amount: Number(e.amount) })),
+    stillHeld
+  });
+
+  if (stillHeld > 0) return tx.paymentTransaction.findUnique({ where: { id: txn.id } });
+  return tx.paymentTransaction.update({
+    where: { id: txn.id },
+    data: { status: 'RELEASED', releasedAt: now }
+  });
+}
+
+/**
+ * Give whatever is still HELD back to the buyer (milestones already released
+ * stay with the seller). Marks the transaction REFUNDED.
+ */
+async function refundEscrow(tx, txn, { actorId, action = 'REFUND' } = {}) {
+  const escrows = await listEscrows(tx, txn);
+  const targets = escrows.filter((e) => e.status === 'HELD');
+
+  const now = new Date();
+  let refunded = 0;
+  for (const escrow of targets) {
+    // Guarded per record, as in releaseEscrow – a milestone released
+    // meanwhile stays with the seller and is not refunded too
+    const { count } = await tx.escrowTransaction.updateMany({
+      where: { id: escrow.id, status: 'HELD' },
+      data: { status: 'CANCELLED', releaseDate: now, releasedBy: actorId || null }
+    });
+    if (count === 1) refunded = round2(refunded + Number(escrow.amount));
+  }
+  if (targets.length && refunded === 0) throw httpError(409, 'Escrow was settled concurrently');
+
+  if (refunded > 0) {
+    await creditWallet(tx, txn.buyerId, refunded, {
+      paymentTransactionId: txn.id,
+      contra: 'ESCROW',
+      description: `Escrow refunded for transaction ${txn.id}`,
+      refund: true
+    });
+  }
+
+  await logEscrowEvent(tx, txn.id, actorId, action, { refunded });
+  await syncOrderPayment(tx, txn, 'REFUNDED', { actorId, notes: `Escrow refunded (transaction ${txn.id})` });
+  return tx.paymentTransaction.update({
+    where: { id: txn.id },
+    data: { status: 'REFUNDED', refundedAt: now }
+  });
+}
+
+/**
+ * Divide whatever is still HELD between the parties – used by dispute
+ * rulings. `sellerAmount` goes to the seller's wallet, `buyerAmount` back to
+ * the buyer's; together they must be exactly what is held. A one‑sided
+ * settlement keeps the milestone records (RELEASED or CANCELLED); a split
+ * replaces them with one record per share so the escrow rows still add up to
+ * the transaction amount.
+ */
+async function settleEscrow(tx, txn, { buyerAmount = 0, sellerAmount = 0, actorId, action = 'SETTLE', metadata } = {}) {
+  const escrows = await listEscrows(tx, txn);
+  const held = heldOf(escrows);
+  if (held <= 0) throw httpError(409, 'Nothing left in escrow');
+
+  const toBuyer = round2(Number(buyerAmount));
+  const toSeller = round2(Number(sellerAmount));
+  if (!(toBuyer >= 0) || !(toSeller >= 0) || round2(toBuyer + toSeller) !== held) {
+    throw httpError(400, `buyerAmount and sellerAmount must add up to the ${held} still held`);
+  }
+
+  const now = new Date();
+  const settledBy = { releaseDate: now, releasedBy: actorId || null };
+  if (toBuyer === 0 || toSeller === 0) {
+    const { count } = await tx.escrowTransaction.updateMany({
+      where: { paymentTransactionId: txn.id, status: 'HELD' },
+      data: { status: toSeller > 0 ? 'RELEASED' : 'CANCELLED', ...settledBy }
+    });
+    if (count === 0) throw httpError(409, 'Escrow was settled concurrently');
+  } else {
+    const { count } = await tx.escrowTransaction.deleteMany({
+      where: { paymentTransactionId: txn.id, status: 'HELD' }
+    });
+    if (count === 0) throw httpError(409, 'Escrow was settled concurrently');
+    const settled = escrows.filter((e) => e.status !== 'HELD');
+    const position = settled.length ? Math.max(...settled.map((e) => e.position)) + 1 : 0;
+    await tx.escrowTransaction.createMany({
+      data: [
+        { paymentTransactionId: txn.id, milestone: 'Seller share', position, amount: new Prisma.Decimal(toSeller), status: 'RELEASED', ...settledBy },
+        { paymentTransactionId: txn.id, milestone: 'Buyer refund', position: position + 1, amount: new Prisma.Decimal(toBuyer), status: 'CANCELLED', ...settledBy }
+      ]
+    });
+  }
+
+  if (toSeller > 0) {
+    await creditWallet(tx, txn.sellerId, toSeller, {
+      paymentTransactionId: txn.id,
+      contra: 'ESCROW',
+      description: `Escrow settled to seller for transaction ${txn.id}`
+    });
+    await chargeReleaseFee(tx, txn, toSeller);
+  }
+  if (toBuyer > 0) {
+    await creditWallet(tx, txn.buyerId, toBuyer, {
+      paymentTransactionId: txn.id,
+      contra: 'ESCROW',
+      description: `Escrow refunded for transaction ${txn.id}`,
+      refund: true
+    });
+  }
+
+  await logEscrowEvent(tx, txn.id, actorId, action, { ...metadata, toBuyer, toSeller });
+  if (toSeller === 0) {
+    await syncOrderPayment(tx, txn, 'REFUNDED', { actorId, notes: `Escrow refunded (transaction ${txn.id})` });
+  }
+  // Any seller share means the sale went through (partly); only a full
+  // refund leaves the transaction REFUNDED.
+  return tx.paymentTransaction.update({
+    where: { id: txn.id },
+    data: {
+      status: toSeller > 0 ? 'RELEASED' : 'REFUNDED',
+      ...(toSeller > 0 && { releasedAt: now }),
+      ...(toBuyer > 0 && { refundedAt: now })
+    }
+  });
+}
+
+// -----------------------------------------------------------------
+// Auto‑release – sellers get paid even when the buyer never confirms
+// -----------------------------------------------------------------
+
+const DEFAULT_AUTO_RELEASE_DAYS = Number(process.env.ESCROW_AUTO_RELEASE_DAYS || 7);
+
+/**
+ * Transactions the seller confirmed more than `days` ago that the buyer never
+ * confirmed nor disputed.
+ */
+function findExpiredConfirmations(db, { days = DEFAULT_AUTO_RELEASE_DAYS, now = new Date(), limit = 100 } = {}) {
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  return db.paymentTransaction.findMany({
+    where: {
+      status: 'SELLER_CONFIRMED',
+      events: {
+        some: { action: 'SELLER_CONFIRM', timestamp: { lt: cutoff } },
+        none: { action: 'DISPUTE' }
+      }
+    },
+    orderBy: { updatedAt: 'asc' },
+    take: limit
+  });
+}
+
+/**
+ * Release every expired transaction, each in its own DB transaction so one
+ * failure does not hold back the others. The event is logged with no actor
+ * (the platform) and `metadata.actor = 'SYSTEM'`.
+ */
+async function autoReleaseExpired(prisma, { days = DEFAULT_AUTO_RELEASE_DAYS, now = new Date(), limit = 100, dryRun = false } = {}) {
+  const candidates = await findExpiredConfirmations(prisma, { days, now, limit });
+  const report = { days, checked: candidates.length, released: [], failed: [] };
+  if (dryRun) {
+    report.released = candidates.map((t) => ({ id: t.id, amount: Number(t.amount), dryRun: true }));
+    return report;
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const released = await prisma.$transaction(async (tx) => {
+        // Re‑read inside the transaction – the buyer may have confirmed or disputed meanwhile
+        const txn = await tx.paymentTransaction.findUnique({ where: { id: candidate.id } });
+        if (txn?.status !== 'SELLER_CONFIRMED') return false;
+        await releaseEscrow(tx, txn, {
+          actorId: null,
+          action: 'AUTO_RELEASE',
+          metadata: { actor: 'SYSTEM', reason: `Buyer did not confirm within ${days} days of seller confirmation` }
+        });
+        return true;
+      });
+      if (released) report.released.push({ id: candidate.id, amount: Number(candidate.amount) });
+    } catch (e) {
+      console.error('[escrow auto-release]', candidate.id, e);
+      report.failed.push({ id: candidate.id, error: e.message });
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  RELEASABLE_STATUSES,
+  DEFAULT_AUTO_RELEASE_DAYS,
+  logEscrowEvent,
+  holdEscrow,
+  fundTransaction,
+  listEscrows,
+  heldOf,
+  splitEscrow,
+  releaseEscrow,
+  refundEscrow,
+  settleEscrow,
+  findExpiredConfirmations,
+  autoReleaseExpired
+};
@@ -0,0 +1,197 @@
+// lib/fees.js
+// Platform fee engine.
+//
+// Whenever escrow is released to a seller, a fee is taken back from the
+// seller's wallet into REVENUE (see chargeFee in lib/wallet.js) and recorded
+// as a PaymentFeeLine on the transaction, so buyer and seller both see the
+// breakdown.
+//
+// The service is derived from the seller's role – TRANSPORTER sells TRANSPORT,
+// STORAGE_OWNER sells STORAGE, everybody else SALE; the category from the
+// listings of the order paid for. The fee comes from the most specific active
+// FeeRule for that service:
+//
+//   category match > verified‑only (seller is verified) > role match > catch‑all
+//
+// A rule has a percentage of each released amount and/or a fixed amount
+// taken once per transaction (with the first release). Without any matching
+// rule the defaults below apply.
+//
+// Every helper expects a Prisma transaction client (`tx`).
+
+const { Prisma } = require('@prisma/client');
+const { httpError } = require('./http-error');
+const { chargeFee } = require('./wallet');
+
+const FEE_SERVICES = ['SALE', 'TRANSPORT', 'STORAGE'];
+const SELLER_ROLES = ['PRODUCER', 'CONSUMER', 'STORAGE_OWNER', 'TRANSPORTER', 'TRANSFORMER'];
+
+const DEFAULT_FEE_PERCENT = {
+  SALE: Number(process.env.FEE_SALE_PERCENT || 5),
+  TRANSPORT: Number(process.env.FEE_TRANSPORT_PERCENT || 8),
+  STORAGE: Number(process.env.FEE_STORAGE_PERCENT || 8)
+};
+// Percentage points off the default for verified sellers
+const VERIFIED_FEE_DISCOUNT = Number(process.env.FEE_VERIFIED_DISCOUNT || 2);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const serviceForRole = (role) =>
+  role === 'TRANSPORTER' ? 'TRANSPORT' : role === 'STORAGE_OWNER' ? 'STORAGE' : 'SALE';
+
+/**
+ * Category of what the transaction pays for: the ProductListing.category of
+ * its order's lines (Order.transactionId) when they all share one. Never
+ * taken from the request – the buyer would pick the seller's fee.
+ */
+async function categoryOf(tx, txn) {
+  const order = await tx.order.findFirst({
+    where: { transactionId: txn.id },
+    select: { orderItems: { select: { productListing: { select: { category: true } } } } }
+  });
+  const categories = new Set((order?.orderItems || []).map((item) => item.productListing?.category || null));
+  return categories.size === 1 ? [...categories][0] : null;
+}
+
+const specificity = (rule) => (rule.category ? 4 : 0) + (rule.verifiedOnly ? 2 : 0) + (rule.sellerRole ? 1 : 0);
+
+/**
+ * The fee that applies to a transaction:
+ * { service, rule, percentage, fixedAmount, description }.
+ */
+async function resolveFee(tx, txn) {
+  const seller = await tx.user.findUnique({
+    where: { id: txn.sellerId },
+    select: { role: true, isVerified: true }
+  });
+  if (!seller) throw httpError(404, 'Seller not found');
+
+  const service = serviceForRole(seller.role);
+  const category = await categoryOf(tx, txn);
+
+  const rules = await tx.feeRule.findMany({
+    where: {
+      service,
+      isActive: true,
+      OR: [{ sellerRole: null }, { sellerRole: seller.role }],
+      AND: [
+        { OR: [{ category: null }, ...(category ? [{ category }] : [])] },
+        { OR: [{ verifiedOnly: false }, ...(seller.isVerified ? [{ verifiedOnly: true }] : [])] }
+      ]
+    },
+    orderBy: { updatedAt: 'desc' }
+  });
+  const rule = rules.reduce((best, r) => (!best || specificity(r) > specificity(best) ? r : best), null);
+
+  if (rule) {
+    return {
+      service,
+      rule,
+      percentage: Number(rule.percentage),
+      fixedAmount: Number(rule.fixedAmount),
+      description: rule.name
+    };
+  }
+
+  const verified = seller.isVerified && VERIFIED_FEE_DISCOUNT > 0;
+  return {
+    service,
+    rule: null,
+    percentage: Math.max(0, DEFAULT_FEE_PERCENT[service] - (verified ? VERIFIED_FEE_DISCOUNT : 0)),
+    fixedAmount: 0,
+    description: verified ? `Platform fee (${service}, verified seller)` : `Platform fee (${service})`
+  };
+}
+
+/**
+ * Fee owed on releasing `baseAmount`: the percentage, plus the fixed part
+ * when it was not charged on an earlier release. Never more than released.
+ */
+function computeFee(fee, baseAmount, { includeFixed = true } = {}) {
+  const fixed = includeFixed ? fee.fixedAmount : 0;
+  return Math.min(round2(baseAmount), round2((baseAmount * fee.percentage) / 100 + fixed));
+}
+
+/**
+ * Take the platform fee on `baseAmount` just released to the seller and
+ * record the fee line. Returns the PaymentFeeLine, or null when no fee is due.
+ */
+async function chargeReleaseFee(tx, txn, baseAmount, { escrowId = null } = {}) {
+  const fee = await resolveFee(tx, txn);
+  const earlier = await tx.paymentFeeLine.count({ where: { transactionId: txn.id } });
+  const includeFixed = earlier === 0;
+  const amount = computeFee(fee, baseAmount, { includeFixed });
+  if (!(amount > 0)) return null;
+
+  await chargeFee(tx, txn.sellerId, amount, {
+    paymentTransactionId: txn.id,
+    escrowId,
+    feeRuleId: fee.rule?.id || null,
+    description: `${fee.description} for transaction ${txn.id}`
+  });
+  return tx.paymentFeeLine.create({
+    data: {
+      transactionId: txn.id,
+      escrowId,
+      ruleId: fee.rule?.id || null,
+      service: fee.service,
+      description: fee.description,
+      baseAmount: new Prisma.Decimal(round2(baseAmount)),
+      percentage: new Prisma.Decimal(fee.percentage),
+      fixedAmount: new Prisma.Decimal(includeFixed ? fee.fixedAmount : 0),
+      amount: new Prisma.Decimal(amount)
+    }
+  });
+}
+
+/**
+ * Validated FeeRule data from an admin request body. `partial` for updates.
+ */
+function feeRuleData(body = {}, { partial = false } = {}) {
+  const data = {};
+  const has = (k) => body[k] !== undefined;
+
+  if (!partial || has('name')) {
+    if (!body.name?.trim()) throw httpError(400, 'name required');
+    data.name = body.name.trim();
+  }
+  if (!partial || has('service')) {
+    const service = body.service || 'SALE';
+    if (!FEE_SERVICES.includes(service)) throw httpError(400, `service must be one of ${FEE_SERVICES.join(', ')}`);
+    data.service = service;
+  }
+  if (has('sellerRole')) {
+    if (body.sellerRole && !SELLER_ROLES.includes(body.sellerRole)) {
+      throw httpError(400, `sellerRole must be one of ${SELLER_ROLES.join(', ')}`);
+    }
+    data.sellerRole = body.sellerRole || null;
+  }
+  if (has('category')) data.category = body.category?.trim() || null;
+  if (has('verifiedOnly')) data.verifiedOnly = Boolean(body.verifiedOnly);
+  if (has('isActive')) data.isActive = Boolean(body.isActive);
+  if (has('percentage')) {
+    const pct = Number(body.percentage);
+    if (!(pct >= 0 && pct <= 100)) throw httpError(400, 'percentage must be between 0 and 100');
+    data.percentage = new Prisma.Decimal(pct);
+  }
+  if (has('fixedAmount')) {
+    const fixed = round2(Number(body.fixedAmount));
+    if (!(fixed >= 0)) throw httpError(400, 'fixedAmount must be zero or positive');
+    data.fixedAmount = new Prisma.Decimal(fixed);
+  }
+  if (!partial && data.percentage === undefined && data.fixedAmount === undefined) {
+    throw httpError(400, 'percentage or fixedAmount required');
+  }
+  return data;
+}
+
+module.exports = {
+  FEE_SERVICES,
+  DEFAULT_FEE_PERCENT,
+  VERIFIED_FEE_DISCOUNT,
+  serviceForRole,
+  resolveFee,
+  computeFee,
+  chargeReleaseFee,
+  feeRuleData
+};
@@ -0,0 +1,108 @@
+// lib/geo.js
+// "Near me" for the listing endpoints: ?near=lat,lng&radiusKm=
+//
+// Distances are great‑circle (haversine) kilometres, computed in SQL so the
+// database filters and sorts; a bounding box around the point narrows the
+// rows first. A listing without its own coordinates is placed at its
+// owner's (User.latitude / longitude); without either it is left out.
+// nearby() answers one page (LIMIT / OFFSET), so a wide radius never loads
+// every listing.
+//
+//   products   ProductListing.locationLatitude / locationLongitude, else the producer's
+//   storage    StorageListing.latitude / longitude, else the owner's
+//   transport  the transporter's (listings have a base city only)
+
+const { Prisma } = require('@prisma/client');
+const { validationError } = require('./schema');
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = 111.045;
+const DEFAULT_RADIUS_KM = Number(process.env.NEAR_DEFAULT_RADIUS_KM || 50);
+
+// Coordinates of each kind of listing – `l` is the listing, `u` its owner
+const LOCATIONS = {
+  products: {
+    from: Prisma.sql`"ProductListing" l JOIN "User" u ON u."id" = l."producerId"`,
+    owner: Prisma.sql`l."producerId"`,
+    lat: Prisma.sql`coalesce(l."locationLatitude", u."latitude")`,
+    lng: Prisma.sql`coalesce(l."locationLongitude", u."longitude")`
+  },
+  storage: {
+    from: Prisma.sql`"StorageListing" l JOIN "User" u ON u."id" = l."ownerId"`,
+    owner: Prisma.sql`l."ownerId"`,
+    lat: Prisma.sql`coalesce(l."latitude", u."latitude")`,
+    lng: Prisma.sql`coalesce(l."longitude", u."longitude")`
+  },
+  transport: {
+    from: Prisma.sql`"TransportListing" l JOIN "User" u ON u."id" = l."transporterId"`,
+    owner: Prisma.sql`l."transporterId"`,
+    lat: Prisma.sql`u."latitude"`,
+    lng: Prisma.sql`u."longitude"`
+  }
+};
+
+const radians = (degrees) => (degrees * Math.PI) / 180;
+const roundKm = (km) => Math.round(km * 10) / 10;
+
+/**
+ * The point of a query ({ near: [lat, lng], radiusKm } – see the `nearby`
+ * fields in src/schemas.js), or null without `near`.
+ */
+function nearPoint({ near, radiusKm }) {
+  if (!near) return null;
+  const [lat, lng] = near;
+  if (!(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180)) {
+    throw validationError([{ in: 'query', field: 'near', code: 'out_of_range', message: 'must be "latitude,longitude" in degrees' }]);
+  }
+  return { lat, lng, radiusKm: radiusKm || DEFAULT_RADIUS_KM };
+}
+
+/**
+ * SQL for the distance in km from `point` to (lat, lng).
+ */
+function distanceSql(lat, lng, point) {
+  return Prisma.sql`(${2 * EARTH_RADIUS_KM} * asin(least(1, sqrt(
+    power(sin(radians(${lat} - ${point.lat}) / 2), 2) +
+    cos(radians(${point.lat})) * cos(radians(${lat})) * power(sin(radians(${lng} - ${point.lng}) / 2), 2)))))`;
+}
+
+/**
+ * SQL condition: (lat, lng) within point.radiusKm.
+ */
+function withinSql(lat, lng, point) {
+  const dLat = point.radiusKm / KM_PER_DEGREE;
+  const box = [Prisma.sql`${lat} BETWEEN ${point.lat - dLat} AND ${point.lat + dLat}`];
+  // Longitude degrees shrink towards the poles; no box where it would wrap
+  const dLng = point.radiusKm / (KM_PER_DEGREE * Math.cos(radians(point.lat)));
+  if (Number.isFinite(dLng) && Math.abs(point.lng) + dLng < 180) {
+    box.push(Prisma.sql`${lng} BETWEEN ${point.lng - dLng} AND ${point.lng + dLng}`);
+  }
+  return Prisma.sql`(${Prisma.join(box, ' AND ')} AND ${distanceSql(lat, lng, point)} <= ${point.radiusKm})`;
+}
+
+/**
+ * One page of the listings of `kind` within the radius, nearest first:
+ * [{ id, distanceKm }]. `ownerId` keeps one owner's only.
+ */
+async function nearby(db, kind, point, { page = 1, limit = 20, ownerId } = {}) {
+  const { from, owner, lat, lng } = LOCATIONS[kind];
+  const conditions = [withinSql(lat, lng, point), ...(ownerId ? [Prisma.sql`${owner} = ${ownerId}`] : [])];
+  const rows = await db.$queryRaw`
+    SELECT l."id", ${distanceSql(lat, lng, point)} AS "distanceKm"
+    FROM ${from}
+    WHERE ${Prisma.join(conditions, ' AND ')}
+    ORDER BY 2, l."createdAt" DESC, l."id"
+    LIMIT ${limit} OFFSET ${(page - 1) * limit}`;
+  return rows.map((row) => ({ id: row.id, distanceKm: roundKm(row.distanceKm) }));
+}
+
+/**
+ * `records` in the order of `found` (from nearby()), each with its
+ * distanceKm.
+ */
+function inDistanceOrder(found, records) {
+  const byId = new Map(records.map((record) => [record.id, record]));
+  return found.filter((f) => byId.has(f.id)).map((f) => ({ ...byId.get(f.id), distanceKm: f.distanceKm }));
+}
+
+module.exports = { LOCATIONS, DEFAULT_RADIUS_KM, nearPoint, distanceSql, withinSql, nearby, inDistanceOrder, roundKm };
@@ -0,0 +1,39 @@
+// lib/http-error.js
+// Errors thrown by the lib/ helpers carry the HTTP status the handler should
+// answer with, so a handler can simply rethrow them for the router:
+//   } catch (err) {
+//     if (err.status) throw err;
+//     console.error('[SOMETHING]', err);
+//     return res.status(500).json({ error: 'Internal server error' });
+//   }
+//
+// Every error response has the same envelope (the router adds `code` when a
+// handler leaves it out, see lib/middleware.js):
+//   { error: 'Human readable message', code: 'MACHINE_READABLE', details?: [...] }
+
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'UNPROCESSABLE_ENTITY',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  502: 'BAD_GATEWAY',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+const errorCode = (status) => ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+const httpError = (status, message, details, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details !== undefined) err.details = details;
+  if (code) err.code = code;
+  return err;
+};
+
+module.exports = { ERROR_CODES, errorCode, httpError };
@@ -0,0 +1,157 @@
+// lib/idempotency.js
+// `Idempotency-Key` support for money‑moving endpoints.
+//
+//   module.exports = idempotent(async (req, res) => { … });
+//
+// • Requests without the header run as usual.
+// • The first request with a key runs the handler and stores its response.
+// • A replay with the same key and the same method/path/body gets the stored
+//   response back (plus `Idempotent-Replayed: true`) without running anything.
+// • The same key with a different request, or while the first one is still
+//   running, gets a 409.
+// • 5xx responses are not stored, so the client can retry them.
+// Keys are scoped per user (req.user, from authenticate()) and kept for 24 hours.
+
+const crypto = require('crypto');
+const prisma = require('./prisma');
+
+const HEADER = 'idempotency-key';
+const TTL_MS = 24 * 60 * 60 * 1000;
+// A first request that has not finished after this long is considered dead
+const STALE_LOCK_MS = 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+function json(res, payload, status = 200) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify(payload));
+}
+
+// JSON.stringify with sorted keys, so { a, b } and { b, a } hash the same
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function requestHash(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.url}\n${canonical(req.body || {})}`)
+    .digest('hex');
+}
+
+function callerId(req) {
+  return req.user?.userId || 'anonymous'; // requireAuth() answers 401 first
+}
+
+/**
+ * Claim the key. Returns { record } when this request should run, or
+ * { replay | conflict } when it should not.
+ */
+async function claim(userId, key, req, hash) {
+  const now = new Date();
+  // Expired and abandoned claims are free to take over
+  await prisma.idempotencyRecord.deleteMany({
+    where: {
+      userId,
+      key,
+      OR: [
+        { expiresAt: { lt: now } },
+        { statusCode: null, createdAt: { lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    }
+  });
+
+  try {
+    const record = await prisma.idempotencyRecord.create({
+      data: {
+        userId,
+        key,
+        method: req.method,
+        path: req.url,
+        requestHash: hash,
+        expiresAt: new Date(now.getTime() + TTL_MS)
+      }
+    });
+    return { record };
+  } catch (e) {
+    if (e.code !== 'P2002') throw e;
+  }
+
+  const existing = await prisma.idempotencyRecord.findUnique({
+    where: { userId_key: { userId, key } }
+  });
+  if (!existing) return { conflict: 'Idempotency-Key is being reused, retry' };
+  if (existing.requestHash !== hash) {
+    return { conflict: 'Idempotency-Key was already used with a different request' };
+  }
+  if (existing.statusCode === null) {
+    return { conflict: 'A request with this Idempotency-Key is still being processed' };
+  }
+  return { replay: existing };
+}
+
+/**
+ * Wrap a (req, res) handler. `methods` are the HTTP methods that move money –
+ * anything else (GET, OPTIONS…) goes straight through.
+ */
+function idempotent(handler, { methods = ['POST', 'PATCH', 'PUT', 'DELETE'] } = {}) {
+  return async (req, res) => {
+    const key = req.headers[HEADER];
+    if (!key || !methods.includes(req.method)) return handler(req, res);
+    if (key.length > MAX_KEY_LENGTH) {
+      return json(res, { error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` }, 400);
+    }
+
+    const userId = callerId(req);
+    const hash = requestHash(req);
+
+    let claimed;
+    try {
+      claimed = await claim(userId, key, req, hash);
+    } catch (e) {
+      console.error('[IDEMPOTENCY]', e);
+      return json(res, { error: 'Internal server error' }, 500);
+    }
+
+    if (claimed.conflict) return json(res, { error: claimed.conflict }, 409);
+    if (claimed.replay) {
+      res.statusCode = claimed.replay.statusCode;
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.setHeader('Idempotent-Replayed', 'true');
+      return res.end(claimed.replay.responseBody || '');
+    }
+
+    // Run the handler and capture whatever it ends the response with
+    let body = '';
+    const end = res.end;
+    res.end = function (chunk, ...rest) {
+      if (chunk) body += Buffer.isBuffer(chunk) ? chunk.toString('utf8') : String(chunk);
+      return end.call(this, chunk, ...rest);
+    };
+
+    req.idempotencyKey = key;
+    try {
+      return await handler(req, res);
+    } finally {
+      res.end = end;
+      try {
+        if (res.statusCode >= 500 || !res.writableEnded) {
+          await prisma.idempotencyRecord.delete({ where: { id: claimed.record.id } });
+        } else {
+          await prisma.idempotencyRecord.update({
+            where: { id: claimed.record.id },
+            data: { statusCode: res.statusCode, responseBody: body }
+          });
+        }
+      } catch (e) {
+        console.error('[IDEMPOTENCY] could not store response', e);
+      }
+    }
+  };
+}
+
+module.exports = { idempotent, requestHash, HEADER };
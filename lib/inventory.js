@@ -0,0 +1,140 @@
+// lib/inventory.js
+// Stock reservation for orders, written as InventoryMovement rows
+// (referenceId = order id) so every change to ProductListing.quantityAvailable
+// can be traced back to the order that caused it.
+//
+//   order created         → RESERVE  (quantityAvailable is decremented)
+//   SHIPPED / DELIVERED   → FULFILL  (stock already left at reservation)
+//   CANCELLED / REFUNDED  → CANCEL   (outstanding reservation is put back)
+//
+// Every helper expects a Prisma transaction client (`tx`).
+
+const { httpError } = require('./http-error');
+
+const FULFIL_STATUSES = ['SHIPPED', 'DELIVERED'];
+const RELEASE_STATUSES = ['CANCELLED', 'REFUNDED'];
+
+async function loadOrderLines(tx, orderId) {
+  return tx.orderItem.findMany({
+    where: { orderId },
+    include: {
+      productListing: { select: { id: true, title: true, unitOfMeasure: true } }
+    }
+  });
+}
+
+/**
+ * Where the order's reservation stands: 'NONE', 'RESERVED', 'FULFILLED' or
+ * 'RELEASED'. Only the latest movement type matters.
+ */
+async function reservationState(tx, orderId) {
+  const last = await tx.inventoryMovement.findFirst({
+    where: { referenceId: orderId, type: { in: ['RESERVE', 'FULFILL', 'CANCEL'] } },
+    orderBy: { createdAt: 'desc' },
+    select: { type: true }
+  });
+  if (!last) return 'NONE';
+  return { RESERVE: 'RESERVED', FULFILL: 'FULFILLED', CANCEL: 'RELEASED' }[last.type];
+}
+
+/**
+ * Reserve stock for every line of the order. The decrement is conditional on
+ * enough stock being left, so two concurrent checkouts cannot both take the
+ * last units – the loser gets a 409 and its transaction rolls back.
+ */
+async function reserveOrderStock(tx, orderId, actorId) {
+  const lines = await loadOrderLines(tx, orderId);
+
+  for (const line of lines) {
+    const { count } = await tx.productListing.updateMany({
+      where: { id: line.productListingId, quantityAvailable: { gte: line.quantityOrdered } },
+      data: { quantityAvailable: { decrement: line.quantityOrdered } }
+    });
+    if (count === 0) {
+      throw httpError(409, `Insufficient stock for "${line.productListing.title}"`, {
+        productId: line.productListingId,
+        requested: line.quantityOrdered
+      });
+    }
+
+    await tx.inventoryMovement.create({
+      data: {
+        productListingId: line.productListingId,
+        type: 'RESERVE',
+        quantity: line.quantityOrdered,
+        unit: line.productListing.unitOfMeasure,
+        reason: 'Order created',
+        referenceId: orderId,
+        createdBy: actorId || null
+      }
+    });
+  }
+}
+
+/**
+ * Mark the reservation as fulfilled (goods left with the order).
+ * No‑op unless the order still holds a reservation.
+ */
+async function fulfilOrderStock(tx, orderId, actorId) {
+  if ((await reservationState(tx, orderId)) !== 'RESERVED') return;
+
+  const lines = await loadOrderLines(tx, orderId);
+  for (const line of lines) {
+    await tx.inventoryMovement.create({
+      data: {
+        productListingId: line.productListingId,
+        type: 'FULFILL',
+        quantity: line.quantityOrdered,
+        unit: line.productListing.unitOfMeasure,
+        reason: 'Order shipped',
+        referenceId: orderId,
+        createdBy: actorId || null
+      }
+    });
+  }
+}
+
+/**
+ * Put an outstanding reservation back on the shelf. Goods that were already
+ * fulfilled are not restocked – a refund after delivery is a money matter.
+ */
+async function releaseOrderStock(tx, orderId, actorId, reason = 'Order cancelled') {
+  if ((await reservationState(tx, orderId)) !== 'RESERVED') return;
+
+  const lines = await loadOrderLines(tx, orderId);
+  for (const line of lines) {
+    await tx.productListing.update({
+      where: { id: line.productListingId },
+      data: { quantityAvailable: { increment: line.quantityOrdered } }
+    });
+    await tx.inventoryMovement.create({
+      data: {
+        productListingId: line.productListingId,
+        type: 'CANCEL',
+        quantity: line.quantityOrdered,
+        unit: line.productListing.unitOfMeasure,
+        reason,
+        referenceId: orderId,
+        createdBy: actorId || null
+      }
+    });
+  }
+}
+
+/**
+ * Apply whatever stock movement the new order status implies.
+ */
+async function syncOrderStock(tx, orderId, orderStatus, actorId) {
+  if (FULFIL_STATUSES.includes(orderStatus)) return fulfilOrderStock(tx, orderId, actorId);
+  if (RELEASE_STATUSES.includes(orderStatus)) {
+    return releaseOrderStock(tx, orderId, actorId, `Order ${orderStatus.toLowerCase()}`);
+  }
+}
+
+module.exports = {
+  reservationState,
+  reserveOrderStock,
+  fulfilOrderStock,
+  releaseOrderStock,
+  syncOrderStock
+};
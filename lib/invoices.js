@@ -0,0 +1,384 @@
+// lib/invoices.js
+// Fiscal documents for orders.
+//
+//   order → PAID      → Factura        "FT PDC2026/17"
+//   order → REFUNDED  → Nota de Crédito "NC PDC2026/3" (reverses the invoice)
+//
+// Each series (document type + year) is numbered without gaps: the number
+// comes from DocumentSequence in the same DB transaction that writes the
+// document, so a rolled‑back issue also gives its number back. Seller, buyer
+// and lines are copied onto the document – later profile or listing edits
+// never change an issued invoice.
+//
+// Prices on the marketplace include IVA; the lines split them into net
+// amount and IVA at INVOICE_IVA_RATE (14%, the Angolan standard rate).
+//
+// issueInvoice / issueCreditNote expect a Prisma transaction client (`tx`).
+
+const { Prisma } = require('@prisma/client');
+const { httpError } = require('./http-error');
+const { createPdf, textWidth } = require('./pdf');
+
+const IVA_RATE = Number(process.env.INVOICE_IVA_RATE || 14);
+const SERIES_PREFIX = process.env.INVOICE_SERIES_PREFIX || 'PDC';
+const DOCUMENT_CODES = { INVOICE: 'FT', CREDIT_NOTE: 'NC' };
+const DOCUMENT_TITLES = { INVOICE: 'Factura', CREDIT_NOTE: 'Nota de Crédito' };
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Next number of a series, gap‑free. The upsert locks the sequence row until
+ * the surrounding transaction ends.
+ */
+async function nextNumber(tx, series) {
+  const [row] = await tx.$queryRaw`
+    INSERT INTO "DocumentSequence" ("series", "lastNumber", "updatedAt")
+    VALUES (${series}, 1, NOW())
+    ON CONFLICT ("series") DO UPDATE
+      SET "lastNumber" = "DocumentSequence"."lastNumber" + 1, "updatedAt" = NOW()
+    RETURNING "lastNumber"`;
+  return Number(row.lastNumber);
+}
+
+const seriesFor = (type, date) => `${DOCUMENT_CODES[type]} ${SERIES_PREFIX}${date.getFullYear()}`;
+
+const displayName = (user) => user.companyName || user.fullName || user.username;
+
+const addressOf = (user) =>
+  [user.addressLine1, user.addressLine2, [user.postalCode, user.city].filter(Boolean).join(' '), user.country]
+    .filter(Boolean)
+    .join(', ') || null;
+
+/**
+ * Invoice lines from the order items – gross (IVA included) split into net and IVA.
+ */
+function invoiceLines(orderItems, rate = IVA_RATE) {
+  return orderItems.map((item) => {
+    const total = round2(Number(item.subtotal));
+    const netAmount = round2(total / (1 + rate / 100));
+    return {
+      description: item.productListing?.title || item.productListingId,
+      quantity: Number(item.quantityOrdered),
+      unit: item.productListing?.unitOfMeasure || null,
+      unitPrice: round2(Number(item.pricePerUnitAtOrder)),
+      netAmount,
+      taxRate: rate,
+      taxAmount: round2(total - netAmount),
+      total
+    };
+  });
+}
+
+const totalsOf = (lines) => ({
+  netTotal: round2(lines.reduce((sum, l) => sum + l.netAmount, 0)),
+  taxTotal: round2(lines.reduce((sum, l) => sum + l.taxAmount, 0)),
+  grossTotal: round2(lines.reduce((sum, l) => sum + l.total, 0))
+});
+
+async function loadOrder(tx, orderId) {
+  const order = await tx.order.findUnique({
+    where: { id: orderId },
+    include: {
+      buyer: true,
+      seller: true,
+      orderItems: { include: { productListing: { select: { title: true, unitOfMeasure: true } } } }
+    }
+  });
+  if (!order) throw httpError(404, 'Order not found');
+  return order;
+}
+
+/**
+ * Orders created before numbering existed get their orderNumber here.
+ */
+async function ensureOrderNumber(tx, order, now) {
+  if (order.orderNumber) return order.orderNumber;
+  const number = await nextNumber(tx, `ORDER ${now.getFullYear()}`);
+  const orderNumber = `${SERIES_PREFIX}-${now.getFullYear()}-${String(number).padStart(6, '0')}`;
+  await tx.order.update({ where: { id: order.id }, data: { orderNumber } });
+  return orderNumber;
+}
+
+/**
+ * The invoice of a PAID order (returned as is when it was already issued).
+ */
+async function issueInvoice(tx, orderId, now = new Date()) {
+  const existing = await tx.invoice.findUnique({ where: { orderId_type: { orderId, type: 'INVOICE' } } });
+  if (existing) return existing;
+
+  const order = await loadOrder(tx, orderId);
+  if (!order.orderItems.length) throw httpError(409, 'Cannot invoice an order without items');
+  const orderNumber = await ensureOrderNumber(tx, order, now);
+
+  const lines = invoiceLines(order.orderItems);
+  const totals = totalsOf(lines);
+  const series = seriesFor('INVOICE', now);
+  const number = await nextNumber(tx, series);
+
+  return tx.invoice.create({
+    data: {
+      type: 'INVOICE',
+      series,
+      number,
+      invoiceNumber: `${series}/${number}`,
+      orderId,
+      orderNumber,
+      sellerName: displayName(order.seller),
+      sellerTaxId: order.seller.taxId || null,
+      sellerAddress: addressOf(order.seller),
+      buyerName: displayName(order.buyer),
+      buyerTaxId: order.buyer.taxId || null,
+      buyerAddress: addressOf(order.buyer),
+      currency: order.currency,
+      lines,
+      netTotal: new Prisma.Decimal(totals.netTotal),
+      taxTotal: new Prisma.Decimal(totals.taxTotal),
+      grossTotal: new Prisma.Decimal(totals.grossTotal),
+      issuedAt: now
+    }
+  });
+}
+
+/**
+ * Credit note reversing the whole invoice of a REFUNDED order. Orders paid
+ * before invoicing existed get their invoice issued first.
+ */
+async function issueCreditNote(tx, orderId, { reason } = {}, now = new Date()) {
+  const existing = await tx.invoice.findUnique({ where: { orderId_type: { orderId, type: 'CREDIT_NOTE' } } });
+  if (existing) return existing;
+
+  const invoice = await issueInvoice(tx, orderId, now);
+  const series = seriesFor('CREDIT_NOTE', now);
+  const number = await nextNumber(tx, series);
+
+  return tx.invoice.create({
+    data: {
+      type: 'CREDIT_NOTE',
+      series,
+      number,
+      invoiceNumber: `${series}/${number}`,
+      orderId,
+      orderNumber: invoice.orderNumber,
+      originalInvoiceId: invoice.id,
+      sellerName: invoice.sellerName,
+      sellerTaxId: invoice.sellerTaxId,
+      sellerAddress: invoice.sellerAddress,
+      buyerName: invoice.buyerName,
+      buyerTaxId: invoice.buyerTaxId,
+      buyerAddress: invoice.buyerAddress,
+      currency: invoice.currency,
+      lines: invoice.lines,
+      netTotal: invoice.netTotal,
+      taxTotal: invoice.taxTotal,
+      grossTotal: invoice.grossTotal,
+      reason: reason || null,
+      issuedAt: now
+    }
+  });
+}
+
+// -----------------------------------------------------------------
+// Rendering
+// -----------------------------------------------------------------
+
+const money = (n) =>
+  Number(n).toLocaleString('pt-AO', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (d) => new Date(d).toLocaleDateString('pt-AO', { timeZone: 'Africa/Luanda' });
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+/**
+ * IVA summary – one row per rate.
+ */
+function taxSummary(lines) {
+  const byRate = new Map();
+  for (const l of lines) {
+    const row = byRate.get(l.taxRate) || { taxRate: l.taxRate, netAmount: 0, taxAmount: 0 };
+    row.netAmount = round2(row.netAmount + l.netAmount);
+    row.taxAmount = round2(row.taxAmount + l.taxAmount);
+    byRate.set(l.taxRate, row);
+  }
+  return [...byRate.values()];
+}
+
+function renderInvoiceHtml(invoice, { original } = {}) {
+  const title = DOCUMENT_TITLES[invoice.type];
+  const party = (label, name, taxId, address, noTaxId) => `
+    <div class="party">
+      <h3>${label}</h3>
+      <div>${escapeHtml(name)}</div>
+      <div>NIF: ${escapeHtml(taxId || noTaxId)}</div>
+      ${address ? `<div>${escapeHtml(address)}</div>` : ''}
+    </div>`;
+
+  return `<!DOCTYPE html>
+<html lang="pt">
+<head>
+  <meta charset="utf-8">
+  <title>${title} ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; font-size: 13px; color: #222; max-width: 800px; margin: 2em auto; }
+    h1 { font-size: 22px; margin-bottom: 0; }
+    .meta div { margin: 2px 0; }
+    .parties { display: flex; gap: 2em; margin: 1.5em 0; }
+    .party { flex: 1; }
+    .party h3 { font-size: 13px; text-transform: uppercase; color: #666; margin-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; margin: 1em 0; }
+    th, td { padding: 6px 4px; border-bottom: 1px solid #ddd; text-align: left; }
+    th.num, td.num { text-align: right; }
+    .totals { margin-left: auto; width: 320px; }
+    .totals td { border: none; }
+    .totals tr:last-child td { font-weight: bold; border-top: 2px solid #222; }
+  </style>
+</head>
+<body>
+  <h1>${title} ${escapeHtml(invoice.invoiceNumber)}</h1>
+  <div class="meta">
+    <div>Data de emissão: ${formatDate(invoice.issuedAt)}</div>
+    <div>Encomenda: ${escapeHtml(invoice.orderNumber)}</div>
+    ${original ? `<div>Documento de origem: ${escapeHtml(original.invoiceNumber)} de ${formatDate(original.issuedAt)}</div>` : ''}
+    ${invoice.reason ? `<div>Motivo: ${escapeHtml(invoice.reason)}</div>` : ''}
+  </div>
+  <div class="parties">
+    ${party('Vendedor', invoice.sellerName, invoice.sellerTaxId, invoice.sellerAddress, 'não indicado')}
+    ${party('Adquirente', invoice.buyerName, invoice.buyerTaxId, invoice.buyerAddress, 'Consumidor final')}
+  </div>
+  <table>
+    <thead>
+      <tr><th>Descrição</th><th class="num">Qtd.</th><th class="num">Preço unit.</th><th class="num">IVA</th><th class="num">Valor s/ IVA</th><th class="num">Total</th></tr>
+    </thead>
+    <tbody>
+      ${invoice.lines.map((l) => `
+      <tr>
+        <td>${escapeHtml(l.description)}</td>
+        <td class="num">${l.quantity}${l.unit ? ` ${escapeHtml(l.unit)}` : ''}</td>
+        <td class="num">${money(l.unitPrice)}</td>
+        <td class="num">${l.taxRate}%</td>
+        <td class="num">${money(l.netAmount)}</td>
+        <td class="num">${money(l.total)}</td>
+      </tr>`).join('')}
+    </tbody>
+  </table>
+  <table>
+    <thead><tr><th>Taxa IVA</th><th class="num">Incidência</th><th class="num">Valor IVA</th></tr></thead>
+    <tbody>
+      ${taxSummary(invoice.lines).map((r) => `
+      <tr><td>${r.taxRate}%</td><td class="num">${money(r.netAmount)}</td><td class="num">${money(r.taxAmount)}</td></tr>`).join('')}
+    </tbody>
+  </table>
+  <table class="totals">
+    <tr><td>Total s/ IVA</td><td class="num">${money(invoice.netTotal)} ${escapeHtml(invoice.currency)}</td></tr>
+    <tr><td>IVA</td><td class="num">${money(invoice.taxTotal)} ${escapeHtml(invoice.currency)}</td></tr>
+    <tr><td>Total</td><td class="num">${money(invoice.grossTotal)} ${escapeHtml(invoice.currency)}</td></tr>
+  </table>
+</body>
+</html>
+`;
+}
+
+function renderInvoicePdf(invoice, { original } = {}) {
+  const doc = createPdf();
+  const left = 50;
+  const right = doc.width - 50;
+  let y = doc.height - 60;
+
+  const textRight = (x, value, opts = {}) => doc.text(x - textWidth(value, opts.size || 9), y, value, opts);
+  const newLine = (step = 14) => {
+    y -= step;
+    if (y < 60) {
+      doc.addPage();
+      y = doc.height - 60;
+    }
+  };
+
+  doc.text(left, y, `${DOCUMENT_TITLES[invoice.type]} ${invoice.invoiceNumber}`, { size: 16, bold: true });
+  newLine(22);
+  doc.text(left, y, `Data de emissão: ${formatDate(invoice.issuedAt)}`);
+  newLine();
+  doc.text(left, y, `Encomenda: ${invoice.orderNumber}`);
+  if (original) {
+    newLine();
+    doc.text(left, y, `Documento de origem: ${original.invoiceNumber} de ${formatDate(original.issuedAt)}`);
+  }
+  if (invoice.reason) {
+    newLine();
+    doc.text(left, y, `Motivo: ${invoice.reason}`);
+  }
+
+  newLine(28);
+  const partyTop = y;
+  let partyBottom = y;
+  [[left, 'Vendedor', invoice.sellerName, invoice.sellerTaxId, invoice.sellerAddress, 'não indicado'],
+    [left + 260, 'Adquirente', invoice.buyerName, invoice.buyerTaxId, invoice.buyerAddress, 'Consumidor final']].forEach(([x, label, name, taxId, address, noTaxId]) => {
+    y = partyTop;
+    doc.text(x, y, label.toUpperCase(), { size: 9, bold: true });
+    newLine();
+    doc.text(x, y, name);
+    newLine();
+    doc.text(x, y, `NIF: ${taxId || noTaxId}`);
+    if (address) {
+      newLine();
+      doc.text(x, y, address.length > 48 ? `${address.slice(0, 47)}…` : address, { size: 9 });
+    }
+    partyBottom = Math.min(partyBottom, y);
+  });
+  y = partyBottom;
+
+  newLine(30);
+  const cols = { qty: 300, price: 370, rate: 410, net: 480, total: right };
+  doc.text(left, y, 'Descrição', { size: 9, bold: true });
+  textRight(cols.qty, 'Qtd.', { bold: true });
+  textRight(cols.price, 'Preço unit.', { bold: true });
+  textRight(cols.rate, 'IVA', { bold: true });
+  textRight(cols.net, 'Valor s/ IVA', { bold: true });
+  textRight(cols.total, 'Total', { bold: true });
+  newLine(6);
+  doc.line(left, y, right, y);
+
+  for (const l of invoice.lines) {
+    newLine();
+    const description = String(l.description);
+    doc.text(left, y, description.length > 40 ? `${description.slice(0, 39)}…` : description, { size: 9 });
+    textRight(cols.qty, `${l.quantity}${l.unit ? ` ${l.unit}` : ''}`, { size: 9 });
+    textRight(cols.price, money(l.unitPrice), { size: 9 });
+    textRight(cols.rate, `${l.taxRate}%`, { size: 9 });
+    textRight(cols.net, money(l.netAmount), { size: 9 });
+    textRight(cols.total, money(l.total), { size: 9 });
+  }
+  newLine(8);
+  doc.line(left, y, right, y);
+
+  newLine(20);
+  doc.text(left, y, 'Resumo do IVA', { size: 9, bold: true });
+  for (const r of taxSummary(invoice.lines)) {
+    newLine();
+    doc.text(left, y, `${r.taxRate}%`, { size: 9 });
+    textRight(left + 200, `Incidência ${money(r.netAmount)}`, { size: 9 });
+    textRight(left + 320, `IVA ${money(r.taxAmount)}`, { size: 9 });
+  }
+
+  newLine(24);
+  for (const [label, amount, bold] of [
+    ['Total s/ IVA', invoice.netTotal, false],
+    ['IVA', invoice.taxTotal, false],
+    ['Total', invoice.grossTotal, true]
+  ]) {
+    doc.text(cols.rate - 60, y, label, { size: bold ? 11 : 9, bold });
+    textRight(cols.total, `${money(amount)} ${invoice.currency}`, { size: bold ? 11 : 9, bold });
+    newLine();
+  }
+
+  return doc.toBuffer();
+}
+
+module.exports = {
+  IVA_RATE,
+  DOCUMENT_TITLES,
+  invoiceLines,
+  issueInvoice,
+  issueCreditNote,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
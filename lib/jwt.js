@@ -1,10 +1,18 @@
+// lib/jwt.js
+// Access tokens – short‑lived JWTs ({ userId, role, sid }) sent as
+// `Authorization: Bearer`. They are not looked up on each request, so a
+// revoked session (lib/sessions.js) keeps working until its access token
+// expires; the refresh token is what gets revoked.
+
 const jwt = require('jsonwebtoken');
 
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
 const signToken = (payload) => {
   if (!process.env.JWT_SECRET) {
     throw new Error('JWT_SECRET is not set');
   }
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
 };
 
 const verifyToken = (token) => {
@@ -14,4 +22,4 @@ const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
 
-module.exports = { signToken, verifyToken };
\ No newline at end of file
+module.exports = { ACCESS_TOKEN_TTL, signToken, verifyToken };
@@ -0,0 +1,272 @@
+// lib/ledger.js
+// Double‑entry ledger on top of the TransactionLedger model.
+//
+// An account is (accountType, userId):
+//   WALLET   – a user's wallet (userId set), mirrors WalletBalance.balance
+//   ESCROW   – platform account holding funded, not yet released money
+//   REVENUE  – platform fees
+//   PAYOUT   – withdrawals requested from wallets and not paid out yet
+//   EXTERNAL – money entering / leaving the platform (providers, payouts)
+//
+// A CREDIT raises an account's balance, a DEBIT lowers it. Every posting is a
+// group of entries (same postingId) whose debits equal its credits, so the
+// balances of all accounts always add up to zero.
+
+const crypto = require('crypto');
+const { httpError } = require('./http-error');
+
+const ACCOUNT_TYPES = ['WALLET', 'ESCROW', 'REVENUE', 'PAYOUT', 'EXTERNAL'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const accountKey = (accountType, userId) => `${accountType}:${userId || 'platform'}`;
+
+/**
+ * Running balance of an account (0 when it has no entries yet).
+ */
+async function accountBalance(db, accountType, userId = null) {
+  const last = await db.transactionLedger.findFirst({
+    where: { accountType, userId },
+    orderBy: { sequence: 'desc' },
+    select: { balance: true }
+  });
+  return last ? last.balance : 0;
+}
+
+/**
+ * Write one balanced posting. Must run inside a Prisma transaction.
+ *
+ * entries: [{ accountType, userId?, entryType: 'DEBIT'|'CREDIT', amount, description? }]
+ */
+async function postEntries(tx, { transactionId = null, description, entries }) {
+  if (!entries?.length) throw httpError(500, 'Ledger posting without entries');
+
+  let debits = 0;
+  let credits = 0;
+  for (const e of entries) {
+    if (!ACCOUNT_TYPES.includes(e.accountType)) throw httpError(500, `Unknown ledger account ${e.accountType}`);
+    if ((e.accountType === 'WALLET') !== Boolean(e.userId)) {
+      throw httpError(500, 'Only WALLET ledger accounts belong to a user');
+    }
+    if (!(Number(e.amount) > 0)) throw httpError(400, 'Ledger amounts must be positive');
+    if (e.entryType === 'DEBIT') debits += Number(e.amount);
+    else if (e.entryType === 'CREDIT') credits += Number(e.amount);
+    else throw httpError(500, `Unknown ledger entry type ${e.entryType}`);
+  }
+  if (round2(debits) !== round2(credits)) {
+    throw httpError(500, `Unbalanced ledger posting (debits ${debits} ≠ credits ${credits})`);
+  }
+
+  // Running balances are read‑then‑written, so take a per‑account lock for the
+  // rest of the transaction. Sorted, so two postings can never deadlock.
+  const keys = [...new Set(entries.map((e) => accountKey(e.accountType, e.userId)))].sort();
+  for (const key of keys) {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${key}))`;
+  }
+
+  const postingId = crypto.randomUUID();
+  const rows = [];
+  for (const e of entries) {
+    const amount = round2(Number(e.amount));
+    const previous = await accountBalance(tx, e.accountType, e.userId || null);
+    rows.push(
+      await tx.transactionLedger.create({
+        data: {
+          postingId,
+          transactionId,
+          userId: e.userId || null,
+          accountType: e.accountType,
+          entryType: e.entryType,
+          amount,
+          balance: round2(previous + (e.entryType === 'CREDIT' ? amount : -amount)),
+          description: e.description || description
+        }
+      })
+    );
+  }
+  return rows;
+}
+
+/**
+ * FUND – the buyer's money enters the platform and is held in escrow.
+ */
+function postEscrowFunding(tx, txn) {
+  const amount = Number(txn.amount);
+  return postEntries(tx, {
+    transactionId: txn.id,
+    description: `Escrow funded for transaction ${txn.id}`,
+    entries: [
+      { accountType: 'EXTERNAL', entryType: 'DEBIT', amount },
+      { accountType: 'ESCROW', entryType: 'CREDIT', amount }
+    ]
+  });
+}
+
+// -----------------------------------------------------------------
+// Reconciliation – read only, safe to run against production
+// -----------------------------------------------------------------
+
+/**
+ * Every posting must balance on its own.
+ */
+async function reconcilePostings(db) {
+  const sums = await db.transactionLedger.groupBy({
+    by: ['postingId', 'entryType'],
+    _sum: { amount: true }
+  });
+
+  const postings = new Map();
+  for (const row of sums) {
+    const p = postings.get(row.postingId) || { DEBIT: 0, CREDIT: 0 };
+    p[row.entryType] = round2(row._sum.amount || 0);
+    postings.set(row.postingId, p);
+  }
+
+  const unbalanced = [];
+  for (const [postingId, p] of postings) {
+    if (p.DEBIT !== p.CREDIT) unbalanced.push({ postingId, debits: p.DEBIT, credits: p.CREDIT });
+  }
+  return { postings: postings.size, unbalanced };
+}
+
+/**
+ * WalletBalance.balance must equal credits − debits of the user's WALLET
+ * account, and the running balance of its last entry.
+ */
+async function reconcileWallets(db) {
+  const [wallets, sums, lastEntries] = await Promise.all([
+    db.walletBalance.findMany({ select: { userId: true, balance: true } }),
+    db.transactionLedger.groupBy({
+      by: ['userId', 'entryType'],
+      where: { accountType: 'WALLET' },
+      _sum: { amount: true }
+    }),
+    db.transactionLedger.findMany({
+      where: { accountType: 'WALLET' },
+      distinct: ['userId'],
+      orderBy: [{ userId: 'asc' }, { sequence: 'desc' }],
+      select: { userId: true, balance: true }
+    })
+  ]);
+
+  const ledger = new Map();
+  for (const row of sums) {
+    const signed = (row._sum.amount || 0) * (row.entryType === 'CREDIT' ? 1 : -1);
+    ledger.set(row.userId, round2((ledger.get(row.userId) || 0) + signed));
+  }
+  const running = new Map(lastEntries.map((e) => [e.userId, round2(e.balance)]));
+
+  const userIds = new Set([...wallets.map((w) => w.userId), ...ledger.keys()]);
+  const walletMap = new Map(wallets.map((w) => [w.userId, round2(Number(w.balance))]));
+
+  const mismatches = [];
+  for (const userId of userIds) {
+    const walletBalance = walletMap.get(userId) ?? 0;
+    const ledgerBalance = ledger.get(userId) ?? 0;
+    const runningBalance = running.get(userId) ?? 0;
+    if (walletBalance !== ledgerBalance || walletBalance !== runningBalance) {
+      mismatches.push({
+        userId,
+        walletBalance,
+        ledgerBalance,
+        runningBalance,
+        difference: round2(walletBalance - ledgerBalance)
+      });
+    }
+  }
+  return { wallets: userIds.size, mismatches };
+}
+
+/**
+ * The ESCROW account must hold exactly what the HELD EscrowTransaction
+ * records say is still held, transaction by transaction.
+ */
+async function reconcileEscrow(db) {
+  const [sums, held] = await Promise.all([
+    db.transactionLedger.groupBy({
+      by: ['transactionId', 'entryType'],
+      where: { accountType: 'ESCROW' },
+      _sum: { amount: true }
+    }),
+    db.escrowTransaction.groupBy({
+      by: ['paymentTransactionId'],
+      where: { status: 'HELD' },
+      _sum: { amount: true }
+    })
+  ]);
+
+  const ledger = new Map();
+  for (const row of sums) {
+    const signed = (row._sum.amount || 0) * (row.entryType === 'CREDIT' ? 1 : -1);
+    ledger.set(row.transactionId, round2((ledger.get(row.transactionId) || 0) + signed));
+  }
+  const expected = new Map(held.map((h) => [h.paymentTransactionId, round2(Number(h._sum.amount || 0))]));
+
+  const mismatches = [];
+  for (const transactionId of new Set([...ledger.keys(), ...expected.keys()])) {
+    const inLedger = ledger.get(transactionId) ?? 0;
+    const shouldHold = expected.get(transactionId) ?? 0;
+    if (inLedger !== shouldHold) mismatches.push({ transactionId, ledger: inLedger, expected: shouldHold });
+  }
+
+  return {
+    escrowBalance: round2(await accountBalance(db, 'ESCROW')),
+    expectedBalance: round2([...expected.values()].reduce((sum, v) => sum + v, 0)),
+    mismatches
+  };
+}
+
+/**
+ * The PAYOUT account must hold exactly the PENDING and APPROVED payout
+ * requests.
+ */
+async function reconcilePayouts(db) {
+  const open = await db.payoutRequest.aggregate({
+    where: { status: { in: ['PENDING', 'APPROVED'] } },
+    _sum: { amount: true },
+    _count: true
+  });
+  return {
+    openRequests: open._count,
+    payoutBalance: round2(await accountBalance(db, 'PAYOUT')),
+    expectedBalance: round2(Number(open._sum.amount || 0))
+  };
+}
+
+/**
+ * Full report for finance – `ok` is true only when every check passes.
+ */
+async function reconcile(db) {
+  const [postings, wallets, escrow, payouts] = await Promise.all([
+    reconcilePostings(db),
+    reconcileWallets(db),
+    reconcileEscrow(db),
+    reconcilePayouts(db)
+  ]);
+
+  return {
+    checkedAt: new Date().toISOString(),
+    ok:
+      postings.unbalanced.length === 0 &&
+      wallets.mismatches.length === 0 &&
+      escrow.mismatches.length === 0 &&
+      escrow.escrowBalance === escrow.expectedBalance &&
+      payouts.payoutBalance === payouts.expectedBalance,
+    postings,
+    wallets,
+    escrow,
+    payouts
+  };
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  accountBalance,
+  postEntries,
+  postEscrowFunding,
+  reconcilePostings,
+  reconcileWallets,
+  reconcileEscrow,
+  reconcilePayouts,
+  reconcile
+};
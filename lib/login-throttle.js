@@ -0,0 +1,210 @@
+// lib/login-throttle.js
+// Brute‑force protection for sign‑in. Failed attempts (wrong password, wrong
+// two‑factor code) are counted per account and per IP address:
+//
+//            free tries   then each try waits        locked at
+//   account  3            1, 2, 4 … s (max 60)       10 failures
+//   IP       20           1, 2, 4 … s (max 60)       100 failures
+//
+// A lock lasts LOGIN_LOCK_MINUTES (15), twice as long each further time (max
+// a day); it clears the count. Failures are forgotten after
+// LOGIN_FAILURE_WINDOW_MINUTES (60) without one, and a successful sign‑in
+// clears the account's count – not the address's. E‑mails without an
+// account are counted too, so the answers do not tell whether one exists.
+//
+// Locks, and sign‑ins that succeed after failures, go to AuditLog as WARNING
+// with the IP address and user agent. Admins unlock an account with
+// PATCH /api/admin/users/:id { action: "UNLOCK" }.
+//
+// Storage is pluggable (setStore): the default keeps the counts in the
+// LoginThrottle table, so it works without Redis. LOGIN_THROTTLE_STORE=memory
+// keeps them in the process – one instance only, e.g. development. A store
+// has async get(key), fail(key, now, since), lock(key, until) and reset(key);
+// fail() forgets failures before `since` and returns the new state.
+
+const prisma = require('./prisma');
+const { httpError } = require('./http-error');
+const { clientInfo } = require('./sessions');
+
+const POLICIES = {
+  account: { freeAttempts: 3, lockAfter: Number(process.env.LOGIN_LOCK_THRESHOLD || 10) },
+  ip: { freeAttempts: 20, lockAfter: Number(process.env.LOGIN_IP_LOCK_THRESHOLD || 100) }
+};
+const LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES || 15);
+const MAX_LOCK_MINUTES = 24 * 60;
+const MAX_DELAY_SECONDS = 60;
+const WINDOW_MINUTES = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES || 60);
+
+const MINUTE_MS = 60 * 1000;
+
+// ---------- Stores ----------
+
+// Failures before `since` are forgotten unless the key is locked
+const isStale = (state, now, since) =>
+  state.lastFailureAt && state.lastFailureAt < since && !(state.lockedUntil > now);
+
+function databaseStore(db = prisma) {
+  return {
+    get: (key) => db.loginThrottle.findUnique({ where: { key } }),
+    async fail(key, now, since) {
+      await db.loginThrottle.updateMany({
+        where: { key, lastFailureAt: { lt: since }, OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }] },
+        data: { failures: 0, lockouts: 0 }
+      });
+      return db.loginThrottle.upsert({
+        where: { key },
+        create: { key, failures: 1, lastFailureAt: now },
+        update: { failures: { increment: 1 }, lastFailureAt: now }
+      });
+    },
+    lock: (key, until) => db.loginThrottle.update({
+      where: { key },
+      data: { lockedUntil: until, failures: 0, lockouts: { increment: 1 } }
+    }),
+    reset: (key) => db.loginThrottle.deleteMany({ where: { key } })
+  };
+}
+
+function memoryStore() {
+  const states = new Map();
+  return {
+    get: async (key) => states.get(key) || null,
+    async fail(key, now, since) {
+      let state = states.get(key) || { key, failures: 0, lockouts: 0, lastFailureAt: null, lockedUntil: null };
+      if (isStale(state, now, since)) state = { ...state, failures: 0, lockouts: 0 };
+      state = { ...state, failures: state.failures + 1, lastFailureAt: now };
+      states.set(key, state);
+      return state;
+    },
+    async lock(key, until) {
+      const state = { ...states.get(key), lockedUntil: until, failures: 0 };
+      state.lockouts += 1;
+      states.set(key, state);
+      return state;
+    },
+    reset: async (key) => states.delete(key)
+  };
+}
+
+let store = process.env.LOGIN_THROTTLE_STORE === 'memory' ? memoryStore() : databaseStore();
+
+function setStore(next) {
+  store = next;
+}
+
+// ---------- Policy ----------
+
+/**
+ * The counters a sign‑in attempt touches. `user` when the identifier
+ * matched an account ({ id }), else the identifier itself.
+ */
+function loginKeys({ user, identifier, ip }) {
+  return {
+    account: user ? `user:${user.id}` : `login:${String(identifier || '').trim().toLowerCase()}`,
+    ip: ip ? `ip:${ip}` : null
+  };
+}
+
+const keysOf = (keys) => Object.entries(keys).filter(([, key]) => key);
+
+function delaySeconds(policy, failures) {
+  if (failures < policy.freeAttempts) return 0;
+  return Math.min(2 ** (failures - policy.freeAttempts), MAX_DELAY_SECONDS);
+}
+
+function tooMany(message, retryAfter, code) {
+  const err = httpError(429, message, undefined, code);
+  err.retryAfter = Math.max(1, Math.ceil(retryAfter));
+  return err;
+}
+
+/**
+ * Before checking a password or code: 429 LOGIN_LOCKED while a counter is
+ * locked, 429 LOGIN_THROTTLED while the progressive delay runs (Retry‑After
+ * in seconds either way).
+ */
+async function assertLoginAllowed(keys, now = new Date()) {
+  for (const [kind, key] of keysOf(keys)) {
+    const state = await store.get(key);
+    if (!state) continue;
+    if (state.lockedUntil > now) {
+      const seconds = (state.lockedUntil - now) / 1000;
+      throw tooMany(`Too many failed sign‑ins – try again in ${Math.ceil(seconds / 60)} minutes`, seconds, 'LOGIN_LOCKED');
+    }
+    if (isStale(state, now, new Date(now.getTime() - WINDOW_MINUTES * MINUTE_MS))) continue;
+    const wait = delaySeconds(POLICIES[kind], state.failures) * 1000 - (now - state.lastFailureAt);
+    if (wait > 0) throw tooMany(`Too many failed sign‑ins – wait ${Math.ceil(wait / 1000)} seconds`, wait / 1000, 'LOGIN_THROTTLED');
+  }
+}
+
+function audit(action, { userId, entityType, entityId, details, req }) {
+  return prisma.auditLog.create({
+    data: { userId, action, entityType, entityId, severity: 'WARNING', details, ...clientInfo(req) }
+  }).catch((err) => console.error('[LOGIN THROTTLE] audit log', err));
+}
+
+/**
+ * A wrong password or code. Locks the counters that reached their limit.
+ */
+async function recordLoginFailure(keys, { user, identifier, req }, now = new Date()) {
+  const since = new Date(now.getTime() - WINDOW_MINUTES * MINUTE_MS);
+  for (const [kind, key] of keysOf(keys)) {
+    const state = await store.fail(key, now, since);
+    if (state.failures < POLICIES[kind].lockAfter) continue;
+
+    const minutes = Math.min(LOCK_MINUTES * 2 ** state.lockouts, MAX_LOCK_MINUTES);
+    const lockedUntil = new Date(now.getTime() + minutes * MINUTE_MS);
+    await store.lock(key, lockedUntil);
+    await audit(kind === 'account' ? 'ACCOUNT_LOCKED' : 'IP_LOCKED', {
+      userId: user?.id,
+      entityType: kind === 'account' ? (user ? 'USER' : 'LOGIN') : 'IP',
+      entityId: kind === 'account' ? (user ? user.id : String(identifier)) : key.slice(3),
+      details: { failures: state.failures, lockedUntil, minutes, lockouts: state.lockouts + 1 },
+      req
+    });
+  }
+}
+
+/**
+ * Signed in. Clears the account's failures; SUSPICIOUS_LOGIN when it had
+ * some past the free tries, or the address is failing on many accounts.
+ */
+async function recordLoginSuccess(keys, { user, req, method = 'password' }) {
+  const account = await store.get(keys.account);
+  const ip = keys.ip ? await store.get(keys.ip) : null;
+  const accountFailures = account?.failures || 0;
+  const ipFailures = ip?.failures || 0;
+  if (accountFailures >= POLICIES.account.freeAttempts || ipFailures >= POLICIES.ip.freeAttempts) {
+    await audit('SUSPICIOUS_LOGIN', {
+      userId: user.id,
+      entityType: 'USER',
+      entityId: user.id,
+      details: { method, accountFailures, ipFailures },
+      req
+    });
+  }
+  if (account) await store.reset(keys.account);
+}
+
+/**
+ * Admin unlock: clears the account's lock and failures. Whether it was
+ * locked.
+ */
+async function unlockAccount(userId, now = new Date()) {
+  const key = `user:${userId}`;
+  const state = await store.get(key);
+  await store.reset(key);
+  return Boolean(state?.lockedUntil > now);
+}
+
+module.exports = {
+  POLICIES,
+  databaseStore,
+  memoryStore,
+  setStore,
+  loginKeys,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount
+};
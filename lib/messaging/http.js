@@ -0,0 +1,33 @@
+// lib/messaging/http.js
+// Gateway transport: POSTs the message as JSON to MAIL_HTTP_URL (e‑mail) or
+// SMS_HTTP_URL (SMS), with `Authorization: Bearer <MAIL_HTTP_TOKEN | SMS_HTTP_TOKEN>`
+// when set. Body: { to, subject?, text, html?, from? } – MAIL_FROM / SMS_FROM
+// become `from`. The gateway's `id` (if any) is returned.
+
+const name = 'http';
+
+const PREFIX = { EMAIL: 'MAIL', SMS: 'SMS' };
+
+async function send(channel, message) {
+  const prefix = PREFIX[channel];
+  const url = process.env[`${prefix}_HTTP_URL`];
+  if (!url) throw new Error(`${prefix}_HTTP_URL is not set`);
+
+  const token = process.env[`${prefix}_HTTP_TOKEN`];
+  const from = process.env[`${prefix}_FROM`];
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    body: JSON.stringify({ ...message, ...(from && { from }) }),
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!res.ok) throw new Error(`${channel} gateway answered ${res.status}`);
+
+  const data = await res.json().catch(() => null);
+  return { id: data?.id ? String(data.id) : null };
+}
+
+module.exports = { name, send };
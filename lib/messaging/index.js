@@ -0,0 +1,43 @@
+// lib/messaging/index.js
+// Outgoing e‑mail and SMS through pluggable transports.
+//
+//   sendEmail({ to, subject, text, html? })
+//   sendSms({ to, text })                      – `to` in +244… form
+//
+// MAIL_TRANSPORT / SMS_TRANSPORT choose the transport of each channel:
+//   outbox (default) – local stand‑in, nothing leaves the machine (outbox.js)
+//   http             – JSON POST to a mail / SMS gateway (http.js)
+//
+// A transport is a module exporting:
+//   name
+//   send(channel, message) → { id? }   channel: 'EMAIL' | 'SMS' (may return a promise)
+// registerTransport() adds one, e.g. a provider SDK, from outside this folder.
+
+const TRANSPORTS = new Map();
+
+function registerTransport(transport) {
+  TRANSPORTS.set(transport.name, transport);
+}
+
+registerTransport(require('./outbox'));
+registerTransport(require('./http'));
+
+const CHANNEL_ENV = { EMAIL: 'MAIL_TRANSPORT', SMS: 'SMS_TRANSPORT' };
+
+function transportFor(channel) {
+  const name = process.env[CHANNEL_ENV[channel]] || 'outbox';
+  const transport = TRANSPORTS.get(name);
+  if (!transport) throw new Error(`Unknown ${CHANNEL_ENV[channel]} "${name}"`);
+  return transport;
+}
+
+async function send(channel, message) {
+  const transport = transportFor(channel);
+  const result = (await transport.send(channel, message)) || {};
+  return { transport: transport.name, id: result.id || null };
+}
+
+const sendEmail = ({ to, subject, text, html }) => send('EMAIL', { to, subject, text, html });
+const sendSms = ({ to, text }) => send('SMS', { to, text });
+
+module.exports = { registerTransport, sendEmail, sendSms };
@@ -0,0 +1,29 @@
+// lib/messaging/outbox.js
+// Local stand‑in transport: messages are printed to the console and appended
+// to <OUTBOX_DIR>/email.jsonl or sms.jsonl (default: the OS temp folder, the
+// only writable one on Vercel). Reset links and codes can be read from there
+// in development.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const name = 'outbox';
+
+const OUTBOX_DIR = process.env.OUTBOX_DIR || path.join(os.tmpdir(), 'pdc-outbox');
+
+async function send(channel, message) {
+  const id = `outbox_${crypto.randomUUID()}`;
+  const entry = { id, channel, ...message, sentAt: new Date().toISOString() };
+  if (process.env.NODE_ENV === 'production') {
+    console.warn(`[OUTBOX] ${channel} to ${message.to} not delivered – set ${channel === 'EMAIL' ? 'MAIL' : 'SMS'}_TRANSPORT`);
+  }
+  console.log(`[OUTBOX] ${channel} → ${message.to}${message.subject ? ` “${message.subject}”` : ''}\n${message.text}`);
+
+  await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+  await fs.promises.appendFile(path.join(OUTBOX_DIR, `${channel.toLowerCase()}.jsonl`), `${JSON.stringify(entry)}\n`);
+  return { id };
+}
+
+module.exports = { name, send, OUTBOX_DIR };
@@ -0,0 +1,266 @@
+// lib/middleware.js
+// Middleware for lib/router.js – each returns `(req, res, next)`.
+//
+//   errorHandler()        – thrown errors → JSON { error, code, details? } with err.status (500 otherwise)
+//   responseHelpers()     – Express‑style res.status() / res.json(); error payloads get a `code`
+//   cors()                – CORS headers, answers pre‑flight requests
+//   jsonBody()            – req.body (parsed JSON) and req.rawBody
+//   authenticate()        – req.user from a valid Bearer token or API key, if any
+//   apiKeyAccess()        – requests with an API key: 403 beyond its scopes, logged in AuditLog
+//   actingMember()        – acting for an organisation: req.member, 403 beyond the member's role
+//   twoFactorGate()       – admins without a second factor only reach /api/auth/…
+//   requireAuth()         – 401 without req.user
+//   requireRole(...roles) – 403 unless req.user.role is one of `roles`
+//   requirePermission(action, resource) – 403 unless lib/permissions.js grants it
+//   validate({ body, query, params }) – parse & coerce with lib/schema.js schemas
+
+const { verifyToken } = require('./jwt');
+const { httpError, errorCode } = require('./http-error');
+const { validationError } = require('./schema');
+const { authorize } = require('./permissions');
+const { checkMemberAccess } = require('./organisations');
+const { twoFactorRequired } = require('./two-factor');
+const { isApiKey, authenticateApiKey, checkApiKeyScope, recordApiKeyUse } = require('./api-keys');
+const prisma = require('./prisma');
+
+function sendJson(res, payload, status = 200) {
+  if (res.headersSent || res.writableEnded) return;
+  // One error envelope: { error, code, details? } – handlers that only set
+  // `error` get the code of their status
+  if (status >= 400 && payload && typeof payload.error === 'string' && !payload.code) {
+    payload = { ...payload, code: errorCode(status) };
+  }
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify(payload));
+}
+
+function errorHandler() {
+  return async (req, res, next) => {
+    try {
+      await next();
+    } catch (err) {
+      if (!err.status || err.status >= 500) console.error(`[API] ${req.method} ${req.url}`, err);
+      const status = err.status || 500;
+      const payload = {
+        error: err.status ? err.message : 'Internal server error',
+        // Only our own codes – a Prisma error's P2xxx is not part of the API
+        code: err.status && typeof err.code === 'string' && !/^P\d{4}$/.test(err.code) ? err.code : errorCode(status)
+      };
+      if (err.details !== undefined) payload.details = err.details;
+      if (err.retryAfter && !res.headersSent) res.setHeader('Retry-After', String(err.retryAfter));
+      sendJson(res, payload, status);
+    }
+  };
+}
+
+/**
+ * Always installed (also over Vercel's own helpers) so every JSON error goes
+ * through sendJson and gets its code.
+ */
+function responseHelpers() {
+  return (req, res, next) => {
+    res.status = function (code) {
+      this.statusCode = code;
+      return this;
+    };
+    res.json = function (payload) {
+      return sendJson(this, payload, this.statusCode || 200);
+    };
+    return next();
+  };
+}
+
+function cors({
+  origin = process.env.CORS_ORIGIN || '*',
+  methods = 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
+  headers = 'Content-Type, Authorization, Idempotency-Key, X-API-Key'
+} = {}) {
+  return (req, res, next) => {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', methods);
+    res.setHeader('Access-Control-Allow-Headers', headers);
+    if (req.method === 'OPTIONS') {
+      res.statusCode = 204;
+      return res.end();
+    }
+    return next();
+  };
+}
+
+function readRaw(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => resolve(raw));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parses JSON bodies of POST / PUT / PATCH / DELETE. Multipart and other
+ * non‑JSON uploads are left unread for the handler (e.g. busboy).
+ */
+function jsonBody() {
+  return async (req, res, next) => {
+    const type = String(req.headers['content-type'] || '');
+    const hasBody = ['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method);
+    if (hasBody && (!type || type.includes('json'))) {
+      // Kept for handlers that verify a signature over the exact bytes (webhooks)
+      req.rawBody = await readRaw(req);
+      try {
+        req.body = req.rawBody ? JSON.parse(req.rawBody) : {};
+      } catch {
+        throw httpError(400, 'Invalid JSON body');
+      }
+    }
+    return next();
+  };
+}
+
+/**
+ * An API key (lib/api-keys.js) that does not work is a 401 at once – unlike
+ * a JWT, it is not something that expires under a browser session. Handlers
+ * read the caller from req.user only.
+ */
+function authenticate() {
+  return async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    const apiKey = req.headers['x-api-key'] || (isApiKey(token) ? token : null);
+    req.user = null;
+    if (apiKey) {
+      req.user = await authenticateApiKey(String(apiKey), req);
+    } else if (token) {
+      try {
+        req.user = verifyToken(token);
+      } catch {
+        // Invalid or expired – public routes still work, requireAuth() says 401
+      }
+    }
+    return next();
+  };
+}
+
+function apiKeyAccess() {
+  return async (req, res, next) => {
+    if (!req.user?.apiKeyId) return next();
+    let status = 500;
+    try {
+      checkApiKeyScope(req.user, req.method, req.url);
+      await next();
+      status = res.statusCode;
+    } catch (err) {
+      status = err.status || 500;
+      throw err;
+    } finally {
+      await recordApiKeyUse(req.user, req, status);
+    }
+  };
+}
+
+/**
+ * A token acting for an organisation (lib/organisations.js) is checked
+ * against the membership on every request, so a removed member or a changed
+ * role takes effect at once.
+ */
+function actingMember() {
+  return async (req, res, next) => {
+    if (req.user?.orgId) req.member = await checkMemberAccess(prisma, req.user, req.method, req.url);
+    return next();
+  };
+}
+
+/**
+ * Admin tokens count only from a session that passed a second factor
+ * (lib/two-factor.js). Without it the admin can still sign out and set 2FA
+ * up under /api/auth/.
+ */
+function twoFactorGate() {
+  return (req, res, next) => {
+    const path = String(req.url).split('?')[0].replace(/^\/api/, '');
+    if (req.user?.role === 'ADMIN' && !req.user.mfa && !path.startsWith('/auth/')) {
+      throw twoFactorRequired('Administrators must sign in with two‑factor authentication – set it up at /api/auth/2fa/setup');
+    }
+    return next();
+  };
+}
+
+// `.auth` / `.roles` / `.permission` tell the API docs which routes need a token
+
+function requireAuth() {
+  const mw = (req, res, next) => {
+    if (!req.user) throw httpError(401, 'Missing or invalid token');
+    return next();
+  };
+  mw.auth = true;
+  return mw;
+}
+
+function requireRole(...roles) {
+  const mw = (req, res, next) => {
+    if (!req.user) throw httpError(401, 'Missing or invalid token');
+    if (!roles.includes(req.user.role)) throw httpError(403, 'Insufficient permissions');
+    return next();
+  };
+  mw.auth = true;
+  mw.roles = roles;
+  return mw;
+}
+
+/**
+ * Route‑level check: may the user `action` some `resource` at all? Grants
+ * with a condition ("own records only") pass here – the handler checks the
+ * record with authorize() once it has loaded it.
+ */
+function requirePermission(action, resource) {
+  const mw = async (req, res, next) => {
+    if (!req.user) throw httpError(401, 'Missing or invalid token');
+    await authorize(req.user, action, resource);
+    return next();
+  };
+  mw.auth = true;
+  mw.permission = { action, resource };
+  return mw;
+}
+
+/**
+ * Validate and coerce req.body / req.query / req.params. Every failure is
+ * reported at once: details = [{ in: 'body', field, code, message }].
+ * The schemas stay on the middleware (`.schemas`) for the API docs.
+ */
+function validate(schemas) {
+  const mw = (req, res, next) => {
+    const details = [];
+    for (const location of ['params', 'query', 'body']) {
+      const schema = schemas[location];
+      if (!schema) continue;
+      try {
+        req[location] = schema.parse(req[location] || {});
+      } catch (err) {
+        if (err.code !== 'VALIDATION_ERROR') throw err;
+        details.push(...err.details.map((d) => ({ in: location, ...d })));
+      }
+    }
+    if (details.length) throw validationError(details);
+    return next();
+  };
+  mw.schemas = schemas;
+  return mw;
+}
+
+module.exports = {
+  sendJson,
+  errorHandler,
+  responseHelpers,
+  cors,
+  jsonBody,
+  authenticate,
+  apiKeyAccess,
+  actingMember,
+  twoFactorGate,
+  requireAuth,
+  requireRole,
+  requirePermission,
+  validate
+};
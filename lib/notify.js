@@ -0,0 +1,20 @@
+// lib/notify.js
+// In‑app notifications (Notification table) for platform events.
+//
+// Works with the Prisma client or a transaction client, so a notification is
+// only stored when the change it talks about is committed.
+
+/**
+ * notify(db, userIds, { type, title, message })
+ * Duplicate / empty ids are ignored.
+ */
+async function notify(db, userIds, { type, title, message }) {
+  const ids = [...new Set([].concat(userIds).filter(Boolean))];
+  if (!ids.length) return 0;
+  const { count } = await db.notification.createMany({
+    data: ids.map((userId) => ({ userId, type, title, message }))
+  });
+  return count;
+}
+
+module.exports = { notify };
@@ -0,0 +1,170 @@
+// lib/one-time-tokens.js
+// Single‑use, time‑limited secrets sent to a user (OneTimeToken table):
+//
+//   purpose              secret                 sent by       valid
+//   PASSWORD_RESET       link token / 6 digits  e‑mail / SMS  1 hour
+//   EMAIL_VERIFICATION   link token             e‑mail        48 hours
+//   PHONE_VERIFICATION   6 digits               SMS           10 minutes
+//   TWO_FACTOR_LOGIN     challenge token        login reply   5 minutes (lib/two-factor.js)
+//
+// Issuing a new secret replaces the unused ones of the same purpose, and at
+// most one is sent per minute. A code is checked against the user's latest
+// one; after 5 wrong tries it stops working. Only SHA‑256 hashes are stored.
+
+const crypto = require('crypto');
+const { httpError } = require('./http-error');
+const { sendEmail, sendSms } = require('./messaging');
+const { maskPhone } = require('./phone');
+
+const TTL_MINUTES = {
+  PASSWORD_RESET: 60,
+  EMAIL_VERIFICATION: 48 * 60,
+  PHONE_VERIFICATION: 10
+};
+const MAX_CODE_ATTEMPTS = 5;
+const RESEND_SECONDS = 60;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+// Codes are short – salted with the user so equal codes differ
+const codeHash = (userId, code) => hash(`${userId}:${code}`);
+
+/**
+ * Base URL for links in messages. Only APP_URL – never the Host header of
+ * the request, which the client chooses. Called before a secret is issued,
+ * so without it nothing is sent.
+ */
+function appUrl() {
+  if (!process.env.APP_URL) throw new Error('APP_URL is not set');
+  return process.env.APP_URL.replace(/\/+$/, '');
+}
+
+/**
+ * New secret for `purpose`, sent to `target` by the caller. `code: true`
+ * gives 6 digits instead of a link token. 429 when one was issued less than
+ * a minute ago.
+ */
+async function issueToken(db, userId, purpose, target, { code = false } = {}) {
+  const now = new Date();
+  const recent = await db.oneTimeToken.findFirst({
+    where: { userId, purpose, usedAt: null, createdAt: { gt: new Date(now.getTime() - RESEND_SECONDS * 1000) } }
+  });
+  if (recent) throw httpError(429, `Wait ${RESEND_SECONDS} seconds before asking for a new one`);
+
+  const secret = code ? String(crypto.randomInt(0, 1000000)).padStart(6, '0') : crypto.randomBytes(32).toString('base64url');
+  await db.oneTimeToken.deleteMany({ where: { userId, purpose, usedAt: null } });
+  await db.oneTimeToken.create({
+    data: {
+      userId,
+      purpose,
+      target,
+      tokenHash: code ? codeHash(userId, secret) : hash(secret),
+      expiresAt: new Date(now.getTime() + TTL_MINUTES[purpose] * 60 * 1000)
+    }
+  });
+  return secret;
+}
+
+// Marks the token used; false when somebody else used it first
+async function markUsed(db, token) {
+  const { count } = await db.oneTimeToken.updateMany({
+    where: { id: token.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  return count === 1;
+}
+
+/**
+ * The OneTimeToken of a link token, now used. 400 when unknown, used or
+ * expired.
+ */
+async function consumeToken(db, purpose, secret) {
+  const token = await db.oneTimeToken.findFirst({
+    where: { purpose, tokenHash: hash(String(secret)) },
+    orderBy: { createdAt: 'desc' }
+  });
+  if (!token || token.usedAt || token.expiresAt <= new Date() || !(await markUsed(db, token))) {
+    throw httpError(400, 'This link is invalid or has expired', undefined, 'INVALID_TOKEN');
+  }
+  return token;
+}
+
+/**
+ * The OneTimeToken of the user's latest code, now used. A wrong code counts
+ * as an attempt.
+ */
+async function consumeCode(db, userId, purpose, code) {
+  const invalid = () => httpError(400, 'The code is invalid or has expired', undefined, 'INVALID_CODE');
+  const token = await db.oneTimeToken.findFirst({
+    where: { userId, purpose, usedAt: null },
+    orderBy: { createdAt: 'desc' }
+  });
+  if (!token || token.expiresAt <= new Date() || token.attempts >= MAX_CODE_ATTEMPTS) throw invalid();
+
+  const expected = Buffer.from(token.tokenHash);
+  const given = Buffer.from(codeHash(userId, String(code)));
+  if (!crypto.timingSafeEqual(expected, given)) {
+    await db.oneTimeToken.update({ where: { id: token.id }, data: { attempts: { increment: 1 } } });
+    throw invalid();
+  }
+  if (!(await markUsed(db, token))) throw invalid();
+  return token;
+}
+
+// ---------- Messages (Portuguese, as the users read them) ----------
+
+async function sendEmailVerification(db, user) {
+  const base = appUrl();
+  const token = await issueToken(db, user.id, 'EMAIL_VERIFICATION', user.email);
+  const link = `${base}/auth.html?verifyEmail=${token}`;
+  await sendEmail({
+    to: user.email,
+    subject: 'Confirme o seu e‑mail – AgriConnect Angola',
+    text: `Olá${user.fullName ? ` ${user.fullName}` : ''},\n\nConfirme o seu e‑mail abrindo este link (válido por 48 horas):\n${link}\n\n` +
+      'Se não criou uma conta na AgriConnect Angola, ignore esta mensagem.'
+  });
+}
+
+async function sendPhoneVerification(db, user, phoneNumber) {
+  const code = await issueToken(db, user.id, 'PHONE_VERIFICATION', phoneNumber, { code: true });
+  await sendSms({
+    to: phoneNumber,
+    text: `AgriConnect Angola: o seu código de confirmação é ${code}. Válido por ${TTL_MINUTES.PHONE_VERIFICATION} minutos.`
+  });
+  return { phoneNumber: maskPhone(phoneNumber) };
+}
+
+/**
+ * By SMS (a code) when `phoneNumber` is given – the user's confirmed phone –,
+ * otherwise by e‑mail (a link).
+ */
+async function sendPasswordReset(db, user, { phoneNumber } = {}) {
+  if (phoneNumber) {
+    const code = await issueToken(db, user.id, 'PASSWORD_RESET', phoneNumber, { code: true });
+    await sendSms({
+      to: phoneNumber,
+      text: `AgriConnect Angola: o código para redefinir a sua senha é ${code}. Válido por 1 hora. Não o partilhe.`
+    });
+    return;
+  }
+  const base = appUrl();
+  const token = await issueToken(db, user.id, 'PASSWORD_RESET', user.email);
+  const link = `${base}/auth.html?resetToken=${token}`;
+  await sendEmail({
+    to: user.email,
+    subject: 'Redefinir senha – AgriConnect Angola',
+    text: `Olá${user.fullName ? ` ${user.fullName}` : ''},\n\nPara escolher uma nova senha abra este link (válido por 1 hora):\n${link}\n\n` +
+      'Se não pediu para redefinir a senha, ignore esta mensagem – a sua senha continua a mesma.'
+  });
+}
+
+module.exports = {
+  TTL_MINUTES,
+  MAX_CODE_ATTEMPTS,
+  appUrl,
+  issueToken,
+  consumeToken,
+  consumeCode,
+  sendEmailVerification,
+  sendPhoneVerification,
+  sendPasswordReset
+};
@@ -0,0 +1,294 @@
+// lib/openapi.js
+// OpenAPI 3.1 document generated from the route table (lib/router.js).
+//
+//   buildOpenApi(router, { info, docs, components, requestSchemas, datamodel })
+//
+// Per route it takes what the table already knows: method and path (`:id` →
+// `{id}`), validate() schemas for query / body (lib/middleware.js),
+// requireAuth() / requireRole() for the bearer token, `apiKeyScope(method,
+// path)` for the API key scope that also reaches it. `docs` adds the rest,
+// keyed by 'METHOD /path' as registered:
+//
+//   'GET /orders/:id': {
+//     summary: 'One order',
+//     response: s.object({ data: s.ref('OrderDetail') }),   // lib/schema.js
+//     status: 200,              // default 201 for POST, 200 otherwise
+//     errors: [409],            // beyond the ones derived from the route
+//     idempotent: true,         // accepts an Idempotency-Key header
+//     query: s.object({ … }),   // query params the route does not validate
+//     content: { 'application/json': s.ref('Invoice'), 'application/pdf': null }
+//   }
+//
+// Components come from the Prisma datamodel (every model's scalar fields as
+// the API serialises them: Decimal → string, DateTime → ISO string), plus
+// `components` and the named request schemas; only the ones in use are kept. `any`‑method and wildcard
+// routes (admin, cron, legacy catch‑alls) are not part of the document.
+
+const { ERROR_CODES } = require('./http-error');
+const { s } = require('./schema');
+
+const SCALARS = {
+  String: { type: 'string' },
+  Boolean: { type: 'boolean' },
+  Int: { type: 'integer' },
+  BigInt: { type: 'integer' },
+  Float: { type: 'number' },
+  Decimal: { type: 'string', format: 'decimal' },
+  DateTime: { type: 'string', format: 'date-time' },
+  Json: {},
+  Bytes: { type: 'string', format: 'byte' }
+};
+
+const capitalise = (str) => str.charAt(0).toUpperCase() + str.slice(1);
+const camel = (str) => str.replace(/[-_](\w)/g, (_, c) => c.toUpperCase());
+const componentRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+function nullable(schema) {
+  if (typeof schema.type === 'string') return { ...schema, type: [schema.type, 'null'] };
+  return { anyOf: [schema, { type: 'null' }] };
+}
+
+/**
+ * JSON Schemas of the Prisma enums and models (relations left out – routes
+ * that include them say so with s.allOf). `omit`: { User: ['passwordHash'] }.
+ */
+function modelComponents(datamodel, { omit = {} } = {}) {
+  const out = {};
+  for (const { name, values } of datamodel?.enums || []) {
+    out[name] = { type: 'string', enum: values.map((v) => v.name) };
+  }
+  for (const model of datamodel?.models || []) {
+    const fields = model.fields.filter((f) => f.kind !== 'object' && !(omit[model.name] || []).includes(f.name));
+    const properties = {};
+    for (const field of fields) {
+      let schema = field.kind === 'enum' ? componentRef(field.type) : { ...(SCALARS[field.type] || {}) };
+      if (field.isList) schema = { type: 'array', items: schema };
+      else if (!field.isRequired) schema = nullable(schema);
+      if (field.documentation) schema.description = field.documentation;
+      properties[field.name] = schema;
+    }
+    // Prisma always returns every scalar (null when empty)
+    out[model.name] = { type: 'object', properties, required: fields.map((f) => f.name) };
+  }
+  return out;
+}
+
+const errorSchemas = () => ({
+  Error: s.object({
+    error: s.string({ description: 'Human readable message' }),
+    code: s.string({ description: `Machine readable: ${[...new Set(Object.values(ERROR_CODES))].join(', ')}, VALIDATION_ERROR or a more specific code` }),
+    details: s.any({ description: 'Extra data about the error' }).optional()
+  }).toJSONSchema(),
+  ValidationError: s.object({
+    error: s.string({ example: 'Validation failed' }),
+    code: s.enum(['VALIDATION_ERROR']),
+    details: s.array(s.object({
+      in: s.enum(['params', 'query', 'body']),
+      field: s.string({ description: 'Dotted path, e.g. items[0].quantity' }),
+      code: s.enum(['required', 'invalid_type', 'too_small', 'too_big', 'invalid_enum', 'invalid_format']),
+      message: s.string()
+    }))
+  }).toJSONSchema()
+});
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Bad request',
+  401: 'Missing or invalid token',
+  403: 'Not allowed for this user',
+  404: 'Not found',
+  409: 'Conflict with the current state',
+  413: 'Payload too large',
+  429: 'Too many requests',
+  502: 'Upstream provider error'
+};
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+function operationId(method, pattern) {
+  const words = pattern.split('/').filter(Boolean)
+    .map((seg) => (seg.startsWith(':') ? `By${capitalise(seg.slice(1))}` : capitalise(camel(seg))));
+  return method.toLowerCase() + words.join('');
+}
+
+/**
+ * Query parameters from an object schema (validate({ query }) or docs.query).
+ */
+function queryParameters(schema) {
+  const json = schema.toJSONSchema();
+  const required = json.required || [];
+  return Object.entries(json.properties || {}).map(([name, prop]) => {
+    const { description, ...rest } = prop;
+    return { name, in: 'query', required: required.includes(name), ...(description && { description }), schema: rest };
+  });
+}
+
+/**
+ * Only the components the paths use (directly or through other components) –
+ * the rest of the datamodel is nobody's business.
+ */
+function reachable(paths, schemas) {
+  const keep = {};
+  const visit = (node) => {
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (!node || typeof node !== 'object') return;
+    const name = typeof node.$ref === 'string' && node.$ref.replace('#/components/schemas/', '');
+    if (name && schemas[name] && !keep[name]) {
+      keep[name] = schemas[name];
+      visit(schemas[name]);
+    }
+    Object.values(node).forEach(visit);
+  };
+  visit(paths);
+  return Object.fromEntries(Object.keys(keep).sort().map((name) => [name, keep[name]]));
+}
+
+function buildOpenApi(router, { info, docs = {}, components = {}, requestSchemas = {}, datamodel, omit, apiKeyScope = () => null } = {}) {
+  const schemas = { ...modelComponents(datamodel, { omit }), ...errorSchemas() };
+  for (const [name, schema] of Object.entries(components)) {
+    // A response shape must not silently replace a model's schema
+    if (schemas[name]) throw new Error(`OpenAPI component ${name} is already a model or built‑in schema`);
+    schemas[name] = schema.toJSONSchema();
+  }
+
+  // Request bodies exported by name (src/schemas.js) become components too
+  const requestNames = new Map(Object.entries(requestSchemas).map(([key, schema]) => [schema, capitalise(key)]));
+  const requestBody = (schema) => {
+    const name = requestNames.get(schema);
+    if (!name) return schema.toJSONSchema();
+    schemas[name] = schemas[name] || schema.toJSONSchema();
+    return componentRef(name);
+  };
+
+  const paths = {};
+  const tags = new Set();
+  const seen = new Set();
+
+  for (const route of router.routes()) {
+    if (route.method === 'ALL' || route.pattern.endsWith('*')) continue;
+    const key = `${route.method} ${route.pattern}`;
+    // A later route with the same method and path never matches
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const doc = docs[key] || {};
+    const validated = Object.assign({}, ...route.fns.filter((fn) => fn.schemas).map((fn) => fn.schemas));
+    const auth = route.fns.find((fn) => fn.auth);
+    const keyScope = auth && apiKeyScope(route.method, route.prefix + route.pattern);
+    const params = route.pattern.split('/').filter((seg) => seg.startsWith(':')).map((seg) => seg.slice(1));
+    const tag = doc.tag || capitalise(route.pattern.split('/').filter(Boolean)[0]);
+    tags.add(tag);
+
+    const parameters = [
+      ...params.map((name) => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+      ...(validated.query ? queryParameters(validated.query) : []),
+      ...(doc.query ? queryParameters(doc.query) : [])
+    ];
+    if (doc.idempotent) {
+      parameters.push({
+        name: 'Idempotency-Key',
+        in: 'header',
+        required: false,
+        description: 'Retry safely: a replay within 24h returns the first response',
+        schema: { type: 'string', maxLength: 255 }
+      });
+    }
+
+    const status = doc.status || (route.method === 'POST' ? 201 : 200);
+    // content: one media type for `response`, or { type: schema | null (binary) }
+    const content = doc.content && typeof doc.content === 'object'
+      ? doc.content
+      : (doc.response || doc.content) && { [doc.content || 'application/json']: doc.response || null };
+    const responses = {
+      [status]: {
+        description: doc.responseDescription || (status === 201 ? 'Created' : 'OK'),
+        ...(content && {
+          content: Object.fromEntries(Object.entries(content).map(([type, schema]) => [
+            type,
+            { schema: schema ? schema.toJSONSchema() : { type: 'string', format: 'binary' } }
+          ]))
+        })
+      }
+    };
+    const errors = new Set(doc.errors || []);
+    if (validated.body || validated.query) responses[400] = { description: 'Validation failed', content: jsonContent(componentRef('ValidationError')) };
+    if (auth) errors.add(401);
+    if (auth?.roles || auth?.permission) errors.add(403);
+    if (params.length) errors.add(404);
+    for (const code of [...errors].sort()) {
+      if (responses[code]) continue;
+      responses[code] = { description: ERROR_DESCRIPTIONS[code] || 'Error', content: jsonContent(componentRef('Error')) };
+    }
+    responses.default = { description: 'Error', content: jsonContent(componentRef('Error')) };
+
+    const description = [
+      doc.description,
+      auth?.roles && `Roles: ${auth.roles.join(', ')}.`,
+      auth?.permission && `Permission: ${auth.permission.action} ${auth.permission.resource}.`,
+      keyScope && `API key scope: ${keyScope}.`
+    ].filter(Boolean).join('\n\n');
+    const path = route.prefix + route.pattern.replace(/:(\w+)/g, '{$1}');
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = {
+      operationId: doc.operationId || operationId(route.method, route.pattern),
+      tags: [tag],
+      ...(doc.summary && { summary: doc.summary }),
+      ...(description && { description }),
+      ...(auth && { security: keyScope ? [{ bearerAuth: [] }, { apiKey: [] }] : [{ bearerAuth: [] }] }),
+      ...(parameters.length && { parameters }),
+      ...(validated.body && { requestBody: { required: true, content: jsonContent(requestBody(validated.body)) } }),
+      responses
+    };
+  }
+
+  // Docs for routes that are gone would silently describe nothing
+  const stale = Object.keys(docs).filter((key) => !seen.has(key));
+  if (stale.length) throw new Error(`OpenAPI docs for unknown routes: ${stale.join(', ')}`);
+
+  return {
+    openapi: '3.1.0',
+    info,
+    tags: [...tags].map((name) => ({ name })),
+    paths,
+    components: {
+      schemas: reachable(paths, schemas),
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    }
+  };
+}
+
+/**
+ * Browsable docs (Swagger UI from a CDN) for the document at `specUrl`.
+ */
+function docsPage(specUrl, title = 'API') {
+  return `<!doctype html>
+<html lang="pt-PT">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>${title} — Documentação</title>
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/swagger-ui-dist@5/swagger-ui.css" />
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="https://cdn.jsdelivr.net/npm/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    // The token saved by the site's login (js/api-client.js) is sent with "Try it out"
+    const token = localStorage.getItem('pdc_auth_token');
+    SwaggerUIBundle({
+      url: ${JSON.stringify(specUrl)},
+      dom_id: '#docs',
+      persistAuthorization: true,
+      requestInterceptor: (req) => {
+        if (token && !req.headers.Authorization) req.headers.Authorization = 'Bearer ' + token;
+        return req;
+      }
+    });
+  </script>
+</body>
+</html>`;
+}
+
+module.exports = { buildOpenApi, modelComponents, docsPage };
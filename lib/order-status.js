@@ -0,0 +1,149 @@
+// lib/order-status.js
+// Central order state machine. Every orderStatus change goes through
+// transitionOrder(), which checks the transition, checks who is asking,
+// writes an OrderStatusHistory row, moves the reserved stock and issues the
+// fiscal documents (invoice on PAID, credit note on REFUNDED).
+//
+//   PENDING → PAID → SHIPPED → DELIVERED
+//      │        │       │          │
+//      └→ CANCELLED ←┘  └──→ REFUNDED ←┘   (PAID can also be refunded)
+//
+// PAID and REFUNDED follow the money: the order's payment transaction
+// (Order.transactionId) moves them when its escrow is funded or refunded
+// (syncOrderPayment, called from lib/escrow.js). Apart from that only an
+// admin can set them, never the seller.
+
+const { httpError } = require('./http-error');
+const { syncOrderStock } = require('./inventory');
+const { issueInvoice, issueCreditNote } = require('./invoices');
+const { can } = require('./permissions');
+
+// from → to → parties allowed to make the move. ADMIN is whoever MANAGEs the
+// order (lib/permissions.js), not only the ADMIN role; PAYMENT is the order's
+// payment transaction.
+const ORDER_TRANSITIONS = {
+  PENDING: {
+    PAID: ['PAYMENT', 'ADMIN'],
+    CANCELLED: ['BUYER', 'SELLER', 'ADMIN']
+  },
+  PAID: {
+    SHIPPED: ['SELLER', 'TRANSPORTER', 'ADMIN'],
+    CANCELLED: ['SELLER', 'ADMIN'],
+    REFUNDED: ['PAYMENT', 'ADMIN']
+  },
+  SHIPPED: {
+    DELIVERED: ['BUYER', 'TRANSPORTER', 'ADMIN'],
+    REFUNDED: ['PAYMENT', 'ADMIN']
+  },
+  DELIVERED: {
+    REFUNDED: ['PAYMENT', 'ADMIN']
+  },
+  CANCELLED: {},
+  REFUNDED: {}
+};
+
+// Moves that must say why
+const NOTES_REQUIRED = ['CANCELLED', 'REFUNDED'];
+
+/**
+ * Which parties the actor is for this order (a user can be several, e.g. an
+ * admin who is also the buyer).
+ */
+async function partiesFor(order, actor) {
+  const parties = [];
+  if (await can(actor, 'MANAGE', 'orders', order)) parties.push('ADMIN');
+  if (order.buyerId === actor.userId) parties.push('BUYER');
+  if (order.sellerId === actor.userId) parties.push('SELLER');
+  if (order.transporterId && order.transporterId === actor.userId) parties.push('TRANSPORTER');
+  return parties;
+}
+
+/**
+ * Statuses the actor may move the order to from where it is now.
+ */
+async function allowedTransitions(order, actor) {
+  const parties = await partiesFor(order, actor);
+  const next = ORDER_TRANSITIONS[order.orderStatus] || {};
+  return Object.keys(next).filter((to) => next[to].some((p) => parties.includes(p)));
+}
+
+async function recordOrderStatus(tx, orderId, status, changedBy, notes) {
+  return tx.orderStatusHistory.create({
+    data: { orderId, status, changedBy, notes: notes || null }
+  });
+}
+
+/**
+ * Move an order to `toStatus` on behalf of `actor` ({ userId, role }) – or,
+ * with `byPayment`, of its payment transaction (`actor` is then only who is
+ * recorded). Must run inside a Prisma transaction. Throws 404 / 403 / 409 / 400.
+ */
+async function transitionOrder(tx, { orderId, toStatus, actor, notes, byPayment = false }) {
+  const order = await tx.order.findUnique({ where: { id: orderId } });
+  if (!order) throw httpError(404, 'Order not found');
+
+  if (!ORDER_TRANSITIONS[toStatus]) throw httpError(400, `Unknown order status "${toStatus}"`);
+
+  const parties = byPayment ? ['PAYMENT'] : await partiesFor(order, actor);
+  if (!parties.length) throw httpError(403, 'Access denied');
+
+  const allowedBy = (ORDER_TRANSITIONS[order.orderStatus] || {})[toStatus];
+  if (!allowedBy) {
+    throw httpError(409, `Cannot move order from ${order.orderStatus} to ${toStatus}`);
+  }
+  if (!allowedBy.some((p) => parties.includes(p))) {
+    if (allowedBy.includes('PAYMENT')) {
+      throw httpError(403, `An order becomes ${toStatus} through its payment transaction, or by an administrator`);
+    }
+    throw httpError(403, `Only ${allowedBy.join(' / ').toLowerCase()} can mark an order ${toStatus}`);
+  }
+  if (NOTES_REQUIRED.includes(toStatus) && !notes?.trim()) {
+    throw httpError(400, `notes required when marking an order ${toStatus}`);
+  }
+
+  const data = { orderStatus: toStatus };
+  if (toStatus === 'PAID') data.paymentStatus = 'CONFIRMED';
+  if (toStatus === 'REFUNDED') data.paymentStatus = 'REFUNDED';
+  if (toStatus === 'DELIVERED') data.actualDeliveryDate = new Date();
+
+  // Optimistic guard – a concurrent transition on the same order loses
+  const { count } = await tx.order.updateMany({
+    where: { id: orderId, orderStatus: order.orderStatus },
+    data
+  });
+  if (count === 0) throw httpError(409, 'Order was updated by someone else, reload and retry');
+
+  await recordOrderStatus(tx, orderId, toStatus, actor.userId, notes?.trim());
+  await syncOrderStock(tx, orderId, toStatus, actor.userId);
+  if (toStatus === 'PAID') await issueInvoice(tx, orderId);
+  if (toStatus === 'REFUNDED') await issueCreditNote(tx, orderId, { reason: notes.trim() });
+
+  return tx.order.findUnique({ where: { id: orderId } });
+}
+
+/**
+ * Follow a payment transaction on the order it pays for: PAID once its
+ * escrow is funded, REFUNDED once the escrow went back to the buyer. No-op
+ * without an order, or when the order cannot make that move any more (e.g.
+ * it was cancelled meanwhile – an admin sorts that out).
+ */
+async function syncOrderPayment(tx, txn, toStatus, { actorId, notes } = {}) {
+  const order = await tx.order.findFirst({ where: { transactionId: txn.id } });
+  if (!order || !ORDER_TRANSITIONS[order.orderStatus][toStatus]?.includes('PAYMENT')) return null;
+  return transitionOrder(tx, {
+    orderId: order.id,
+    toStatus,
+    actor: { userId: actorId || txn.buyerId },
+    notes,
+    byPayment: true
+  });
+}
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  partiesFor,
+  allowedTransitions,
+  recordOrderStatus,
+  transitionOrder,
+  syncOrderPayment
+};
@@ -0,0 +1,321 @@
+// lib/organisations.js
+// Organisations – cooperatives and companies with several members.
+//
+// An organisation has an account: a COMPANY User that owns its listings,
+// orders, wallet and facilities like any other user. Members sign in as
+// themselves and switch to acting for the organisation (POST
+// /api/auth/acting); their access token then carries
+//
+//   { userId: <account id>, role: <account role>, sid, actorId: <member id>, orgId }
+//
+// so every handler works on the organisation's records unchanged, and
+// actingMember() (lib/middleware.js) limits each request to what the
+// member's role allows:
+//
+//   OWNER       everything, and manages the members
+//   MANAGER     listings, facilities, orders, payments; sees the wallet; invites
+//   ACCOUNTANT  sees everything; wallet, payouts and payments
+//   DRIVER      sees orders and transport, updates order status; messages
+//
+// A member can be given more with `permissions`: ["UPDATE products", …].
+// Invitations go by e‑mail or SMS with a link valid for 7 days.
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { httpError } = require('./http-error');
+const { sendEmail, sendSms } = require('./messaging');
+const { appUrl } = require('./one-time-tokens');
+
+const MEMBER_ROLES = ['OWNER', 'MANAGER', 'DRIVER', 'ACCOUNTANT'];
+const INVITATION_TTL_DAYS = 7;
+
+// "ACTION resource" – MANAGE is every action, '*' every resource
+const ROLE_GRANTS = {
+  OWNER: ['MANAGE *'],
+  MANAGER: [
+    'MANAGE products', 'MANAGE storage', 'MANAGE facilities', 'MANAGE production', 'MANAGE transport',
+    'MANAGE transformation', 'MANAGE procurements', 'MANAGE offers', 'MANAGE orders', 'MANAGE transactions',
+    'MANAGE disputes', 'MANAGE documents', 'MANAGE reviews', 'MANAGE messages', 'MANAGE notifications',
+    'READ wallet', 'READ payouts', 'MANAGE members', 'MANAGE api-keys'
+  ],
+  ACCOUNTANT: ['READ *', 'MANAGE wallet', 'MANAGE payouts', 'MANAGE transactions', 'MANAGE disputes'],
+  DRIVER: ['READ orders', 'UPDATE orders', 'READ transport', 'MANAGE messages', 'MANAGE notifications']
+};
+
+// /api path → resource a request acts on, most specific first. Paths not
+// listed (auth, organisations, docs) are not limited by the member's role.
+const AREAS = [
+  ['/api-keys', 'api-keys'],
+  ['/wallet/payouts', 'payouts'],
+  ['/wallet', 'wallet'],
+  ['/payments', 'transactions'],
+  ['/products', 'products'],
+  ['/storage', 'storage'],
+  ['/facilities', 'facilities'],
+  ['/production', 'production'],
+  ['/transport', 'transport'],
+  ['/transformation', 'transformation'],
+  ['/procurements', 'procurements'],
+  ['/offers', 'offers'],
+  ['/orders', 'orders'],
+  ['/documents', 'documents'],
+  ['/reviews', 'reviews'],
+  ['/messages', 'messages'],
+  ['/notifications', 'notifications'],
+  ['/admin', 'admin']
+];
+
+const METHOD_ACTIONS = { GET: 'READ', HEAD: 'READ', POST: 'CREATE', PUT: 'UPDATE', PATCH: 'UPDATE', DELETE: 'DELETE' };
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+function areaOf(url) {
+  const path = String(url).split('?')[0].replace(/^\/api/, '');
+  const area = AREAS.find(([prefix]) => path === prefix || path.startsWith(`${prefix}/`));
+  return area ? area[1] : null;
+}
+
+/**
+ * May this membership ({ role, permissions }) do `action` on `resource`?
+ */
+function memberCan(member, action, resource) {
+  const grants = [...(ROLE_GRANTS[member.role] || []), ...(member.permissions || [])];
+  return grants.some((grant) => {
+    const [grantAction, grantResource] = grant.split(' ');
+    return (grantAction === action || grantAction === 'MANAGE') && (grantResource === resource || grantResource === '*');
+  });
+}
+
+/**
+ * The membership behind an acting token, checked against the request. 403
+ * when the user left the organisation or their role does not allow it.
+ */
+async function checkMemberAccess(db, user, method, url) {
+  const member = await db.organisationMember.findUnique({
+    where: { organisationId_userId: { organisationId: user.orgId, userId: user.actorId } }
+  });
+  if (!member) throw httpError(403, 'You are no longer a member of this organisation', undefined, 'NOT_A_MEMBER');
+
+  const resource = areaOf(url);
+  const action = METHOD_ACTIONS[method] || 'READ';
+  if (resource && !memberCan(member, action, resource)) {
+    throw httpError(403, `Your role in this organisation (${member.role}) cannot ${action.toLowerCase()} ${resource}`);
+  }
+  return member;
+}
+
+// ---------- Organisations and members ----------
+
+const ACCOUNT_SELECT = { id: true, username: true, email: true, companyName: true, taxId: true, role: true, entityType: true };
+
+/**
+ * The organisation `userId` belongs to with their membership, 404 otherwise
+ * (not telling outsiders it exists).
+ */
+async function membershipOf(db, organisationId, userId) {
+  const member = await db.organisationMember.findUnique({
+    where: { organisationId_userId: { organisationId, userId } },
+    include: { organisation: { include: { account: { select: ACCOUNT_SELECT } } } }
+  });
+  if (!member) throw httpError(404, 'Organisation not found');
+  return member;
+}
+
+function requireMember(member, action, resource = 'members') {
+  if (!memberCan(member, action, resource)) {
+    throw httpError(403, `Your role in this organisation (${member.role}) cannot ${action.toLowerCase()} ${resource}`);
+  }
+}
+
+/**
+ * New organisation with `creator` as OWNER. Without `email` a COMPANY
+ * user's own account becomes the organisation's; otherwise a new account is
+ * made with that e‑mail (it cannot sign in until a password is set through
+ * "forgot password").
+ */
+async function createOrganisation(db, creator, { name, email, taxId, role }) {
+  let account;
+  if (!email) {
+    account = await db.user.findUnique({ where: { id: creator.id }, select: ACCOUNT_SELECT });
+    if (account.entityType !== 'COMPANY') {
+      throw httpError(400, 'Give the organisation an e‑mail – only a company account can become an organisation itself');
+    }
+    if (await db.organisation.findUnique({ where: { accountId: account.id } })) {
+      throw httpError(409, 'This account already is an organisation');
+    }
+    if (name && name !== account.companyName) {
+      account = await db.user.update({ where: { id: account.id }, data: { companyName: name }, select: ACCOUNT_SELECT });
+    }
+  } else {
+    if (await db.user.findUnique({ where: { email } })) throw httpError(409, 'A user with this e‑mail already exists');
+    if (await db.user.findUnique({ where: { companyName: name } })) throw httpError(409, 'A company with this name already exists');
+    let username = email.split('@')[0];
+    while (await db.user.findUnique({ where: { username } })) {
+      username = `${email.split('@')[0]}-${crypto.randomInt(0, 10000).toString().padStart(4, '0')}`;
+    }
+    account = await db.user.create({
+      data: {
+        email,
+        username,
+        passwordHash: await bcrypt.hash(crypto.randomBytes(32).toString('base64url'), 10),
+        entityType: 'COMPANY',
+        companyName: name,
+        taxId: taxId || null,
+        role
+      },
+      select: ACCOUNT_SELECT
+    });
+  }
+
+  const organisation = await db.organisation.create({
+    data: {
+      accountId: account.id,
+      createdById: creator.id,
+      members: { create: { userId: creator.id, role: 'OWNER' } }
+    }
+  });
+  return { ...organisation, account };
+}
+
+async function ownerCount(db, organisationId) {
+  return db.organisationMember.count({ where: { organisationId, role: 'OWNER' } });
+}
+
+/**
+ * Changes a member's role and / or extra permissions. Only owners; the last
+ * owner stays an owner.
+ */
+async function updateMember(db, actor, target, { role, permissions }) {
+  if (actor.role !== 'OWNER') throw httpError(403, 'Only an owner can change members');
+  if (role && role !== 'OWNER' && target.role === 'OWNER' && (await ownerCount(db, target.organisationId)) === 1) {
+    throw httpError(409, 'An organisation needs at least one owner');
+  }
+  return db.organisationMember.update({
+    where: { id: target.id },
+    data: { ...(role && { role }), ...(permissions && { permissions }) }
+  });
+}
+
+/**
+ * Removes a member: owners remove anybody, managers drivers and
+ * accountants, everybody themselves. The last owner cannot leave.
+ */
+async function removeMember(db, actor, target) {
+  const self = actor.userId === target.userId;
+  if (!self) {
+    requireMember(actor, 'MANAGE', 'members');
+    if (actor.role !== 'OWNER' && ['OWNER', 'MANAGER'].includes(target.role)) {
+      throw httpError(403, 'Only an owner can remove owners and managers');
+    }
+  }
+  if (target.role === 'OWNER' && (await ownerCount(db, target.organisationId)) === 1) {
+    throw httpError(409, 'An organisation needs at least one owner');
+  }
+  await db.organisationMember.delete({ where: { id: target.id } });
+  // Devices acting for the organisation go back to the member's own account
+  const account = await db.organisation.findUnique({ where: { id: target.organisationId }, select: { accountId: true } });
+  await db.session.updateMany({
+    where: { userId: target.userId, actingAccountId: account.accountId },
+    data: { actingAccountId: null }
+  });
+}
+
+// ---------- Invitations ----------
+
+/**
+ * Invites somebody by e‑mail or phone. Managers invite drivers and
+ * accountants, owners anybody.
+ */
+async function inviteMember(db, actor, { email, phoneNumber, role }) {
+  requireMember(actor, 'MANAGE', 'members');
+  if (actor.role !== 'OWNER' && ['OWNER', 'MANAGER'].includes(role)) {
+    throw httpError(403, 'Only an owner can invite owners and managers');
+  }
+  const { organisation } = actor;
+  const existing = await db.organisationMember.findFirst({
+    where: {
+      organisationId: organisation.id,
+      user: email ? { email } : { phoneNumber, phoneVerifiedAt: { not: null } }
+    }
+  });
+  if (existing) throw httpError(409, 'Already a member of this organisation');
+
+  const base = appUrl();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const invitation = await db.organisationInvitation.create({
+    data: {
+      organisationId: organisation.id,
+      role,
+      email: email || null,
+      phoneNumber: phoneNumber || null,
+      tokenHash: hash(token),
+      invitedById: actor.userId,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }
+  });
+
+  const name = organisation.account.companyName || organisation.account.username;
+  const link = `${base}/auth.html?invitation=${token}`;
+  if (email) {
+    await sendEmail({
+      to: email,
+      subject: `Convite para ${name} – AgriConnect Angola`,
+      text: `Olá,\n\nFoi convidado para fazer parte de ${name} na AgriConnect Angola (${role}).\n` +
+        `Para aceitar, entre ou crie uma conta e abra este link (válido por ${INVITATION_TTL_DAYS} dias):\n${link}\n\n` +
+        'Se não esperava este convite, ignore esta mensagem.'
+    });
+  } else {
+    await sendSms({ to: phoneNumber, text: `AgriConnect Angola: foi convidado para ${name}. Aceite em ${link}` });
+  }
+  return invitation;
+}
+
+/**
+ * `user` joins through an invitation. An e‑mail invitation must match the
+ * user's e‑mail, a phone one their confirmed phone number.
+ */
+async function acceptInvitation(db, user, token) {
+  const invitation = await db.organisationInvitation.findUnique({ where: { tokenHash: hash(token) } });
+  if (!invitation || invitation.acceptedAt || invitation.revokedAt || invitation.expiresAt <= new Date()) {
+    throw httpError(400, 'This invitation is invalid or has expired', undefined, 'INVALID_TOKEN');
+  }
+  const addressedToUser = invitation.email
+    ? invitation.email.toLowerCase() === String(user.email).toLowerCase()
+    : invitation.phoneNumber === user.phoneNumber && Boolean(user.phoneVerifiedAt);
+  if (!addressedToUser) {
+    throw httpError(403, invitation.email
+      ? 'This invitation was sent to another e‑mail'
+      : 'This invitation was sent to another phone number – confirm yours first');
+  }
+
+  // Only one of two concurrent accepts wins
+  const { count } = await db.organisationInvitation.updateMany({
+    where: { id: invitation.id, acceptedAt: null },
+    data: { acceptedAt: new Date(), acceptedById: user.id }
+  });
+  if (!count) throw httpError(400, 'This invitation is invalid or has expired', undefined, 'INVALID_TOKEN');
+
+  return db.organisationMember.upsert({
+    where: { organisationId_userId: { organisationId: invitation.organisationId, userId: user.id } },
+    create: { organisationId: invitation.organisationId, userId: user.id, role: invitation.role },
+    update: {} // already a member – keeps their role
+  });
+}
+
+module.exports = {
+  MEMBER_ROLES,
+  ROLE_GRANTS,
+  INVITATION_TTL_DAYS,
+  ACCOUNT_SELECT,
+  METHOD_ACTIONS,
+  areaOf,
+  memberCan,
+  checkMemberAccess,
+  membershipOf,
+  requireMember,
+  createOrganisation,
+  updateMember,
+  removeMember,
+  inviteMember,
+  acceptInvitation
+};
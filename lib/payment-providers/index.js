@@ -0,0 +1,232 @@
+// lib/payment-providers/index.js
+// Payment provider adapters and the reference‑based payment flow.
+//
+//   1. createPaymentReference – the buyer asks to pay a PENDING transaction and
+//      the provider issues a reference (entity + number) to pay at an ATM or in
+//      a mobile‑money app.
+//   2. The provider reports the outcome (signed webhook, see webhooks.js) and
+//      applyProviderEvent marks the reference CONFIRMED or FAILED, and the
+//      transaction FUNDED or FAILED. Only a confirmation FUNDs the transaction
+//      – the buyer cannot fund it directly.
+//
+// An adapter is a module exporting:
+//   type                       – matches PaymentProvider.type
+//   createReference({ provider, transaction, amount, currency, expiresAt })
+//                              → { reference, entity?, operationId?, instructions? }
+//                                (may return a promise)
+// Events given to applyProviderEvent are already normalised by the adapter:
+//   { id, type: 'PAYMENT_CONFIRMED' | 'PAYMENT_FAILED', reference, amount,
+//     operationId?, reason? }
+
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const { httpError } = require('../http-error');
+const { notify } = require('../notify');
+const { creditWallet } = require('../wallet');
+const { fundTransaction, logEscrowEvent } = require('../escrow');
+
+const ADAPTERS = new Map();
+
+function registerAdapter(adapter) {
+  ADAPTERS.set(adapter.type, adapter);
+}
+
+registerAdapter(require('./simulator'));
+
+const DEFAULT_PROVIDER = process.env.PAYMENT_PROVIDER || 'simulator';
+const REFERENCE_TTL_HOURS = Number(process.env.PAYMENT_REFERENCE_TTL_HOURS || 72);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Never in production unless explicitly switched on
+const simulatorEnabled = () =>
+  process.env.PAYMENT_SIMULATOR === 'true' || process.env.NODE_ENV !== 'production';
+
+/**
+ * PaymentProvider row + adapter for a provider name. The simulator row is
+ * created on first use so development needs no seeding.
+ */
+async function resolveProvider(db, name = DEFAULT_PROVIDER) {
+  let provider = await db.paymentProvider.findUnique({ where: { name } });
+  if (!provider && name === 'simulator' && simulatorEnabled()) {
+    provider = await db.paymentProvider.upsert({
+      where: { name },
+      update: {},
+      create: {
+        name,
+        type: 'SIMULATOR',
+        config: { entity: '00000', webhookSecret: crypto.randomBytes(32).toString('hex') }
+      }
+    });
+  }
+  if (!provider?.isActive) throw httpError(400, `Unknown or inactive payment provider "${name}"`);
+  if (provider.type === 'SIMULATOR' && !simulatorEnabled()) {
+    throw httpError(400, 'The payment simulator is disabled');
+  }
+
+  const adapter = ADAPTERS.get(provider.type);
+  if (!adapter) throw httpError(500, `No adapter for payment provider type ${provider.type}`);
+  return { provider, adapter };
+}
+
+/**
+ * Issue a payment reference for a PENDING transaction. Any earlier reference
+ * that was not paid yet is cancelled, so only one can ever be paid.
+ */
+async function createPaymentReference(tx, txn, { actorId, providerName } = {}) {
+  if (txn.buyerId !== actorId) throw httpError(403, 'Only the buyer can pay this transaction');
+  if (txn.status !== 'PENDING') throw httpError(409, `Cannot pay a ${txn.status} transaction`);
+
+  const { provider, adapter } = await resolveProvider(tx, providerName);
+
+  await tx.paymentReference.updateMany({
+    where: { transactionId: txn.id, status: 'PENDING' },
+    data: { status: 'CANCELLED', failureReason: 'Replaced by a new reference' }
+  });
+
+  const expiresAt = new Date(Date.now() + REFERENCE_TTL_HOURS * 60 * 60 * 1000);
+  const issued = await adapter.createReference({
+    provider,
+    transaction: txn,
+    amount: Number(txn.amount),
+    currency: txn.currency,
+    expiresAt
+  });
+
+  const ref = await tx.paymentReference.create({
+    data: {
+      reference: issued.reference,
+      entity: issued.entity || null,
+      userId: txn.buyerId,
+      transactionId: txn.id,
+      providerId: provider.id,
+      operationId: issued.operationId || null,
+      amount: new Prisma.Decimal(txn.amount),
+      currency: txn.currency,
+      expiresAt
+    }
+  });
+
+  await tx.paymentTransaction.update({
+    where: { id: txn.id },
+    data: { providerId: provider.id, providerPaymentId: ref.reference }
+  });
+  await logEscrowEvent(tx, txn.id, actorId, 'PAYMENT_REFERENCE', {
+    provider: provider.name,
+    reference: ref.reference,
+    entity: ref.entity,
+    expiresAt
+  });
+
+  return { ...ref, provider: provider.name, instructions: issued.instructions || null };
+}
+
+/**
+ * Apply a normalised provider event. Confirmation FUNDs the transaction;
+ * a confirmation that was already applied is a no‑op. A reference that was
+ * cancelled (transaction cancelled, or replaced by a newer reference) can
+ * still be paid at the provider – that money goes to the buyer's wallet.
+ * Returns { reference, transaction?, duplicate? }.
+ */
+async function applyProviderEvent(tx, provider, event) {
+  const ref = await tx.paymentReference.findUnique({ where: { reference: String(event.reference || '') } });
+  if (!ref || ref.providerId !== provider.id) throw httpError(404, 'Unknown payment reference');
+
+  const confirmed = event.type === 'PAYMENT_CONFIRMED';
+  if (!confirmed && event.type !== 'PAYMENT_FAILED') throw httpError(400, `Unknown event type ${event.type}`);
+
+  const paidAfterCancel = confirmed && ref.status === 'CANCELLED';
+  if (ref.status !== 'PENDING' && !paidAfterCancel) {
+    if (confirmed && ref.status === 'CONFIRMED') return { reference: ref, duplicate: true };
+    throw httpError(409, `Payment reference is already ${ref.status}`);
+  }
+
+  if (!confirmed) {
+    const reference = await tx.paymentReference.update({
+      where: { id: ref.id },
+      data: { status: 'FAILED', failureReason: event.reason || 'Payment failed' }
+    });
+    if (!ref.transactionId) return { reference };
+
+    const txn = await tx.paymentTransaction.findUnique({ where: { id: ref.transactionId } });
+    // Only the live reference of a PENDING transaction fails it
+    const { count } = await tx.paymentTransaction.updateMany({
+      where: { id: txn.id, status: 'PENDING' },
+      data: { status: 'FAILED' }
+    });
+    await logEscrowEvent(tx, txn.id, null, 'PAYMENT_FAILED', {
+      actor: 'PROVIDER',
+      provider: provider.name,
+      reference: ref.reference,
+      reason: reference.failureReason
+    });
+    if (count > 0) {
+      await notify(tx, txn.buyerId, {
+        type: 'PAYMENT_FAILED',
+        title: 'Pagamento falhou',
+        message: `O pagamento da referência ${ref.reference} falhou: ${reference.failureReason}.`
+      });
+    }
+    return { reference, transaction: await tx.paymentTransaction.findUnique({ where: { id: txn.id } }) };
+  }
+
+  if (round2(Number(event.amount)) !== round2(Number(ref.amount))) {
+    throw httpError(409, `Paid amount ${event.amount} does not match the reference amount ${ref.amount}`);
+  }
+
+  // Guarded – two deliveries of the same confirmation fund only once
+  const { count } = await tx.paymentReference.updateMany({
+    where: { id: ref.id, status: ref.status },
+    data: { status: 'CONFIRMED', confirmedAt: new Date(), operationId: event.operationId || ref.operationId }
+  });
+  if (count === 0) return { reference: ref, duplicate: true };
+  const reference = await tx.paymentReference.findUnique({ where: { id: ref.id } });
+  if (!ref.transactionId) {
+    if (paidAfterCancel) {
+      await creditWallet(tx, ref.userId, Number(ref.amount), {
+        description: `Late payment of cancelled reference ${ref.reference}`
+      });
+    }
+    return { reference };
+  }
+
+  const txn = await tx.paymentTransaction.findUnique({ where: { id: ref.transactionId } });
+  const metadata = { actor: 'PROVIDER', provider: provider.name, reference: ref.reference, operationId: event.operationId };
+
+  if (paidAfterCancel || txn.status !== 'PENDING') {
+    // Paid after the buyer cancelled, or on a reference that was replaced
+    // (the newer one may be paid too) – the money is already with us, so it
+    // goes to the buyer's wallet instead of being lost or funding twice.
+    await creditWallet(tx, txn.buyerId, Number(ref.amount), {
+      paymentTransactionId: txn.id,
+      description: paidAfterCancel
+        ? `Late payment of cancelled reference ${ref.reference}`
+        : `Late payment of reference ${ref.reference} for a ${txn.status} transaction`
+    });
+    await logEscrowEvent(tx, txn.id, null, 'PAYMENT_CREDITED_TO_WALLET', metadata);
+    return { reference, transaction: txn };
+  }
+
+  await tx.paymentTransaction.update({
+    where: { id: txn.id },
+    data: { providerChargeId: event.operationId || null }
+  });
+  const transaction = await fundTransaction(tx, txn, { metadata });
+  await notify(tx, [txn.buyerId, txn.sellerId], {
+    type: 'PAYMENT_CONFIRMED',
+    title: 'Pagamento confirmado',
+    message: `O pagamento de ${ref.amount} ${ref.currency} (referência ${ref.reference}) foi confirmado ` +
+      `e está retido em garantia na transação ${txn.id}.`
+  });
+  return { reference, transaction };
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  REFERENCE_TTL_HOURS,
+  registerAdapter,
+  simulatorEnabled,
+  resolveProvider,
+  createPaymentReference,
+  applyProviderEvent
+};
@@ -0,0 +1,40 @@
+// lib/payment-providers/simulator.js
+// Local payment provider – runs the whole reference flow without a network.
+//
+// References look like Multicaixa ones (5‑digit entity + 9‑digit reference).
+// Nothing is paid until somebody calls POST /api/payments/simulator, which
+// produces the event a real provider would send and delivers it as a signed
+// webhook.
+//
+// PaymentProvider.config: { entity?: "00000", webhookSecret }
+
+const crypto = require('crypto');
+
+const type = 'SIMULATOR';
+
+function createReference({ provider }) {
+  const reference = String(crypto.randomInt(100000000, 1000000000));
+  return {
+    reference,
+    entity: provider.config?.entity || '00000',
+    instructions: 'Simulador: pague com POST /api/payments/simulator { reference, outcome: "PAID" | "FAILED" }'
+  };
+}
+
+/**
+ * The event a real provider would send for this reference.
+ */
+function simulatePayment(ref, { outcome = 'PAID', amount } = {}) {
+  const paid = outcome === 'PAID';
+  return {
+    id: `sim_${crypto.randomUUID()}`,
+    type: paid ? 'PAYMENT_CONFIRMED' : 'PAYMENT_FAILED',
+    reference: ref.reference,
+    amount: amount !== undefined ? Number(amount) : Number(ref.amount),
+    operationId: paid ? `SIMOP${Date.now()}` : null,
+    reason: paid ? null : 'Simulated failure',
+    occurredAt: new Date().toISOString()
+  };
+}
+
+module.exports = { type, createReference, simulatePayment };
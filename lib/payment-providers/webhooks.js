@@ -0,0 +1,90 @@
+// lib/payment-providers/webhooks.js
+// Signed provider webhooks.
+//
+// A delivery carries the header
+//   X-PDC-Signature: t=<unix seconds>,v1=<hex HMAC‑SHA256 of "<t>.<raw body>">
+// keyed with PaymentProvider.config.webhookSecret. Deliveries with a bad
+// signature, or a timestamp more than PAYMENT_WEBHOOK_TOLERANCE_SECONDS away
+// from now, are rejected. Each event id is applied once – redeliveries are
+// acknowledged as duplicates.
+//
+// The body is the normalised event (see index.js) unless the adapter exports
+// parseWebhook(body) to translate the provider's own format.
+
+const crypto = require('crypto');
+const { httpError } = require('../http-error');
+const { resolveProvider, applyProviderEvent } = require('./index');
+
+const SIGNATURE_HEADER = 'x-pdc-signature';
+const TOLERANCE_SECONDS = Number(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS || 300);
+
+const hmac = (secret, timestamp, rawBody) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+
+/**
+ * Header value for a body – what a provider (or the simulator) sends.
+ */
+function signPayload(secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmac(secret, timestamp, rawBody)}`;
+}
+
+/**
+ * Throws a 401 unless `header` is a valid, fresh signature of `rawBody`.
+ */
+function verifySignature(secret, header, rawBody, { now = Date.now(), tolerance = TOLERANCE_SECONDS } = {}) {
+  if (!header) throw httpError(401, 'Missing signature');
+
+  const parts = Object.fromEntries(
+    String(header).split(',').map((kv) => kv.trim().split('=')).filter((kv) => kv.length === 2)
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) throw httpError(401, 'Malformed signature');
+  if (Math.abs(now / 1000 - timestamp) > tolerance) throw httpError(401, 'Stale webhook timestamp');
+
+  const expected = Buffer.from(hmac(secret, timestamp, rawBody), 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw httpError(401, 'Invalid signature');
+  }
+  return timestamp;
+}
+
+/**
+ * Verify, de‑duplicate and apply one delivery.
+ * Returns { eventId, duplicate, reference?, transaction? }.
+ */
+async function receiveWebhook(prisma, providerName, { headers = {}, rawBody = '' }) {
+  const { provider, adapter } = await resolveProvider(prisma, providerName);
+  const secret = provider.config?.webhookSecret;
+  if (!secret) throw httpError(500, `No webhook secret configured for provider ${provider.name}`);
+
+  verifySignature(secret, headers[SIGNATURE_HEADER], rawBody);
+
+  let body;
+  try {
+    body = JSON.parse(rawBody);
+  } catch {
+    throw httpError(400, 'Invalid JSON body');
+  }
+  const event = adapter.parseWebhook ? adapter.parseWebhook(body) : body;
+  if (!event?.id || !event.type) throw httpError(400, 'Event id and type required');
+
+  return prisma.$transaction(async (tx) => {
+    // The unique (providerId, eventId) index is the replay guard – a
+    // concurrent redelivery waits here for this one to commit and inserts nothing.
+    const { count } = await tx.paymentWebhookEvent.createMany({
+      data: [{ providerId: provider.id, eventId: String(event.id), type: event.type, payload: body }],
+      skipDuplicates: true
+    });
+    if (count === 0) return { eventId: event.id, duplicate: true };
+
+    const result = await applyProviderEvent(tx, provider, event);
+    await tx.paymentWebhookEvent.update({
+      where: { providerId_eventId: { providerId: provider.id, eventId: String(event.id) } },
+      data: { processedAt: new Date() }
+    });
+    return { eventId: event.id, duplicate: false, ...result };
+  });
+}
+
+module.exports = { SIGNATURE_HEADER, TOLERANCE_SECONDS, signPayload, verifySignature, receiveWebhook };
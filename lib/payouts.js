@@ -0,0 +1,230 @@
+// lib/payouts.js
+// Withdrawals from a user's wallet to a bank account (IBAN) or a mobile‑money
+// number.
+//
+//   request ─► PENDING ─(admin approves)─► APPROVED ─(admin records transfer)─► COMPLETED
+//                 │                            │
+//                 ├─(user cancels)─► CANCELLED  └─(admin rejects)─► REJECTED
+//                 └─(admin rejects)─► REJECTED
+//
+// The amount leaves the wallet as soon as the request is made (WALLET → PAYOUT
+// in the ledger) so it cannot be spent twice. CANCELLED / REJECTED put it back;
+// COMPLETED moves it out of the platform (PAYOUT → EXTERNAL).
+//
+// Every helper expects a Prisma transaction client (`tx`).
+
+const { Prisma } = require('@prisma/client');
+const { httpError } = require('./http-error');
+const { debitWallet, creditWallet } = require('./wallet');
+const { postEntries } = require('./ledger');
+const { notify } = require('./notify');
+const { normalisePhone } = require('./phone');
+
+const PAYOUT_MIN_AMOUNT = Number(process.env.PAYOUT_MIN_AMOUNT || 1000);
+const PAYOUT_DAILY_LIMIT = Number(process.env.PAYOUT_DAILY_LIMIT || 500000);
+const PAYOUT_METHODS = ['BANK_TRANSFER', 'MOBILE_MONEY'];
+const MOBILE_PROVIDERS = ['UNITEL_MONEY', 'MULTICAIXA_EXPRESS', 'AFRIMONEY', 'E_KWANZA'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Upper‑cased IBAN without spaces, or null when the ISO 13616 check fails.
+ * Angolan IBANs are AO06 + 21 digits.
+ */
+function normaliseIban(value) {
+  const iban = String(value || '').replace(/\s+/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(iban)) return null;
+  if (iban.startsWith('AO') && iban.length !== 25) return null;
+
+  const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, (c) => String(c.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const d of digits) remainder = (remainder * 10 + Number(d)) % 97;
+  return remainder === 1 ? iban : null;
+}
+
+/**
+ * Amount already requested in the last 24h (anything not given back).
+ */
+async function requestedToday(tx, userId, now = new Date()) {
+  const { _sum } = await tx.payoutRequest.aggregate({
+    where: {
+      userId,
+      createdAt: { gte: new Date(now.getTime() - DAY_MS) },
+      status: { in: ['PENDING', 'APPROVED', 'COMPLETED'] }
+    },
+    _sum: { amount: true }
+  });
+  return round2(Number(_sum.amount || 0));
+}
+
+function payoutDestination(body) {
+  const { method } = body;
+  if (!PAYOUT_METHODS.includes(method)) {
+    throw httpError(400, `method must be one of ${PAYOUT_METHODS.join(', ')}`);
+  }
+
+  if (method === 'BANK_TRANSFER') {
+    const iban = normaliseIban(body.iban);
+    if (!iban) throw httpError(400, 'A valid IBAN is required');
+    if (!body.accountHolder?.trim()) throw httpError(400, 'accountHolder required');
+    return { method, iban, accountHolder: body.accountHolder.trim() };
+  }
+
+  const phoneNumber = normalisePhone(body.phoneNumber);
+  if (!phoneNumber) throw httpError(400, 'A valid Angolan mobile number is required');
+  if (!MOBILE_PROVIDERS.includes(body.mobileProvider)) {
+    throw httpError(400, `mobileProvider must be one of ${MOBILE_PROVIDERS.join(', ')}`);
+  }
+  return { method, phoneNumber, mobileProvider: body.mobileProvider };
+}
+
+/**
+ * One payout request at a time per user, until `tx` ends – so the daily
+ * limit and the two‑factor threshold (src/wallet/payouts/index.js) cannot
+ * be raced past. Taking it again in the same transaction is a no‑op.
+ */
+async function lockPayouts(tx, userId) {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`PAYOUT:${userId}`}))`;
+}
+
+/**
+ * New payout request – the amount is held from the wallet right away.
+ * body: { amount, method, iban?, accountHolder?, phoneNumber?, mobileProvider? }
+ */
+async function requestPayout(tx, userId, body = {}) {
+  const amount = round2(Number(body.amount));
+  if (!(amount > 0)) throw httpError(400, 'amount must be a positive number');
+  if (amount < PAYOUT_MIN_AMOUNT) throw httpError(400, `The minimum payout is ${PAYOUT_MIN_AMOUNT} AOA`);
+  const destination = payoutDestination(body);
+
+  await lockPayouts(tx, userId);
+  const today = await requestedToday(tx, userId);
+  if (today + amount > PAYOUT_DAILY_LIMIT) {
+    throw httpError(400, `Daily payout limit is ${PAYOUT_DAILY_LIMIT} AOA – ${round2(PAYOUT_DAILY_LIMIT - today)} AOA left today`);
+  }
+
+  const payout = await tx.payoutRequest.create({
+    data: { userId, amount: new Prisma.Decimal(amount), ...destination }
+  });
+  await debitWallet(tx, userId, amount, {
+    contra: 'PAYOUT',
+    payoutId: payout.id,
+    description: `Payout ${payout.id} requested`
+  });
+  return payout;
+}
+
+/**
+ * Move a payout from one of `from` statuses to `status`, guarded against a
+ * concurrent change.
+ */
+async function movePayout(tx, payout, from, data) {
+  if (!from.includes(payout.status)) throw httpError(409, `Payout is ${payout.status}`);
+  const { count } = await tx.payoutRequest.updateMany({
+    where: { id: payout.id, status: { in: from } },
+    data
+  });
+  if (count === 0) throw httpError(409, 'Payout changed concurrently, reload and retry');
+  return tx.payoutRequest.findUnique({ where: { id: payout.id } });
+}
+
+async function returnToWallet(tx, payout, description) {
+  await creditWallet(tx, payout.userId, Number(payout.amount), {
+    contra: 'PAYOUT',
+    payoutId: payout.id,
+    description
+  });
+}
+
+async function approvePayout(tx, payout, adminId) {
+  const updated = await movePayout(tx, payout, ['PENDING'], {
+    status: 'APPROVED',
+    reviewedById: adminId,
+    reviewedAt: new Date()
+  });
+  await notify(tx, payout.userId, {
+    type: 'PAYOUT_APPROVED',
+    title: 'Levantamento aprovado',
+    message: `O levantamento de ${payout.amount} ${payout.currency} foi aprovado e está a ser processado.`
+  });
+  return updated;
+}
+
+/**
+ * PENDING or APPROVED (e.g. the transfer bounced) → REJECTED, money back.
+ */
+async function rejectPayout(tx, payout, adminId, reason) {
+  if (!reason?.trim()) throw httpError(400, 'reason required');
+  const updated = await movePayout(tx, payout, ['PENDING', 'APPROVED'], {
+    status: 'REJECTED',
+    reviewedById: adminId,
+    reviewedAt: new Date(),
+    rejectionReason: reason.trim()
+  });
+  await returnToWallet(tx, payout, `Payout ${payout.id} rejected`);
+  await notify(tx, payout.userId, {
+    type: 'PAYOUT_REJECTED',
+    title: 'Levantamento rejeitado',
+    message: `O levantamento de ${payout.amount} ${payout.currency} foi rejeitado: ${reason.trim()}. O valor voltou à sua carteira.`
+  });
+  return updated;
+}
+
+async function cancelPayout(tx, payout, userId) {
+  if (payout.userId !== userId) throw httpError(403, 'Forbidden');
+  const updated = await movePayout(tx, payout, ['PENDING'], { status: 'CANCELLED' });
+  await returnToWallet(tx, payout, `Payout ${payout.id} cancelled`);
+  return updated;
+}
+
+/**
+ * The money was sent – record the bank / provider reference.
+ */
+async function completePayout(tx, payout, adminId, externalReference) {
+  if (!externalReference?.trim()) throw httpError(400, 'externalReference required');
+  const updated = await movePayout(tx, payout, ['APPROVED'], {
+    status: 'COMPLETED',
+    externalReference: externalReference.trim(),
+    completedAt: new Date()
+  });
+  const amount = Number(payout.amount);
+  await postEntries(tx, {
+    description: `Payout ${payout.id} sent (${externalReference.trim()})`,
+    entries: [
+      { accountType: 'PAYOUT', entryType: 'DEBIT', amount },
+      { accountType: 'EXTERNAL', entryType: 'CREDIT', amount }
+    ]
+  });
+  await tx.auditLog.create({
+    data: {
+      userId: adminId,
+      action: 'PAYOUT_COMPLETED',
+      entityType: 'PAYOUT',
+      entityId: payout.id,
+      details: { amount, externalReference: externalReference.trim(), beneficiary: payout.userId }
+    }
+  });
+  await notify(tx, payout.userId, {
+    type: 'PAYOUT_COMPLETED',
+    title: 'Levantamento concluído',
+    message: `Enviámos ${payout.amount} ${payout.currency} (referência ${externalReference.trim()}).`
+  });
+  return updated;
+}
+
+module.exports = {
+  PAYOUT_MIN_AMOUNT,
+  PAYOUT_DAILY_LIMIT,
+  PAYOUT_METHODS,
+  MOBILE_PROVIDERS,
+  normaliseIban,
+  normalisePhone,
+  requestedToday,
+  lockPayouts,
+  requestPayout,
+  approvePayout,
+  rejectPayout,
+  cancelPayout,
+  completePayout
+};
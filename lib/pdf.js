@@ -0,0 +1,108 @@
+// lib/pdf.js
+// Minimal PDF writer for generated documents (invoices, credit notes) – text
+// and lines on A4 pages with the standard Helvetica fonts, so no rendering
+// dependency is needed in the serverless functions.
+//
+//   const doc = createPdf();
+//   doc.text(50, 800, 'Factura FT PDC2026/1', { size: 16, bold: true });
+//   doc.line(50, 790, 545, 790);
+//   doc.addPage();
+//   const buffer = doc.toBuffer();
+//
+// Coordinates are PDF points from the bottom‑left corner. Text is encoded as
+// WinAnsi, which covers Portuguese; anything outside it prints as "?".
+
+const A4 = { width: 595.28, height: 841.89 };
+
+// WinAnsi code points that differ from Latin‑1
+const WIN_ANSI = { '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97 };
+
+function encodeText(value) {
+  const bytes = [];
+  for (const ch of String(value ?? '')) {
+    const code = WIN_ANSI[ch] ?? ch.codePointAt(0);
+    const byte = code <= 0xff ? code : 0x3f;
+    // Literal string escapes
+    if (byte === 0x28 || byte === 0x29 || byte === 0x5c) bytes.push(0x5c);
+    bytes.push(byte);
+  }
+  return Buffer.from(bytes).toString('latin1');
+}
+
+const num = (n) => Number(n.toFixed(2)).toString();
+
+function createPdf() {
+  const pages = [[]];
+  const current = () => pages[pages.length - 1];
+
+  return {
+    width: A4.width,
+    height: A4.height,
+
+    text(x, y, value, { size = 10, bold = false } = {}) {
+      current().push(`BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(x)} ${num(y)} Td (${encodeText(value)}) Tj ET`);
+      return this;
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+      current().push(`${num(width)} w ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`);
+      return this;
+    },
+
+    addPage() {
+      pages.push([]);
+      return this;
+    },
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    toBuffer() {
+      // 1 catalog, 2 page tree, 3–4 fonts, then a page + content stream per page
+      const objects = [];
+      const pageIds = pages.map((_, i) => 5 + i * 2);
+
+      objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+      objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+      objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+      pages.forEach((ops, i) => {
+        const stream = ops.join('\n');
+        objects[pageIds[i]] =
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${A4.width} ${A4.height}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+        objects[pageIds[i] + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+      });
+
+      let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+      const offsets = [];
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(out, 'latin1');
+        out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+      const xref = Buffer.byteLength(out, 'latin1');
+      out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id++) out += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+      out += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Buffer.from(out, 'latin1');
+    }
+  };
+}
+
+/**
+ * Approximate width of `value` in Helvetica at `size` – enough to
+ * right‑align amounts in a column.
+ */
+function textWidth(value, size = 10) {
+  let units = 0;
+  for (const ch of String(value ?? '')) {
+    if (/[0-9]/.test(ch)) units += 556;
+    else if (/[.,: ]/.test(ch)) units += 278;
+    else if (/[A-Z]/.test(ch)) units += 667;
+    else units += 500;
+  }
+  return (units * size) / 1000;
+}
+
+module.exports = { A4, createPdf, textWidth, encodeText };
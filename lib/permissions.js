@@ -0,0 +1,171 @@
+// lib/permissions.js
+// Role‑based access control from the RolePermission table.
+//
+// A row grants a role an action on a resource, optionally under a condition:
+//
+//   { role: 'PRODUCER', resource: 'products', action: 'UPDATE', condition: { own: true } }
+//
+//   action     CREATE | READ | UPDATE | DELETE, or MANAGE – every action, and
+//              the administrative ones (review payouts, rule disputes, see
+//              everybody's records)
+//   resource   a key of RESOURCES, or '*' for all of them
+//   condition  null – any record
+//              { own: true }          – records the user owns (RESOURCES owner fields)
+//              { own: ['sellerId'] }  – owned through these fields only
+//              { match: { status: 'PENDING' } } – records with these values
+//              (own and match together must both hold)
+//
+// ADMIN has every permission without rows, so the matrix cannot lock the
+// platform out. Rows are cached for PERMISSIONS_CACHE_SECONDS (default 60);
+// changes through /api/admin/permissions apply at once on that instance.
+//
+//   can(user, action, resource, record?)        → boolean
+//   authorize(user, action, resource, record?)  → throws 403
+//   scope(user, action, resource)               → Prisma `where` for lists, or null
+//
+// Without `record`, can() asks whether the user may act on some records –
+// the route‑level guard (requirePermission in lib/middleware.js). Handlers
+// pass the record once loaded so conditions are checked.
+
+const prisma = require('./prisma');
+const { httpError } = require('./http-error');
+
+const ACTIONS = ['CREATE', 'READ', 'UPDATE', 'DELETE', 'MANAGE'];
+
+// Resources and the fields that make a user the owner of a record
+const RESOURCES = {
+  products: { owner: ['producerId'] },
+  storage: { owner: ['ownerId'] },
+  orders: { owner: ['buyerId', 'sellerId', 'transporterId'] },
+  checkouts: { owner: ['buyerId'] },
+  invoices: { owner: ['buyerId', 'sellerId'] }, // checked against the order
+  procurements: { owner: ['buyerId'] },
+  transactions: { owner: ['buyerId', 'sellerId'] },
+  disputes: { owner: ['openedById', 'respondentId'] },
+  payouts: { owner: ['userId'] },
+  users: { owner: ['id'] },
+  documents: { owner: ['userId'] },
+  ledger: { owner: [] },
+  fees: { owner: [] },
+  permissions: { owner: [] }
+};
+
+const CACHE_SECONDS = Number(process.env.PERMISSIONS_CACHE_SECONDS || 60);
+
+let cache = null; // { rows, loadedAt }
+
+async function loadPermissions() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_SECONDS * 1000) return cache.rows;
+  const rows = await prisma.rolePermission.findMany();
+  cache = { rows, loadedAt: Date.now() };
+  return rows;
+}
+
+function invalidatePermissions() {
+  cache = null;
+}
+
+const ownerFields = (resource, own) => (Array.isArray(own) ? own : RESOURCES[resource]?.owner || []);
+
+async function grantsFor(user, action, resource) {
+  const rows = await loadPermissions();
+  return rows.filter((row) =>
+    row.role === user.role &&
+    (row.resource === resource || row.resource === '*') &&
+    (row.action === action || row.action === 'MANAGE'));
+}
+
+function allows(grant, user, resource, record) {
+  const condition = grant.condition || {};
+  if (condition.own) {
+    const fields = ownerFields(resource, condition.own);
+    if (!fields.some((field) => record[field] != null && record[field] === user.userId)) return false;
+  }
+  if (condition.match) {
+    if (!Object.entries(condition.match).every(([field, value]) => record[field] === value)) return false;
+  }
+  return true;
+}
+
+/**
+ * May `user` ({ userId, role } – the token payload) do `action` on
+ * `resource` (on `record` when given)?
+ */
+async function can(user, action, resource, record) {
+  if (!user) return false;
+  if (user.role === 'ADMIN') return true;
+  const grants = await grantsFor(user, action, resource);
+  if (!record) return grants.length > 0;
+  return grants.some((grant) => allows(grant, user, resource, record));
+}
+
+async function authorize(user, action, resource, record) {
+  if (!(await can(user, action, resource, record))) {
+    throw httpError(403, `Not allowed to ${action.toLowerCase()} ${resource}`);
+  }
+}
+
+/**
+ * Prisma `where` for the records of `resource` the user may `action`:
+ * {} for all of them, null for none.
+ */
+async function scope(user, action, resource) {
+  if (!user) return null;
+  if (user.role === 'ADMIN') return {};
+  const grants = await grantsFor(user, action, resource);
+  if (!grants.length) return null;
+
+  const filters = [];
+  for (const grant of grants) {
+    const condition = grant.condition || {};
+    const parts = [];
+    if (condition.own) {
+      const fields = ownerFields(resource, condition.own);
+      parts.push({ OR: fields.map((field) => ({ [field]: user.userId })) });
+    }
+    if (condition.match) parts.push(condition.match);
+    if (!parts.length) return {};
+    filters.push(parts.length === 1 ? parts[0] : { AND: parts });
+  }
+  return filters.length === 1 ? filters[0] : { OR: filters };
+}
+
+/**
+ * Problems with a condition before it is stored (admin endpoints), [] when
+ * fine.
+ */
+function conditionProblems(resource, condition) {
+  if (condition == null) return [];
+  if (typeof condition !== 'object' || Array.isArray(condition)) return ['must be an object'];
+  const problems = [];
+  for (const key of Object.keys(condition)) {
+    if (!['own', 'match'].includes(key)) problems.push(`unknown key "${key}" (own, match)`);
+  }
+  const { own, match } = condition;
+  if (own !== undefined) {
+    if (own !== true && !(Array.isArray(own) && own.length && own.every((f) => typeof f === 'string'))) {
+      problems.push('own must be true or a list of fields');
+    } else if (resource !== '*' && !ownerFields(resource, own).length) {
+      problems.push(`${resource} has no owner fields – list them in own`);
+    } else if (resource === '*' && own === true) {
+      problems.push('own on "*" must list the fields');
+    }
+  }
+  if (match !== undefined) {
+    const scalar = (v) => v === null || ['string', 'number', 'boolean'].includes(typeof v);
+    if (typeof match !== 'object' || Array.isArray(match) || !Object.values(match).every(scalar)) {
+      problems.push('match must map fields to plain values');
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  ACTIONS,
+  RESOURCES,
+  can,
+  authorize,
+  scope,
+  conditionProblems,
+  invalidatePermissions
+};
@@ -0,0 +1,19 @@
+// lib/phone.js
+// Angolan mobile numbers in one format, so the same phone typed as
+// "923 456 789", "+244923456789" or "00244…" is the same value (payouts,
+// SMS codes, phone login).
+
+/**
+ * +2449XXXXXXXX for an Angolan mobile number, or null.
+ */
+function normalisePhone(value) {
+  const digits = String(value || '').replace(/[\s\-()]/g, '').replace(/^(\+|00)?244/, '');
+  return /^9\d{8}$/.test(digits) ? `+244${digits}` : null;
+}
+
+/**
+ * +244 9•• ••• 789 – for messages that should not show the whole number.
+ */
+const maskPhone = (phone) => `${phone.slice(0, 4)} ${phone.slice(4, 5)}•• ••• ${phone.slice(-3)}`;
+
+module.exports = { normalisePhone, maskPhone };
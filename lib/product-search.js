@@ -0,0 +1,148 @@
+// lib/product-search.js
+// Public product search for GET /api/products.
+//
+// Full‑text over title, category, subcategory, tags and description – the
+// "searchVector" column, kept up to date by triggers (migration
+// 20261020020000_product_search) with the pt_unaccent configuration:
+// Portuguese stemming, accents ignored, so "feijao" finds "feijão" and
+// "mandiocas" finds "mandioca". Every word of `q` must match, also as the
+// start of a longer one ("feij" finds "feijão"). Ranked with title matches
+// first, then category and tags, then description.
+//
+// Facets count the listings per category, price range, producer city and
+// verified certification. Each facet ignores its own filter, so picking a
+// category still shows how many listings the other categories have.
+//
+// With `near` (lib/geo.js) only listings within the radius count, nearest
+// first unless another sort is asked for, each with its distanceKm.
+
+const { Prisma } = require('@prisma/client');
+const { LOCATIONS, nearPoint, distanceSql, withinSql, roundKm } = require('./geo');
+
+const SEARCH_CONFIG = 'pt_unaccent';
+
+// AOA per unit – facet buckets [bound[i - 1], bound[i])
+const PRICE_BOUNDS = [1000, 5000, 20000, 100000];
+const PRICE_RANGES = [0, ...PRICE_BOUNDS].map((min, i) => ({
+  key: PRICE_BOUNDS[i] ? `${min}-${PRICE_BOUNDS[i]}` : `${min}+`,
+  min,
+  max: PRICE_BOUNDS[i] ?? null
+}));
+
+const FACET_LIMIT = 30;
+const MAX_WORDS = 8;
+
+const SORTS = ['relevance', 'distance', 'newest', 'price_asc', 'price_desc'];
+
+/**
+ * `q` as a tsquery: its words, each as a prefix, all required. null when
+ * there is nothing to search for.
+ */
+function searchQuery(q) {
+  // Single letters ("d'água") would match almost everything as a prefix
+  const words = (String(q || '').normalize('NFC').match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((word) => word.length > 1 || /\d/.test(word));
+  if (!words.length) return null;
+  return words.slice(0, MAX_WORDS).map((word) => `${word}:*`).join(' & ');
+}
+
+// SQL conditions of the filters, keyed so a facet can leave its own out
+function conditions({ tsquery, point, category, subcategory, producerId, city, certification, minPrice, maxPrice }) {
+  const price = [
+    minPrice != null && Prisma.sql`l."pricePerUnit" >= ${minPrice}`,
+    maxPrice != null && Prisma.sql`l."pricePerUnit" < ${maxPrice}`
+  ].filter(Boolean);
+  return {
+    q: tsquery && Prisma.sql`l."searchVector" @@ to_tsquery(${SEARCH_CONFIG}::regconfig, ${tsquery})`,
+    category: category && Prisma.sql`lower(l."category") = lower(${category})`,
+    subcategory: subcategory && Prisma.sql`lower(l."subcategory") = lower(${subcategory})`,
+    producerId: producerId && Prisma.sql`l."producerId" = ${producerId}`,
+    city: city && Prisma.sql`lower(u."city") = lower(${city})`,
+    certification: certification && Prisma.sql`EXISTS (
+      SELECT 1 FROM "Certification" c
+      WHERE c."productListingId" = l."id" AND c."verified" AND lower(c."name") = lower(${certification}))`,
+    price: price.length && Prisma.join(price, ' AND '),
+    near: point && withinSql(LAT, LNG, point)
+  };
+}
+
+const whereSql = (conds, except) => {
+  const parts = Object.entries(conds).filter(([key, sql]) => key !== except && sql).map(([, sql]) => sql);
+  return parts.length ? Prisma.sql`WHERE ${Prisma.join(parts, ' AND ')}` : Prisma.empty;
+};
+
+const FROM = Prisma.sql`FROM ${LOCATIONS.products.from}`;
+const { lat: LAT, lng: LNG } = LOCATIONS.products;
+
+function orderBySql(sort, tsquery, point) {
+  if (sort === 'price_asc') return Prisma.sql`l."pricePerUnit" ASC, l."createdAt" DESC`;
+  if (sort === 'price_desc') return Prisma.sql`l."pricePerUnit" DESC, l."createdAt" DESC`;
+  if (sort === 'distance' && point) return Prisma.sql`2, l."createdAt" DESC`;
+  if (sort === 'relevance' && tsquery) {
+    return Prisma.sql`ts_rank(l."searchVector", to_tsquery(${SEARCH_CONFIG}::regconfig, ${tsquery})) DESC, l."createdAt" DESC`;
+  }
+  return Prisma.sql`l."createdAt" DESC`;
+}
+
+async function facetCounts(db, conds) {
+  const [categories, cities, certifications, prices] = await Promise.all([
+    db.$queryRaw`
+      SELECT l."category" AS value, count(*)::int AS count
+      ${FROM} ${whereSql(conds, 'category')}
+      GROUP BY 1 ORDER BY 2 DESC, 1 LIMIT ${FACET_LIMIT}`,
+    db.$queryRaw`
+      SELECT u."city" AS value, count(*)::int AS count
+      ${FROM} ${whereSql({ ...conds, cityKnown: Prisma.sql`u."city" IS NOT NULL` }, 'city')}
+      GROUP BY 1 ORDER BY 2 DESC, 1 LIMIT ${FACET_LIMIT}`,
+    db.$queryRaw`
+      SELECT c."name" AS value, count(DISTINCT l."id")::int AS count
+      ${FROM} JOIN "Certification" c ON c."productListingId" = l."id" AND c."verified"
+      ${whereSql(conds, 'certification')}
+      GROUP BY 1 ORDER BY 2 DESC, 1 LIMIT ${FACET_LIMIT}`,
+    db.$queryRaw`
+      SELECT width_bucket(l."pricePerUnit", ARRAY[${Prisma.join(PRICE_BOUNDS)}]::float8[]) AS bucket, count(*)::int AS count
+      ${FROM} ${whereSql(conds, 'price')}
+      GROUP BY 1`
+  ]);
+  const perBucket = new Map(prices.map((row) => [Number(row.bucket), row.count]));
+  return {
+    category: categories,
+    priceRange: PRICE_RANGES.map((range, i) => ({ ...range, count: perBucket.get(i) || 0 })),
+    city: cities,
+    certification: certifications
+  };
+}
+
+/**
+ * One page of listings matching `filters` (schemas.productQuery) with the
+ * total and the facets: { data, total, facets }. `data` are ProductListing
+ * rows – nearest first with `near`, else best match first when searching,
+ * else newest first.
+ */
+async function searchProducts(db, { page, limit, q, sort, near, radiusKm, ...filters }) {
+  const tsquery = searchQuery(q);
+  const point = nearPoint({ near, radiusKm });
+  const conds = conditions({ tsquery, point, ...filters });
+  const where = whereSql(conds);
+  sort = sort || (point ? 'distance' : tsquery ? 'relevance' : 'newest');
+
+  const [rows, [{ total }], facets] = await Promise.all([
+    db.$queryRaw`
+      SELECT l."id", ${point ? distanceSql(LAT, LNG, point) : Prisma.sql`NULL::float8`} AS "distanceKm"
+      ${FROM} ${where}
+      ORDER BY ${orderBySql(sort, tsquery, point)}
+      LIMIT ${limit} OFFSET ${(page - 1) * limit}`,
+    db.$queryRaw`SELECT count(*)::int AS total ${FROM} ${where}`,
+    facetCounts(db, conds)
+  ]);
+
+  // The full rows, in the order found
+  const listings = await db.productListing.findMany({ where: { id: { in: rows.map((row) => row.id) } } });
+  const byId = new Map(listings.map((listing) => [listing.id, listing]));
+  const data = rows.filter((row) => byId.has(row.id)).map((row) => (point
+    ? { ...byId.get(row.id), distanceKm: roundKm(row.distanceKm) }
+    : byId.get(row.id)));
+  return { data, total, facets };
+}
+
+module.exports = { PRICE_RANGES, SORTS, searchQuery, searchProducts };
@@ -0,0 +1,168 @@
+// lib/router.js
+// Route table + middleware chain behind the /api catch‑all (src/index.js).
+//
+//   const router = createRouter({ prefix: '/api' });
+//   router.use(errorHandler(), cors(), jsonBody());            // every request
+//   router.get('/orders/:id', authenticate(), handler);      // one method
+//   router.all('/admin/*', requireRole('ADMIN'), handler);   // any method
+//   router.handle(req, res);
+//
+// Paths are matched segment by segment: a static segment beats a `:param`,
+// which beats a trailing `*` (the rest of the path, as `params.slug` – the
+// same shape Vercel gives `[...slug]` files). Params are put on `req.params`
+// and merged into `req.query`, so handlers written for Vercel's file routes
+// (`req.query.id`) work unchanged. `req.url` is left as it came in.
+//
+// Middleware and handlers are `(req, res, next)`; `next()` returns a promise,
+// so a middleware can run code after the rest of the chain (error handling).
+// A path that matches with another method answers 405, nothing at all 404.
+
+const url = require('url');
+const { httpError } = require('./http-error');
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+function compilePath(pattern) {
+  const segments = pattern.split('/').filter(Boolean);
+  const wildcard = segments[segments.length - 1] === '*';
+  if (wildcard) segments.pop();
+  if (segments.some((s) => s.includes('*'))) throw new Error(`Only a trailing * is supported: ${pattern}`);
+  return {
+    pattern,
+    segments,
+    wildcard,
+    // Higher is more specific: static segments, then params, then no wildcard
+    score: segments.map((s) => (s.startsWith(':') ? 1 : 2)).concat(wildcard ? 0 : 3)
+  };
+}
+
+function matchPath(compiled, parts) {
+  const { segments, wildcard } = compiled;
+  if (wildcard ? parts.length < segments.length : parts.length !== segments.length) return null;
+
+  const params = {};
+  for (let i = 0; i < segments.length; i++) {
+    const seg = segments[i];
+    if (seg.startsWith(':')) params[seg.slice(1)] = decodeURIComponent(parts[i]);
+    else if (seg !== parts[i]) return null;
+  }
+  if (wildcard) params.slug = parts.slice(segments.length).map(decodeURIComponent);
+  return params;
+}
+
+const moreSpecific = (a, b) => {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if ((a[i] ?? -1) !== (b[i] ?? -1)) return (a[i] ?? -1) > (b[i] ?? -1);
+  }
+  return false;
+};
+
+/**
+ * Run `fns` in order; each gets `next` to call the following one.
+ */
+function compose(fns) {
+  return (req, res, done = async () => {}) => {
+    const dispatch = async (i) => (i < fns.length ? fns[i](req, res, () => dispatch(i + 1)) : done());
+    return dispatch(0);
+  };
+}
+
+/**
+ * Handler for a module file, required on first use (cold starts only pay for
+ * the routes they serve). The module may export a function, `default`,
+ * `handler`, or one function per method (`GET`, `POST`, …).
+ */
+function lazy(file) {
+  let mod;
+  return (req, res, next) => {
+    if (!mod) mod = require(file);
+    if (typeof mod === 'function') return mod(req, res, next);
+    if (mod?.default instanceof Function) return mod.default(req, res, next);
+    if (mod?.handler instanceof Function) return mod.handler(req, res, next);
+    if (mod?.[req.method] instanceof Function) return mod[req.method](req, res, next);
+    throw httpError(405, 'Method not allowed');
+  };
+}
+
+function createRouter({ prefix = '' } = {}) {
+  const middleware = [];
+  const routes = [];
+
+  const router = {
+    use(...fns) {
+      middleware.push(...fns);
+      return router;
+    },
+
+    add(method, pattern, ...fns) {
+      if (!fns.length) throw new Error(`Route ${method} ${pattern} has no handler`);
+      routes.push({ method: method.toUpperCase(), ...compilePath(pattern), fns, run: compose(fns) });
+      return router;
+    },
+
+    all(pattern, ...fns) {
+      return router.add('ALL', pattern, ...fns);
+    },
+
+    /**
+     * The route table in registration order – { method, pattern, fns } (for
+     * the OpenAPI document, lib/openapi.js).
+     */
+    routes() {
+      return routes.map(({ method, pattern, fns }) => ({ method, pattern, prefix, fns }));
+    },
+
+    /**
+     * Best route for a method + path: { route, params } | { allowed } | null.
+     */
+    match(method, pathname) {
+      const parts = pathname.split('/').filter(Boolean);
+      let best = null;
+      const allowed = new Set();
+      for (const route of routes) {
+        const params = matchPath(route, parts);
+        if (!params) continue;
+        if (route.method !== 'ALL' && route.method !== method) {
+          allowed.add(route.method);
+          continue;
+        }
+        if (!best || moreSpecific(route.score, best.route.score)) best = { route, params };
+      }
+      if (best) return best;
+      return allowed.size ? { allowed: [...allowed] } : null;
+    },
+
+    async handle(req, res) {
+      const parsed = url.parse(req.url || '', true);
+      let pathname = parsed.pathname || '/';
+      if (prefix && pathname.startsWith(prefix)) pathname = pathname.slice(prefix.length) || '/';
+      req.path = pathname;
+
+      const found = router.match(req.method, pathname);
+      if (found?.route) {
+        req.params = found.params;
+        req.query = { ...parsed.query, ...req.query, ...found.params };
+      } else {
+        req.params = {};
+        req.query = { ...parsed.query, ...req.query };
+      }
+
+      const endpoint = async (req, res, next) => {
+        if (found?.route) return found.route.run(req, res, next);
+        if (found?.allowed) {
+          res.setHeader('Allow', found.allowed.join(', '));
+          throw httpError(405, 'Method not allowed');
+        }
+        throw httpError(404, 'Not found');
+      };
+      return compose([...middleware, endpoint])(req, res);
+    }
+  };
+
+  for (const method of METHODS) {
+    router[method.toLowerCase()] = (pattern, ...fns) => router.add(method, pattern, ...fns);
+  }
+  return router;
+}
+
+module.exports = { METHODS, createRouter, compose, lazy };
@@ -0,0 +1,243 @@
+// lib/schema.js
+// Declarative request schemas – validation, type coercion and JSON Schema
+// output (for the API docs) from one definition.
+//
+//   const { s } = require('../lib/schema');
+//   const createReview = s.object({
+//     targetId: s.string({ min: 1, description: 'E‑mail or id of the user reviewed' }),
+//     rating: s.integer({ min: 1, max: 5 }),
+//     comment: s.string({ max: 2000 }).optional()
+//   });
+//   createReview.parse(req.body)   // → coerced value, or throws a 400 (see below)
+//
+// Values are coerced the way the handlers used to do by hand: "12" → 12 for
+// numbers, "true" / "1" → true for booleans, ISO strings → Date, a comma
+// separated string → array (query strings). Strings are trimmed. Missing, null
+// and (for non‑strings) empty values count as absent. Objects keep keys they
+// do not describe.
+//
+// Response documentation uses the same builders: `.nullable()` for fields
+// that can be null, s.ref('Order') for a named OpenAPI component and s.allOf()
+// to add included relations to one.
+//
+// A failed parse throws httpError(400, 'Validation failed') with
+// err.code = 'VALIDATION_ERROR' and err.details = [{ field, code, message }],
+// every problem at once. Detail codes: required, invalid_type, too_small,
+// too_big, invalid_enum, invalid_format.
+
+const { httpError } = require('./http-error');
+
+const validationError = (details) => httpError(400, 'Validation failed', details, 'VALIDATION_ERROR');
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+const absent = (value, kind) => value === undefined || value === null || (value === '' && kind !== 'string');
+
+/**
+ * Base of every schema. `check(value, path, issues)` returns the coerced value
+ * (only called for present values); `json` is the JSON Schema of the type.
+ */
+function makeSchema(kind, opts, check, json) {
+  const schema = {
+    kind,
+    opts,
+    isOptional: false,
+    isNullable: false,
+    defaultValue: undefined,
+
+    optional() {
+      return { ...schema, isOptional: true };
+    },
+
+    nullable() {
+      return { ...schema, isNullable: true };
+    },
+
+    default(value) {
+      return { ...schema, isOptional: true, defaultValue: value };
+    },
+
+    describe(description) {
+      return { ...schema, opts: { ...opts, description } };
+    },
+
+    run(value, path, issues) {
+      if (value === null && this.isNullable) return null;
+      // A blank optional string is the same as leaving it out
+      const blank = kind === 'string' && this.isOptional && typeof value === 'string' && !value.trim();
+      if (blank || absent(value, kind)) {
+        if (this.defaultValue !== undefined) {
+          return typeof this.defaultValue === 'function' ? this.defaultValue() : this.defaultValue;
+        }
+        if (!this.isOptional) issues.push({ field: path, code: 'required', message: 'is required' });
+        return undefined;
+      }
+      return check(value, path, issues);
+    },
+
+    parse(value) {
+      const issues = [];
+      const out = this.run(value, '', issues);
+      if (issues.length) throw validationError(issues);
+      return out;
+    },
+
+    toJSONSchema() {
+      const out = json.call(this);
+      if (this.opts.description) out.description = this.opts.description;
+      if (this.opts.example !== undefined) out.example = this.opts.example;
+      if (this.defaultValue !== undefined && typeof this.defaultValue !== 'function') out.default = this.defaultValue;
+      if (this.isNullable) return nullableJson(out);
+      return out;
+    }
+  };
+  return schema;
+}
+
+// JSON Schema 2020‑12 (OpenAPI 3.1): null joins the type list
+function nullableJson(out) {
+  if (typeof out.type === 'string') {
+    return { ...out, type: [out.type, 'null'], ...(out.enum && { enum: [...out.enum, null] }) };
+  }
+  return { anyOf: [out, { type: 'null' }] };
+}
+
+const issue = (issues, field, code, message) => {
+  issues.push({ field, code, message });
+  return undefined;
+};
+
+function string(opts = {}) {
+  const { min, max, pattern, format, trim = true, lowercase = false } = opts;
+  return makeSchema('string', opts, (value, path, issues) => {
+    if (typeof value !== 'string' && typeof value !== 'number') return issue(issues, path, 'invalid_type', 'must be a string');
+    let str = String(value);
+    if (trim) str = str.trim();
+    if (lowercase) str = str.toLowerCase();
+    if (!str && (min === undefined || min > 0)) return issue(issues, path, 'required', 'is required');
+    if (min !== undefined && str.length < min) return issue(issues, path, 'too_small', `must be at least ${min} characters`);
+    if (max !== undefined && str.length > max) return issue(issues, path, 'too_big', `must be at most ${max} characters`);
+    if (pattern && !pattern.test(str)) return issue(issues, path, 'invalid_format', opts.patternMessage || 'has an invalid format');
+    if (format === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(str)) return issue(issues, path, 'invalid_format', 'must be an e‑mail address');
+    return str;
+  }, () => ({
+    type: 'string',
+    ...(min !== undefined && { minLength: min }),
+    ...(max !== undefined && { maxLength: max }),
+    ...(pattern && { pattern: pattern.source }),
+    ...(format && { format })
+  }));
+}
+
+function number(opts = {}) {
+  const { min, max, integer = false } = opts;
+  return makeSchema(integer ? 'integer' : 'number', opts, (value, path, issues) => {
+    const n = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof n !== 'number' || !Number.isFinite(n)) return issue(issues, path, 'invalid_type', 'must be a number');
+    if (integer && !Number.isInteger(n)) return issue(issues, path, 'invalid_type', 'must be an integer');
+    if (min !== undefined && n < min) return issue(issues, path, 'too_small', `must be at least ${min}`);
+    if (max !== undefined && n > max) return issue(issues, path, 'too_big', `must be at most ${max}`);
+    if (opts.positive && !(n > 0)) return issue(issues, path, 'too_small', 'must be greater than 0');
+    return n;
+  }, () => ({
+    type: integer ? 'integer' : 'number',
+    ...(min !== undefined && { minimum: min }),
+    ...(max !== undefined && { maximum: max }),
+    ...(opts.positive && { exclusiveMinimum: 0 })
+  }));
+}
+
+const integer = (opts = {}) => number({ ...opts, integer: true });
+
+const TRUE = ['true', '1', 'yes', 'on'];
+const FALSE = ['false', '0', 'no', 'off'];
+
+function boolean(opts = {}) {
+  return makeSchema('boolean', opts, (value, path, issues) => {
+    if (typeof value === 'boolean') return value;
+    const str = String(value).trim().toLowerCase();
+    if (TRUE.includes(str)) return true;
+    if (FALSE.includes(str)) return false;
+    return issue(issues, path, 'invalid_type', 'must be true or false');
+  }, () => ({ type: 'boolean' }));
+}
+
+function date(opts = {}) {
+  return makeSchema('date', opts, (value, path, issues) => {
+    const d = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(d.getTime())) return issue(issues, path, 'invalid_type', 'must be a date (ISO 8601)');
+    return d;
+  }, () => ({ type: 'string', format: 'date-time' }));
+}
+
+function enumOf(values, opts = {}) {
+  const { uppercase = false } = opts;
+  return makeSchema('enum', opts, (value, path, issues) => {
+    const str = uppercase ? String(value).trim().toUpperCase() : value;
+    if (!values.includes(str)) return issue(issues, path, 'invalid_enum', `must be one of ${values.join(', ')}`);
+    return str;
+  }, () => ({ type: typeof values[0] === 'number' ? 'number' : 'string', enum: values }));
+}
+
+function array(item, opts = {}) {
+  const { min, max } = opts;
+  return makeSchema('array', opts, (value, path, issues) => {
+    const list = typeof value === 'string' ? value.split(',').map((v) => v.trim()).filter(Boolean) : value;
+    if (!Array.isArray(list)) return issue(issues, path, 'invalid_type', 'must be a list');
+    if (min !== undefined && list.length < min) return issue(issues, path, 'too_small', `must have at least ${min} entries`);
+    if (max !== undefined && list.length > max) return issue(issues, path, 'too_big', `must have at most ${max} entries`);
+    return list.map((v, i) => item.run(v, joinPath(path, i), issues));
+  }, () => ({
+    type: 'array',
+    items: item.toJSONSchema(),
+    ...(min !== undefined && { minItems: min }),
+    ...(max !== undefined && { maxItems: max })
+  }));
+}
+
+function object(shape, opts = {}) {
+  return makeSchema('object', opts, (value, path, issues) => {
+    if (typeof value !== 'object' || Array.isArray(value)) return issue(issues, path, 'invalid_type', 'must be an object');
+    const out = { ...value };
+    for (const [key, schema] of Object.entries(shape)) {
+      const parsed = schema.run(value[key], joinPath(path, key), issues);
+      if (parsed === undefined) delete out[key];
+      else out[key] = parsed;
+    }
+    return out;
+  }, () => {
+    const required = Object.entries(shape).filter(([, schema]) => !schema.isOptional).map(([key]) => key);
+    return {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(shape).map(([key, schema]) => [key, schema.toJSONSchema()])),
+      ...(required.length && { required })
+    };
+  });
+}
+
+/**
+ * Any JSON value – for free‑form fields (metadata, milestones given as‑is).
+ */
+function any(opts = {}) {
+  return makeSchema('any', opts, (value) => value, () => ({}));
+}
+
+/**
+ * A named schema (#/components/schemas/<name>) – documentation only, any
+ * value passes.
+ */
+function ref(name, opts = {}) {
+  return makeSchema('ref', opts, (value) => value, () => ({ $ref: `#/components/schemas/${name}` }));
+}
+
+/**
+ * Every schema at once – documentation only, e.g. a component plus the
+ * relations a handler includes: s.allOf([s.ref('Order'), s.object({ … })]).
+ */
+function allOf(schemas, opts = {}) {
+  return makeSchema('allOf', opts, (value) => value, () => ({ allOf: schemas.map((schema) => schema.toJSONSchema()) }));
+}
+
+const s = { string, number, integer, boolean, date, enum: enumOf, array, object, any, ref, allOf };
+
+module.exports = { s, validationError };
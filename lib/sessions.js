@@ -0,0 +1,210 @@
+// lib/sessions.js
+// Sign‑in sessions: one Session row per device, holding its refresh token.
+//
+//   login / register ─► startSession() ─► { token, refreshToken, expiresIn }
+//   POST /api/auth/refresh ─► rotateSession(): a refresh token is used once –
+//       its session is revoked and a new one takes its place
+//   POST /api/auth/logout ─► revokeRefreshToken() / revokeAllSessions()
+//
+// A revoked refresh token that comes back was copied (or the rotation raced):
+// every session of the user is revoked and they sign in again (reuse
+// detection). Only the SHA‑256 of a refresh token is stored (Session.token).
+//
+// A session can act for an organisation the user is a member of
+// (Session.actingAccountId, see lib/organisations.js): its access tokens are
+// then for the organisation's account, with the member as `actorId`.
+//
+// A session signed in with a second factor (lib/two-factor.js) has
+// twoFactorVerifiedAt; its access tokens carry `mfa: true`.
+
+const crypto = require('crypto');
+const prisma = require('./prisma');
+const { httpError } = require('./http-error');
+const { signToken, verifyToken } = require('./jwt');
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Where the request comes from, as stored on the session (first
+ * X‑Forwarded‑For hop behind Vercel's proxy).
+ */
+function clientInfo(req) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return {
+    ipAddress: forwarded || req.socket?.remoteAddress || null,
+    userAgent: req.headers['user-agent'] ? String(req.headers['user-agent']).slice(0, 500) : null
+  };
+}
+
+/**
+ * `acting`: { organisationId, account: { id, role } } when acting for an
+ * organisation. `twoFactor`: the session passed a second factor.
+ */
+function accessToken(user, sessionId, { acting = null, twoFactor = false } = {}) {
+  const token = signToken({
+    ...(acting
+      ? { userId: acting.account.id, role: acting.account.role, sid: sessionId, actorId: user.id, orgId: acting.organisationId }
+      : { userId: user.id, role: user.role, sid: sessionId }),
+    ...(twoFactor && { mfa: true })
+  });
+  const { iat, exp } = verifyToken(token);
+  return { token, expiresIn: exp - iat };
+}
+
+async function createSession(client, user, req, { now = new Date(), acting = null, twoFactor = false } = {}) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const session = await client.session.create({
+    data: {
+      userId: user.id,
+      token: hashToken(refreshToken),
+      ...clientInfo(req),
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+      actingAccountId: acting ? acting.account.id : null,
+      twoFactorVerifiedAt: twoFactor ? now : null
+    }
+  });
+
+  const { token, expiresIn } = accessToken(user, session.id, { acting, twoFactor });
+  return { token, refreshToken, expiresIn, sessionId: session.id };
+}
+
+// The organisation a session acts for, if the user is still a member
+async function actingFor(session) {
+  if (!session.actingAccountId) return null;
+  const member = await prisma.organisationMember.findFirst({
+    where: { userId: session.userId, organisation: { accountId: session.actingAccountId } },
+    include: { organisation: { include: { account: { select: { id: true, role: true } } } } }
+  });
+  return member && { organisationId: member.organisationId, account: member.organisation.account };
+}
+
+/**
+ * Signs the user in on this device. `user`: { id, role }; `twoFactor`: a
+ * second factor was checked too.
+ */
+function startSession(user, req, { twoFactor = false } = {}) {
+  return createSession(prisma, user, req, { twoFactor });
+}
+
+async function revokeAllSessions(userId, { except } = {}) {
+  const { count } = await prisma.session.updateMany({
+    where: { userId, revokedAt: null, ...(except && { id: { not: except } }) },
+    data: { revokedAt: new Date() }
+  });
+  return count;
+}
+
+const reused = () => httpError(401, 'Refresh token already used – sign in again', undefined, 'REFRESH_TOKEN_REUSED');
+
+/**
+ * New access + refresh token for a refresh token; the old one stops working.
+ */
+async function rotateSession(refreshToken, req) {
+  const now = new Date();
+  const session = await prisma.session.findUnique({
+    where: { token: hashToken(refreshToken) },
+    include: { user: { select: { id: true, role: true } } }
+  });
+  if (!session) throw httpError(401, 'Invalid refresh token');
+  if (session.revokedAt) {
+    await revokeAllSessions(session.userId);
+    throw reused();
+  }
+  if (session.expiresAt <= now) throw httpError(401, 'Refresh token expired');
+  const acting = await actingFor(session);
+
+  const rotated = await prisma.$transaction(async (tx) => {
+    // Only one of two concurrent refreshes with the same token wins
+    const { count } = await tx.session.updateMany({
+      where: { id: session.id, revokedAt: null },
+      data: { revokedAt: now }
+    });
+    if (!count) return null;
+    return createSession(tx, session.user, req, { now, acting, twoFactor: Boolean(session.twoFactorVerifiedAt) });
+  });
+  if (!rotated) {
+    await revokeAllSessions(session.userId);
+    throw reused();
+  }
+  return rotated;
+}
+
+// Changes a live session of the user; a new access token for it (the
+// refresh token stays the same)
+async function updateSession(user, sessionId, data) {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, userId: user.id, revokedAt: null },
+    data
+  });
+  if (!count) throw httpError(401, 'Session ended – sign in again');
+  const session = await prisma.session.findUnique({ where: { id: sessionId } });
+  return accessToken(user, sessionId, {
+    acting: await actingFor(session),
+    twoFactor: Boolean(session.twoFactorVerifiedAt)
+  });
+}
+
+/**
+ * Switches the session to acting for an organisation (`acting` as for
+ * accessToken) or back to the user (null).
+ */
+function actAs(user, sessionId, acting) {
+  return updateSession(user, sessionId, { actingAccountId: acting ? acting.account.id : null });
+}
+
+/**
+ * The session passed a second factor (2FA turned on with it).
+ */
+function markTwoFactor(user, sessionId) {
+  return updateSession(user, sessionId, { twoFactorVerifiedAt: new Date() });
+}
+
+/**
+ * Logout of one device. Unknown or already revoked tokens are ignored.
+ */
+async function revokeRefreshToken(refreshToken) {
+  const { count } = await prisma.session.updateMany({
+    where: { token: hashToken(refreshToken), revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  return count;
+}
+
+async function revokeSession(userId, sessionId) {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  return count;
+}
+
+/**
+ * Signed‑in devices of a user, most recent first. `current` marks the one
+ * the access token was issued for.
+ */
+async function listSessions(userId, currentId) {
+  const sessions = await prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true, ipAddress: true, userAgent: true, createdAt: true, expiresAt: true },
+    orderBy: { createdAt: 'desc' }
+  });
+  return sessions.map((session) => ({ ...session, current: session.id === currentId }));
+}
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  hashToken,
+  clientInfo,
+  startSession,
+  rotateSession,
+  actAs,
+  markTwoFactor,
+  revokeRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+};
@@ -0,0 +1,270 @@
+// lib/two-factor.js
+// Two‑factor authentication with an authenticator app – TOTP (RFC 6238:
+// HMAC‑SHA1, 6 digits, 30 second steps) – and single‑use backup codes.
+//
+//   POST /api/auth/2fa/setup    → secret + otpauth:// URI, not active yet
+//   POST /api/auth/2fa/enable   { code } → active, 10 backup codes shown once
+//   POST /api/auth/login        → { twoFactorRequired, challengeToken } instead of tokens
+//   POST /api/auth/2fa/verify   { challengeToken, code } → the tokens
+//
+// Required for ADMIN – twoFactorGate() in lib/middleware.js keeps an admin
+// session without it to /api/auth/… – and for payouts that take the last 24
+// hours above TWO_FACTOR_PAYOUT_THRESHOLD (AOA), which take a fresh code. Sessions that
+// passed a second factor carry `mfa: true` in their access tokens
+// (lib/sessions.js).
+//
+// The secret is stored encrypted (AES‑256‑GCM, key from TWO_FACTOR_KEY, else
+// JWT_SECRET); backup codes and login challenges only as SHA‑256. A code is
+// accepted one step either side of now, and only once.
+
+const crypto = require('crypto');
+const { httpError } = require('./http-error');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'AgriConnect Angola';
+const PAYOUT_THRESHOLD = Number(process.env.TWO_FACTOR_PAYOUT_THRESHOLD || 100000);
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const WINDOW = 1; // steps either side of now (clock drift)
+const BACKUP_CODES = 10;
+const CHALLENGE_MINUTES = 5;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+// Backup codes are typed by hand: case, spaces and dashes do not matter
+const backupHash = (userId, code) => hash(`${userId}:${String(code).replace(/[\s-]/g, '').toLowerCase()}`);
+
+const invalidCode = () => httpError(400, 'The code is invalid or has expired', undefined, 'INVALID_CODE');
+const twoFactorRequired = (message) => httpError(403, message, undefined, 'TWO_FACTOR_REQUIRED');
+
+// ---------- TOTP ----------
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let out = '';
+  for (let i = 0; i < bits.length; i += 5) out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  return out;
+}
+
+function totp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const mac = crypto.createHmac('sha1', secret).update(counter).digest();
+  const offset = mac[mac.length - 1] & 0xf;
+  const value = (mac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(value).padStart(DIGITS, '0');
+}
+
+const stepAt = (date) => Math.floor(date.getTime() / 1000 / STEP_SECONDS);
+
+// The step `code` belongs to, or null
+function matchingStep(secret, code, now = new Date()) {
+  const current = stepAt(now);
+  for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(totp(secret, step)), Buffer.from(code))) return step;
+  }
+  return null;
+}
+
+// ---------- Secret at rest ----------
+
+const encryptionKey = () => {
+  const source = process.env.TWO_FACTOR_KEY || process.env.JWT_SECRET;
+  if (!source) throw new Error('TWO_FACTOR_KEY (or JWT_SECRET) is not set');
+  return crypto.createHash('sha256').update(`two-factor:${source}`).digest();
+};
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), data].map((part) => (Buffer.isBuffer(part) ? part.toString('base64url') : part)).join(':');
+}
+
+function decryptSecret(stored) {
+  const [, iv, tag, data] = String(stored).split(':').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+// ---------- Enrolment ----------
+
+const isEnabled = (user) => Boolean(user?.twoFactorEnabledAt);
+
+function otpauthUri(user, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${user.email || user.username}`);
+  const params = new URLSearchParams({ secret, issuer: ISSUER, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * A new secret for the user's authenticator app. Replaces a setup that was
+ * not confirmed; 409 when 2FA is already on.
+ */
+async function setupTwoFactor(db, user) {
+  if (isEnabled(user)) throw httpError(409, 'Two‑factor authentication is already on – turn it off first');
+  const secret = crypto.randomBytes(20);
+  await db.user.update({
+    where: { id: user.id },
+    data: { twoFactorSecret: encryptSecret(secret), twoFactorLastStep: null, twoFactorBackupCodes: [] }
+  });
+  const encoded = base32Encode(secret);
+  return { secret: encoded, otpauthUri: otpauthUri(user, encoded) };
+}
+
+async function newBackupCodes(db, userId) {
+  const codes = Array.from({ length: BACKUP_CODES }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  await db.user.update({ where: { id: userId }, data: { twoFactorBackupCodes: codes.map((c) => backupHash(userId, c)) } });
+  return codes;
+}
+
+/**
+ * Turns 2FA on with the first code from the app. Returns the backup codes –
+ * the only time they are shown.
+ */
+async function enableTwoFactor(db, user, code) {
+  if (isEnabled(user)) throw httpError(409, 'Two‑factor authentication is already on');
+  if (!user.twoFactorSecret) throw httpError(400, 'Start with POST /api/auth/2fa/setup');
+  const step = /^\d{6}$/.test(code) ? matchingStep(decryptSecret(user.twoFactorSecret), code) : null;
+  if (step === null) throw invalidCode();
+  await db.user.update({ where: { id: user.id }, data: { twoFactorEnabledAt: new Date(), twoFactorLastStep: step } });
+  return newBackupCodes(db, user.id);
+}
+
+// ---------- Checking a code ----------
+
+/**
+ * Checks a code from the app (6 digits) or a backup code and uses it up:
+ * 'totp' or 'backup', 400 INVALID_CODE otherwise.
+ */
+async function checkSecondFactor(db, user, code) {
+  if (!isEnabled(user)) throw httpError(400, 'Two‑factor authentication is not on');
+  code = String(code || '').trim();
+
+  if (/^\d{6}$/.test(code)) {
+    const step = matchingStep(decryptSecret(user.twoFactorSecret), code);
+    if (step === null) throw invalidCode();
+    // Only a later step than the last one used – a code cannot be replayed
+    const { count } = await db.user.updateMany({
+      where: { id: user.id, OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }] },
+      data: { twoFactorLastStep: step }
+    });
+    if (!count) throw invalidCode();
+    return 'totp';
+  }
+
+  const codeHash = backupHash(user.id, code);
+  if (!user.twoFactorBackupCodes.includes(codeHash)) throw invalidCode();
+  // Only if the list is still the one read – a code cannot be used twice
+  const { count } = await db.user.updateMany({
+    where: { id: user.id, twoFactorBackupCodes: { equals: user.twoFactorBackupCodes } },
+    data: { twoFactorBackupCodes: user.twoFactorBackupCodes.filter((h) => h !== codeHash) }
+  });
+  if (!count) throw invalidCode();
+  return 'backup';
+}
+
+async function disableTwoFactor(db, user, code) {
+  if (user.role === 'ADMIN') throw httpError(403, 'Administrators cannot turn two‑factor authentication off');
+  await checkSecondFactor(db, user, code);
+  await db.user.update({
+    where: { id: user.id },
+    data: { twoFactorSecret: null, twoFactorEnabledAt: null, twoFactorLastStep: null, twoFactorBackupCodes: [] }
+  });
+}
+
+async function regenerateBackupCodes(db, user, code) {
+  await checkSecondFactor(db, user, code);
+  return newBackupCodes(db, user.id);
+}
+
+/**
+ * Step‑up for a sensitive action (e.g. a large payout): 403
+ * TWO_FACTOR_REQUIRED without 2FA or without a code, 400 for a wrong one.
+ */
+async function requireFreshCode(db, user, code, what) {
+  if (!isEnabled(user)) throw twoFactorRequired(`Turn on two‑factor authentication to ${what}`);
+  if (!code) throw twoFactorRequired(`Enter the code from your authenticator app to ${what}`);
+  return checkSecondFactor(db, user, code);
+}
+
+// ---------- Second login step ----------
+
+/**
+ * After the password: a challenge token for POST /api/auth/2fa/verify.
+ */
+async function createChallenge(db, user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.oneTimeToken.deleteMany({ where: { userId: user.id, purpose: 'TWO_FACTOR_LOGIN', usedAt: null } });
+  await db.oneTimeToken.create({
+    data: {
+      userId: user.id,
+      purpose: 'TWO_FACTOR_LOGIN',
+      target: 'totp',
+      tokenHash: hash(token),
+      expiresAt: new Date(Date.now() + CHALLENGE_MINUTES * 60 * 1000)
+    }
+  });
+  return { challengeToken: token, expiresIn: CHALLENGE_MINUTES * 60 };
+}
+
+const challengeExpired = () => httpError(401, 'Sign in again – the login step has expired', undefined, 'CHALLENGE_EXPIRED');
+
+/**
+ * The open challenge of a challenge token; 401 CHALLENGE_EXPIRED when it is
+ * used, expired or had MAX_CHALLENGE_ATTEMPTS wrong codes – the password is
+ * needed again.
+ */
+async function findChallenge(db, challengeToken) {
+  const challenge = await db.oneTimeToken.findFirst({
+    where: { purpose: 'TWO_FACTOR_LOGIN', tokenHash: hash(String(challengeToken)), usedAt: null }
+  });
+  if (!challenge || challenge.expiresAt <= new Date() || challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) throw challengeExpired();
+  return challenge;
+}
+
+/**
+ * The user of the challenge once `code` checks out. Wrong codes count
+ * against the challenge.
+ */
+async function completeChallenge(db, challenge, code) {
+  const user = await db.user.findUnique({ where: { id: challenge.userId } });
+  try {
+    await checkSecondFactor(db, user, code);
+  } catch (err) {
+    if (err.code === 'INVALID_CODE') {
+      await db.oneTimeToken.update({ where: { id: challenge.id }, data: { attempts: { increment: 1 } } });
+    }
+    throw err;
+  }
+  const { count } = await db.oneTimeToken.updateMany({
+    where: { id: challenge.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  if (!count) throw challengeExpired();
+  return user;
+}
+
+module.exports = {
+  PAYOUT_THRESHOLD,
+  BACKUP_CODES,
+  base32Encode,
+  totp,
+  isEnabled,
+  twoFactorRequired,
+  setupTwoFactor,
+  enableTwoFactor,
+  checkSecondFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  requireFreshCode,
+  createChallenge,
+  findChallenge,
+  completeChallenge
+};
@@ -0,0 +1,86 @@
+// lib/wallet.js
+// Wallet helpers – transactional credit/debit of WalletBalance, each with an
+// AuditLog entry and a balanced ledger posting (see lib/ledger.js).
+//
+// meta: {
+//   paymentTransactionId?  – ties the ledger entries to a PaymentTransaction
+//   contra?                – the other side of the posting: ESCROW, REVENUE or
+//                            EXTERNAL (default – money entering/leaving the platform)
+//   description?           – ledger description
+//   ...                    – anything else is kept in the audit log details
+// }
+// Every helper expects a Prisma transaction client (`tx`).
+
+const { Prisma } = require('@prisma/client');
+const { httpError } = require('./http-error');
+const { postEntries } = require('./ledger');
+
+async function ensureWallet(tx, userId) {
+  const existing = await tx.walletBalance.findUnique({ where: { userId } });
+  if (!existing) {
+    return tx.walletBalance.create({ data: { userId, balance: new Prisma.Decimal(0) } });
+  }
+  return existing;
+}
+
+function assertAmount(amount) {
+  if (!(Number(amount) > 0)) throw httpError(400, 'Amount must be a positive number');
+}
+
+async function creditWallet(tx, userId, amount, meta = {}) {
+  assertAmount(amount);
+  await ensureWallet(tx, userId);
+  const updated = await tx.walletBalance.update({
+    where: { userId },
+    data: { balance: { increment: new Prisma.Decimal(amount) } },
+  });
+  await postEntries(tx, {
+    transactionId: meta.paymentTransactionId || null,
+    description: meta.description || 'Wallet credit',
+    entries: [
+      { accountType: meta.contra || 'EXTERNAL', entryType: 'DEBIT', amount },
+      { accountType: 'WALLET', userId, entryType: 'CREDIT', amount },
+    ],
+  });
+  await tx.auditLog.create({
+    data: { userId, action: 'WALLET_CREDIT', entityType: 'WALLET', entityId: userId, details: { amount, meta } },
+  });
+  return updated;
+}
+
+async function debitWallet(tx, userId, amount, meta = {}) {
+  assertAmount(amount);
+  await ensureWallet(tx, userId);
+  // Conditional decrement – two concurrent debits cannot overdraw the wallet
+  const { count } = await tx.walletBalance.updateMany({
+    where: { userId, balance: { gte: new Prisma.Decimal(amount) } },
+    data: { balance: { decrement: new Prisma.Decimal(amount) } },
+  });
+  if (count === 0) throw httpError(409, 'Insufficient wallet balance');
+
+  await postEntries(tx, {
+    transactionId: meta.paymentTransactionId || null,
+    description: meta.description || 'Wallet debit',
+    entries: [
+      { accountType: 'WALLET', userId, entryType: 'DEBIT', amount },
+      { accountType: meta.contra || 'EXTERNAL', entryType: 'CREDIT', amount },
+    ],
+  });
+  await tx.auditLog.create({
+    data: { userId, action: 'WALLET_DEBIT', entityType: 'WALLET', entityId: userId, details: { amount, meta } },
+  });
+  return tx.walletBalance.findUnique({ where: { userId } });
+}
+
+/**
+ * Platform fee taken from a user's wallet into REVENUE.
+ */
+function chargeFee(tx, userId, amount, meta = {}) {
+  return debitWallet(tx, userId, amount, {
+    description: 'Platform fee',
+    ...meta,
+    contra: 'REVENUE',
+  });
+}
+
+module.exports = { ensureWallet, creditWallet, debitWallet, chargeFee };
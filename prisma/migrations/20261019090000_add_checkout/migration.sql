@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "checkoutId" TEXT;
+
+-- CreateTable
+CREATE TABLE "Checkout" (
+    "id" TEXT NOT NULL,
+    "buyerId" TEXT NOT NULL,
+    "totalAmount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'AOA',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Checkout_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Checkout_buyerId_idx" ON "Checkout"("buyerId");
+
+-- CreateIndex
+CREATE INDEX "Checkout_createdAt_idx" ON "Checkout"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "Order_checkoutId_idx" ON "Order"("checkoutId");
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_checkoutId_fkey" FOREIGN KEY ("checkoutId") REFERENCES "Checkout"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Checkout" ADD CONSTRAINT "Checkout_buyerId_fkey" FOREIGN KEY ("buyerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
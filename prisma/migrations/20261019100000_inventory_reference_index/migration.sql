@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "InventoryMovement_referenceId_idx" ON "InventoryMovement"("referenceId");
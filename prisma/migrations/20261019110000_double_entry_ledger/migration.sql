@@ -0,0 +1,64 @@
+/*
+  Warnings:
+
+  - Added the required column `postingId` to the `TransactionLedger` table without a default value. This is not possible if the table is not empty.
+
+*/
+-- AlterEnum
+ALTER TYPE "PaymentStatus" ADD VALUE 'FUNDED';
+ALTER TYPE "PaymentStatus" ADD VALUE 'SELLER_CONFIRMED';
+ALTER TYPE "PaymentStatus" ADD VALUE 'BUYER_CONFIRMED';
+ALTER TYPE "PaymentStatus" ADD VALUE 'RELEASED';
+ALTER TYPE "PaymentStatus" ADD VALUE 'DISPUTED';
+ALTER TYPE "PaymentStatus" ADD VALUE 'CANCELLED';
+
+-- DropForeignKey
+ALTER TABLE "public"."TransactionLedger" DROP CONSTRAINT "TransactionLedger_transactionId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "public"."TransactionLedger" DROP CONSTRAINT "TransactionLedger_userId_fkey";
+
+-- AlterTable
+ALTER TABLE "PaymentTransaction" ADD COLUMN     "refundedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "TransactionLedger" ADD COLUMN     "postingId" TEXT NOT NULL,
+ADD COLUMN     "sequence" SERIAL NOT NULL,
+ALTER COLUMN "transactionId" DROP NOT NULL,
+ALTER COLUMN "userId" DROP NOT NULL;
+
+-- CreateTable
+CREATE TABLE "PaymentTransactionEvent" (
+    "id" TEXT NOT NULL,
+    "transactionId" TEXT NOT NULL,
+    "actorId" TEXT,
+    "action" TEXT NOT NULL,
+    "metadata" JSONB,
+    "timestamp" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PaymentTransactionEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PaymentTransactionEvent_transactionId_timestamp_idx" ON "PaymentTransactionEvent"("transactionId", "timestamp");
+
+-- CreateIndex
+CREATE INDEX "PaymentTransactionEvent_actorId_idx" ON "PaymentTransactionEvent"("actorId");
+
+-- CreateIndex
+CREATE INDEX "TransactionLedger_postingId_idx" ON "TransactionLedger"("postingId");
+
+-- CreateIndex
+CREATE INDEX "TransactionLedger_accountType_userId_sequence_idx" ON "TransactionLedger"("accountType", "userId", "sequence");
+
+-- AddForeignKey
+ALTER TABLE "TransactionLedger" ADD CONSTRAINT "TransactionLedger_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "PaymentTransaction"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TransactionLedger" ADD CONSTRAINT "TransactionLedger_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentTransactionEvent" ADD CONSTRAINT "PaymentTransactionEvent_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "PaymentTransaction"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentTransactionEvent" ADD CONSTRAINT "PaymentTransactionEvent_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+/*
+  Warnings:
+
+  - Added the required column `amount` to the `EscrowTransaction` table without a default value. This is not possible if the table is not empty.
+
+*/
+-- DropIndex
+DROP INDEX "public"."EscrowTransaction_paymentTransactionId_key";
+
+-- AlterTable
+ALTER TABLE "EscrowTransaction" ADD COLUMN     "amount" DECIMAL(18,2) NOT NULL,
+ADD COLUMN     "position" INTEGER NOT NULL DEFAULT 0;
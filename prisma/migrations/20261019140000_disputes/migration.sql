@@ -0,0 +1,77 @@
+-- CreateEnum
+CREATE TYPE "DisputeReason" AS ENUM ('NOT_RECEIVED', 'NOT_AS_DESCRIBED', 'DAMAGED', 'WRONG_QUANTITY', 'LATE_DELIVERY', 'PAYMENT_NOT_RECEIVED', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "DisputeStatus" AS ENUM ('AWAITING_RESPONSE', 'UNDER_REVIEW', 'RESOLVED');
+
+-- CreateEnum
+CREATE TYPE "DisputeRuling" AS ENUM ('REFUND', 'RELEASE', 'SPLIT');
+
+-- CreateTable
+CREATE TABLE "Dispute" (
+    "id" TEXT NOT NULL,
+    "transactionId" TEXT NOT NULL,
+    "openedById" TEXT NOT NULL,
+    "respondentId" TEXT NOT NULL,
+    "reason" "DisputeReason" NOT NULL,
+    "description" TEXT NOT NULL,
+    "status" "DisputeStatus" NOT NULL DEFAULT 'AWAITING_RESPONSE',
+    "responseDueAt" TIMESTAMP(3) NOT NULL,
+    "response" TEXT,
+    "respondedAt" TIMESTAMP(3),
+    "ruling" "DisputeRuling",
+    "buyerAmount" DECIMAL(18,2),
+    "sellerAmount" DECIMAL(18,2),
+    "rulingNotes" TEXT,
+    "resolvedById" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Dispute_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DisputeEvidence" (
+    "id" TEXT NOT NULL,
+    "disputeId" TEXT NOT NULL,
+    "documentId" TEXT NOT NULL,
+    "submittedById" TEXT NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DisputeEvidence_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Dispute_transactionId_idx" ON "Dispute"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "Dispute_status_responseDueAt_idx" ON "Dispute"("status", "responseDueAt");
+
+-- CreateIndex
+CREATE INDEX "DisputeEvidence_submittedById_idx" ON "DisputeEvidence"("submittedById");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DisputeEvidence_disputeId_documentId_key" ON "DisputeEvidence"("disputeId", "documentId");
+
+-- AddForeignKey
+ALTER TABLE "Dispute" ADD CONSTRAINT "Dispute_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "PaymentTransaction"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Dispute" ADD CONSTRAINT "Dispute_openedById_fkey" FOREIGN KEY ("openedById") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Dispute" ADD CONSTRAINT "Dispute_respondentId_fkey" FOREIGN KEY ("respondentId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Dispute" ADD CONSTRAINT "Dispute_resolvedById_fkey" FOREIGN KEY ("resolvedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DisputeEvidence" ADD CONSTRAINT "DisputeEvidence_disputeId_fkey" FOREIGN KEY ("disputeId") REFERENCES "Dispute"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DisputeEvidence" ADD CONSTRAINT "DisputeEvidence_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "Document"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DisputeEvidence" ADD CONSTRAINT "DisputeEvidence_submittedById_fkey" FOREIGN KEY ("submittedById") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "PaymentReference" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'AOA',
+ADD COLUMN     "entity" TEXT,
+ADD COLUMN     "expiresAt" TIMESTAMP(3),
+ADD COLUMN     "failureReason" TEXT,
+ADD COLUMN     "providerId" TEXT,
+ADD COLUMN     "transactionId" TEXT,
+ALTER COLUMN "amount" SET DATA TYPE DECIMAL(18,2);
+
+-- CreateIndex
+CREATE INDEX "PaymentReference_transactionId_idx" ON "PaymentReference"("transactionId");
+
+-- AddForeignKey
+ALTER TABLE "PaymentReference" ADD CONSTRAINT "PaymentReference_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "PaymentTransaction"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentReference" ADD CONSTRAINT "PaymentReference_providerId_fkey" FOREIGN KEY ("providerId") REFERENCES "PaymentProvider"("id") ON DELETE SET NULL ON UPDATE CASCADE;
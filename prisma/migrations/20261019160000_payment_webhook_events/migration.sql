@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "PaymentWebhookEvent" (
+    "id" TEXT NOT NULL,
+    "providerId" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processedAt" TIMESTAMP(3),
+
+    CONSTRAINT "PaymentWebhookEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PaymentWebhookEvent_receivedAt_idx" ON "PaymentWebhookEvent"("receivedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaymentWebhookEvent_providerId_eventId_key" ON "PaymentWebhookEvent"("providerId", "eventId");
+
+-- AddForeignKey
+ALTER TABLE "PaymentWebhookEvent" ADD CONSTRAINT "PaymentWebhookEvent_providerId_fkey" FOREIGN KEY ("providerId") REFERENCES "PaymentProvider"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,48 @@
+-- CreateEnum
+CREATE TYPE "FeeService" AS ENUM ('SALE', 'TRANSPORT', 'STORAGE');
+
+-- CreateTable
+CREATE TABLE "FeeRule" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "service" "FeeService" NOT NULL DEFAULT 'SALE',
+    "sellerRole" "UserRole",
+    "category" TEXT,
+    "verifiedOnly" BOOLEAN NOT NULL DEFAULT false,
+    "percentage" DECIMAL(5,2) NOT NULL DEFAULT 0,
+    "fixedAmount" DECIMAL(18,2) NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FeeRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PaymentFeeLine" (
+    "id" TEXT NOT NULL,
+    "transactionId" TEXT NOT NULL,
+    "escrowId" TEXT,
+    "ruleId" TEXT,
+    "service" "FeeService" NOT NULL,
+    "description" TEXT NOT NULL,
+    "baseAmount" DECIMAL(18,2) NOT NULL,
+    "percentage" DECIMAL(5,2) NOT NULL,
+    "fixedAmount" DECIMAL(18,2) NOT NULL,
+    "amount" DECIMAL(18,2) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PaymentFeeLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FeeRule_service_isActive_idx" ON "FeeRule"("service", "isActive");
+
+-- CreateIndex
+CREATE INDEX "PaymentFeeLine_transactionId_idx" ON "PaymentFeeLine"("transactionId");
+
+-- AddForeignKey
+ALTER TABLE "PaymentFeeLine" ADD CONSTRAINT "PaymentFeeLine_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "PaymentTransaction"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentFeeLine" ADD CONSTRAINT "PaymentFeeLine_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "FeeRule"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,53 @@
+-- CreateEnum
+CREATE TYPE "InvoiceType" AS ENUM ('INVOICE', 'CREDIT_NOTE');
+
+-- CreateTable
+CREATE TABLE "Invoice" (
+    "id" TEXT NOT NULL,
+    "type" "InvoiceType" NOT NULL DEFAULT 'INVOICE',
+    "series" TEXT NOT NULL,
+    "number" INTEGER NOT NULL,
+    "invoiceNumber" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderNumber" TEXT NOT NULL,
+    "originalInvoiceId" TEXT,
+    "sellerName" TEXT NOT NULL,
+    "sellerTaxId" TEXT,
+    "sellerAddress" TEXT,
+    "buyerName" TEXT NOT NULL,
+    "buyerTaxId" TEXT,
+    "buyerAddress" TEXT,
+    "currency" TEXT NOT NULL DEFAULT 'AOA',
+    "lines" JSONB NOT NULL,
+    "netTotal" DECIMAL(18,2) NOT NULL,
+    "taxTotal" DECIMAL(18,2) NOT NULL,
+    "grossTotal" DECIMAL(18,2) NOT NULL,
+    "reason" TEXT,
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Invoice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DocumentSequence" (
+    "series" TEXT NOT NULL,
+    "lastNumber" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DocumentSequence_pkey" PRIMARY KEY ("series")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_invoiceNumber_key" ON "Invoice"("invoiceNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_series_number_key" ON "Invoice"("series", "number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_orderId_type_key" ON "Invoice"("orderId", "type");
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_originalInvoiceId_fkey" FOREIGN KEY ("originalInvoiceId") REFERENCES "Invoice"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
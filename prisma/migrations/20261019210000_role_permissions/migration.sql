@@ -0,0 +1,19 @@
+-- AlterEnum
+ALTER TYPE "UserRole" ADD VALUE 'COOPERATIVE_MANAGER';
+
+-- Default permission matrix (lib/permissions.js) – what the handlers used to
+-- hard-code. ADMIN needs no rows. Cooperative managers start with none.
+
+-- Producers list products and edit their own listings
+INSERT INTO "RolePermission" ("id", "role", "resource", "action", "condition")
+VALUES
+    (gen_random_uuid()::text, 'PRODUCER', 'products', 'CREATE', NULL),
+    (gen_random_uuid()::text, 'PRODUCER', 'products', 'UPDATE', '{"own": true}')
+ON CONFLICT ("role", "resource", "action") DO NOTHING;
+
+-- Everybody reads the records they are a party to
+INSERT INTO "RolePermission" ("id", "role", "resource", "action", "condition")
+SELECT gen_random_uuid()::text, r.role::"UserRole", res.resource, 'READ', '{"own": true}'
+FROM (VALUES ('PRODUCER'), ('CONSUMER'), ('STORAGE_OWNER'), ('TRANSPORTER'), ('TRANSFORMER')) AS r(role)
+CROSS JOIN (VALUES ('orders'), ('checkouts'), ('invoices'), ('procurements'), ('transactions'), ('disputes'), ('payouts')) AS res(resource)
+ON CONFLICT ("role", "resource", "action") DO NOTHING;
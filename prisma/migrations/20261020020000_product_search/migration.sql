@@ -0,0 +1,67 @@
+-- Full‑text search over product listings (lib/product-search.js)
+
+-- Portuguese stemming that ignores accents: "feijao" finds "feijão"
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+CREATE TEXT SEARCH CONFIGURATION pt_unaccent ( COPY = portuguese );
+ALTER TEXT SEARCH CONFIGURATION pt_unaccent
+    ALTER MAPPING FOR hword, hword_part, word WITH unaccent, portuguese_stem;
+
+-- AlterTable
+ALTER TABLE "ProductListing" ADD COLUMN     "searchVector" tsvector;
+
+-- Title weighs most, then category, subcategory and tags, then description.
+-- Recomputed when those change; setting "searchVector" to NULL forces it.
+CREATE FUNCTION product_listing_search_vector() RETURNS trigger AS $$
+BEGIN
+    NEW."searchVector" :=
+        setweight(to_tsvector('pt_unaccent', coalesce(NEW."title", '')), 'A') ||
+        setweight(to_tsvector('pt_unaccent', concat_ws(' ', NEW."category", NEW."subcategory", (
+            SELECT string_agg(t."name", ' ')
+            FROM "ProductTag" pt JOIN "Tag" t ON t."id" = pt."tagId"
+            WHERE pt."productListingId" = NEW."id"
+        ))), 'B') ||
+        setweight(to_tsvector('pt_unaccent', coalesce(NEW."description", '')), 'C');
+    RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "ProductListing_searchVector"
+    BEFORE INSERT OR UPDATE OF "title", "description", "category", "subcategory", "searchVector" ON "ProductListing"
+    FOR EACH ROW EXECUTE FUNCTION product_listing_search_vector();
+
+-- Tags added to or removed from a listing
+CREATE FUNCTION product_tag_search_vector() RETURNS trigger AS $$
+BEGIN
+    IF TG_OP <> 'DELETE' THEN
+        UPDATE "ProductListing" SET "searchVector" = NULL WHERE "id" = NEW."productListingId";
+    END IF;
+    IF TG_OP <> 'INSERT' THEN
+        UPDATE "ProductListing" SET "searchVector" = NULL WHERE "id" = OLD."productListingId";
+    END IF;
+    RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "ProductTag_searchVector"
+    AFTER INSERT OR UPDATE OR DELETE ON "ProductTag"
+    FOR EACH ROW EXECUTE FUNCTION product_tag_search_vector();
+
+-- A renamed tag
+CREATE FUNCTION tag_search_vector() RETURNS trigger AS $$
+BEGIN
+    UPDATE "ProductListing" SET "searchVector" = NULL
+    WHERE "id" IN (SELECT "productListingId" FROM "ProductTag" WHERE "tagId" = NEW."id");
+    RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Tag_searchVector"
+    AFTER UPDATE OF "name" ON "Tag"
+    FOR EACH ROW EXECUTE FUNCTION tag_search_vector();
+
+-- Existing listings
+UPDATE "ProductListing" SET "searchVector" = NULL;
+
+-- CreateIndex
+CREATE INDEX "ProductListing_searchVector_idx" ON "ProductListing" USING GIN ("searchVector");
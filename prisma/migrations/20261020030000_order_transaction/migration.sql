@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "Order_transactionId_idx" ON "Order"("transactionId");
@@ -0,0 +1,49 @@
+// -----------------------------------------------------------------------------
+// scripts/reconcile-ledger.js
+// -----------------------------------------------------------------------------
+// Proves that every WalletBalance matches its ledger account, that every
+// posting balances, that ESCROW holds exactly the funded transactions and
+// PAYOUT exactly the open payout requests.
+//
+//   npm run ledger:reconcile            → prints a summary, exit 1 on mismatch
+//   npm run ledger:reconcile -- --json  → prints the full report as JSON
+// -----------------------------------------------------------------------------
+
+require('dotenv').config();
+const prisma = require('../lib/prisma');
+const { reconcile } = require('../lib/ledger');
+
+async function main() {
+  const report = await reconcile(prisma);
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`Ledger reconciliation – ${report.checkedAt}`);
+    console.log(`  postings checked : ${report.postings.postings} (${report.postings.unbalanced.length} unbalanced)`);
+    console.log(`  wallets checked  : ${report.wallets.wallets} (${report.wallets.mismatches.length} mismatched)`);
+    console.log(`  escrow balance   : ${report.escrow.escrowBalance} (expected ${report.escrow.expectedBalance})`);
+    console.log(`  payouts pending  : ${report.payouts.payoutBalance} (expected ${report.payouts.expectedBalance}, ${report.payouts.openRequests} open)`);
+    for (const m of report.wallets.mismatches) {
+      console.log(`  ✗ wallet ${m.userId}: wallet ${m.walletBalance}, ledger ${m.ledgerBalance}, running ${m.runningBalance}`);
+    }
+    for (const m of report.escrow.mismatches) {
+      console.log(`  ✗ escrow ${m.transactionId}: ledger ${m.ledger}, expected ${m.expected}`);
+    }
+    for (const p of report.postings.unbalanced) {
+      console.log(`  ✗ posting ${p.postingId}: debits ${p.debits}, credits ${p.credits}`);
+    }
+    console.log(report.ok ? 'OK' : 'MISMATCH');
+  }
+
+  process.exitCode = report.ok ? 0 : 1;
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,42 @@
+// -----------------------------------------------------------------------------
+// scripts/release-expired-escrow.js
+// -----------------------------------------------------------------------------
+// Releases escrow the seller confirmed more than N days ago when the buyer never
+// confirmed nor disputed. Same code path as GET /api/cron/escrow-release.
+//
+//   npm run escrow:auto-release                  → uses ESCROW_AUTO_RELEASE_DAYS (7)
+//   npm run escrow:auto-release -- --days=10
+//   npm run escrow:auto-release -- --dry-run     → only list what would be released
+// -----------------------------------------------------------------------------
+
+require('dotenv').config();
+const prisma = require('../lib/prisma');
+const { autoReleaseExpired, DEFAULT_AUTO_RELEASE_DAYS } = require('../lib/escrow');
+
+function argValue(name) {
+  const arg = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.split('=')[1] : undefined;
+}
+
+async function main() {
+  const days = Number(argValue('days')) || DEFAULT_AUTO_RELEASE_DAYS;
+  const dryRun = process.argv.includes('--dry-run');
+
+  const report = await autoReleaseExpired(prisma, { days, dryRun, limit: 500 });
+
+  console.log(`Escrow auto‑release (${days} days${dryRun ? ', dry run' : ''})`);
+  console.log(`  candidates : ${report.checked}`);
+  for (const r of report.released) console.log(`  ✓ ${r.id} – ${r.amount} AOA`);
+  for (const f of report.failed) console.log(`  ✗ ${f.id} – ${f.error}`);
+
+  process.exitCode = report.failed.length ? 1 : 0;
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -5,15 +5,30 @@
 //
 //   GET  /api/admin/users          → list pending users
 //   PATCH /api/admin/users/:id    → { action: "APPROVE"|"REJECT" }
+//                                   or { action: "SET_ROLE", role }
+//                                   or { action: "UNLOCK" } – after failed sign‑ins
 //   GET  /api/admin/documents     → list pending documents
 //   PATCH /api/admin/documents/:id → { action: "APPROVE"|"REJECT" }
 //   GET  /api/admin/payments      → list recent payment transactions
+//   GET  /api/admin/ledger/reconcile → wallet / escrow vs ledger report
+//   GET  /api/admin/fees          → list fee rules
+//   POST /api/admin/fees          → create a fee rule
+//   PATCH /api/admin/fees/:id     → update / (de)activate a fee rule
+// ---------------------------------------------------------------
+// Each section acts on everybody's records, so it needs MANAGE on its
+// resource (lib/permissions.js) – ADMIN always has it, other roles when the
+// RolePermission matrix grants it. The matrix itself: src/admin/permissions/.
 // ---------------------------------------------------------------
 // All responses are JSON { data: [...] } (or { error: … }).
 // --------------------------------------------------------------
 
 const prisma = require('../lib/prisma');          // adjust if lib folder lives elsewhere
-const { verifyToken } = require('../lib/jwt');
+const { reconcile } = require('../lib/ledger');
+const { feeRuleData } = require('../lib/fees');
+const { can } = require('../lib/permissions');
+const { unlockAccount } = require('../lib/login-throttle');
+const { clientInfo } = require('../lib/sessions');
+const { validationError } = require('../lib/schema');
 require('dotenv').config();                       // loads DB URL, JWT secret, etc.
 
 // ---------- Tiny JSON helper ----------
@@ -23,37 +38,24 @@ function json(res, payload, status = 200) {
   res.end(JSON.stringify(payload));
 }
 
+const SECTION_RESOURCES = {
+  users: 'users',
+  documents: 'documents',
+  payments: 'transactions',
+  ledger: 'ledger',
+  fees: 'fees'
+};
+
 // -----------------------------------------------------------------
 // Main exported handler – Vercel calls it with (req, res)
 // -----------------------------------------------------------------
 module.exports = async (req, res) => {
-  // ---------- CORS (the outer catch‑all already adds this, but keep safe) ----------
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PATCH,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  if (req.method === 'OPTIONS') return res.end();
-
   // -----------------------------------------------------------------
-  // 1️⃣ Authenticate – all admin endpoints require a valid JWT + ADMIN role
+  // 1️⃣ Who is asking – signed in (requireAuth() in src/routes.js); each
+  //    section checks MANAGE below
   // -----------------------------------------------------------------
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return json(res, { error: 'Missing token' }, 401);
-
-  let payload;
-  try {
-    payload = verifyToken(token);
-  } catch (e) {
-    return json(res, { error: 'Invalid token' }, 401);
-  }
-
-  // Only users with role ADMIN can use these routes
-  if (payload.role !== 'ADMIN') {
-    return json(res, { error: 'Insufficient permissions' }, 403);
-  }
-
-  const adminId = payload.userId; // not used here, but kept for possible audit logs
+  const payload = req.user;
+  const adminId = payload.userId; // recorded in audit logs
 
   // -----------------------------------------------------------------
   // 2️⃣ Helper: extract the ":id" param from a URL like /api/admin/users/:id
@@ -62,6 +64,18 @@ module.exports = async (req, res) => {
   // urlParts example for PATCH /api/admin/users/12345 → ["api","admin","users","12345"]
   const idParam = urlParts[3]; // index 3 = the ":id" segment (if present)
 
+  // Section → resource that must be MANAGEd (payments are transactions)
+  const resource = SECTION_RESOURCES[String(urlParts[2]).split('?')[0]];
+  if (!resource) return json(res, { error: 'Not found' }, 404);
+  try {
+    if (!(await can(payload, 'MANAGE', resource))) {
+      return json(res, { error: 'Insufficient permissions' }, 403);
+    }
+  } catch (e) {
+    console.error('[admin permissions]', e);
+    return json(res, { error: 'Server error' }, 500);
+  }
+
   // -----------------------------------------------------------------
   // 3️⃣ USERS – pending verification
   // -----------------------------------------------------------------
@@ -78,39 +92,49 @@ module.exports = async (req, res) => {
     }
   }
 
-  // PATCH /api/admin/users/:id → approve or reject
+  // PATCH /api/admin/users/:id → approve, reject, change the role or unlock
   if (req.method === 'PATCH' && /^\/api\/admin\/users\/[^/]+$/.test(req.url)) {
-    // ---- Parse JSON body (expects { action: "APPROVE" | "REJECT" }) ------------
-    let body;
-    try {
-      body = await new Promise((resolve, reject) => {
-        let raw = '';
-        req.on('data', chunk => (raw += chunk));
-        req.on('end', () => {
-          try {
-            resolve(JSON.parse(raw));
-          } catch (err) {
-            reject(err);
-          }
+    // ---- { action: "APPROVE" | "REJECT" | "SET_ROLE" | "UNLOCK", role? } – schemas.adminUserAction ------------
+    const { action, role } = req.body;
+
+    // Clears the lock and failed sign‑ins of lib/login-throttle.js
+    if (action === 'UNLOCK') {
+      try {
+        const user = await prisma.user.findUnique({ where: { id: idParam }, select: { id: true, email: true, role: true } });
+        if (!user) return json(res, { error: 'User not found' }, 404);
+        const wasLocked = await unlockAccount(user.id);
+        await prisma.auditLog.create({
+          data: { userId: adminId, action: 'ACCOUNT_UNLOCKED', entityType: 'USER', entityId: user.id, details: { wasLocked }, ...clientInfo(req) }
         });
-        req.on('error', reject);
-      });
-    } catch {
-      return json(res, { error: 'Invalid JSON body' }, 400);
+        return json(res, { data: { ...user, wasLocked } });
+      } catch (e) {
+        console.error('[admin users UNLOCK]', e);
+        return json(res, { error: 'Server error' }, 500);
+      }
     }
 
-    const action = (body.action || '').toUpperCase();
-    if (!['APPROVE', 'REJECT'].includes(action)) {
-      return json(res, { error: 'Invalid action' }, 400);
+    let data;
+    if (action === 'SET_ROLE') {
+      if (!role) {
+        throw validationError([{ in: 'body', field: 'role', code: 'required', message: 'is required with SET_ROLE' }]);
+      }
+      data = { role };
+    } else {
+      data = { verificationStatus: action === 'APPROVE' ? 'VERIFIED' : 'REJECTED' };
     }
 
-    const newStatus = action === 'APPROVE' ? 'VERIFIED' : 'REJECTED';
-
     try {
+      // The role in access tokens changes on their next refresh
       const updatedUser = await prisma.user.update({
         where: { id: idParam },
-        data: { verificationStatus: newStatus }
+        data,
+        select: { id: true, email: true, role: true, verificationStatus: true }
       });
+      if (action === 'SET_ROLE') {
+        await prisma.auditLog.create({
+          data: { userId: adminId, action: 'USER_ROLE_CHANGED', entityType: 'USER', entityId: updatedUser.id, details: data }
+        });
+      }
       return json(res, { data: updatedUser });
     } catch (e) {
       console.error('[admin users PATCH]', e);
@@ -152,29 +176,8 @@ module.exports = async (req, res) => {
 
   // PATCH /api/admin/documents/:id → approve or reject
   if (req.method === 'PATCH' && /^\/api\/admin\/documents\/[^/]+$/.test(req.url)) {
-    // ---- Parse JSON body (expects { action: "APPROVE" | "REJECT" }) ------------
-    let body;
-    try {
-      body = await new Promise((resolve, reject) => {
-        let raw = '';
-        req.on('data', chunk => (raw += chunk));
-        req.on('end', () => {
-          try {
-            resolve(JSON.parse(raw));
-          } catch (err) {
-            reject(err);
-          }
-        });
-        req.on('error', reject);
-      });
-    } catch {
-      return json(res, { error: 'Invalid JSON body' }, 400);
-    }
-
-    const action = (body.action || '').toUpperCase();
-    if (!['APPROVE', 'REJECT'].includes(action)) {
-      return json(res, { error: 'Invalid action' }, 400);
-    }
+    // ---- { action: "APPROVE" | "REJECT" } – schemas.adminDocumentAction ------------
+    const { action } = req.body;
 
     const newStatus = action === 'APPROVE' ? 'APPROVED' : 'REJECTED';
 
@@ -223,6 +226,62 @@ module.exports = async (req, res) => {
     }
   }
 
+  // -----------------------------------------------------------------
+  // 6️⃣ LEDGER – reconciliation report for finance (read‑only)
+  // -----------------------------------------------------------------
+  if (req.method === 'GET' && req.url === '/api/admin/ledger/reconcile') {
+    try {
+      const report = await reconcile(prisma);
+      return json(res, { data: report });
+    } catch (e) {
+      console.error('[admin ledger reconcile]', e);
+      return json(res, { error: 'Server error' }, 500);
+    }
+  }
+
+  // -----------------------------------------------------------------
+  // 7️⃣ FEES – platform fee rules applied on escrow release
+  // -----------------------------------------------------------------
+  if (req.method === 'GET' && req.url === '/api/admin/fees') {
+    try {
+      const rules = await prisma.feeRule.findMany({
+        orderBy: [{ service: 'asc' }, { isActive: 'desc' }, { createdAt: 'asc' }]
+      });
+      return json(res, { data: rules });
+    } catch (e) {
+      console.error('[admin fees GET]', e);
+      return json(res, { error: 'Server error' }, 500);
+    }
+  }
+
+  if ((req.method === 'POST' && req.url === '/api/admin/fees') ||
+      (req.method === 'PATCH' && /^\/api\/admin\/fees\/[^/]+$/.test(req.url))) {
+    const body = req.body || {}; // parsed by the router (lib/middleware.js)
+
+    try {
+      const isCreate = req.method === 'POST';
+      const data = feeRuleData(body, { partial: !isCreate });
+      const rule = isCreate
+        ? await prisma.feeRule.create({ data })
+        : await prisma.feeRule.update({ where: { id: idParam }, data });
+      await prisma.auditLog.create({
+        data: {
+          userId: adminId,
+          action: isCreate ? 'FEE_RULE_CREATED' : 'FEE_RULE_UPDATED',
+          entityType: 'FEE_RULE',
+          entityId: rule.id,
+          details: body
+        }
+      });
+      return json(res, { data: rule }, isCreate ? 201 : 200);
+    } catch (e) {
+      if (e.status) return json(res, { error: e.message }, e.status);
+      console.error('[admin fees]', e);
+      if (e.code === 'P2025') return json(res, { error: 'Fee rule not found' }, 404);
+      return json(res, { error: 'Server error' }, 500);
+    }
+  }
+
   // -----------------------------------------------------------------
   // Anything else → 405 Method Not Allowed
   // -----------------------------------------------------------------
@@ -0,0 +1,29 @@
+// -----------------------------------------------------------------------------
+// src/admin/permissions/[id].js
+// -----------------------------------------------------------------------------
+// DELETE /api/admin/permissions/:id   → 204, revokes the grant
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { httpError } = require('../../../lib/http-error');
+const { invalidatePermissions } = require('../../../lib/permissions');
+
+module.exports = async (req, res) => {
+  const grant = await prisma.rolePermission.findUnique({ where: { id: req.params.id } });
+  if (!grant) throw httpError(404, 'Permission not found');
+
+  await prisma.rolePermission.delete({ where: { id: grant.id } });
+  await prisma.auditLog.create({
+    data: {
+      userId: req.user.userId,
+      action: 'PERMISSION_REVOKED',
+      entityType: 'ROLE_PERMISSION',
+      entityId: grant.id,
+      details: { role: grant.role, resource: grant.resource, action: grant.action, condition: grant.condition }
+    }
+  });
+  invalidatePermissions();
+
+  res.statusCode = 204;
+  return res.end();
+};
@@ -0,0 +1,51 @@
+// -----------------------------------------------------------------------------
+// src/admin/permissions/index.js
+// -----------------------------------------------------------------------------
+// GET  /api/admin/permissions   → { data: [RolePermission], resources: { name: { owner } } }
+// POST /api/admin/permissions   → { role, resource, action, condition? }
+//                                 201 new grant, 200 when it replaced the
+//                                 condition of an existing one
+// -----------------------------------------------------------------------------
+// The permission matrix of lib/permissions.js. Changes apply at once on this
+// instance, on the others within PERMISSIONS_CACHE_SECONDS.
+// -----------------------------------------------------------------------------
+
+const { Prisma } = require('@prisma/client');
+const prisma = require('../../../lib/prisma');
+const { validationError } = require('../../../lib/schema');
+const { RESOURCES, conditionProblems, invalidatePermissions } = require('../../../lib/permissions');
+
+module.exports = async (req, res) => {
+  if (req.method === 'GET') {
+    const data = await prisma.rolePermission.findMany({
+      orderBy: [{ role: 'asc' }, { resource: 'asc' }, { action: 'asc' }]
+    });
+    return res.json({ data, resources: RESOURCES });
+  }
+
+  // Checked by schemas.permissionGrant (src/routes.js)
+  const { role, resource, action, condition = null } = req.body;
+  const problems = conditionProblems(resource, condition);
+  if (problems.length) {
+    throw validationError(problems.map((message) => ({ in: 'body', field: 'condition', code: 'invalid_condition', message })));
+  }
+
+  const key = { role_resource_action: { role, resource, action } };
+  const stored = condition ?? Prisma.DbNull; // SQL NULL, not a JSON null
+  const existing = await prisma.rolePermission.findUnique({ where: key });
+  const grant = existing
+    ? await prisma.rolePermission.update({ where: key, data: { condition: stored } })
+    : await prisma.rolePermission.create({ data: { role, resource, action, condition: stored } });
+  await prisma.auditLog.create({
+    data: {
+      userId: req.user.userId,
+      action: existing ? 'PERMISSION_UPDATED' : 'PERMISSION_GRANTED',
+      entityType: 'ROLE_PERMISSION',
+      entityId: grant.id,
+      details: { role, resource, action, condition }
+    }
+  });
+  invalidatePermissions();
+
+  return res.status(existing ? 200 : 201).json({ data: grant });
+};
@@ -0,0 +1,26 @@
+// -----------------------------------------------------------------------------
+// src/api-keys/[id].js
+// -----------------------------------------------------------------------------
+// DELETE /api/api-keys/:id   → 204, the key stops working at once
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../lib/prisma');
+const { revokeApiKey } = require('../../lib/api-keys');
+const { clientInfo } = require('../../lib/sessions');
+
+module.exports = async (req, res) => {
+  await revokeApiKey(prisma, req.user, req.params.id);
+  await prisma.auditLog.create({
+    data: {
+      userId: req.user.actorId || req.user.userId,
+      action: 'API_KEY_REVOKED',
+      entityType: 'API_KEY',
+      entityId: req.params.id,
+      details: { accountId: req.user.userId },
+      ...clientInfo(req)
+    }
+  });
+
+  res.statusCode = 204;
+  return res.end();
+};
@@ -0,0 +1,39 @@
+// -----------------------------------------------------------------------------
+// src/api-keys/index.js
+// -----------------------------------------------------------------------------
+// GET  /api/api-keys   → { data: [{ id, name, prefix, scopes, expiresAt, lastUsedAt, … }] }
+// POST /api/api-keys   { name, scopes, expiresAt? } → 201 { data: { …, key } }
+//                        `key` is shown this once
+// -----------------------------------------------------------------------------
+// The keys of the account signed in – the organisation's while acting for it
+// (then the member's role limits the scopes a new key can have).
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../lib/prisma');
+const { KEY_SELECT, createApiKey } = require('../../lib/api-keys');
+const { clientInfo } = require('../../lib/sessions');
+
+module.exports = async (req, res) => {
+  if (req.method === 'GET') {
+    const keys = await prisma.apiKey.findMany({
+      where: { userId: req.user.userId },
+      select: KEY_SELECT,
+      orderBy: { createdAt: 'desc' }
+    });
+    return res.json({ data: keys });
+  }
+
+  // Checked by schemas.apiKeyCreate (src/routes.js)
+  const { key, apiKey } = await createApiKey(prisma, req.user, req.member, req.body);
+  await prisma.auditLog.create({
+    data: {
+      userId: req.user.actorId || req.user.userId,
+      action: 'API_KEY_CREATED',
+      entityType: 'API_KEY',
+      entityId: apiKey.id,
+      details: { name: apiKey.name, scopes: apiKey.scopes, accountId: req.user.userId, expiresAt: apiKey.expiresAt },
+      ...clientInfo(req)
+    }
+  });
+  return res.status(201).json({ data: { ...apiKey, key } });
+};
@@ -0,0 +1,18 @@
+// -----------------------------------------------------------------------------
+// src/auth/2fa/backup-codes.js
+// -----------------------------------------------------------------------------
+// POST /api/auth/2fa/backup-codes   { code } → { backupCodes }
+// -----------------------------------------------------------------------------
+// New backup codes; the old ones stop working. Needs a code from the app (or
+// one of the old backup codes).
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { httpError } = require('../../../lib/http-error');
+const { regenerateBackupCodes } = require('../../../lib/two-factor');
+
+module.exports = async (req, res) => {
+  const user = await prisma.user.findUnique({ where: { id: req.user.actorId || req.user.userId } });
+  if (!user) throw httpError(401, 'Missing or invalid token');
+  return res.json({ backupCodes: await regenerateBackupCodes(prisma, user, req.body.code) }); // schemas.twoFactorCode
+};
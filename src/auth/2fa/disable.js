@@ -0,0 +1,19 @@
+// -----------------------------------------------------------------------------
+// src/auth/2fa/disable.js
+// -----------------------------------------------------------------------------
+// POST /api/auth/2fa/disable   { code } → { message }
+// -----------------------------------------------------------------------------
+// Turns 2FA off with a code from the app or a backup code. Not for
+// administrators – they must keep it (lib/two-factor.js).
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { httpError } = require('../../../lib/http-error');
+const { disableTwoFactor } = require('../../../lib/two-factor');
+
+module.exports = async (req, res) => {
+  const user = await prisma.user.findUnique({ where: { id: req.user.actorId || req.user.userId } });
+  if (!user) throw httpError(401, 'Missing or invalid token');
+  await disableTwoFactor(prisma, user, req.body.code); // schemas.twoFactorCode
+  return res.json({ message: 'Two‑factor authentication is off' });
+};
@@ -0,0 +1,24 @@
+// -----------------------------------------------------------------------------
+// src/auth/2fa/enable.js
+// -----------------------------------------------------------------------------
+// POST /api/auth/2fa/enable   { code } → { message, backupCodes, token?, expiresIn? }
+// -----------------------------------------------------------------------------
+// Turns 2FA on with the first code from the app. The backup codes are shown
+// only now – each signs in once when the phone is not at hand. This session
+// counts as signed in with a second factor: use the new access token.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { httpError } = require('../../../lib/http-error');
+const { enableTwoFactor } = require('../../../lib/two-factor');
+const { markTwoFactor } = require('../../../lib/sessions');
+
+module.exports = async (req, res) => {
+  const { userId, actorId, sid } = req.user;
+  const user = await prisma.user.findUnique({ where: { id: actorId || userId } });
+  if (!user) throw httpError(401, 'Missing or invalid token');
+
+  const backupCodes = await enableTwoFactor(prisma, user, req.body.code); // schemas.twoFactorCode
+  const renewed = sid ? await markTwoFactor(user, sid) : {};
+  return res.json({ message: 'Two‑factor authentication is on', backupCodes, ...renewed });
+};
@@ -0,0 +1,29 @@
+// -----------------------------------------------------------------------------
+// src/auth/2fa/index.js
+// -----------------------------------------------------------------------------
+// GET /api/auth/2fa   → { enabled, enabledAt, backupCodesLeft, required, session }
+// -----------------------------------------------------------------------------
+// `required`: the account needs it (ADMIN); `session`: this session signed in
+// with a second factor. See lib/two-factor.js.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { httpError } = require('../../../lib/http-error');
+const { isEnabled } = require('../../../lib/two-factor');
+
+module.exports = async (req, res) => {
+  const userId = req.user.actorId || req.user.userId; // the person, not an organisation they act for
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { role: true, twoFactorEnabledAt: true, twoFactorBackupCodes: true }
+  });
+  if (!user) throw httpError(401, 'Missing or invalid token');
+
+  return res.json({
+    enabled: isEnabled(user),
+    enabledAt: user.twoFactorEnabledAt,
+    backupCodesLeft: user.twoFactorBackupCodes.length,
+    required: user.role === 'ADMIN',
+    session: Boolean(req.user.mfa)
+  });
+};
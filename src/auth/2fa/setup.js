@@ -0,0 +1,19 @@
+// -----------------------------------------------------------------------------
+// src/auth/2fa/setup.js
+// -----------------------------------------------------------------------------
+// POST /api/auth/2fa/setup   → { secret, otpauthUri }
+// -----------------------------------------------------------------------------
+// A new secret to add to an authenticator app (scan otpauthUri as a QR code or
+// type the secret). Nothing changes at login until POST /api/auth/2fa/enable
+// confirms it with a code. 409 when 2FA is already on.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { httpError } = require('../../../lib/http-error');
+const { setupTwoFactor } = require('../../../lib/two-factor');
+
+module.exports = async (req, res) => {
+  const user = await prisma.user.findUnique({ where: { id: req.user.actorId || req.user.userId } });
+  if (!user) throw httpError(401, 'Missing or invalid token');
+  return res.json(await setupTwoFactor(prisma, user));
+};
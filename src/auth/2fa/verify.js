@@ -0,0 +1,43 @@
+// -----------------------------------------------------------------------------
+// src/auth/2fa/verify.js
+// -----------------------------------------------------------------------------
+// POST /api/auth/2fa/verify   { challengeToken, code } → { user, token, refreshToken, expiresIn }
+// -----------------------------------------------------------------------------
+// Second login step: POST /api/auth/login answered { twoFactorRequired: true,
+// challengeToken } for an account with 2FA on. The code is from the app or a
+// backup code. After 5 wrong codes, or 5 minutes, the challenge is gone – 401
+// CHALLENGE_EXPIRED, sign in with the password again. Wrong codes also count
+// as failed sign‑ins of the account (lib/login-throttle.js).
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { startSession, clientInfo } = require('../../../lib/sessions');
+const { findChallenge, completeChallenge } = require('../../../lib/two-factor');
+const { loginKeys, assertLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../../../lib/login-throttle');
+
+module.exports = async (req, res) => {
+  const { challengeToken, code } = req.body; // schemas.twoFactorVerify
+
+  const challenge = await findChallenge(prisma, challengeToken);
+  const keys = loginKeys({ user: { id: challenge.userId }, ip: clientInfo(req).ipAddress });
+  await assertLoginAllowed(keys);
+
+  // Not in a transaction: a wrong code must count even though the call fails
+  let user;
+  try {
+    user = await completeChallenge(prisma, challenge, code);
+  } catch (err) {
+    if (err.code === 'INVALID_CODE') await recordLoginFailure(keys, { user: { id: challenge.userId }, req });
+    throw err;
+  }
+  await recordLoginSuccess(keys, { user, req, method: 'two-factor' });
+  const { token, refreshToken, expiresIn } = await startSession(user, req, { twoFactor: true });
+
+  const safeUser = {
+    id: user.id,
+    email: user.email,
+    name: user.fullName || null,
+    role: user.role
+  };
+  return res.json({ user: safeUser, token, refreshToken, expiresIn });
+};
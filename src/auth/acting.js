@@ -0,0 +1,37 @@
+// -----------------------------------------------------------------------------
+// src/auth/acting.js
+// -----------------------------------------------------------------------------
+// POST /api/auth/acting   { organisationId | null } → { token, expiresIn, organisation }
+// -----------------------------------------------------------------------------
+// Act for an organisation you are a member of – or, with null, as yourself
+// again – on this device. The new access token is for the organisation's
+// account (lib/organisations.js); the refresh token stays the same and keeps
+// the choice.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../lib/prisma');
+const { httpError } = require('../../lib/http-error');
+const { actAs } = require('../../lib/sessions');
+const { membershipOf } = require('../../lib/organisations');
+
+module.exports = async (req, res) => {
+  const { userId, actorId, sid } = req.user;
+  if (!sid) throw httpError(401, 'Sign in again to switch accounts');
+  const person = await prisma.user.findUnique({ where: { id: actorId || userId }, select: { id: true, role: true } });
+  if (!person) throw httpError(401, 'Missing or invalid token');
+
+  const { organisationId } = req.body; // schemas.acting
+  if (!organisationId) {
+    const { token, expiresIn } = await actAs(person, sid, null);
+    return res.json({ token, expiresIn, organisation: null });
+  }
+
+  const member = await membershipOf(prisma, organisationId, person.id);
+  const { account } = member.organisation;
+  const { token, expiresIn } = await actAs(person, sid, { organisationId, account });
+  return res.json({
+    token,
+    expiresIn,
+    organisation: { id: organisationId, name: account.companyName, account, role: member.role }
+  });
+};
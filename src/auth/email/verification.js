@@ -0,0 +1,22 @@
+// -----------------------------------------------------------------------------
+// src/auth/email/verification.js
+// -----------------------------------------------------------------------------
+// POST /api/auth/email/verification   → 202, e‑mails a new confirmation link
+// (auth.html?verifyEmail=…). 409 when the e‑mail is already confirmed.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { httpError } = require('../../../lib/http-error');
+const { sendEmailVerification } = require('../../../lib/one-time-tokens');
+
+module.exports = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.actorId || req.user.userId }, // the person, not an organisation they act for
+    select: { id: true, email: true, fullName: true, emailVerifiedAt: true }
+  });
+  if (!user) throw httpError(404, 'User not found');
+  if (user.emailVerifiedAt) throw httpError(409, 'E‑mail already confirmed');
+
+  await sendEmailVerification(prisma, user);
+  return res.status(202).json({ message: `Confirmation link sent to ${user.email}` });
+};
@@ -0,0 +1,23 @@
+// -----------------------------------------------------------------------------
+// src/auth/email/verify.js
+// -----------------------------------------------------------------------------
+// POST /api/auth/email/verify   { token } → { message, emailVerifiedAt }
+// No access token needed – the link may be opened on another device.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { consumeToken } = require('../../../lib/one-time-tokens');
+
+module.exports = async (req, res) => {
+  const { token } = req.body; // schemas.emailVerify
+
+  const used = await consumeToken(prisma, 'EMAIL_VERIFICATION', token);
+  // The link was sent to used.target – it only counts while that is still the e‑mail
+  await prisma.user.updateMany({
+    where: { id: used.userId, email: used.target, emailVerifiedAt: null },
+    data: { emailVerifiedAt: new Date() }
+  });
+  const user = await prisma.user.findUnique({ where: { id: used.userId }, select: { emailVerifiedAt: true } });
+
+  return res.json({ message: 'E‑mail confirmed', emailVerifiedAt: user.emailVerifiedAt });
+};
@@ -1,27 +1,52 @@
 const bcrypt = require('bcryptjs');
 const prisma = require('../../lib/prisma'); // ← corrected
-const { signToken } = require('../../lib/jwt'); // ← corrected
+const { validationError } = require('../../lib/schema');
+const { normalisePhone } = require('../../lib/phone');
+const { isEnabled, createChallenge } = require('../../lib/two-factor');
+const { startSession, clientInfo } = require('../../lib/sessions');
+const { loginKeys, assertLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../../lib/login-throttle');
 
 require('dotenv').config();
 
 module.exports = async (req, res) => {
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
+  const { email, phoneNumber, password } = req.body; // schemas.login
+  if (!email && !phoneNumber) {
+    throw validationError([{ in: 'body', field: 'email', code: 'required', message: 'email or phoneNumber is required' }]);
+  }
+
   try {
-    const { email, password } = req.body || {};
-    if (!email || !password) return res.status(400).json({ error: 'email and password required' });
+    // By phone only once the number was confirmed by SMS (src/auth/phone/verify.js)
+    const phone = !email && normalisePhone(phoneNumber);
+    const user = email
+      ? await prisma.user.findUnique({ where: { email } })
+      : phone && await prisma.user.findFirst({ where: { phoneNumber: phone, phoneVerifiedAt: { not: null } } });
 
-    const user = await prisma.user.findUnique({ where: { email } });
-    if (!user) return res.status(401).json({ error: 'Invalid credentials' });
+    // Failures count per account (or the identifier, for unknown ones) and
+    // per address – lib/login-throttle.js answers 429 past the limits
+    const identifier = email || phone || phoneNumber;
+    const keys = loginKeys({ user, identifier, ip: clientInfo(req).ipAddress });
+    await assertLoginAllowed(keys);
 
     // Use passwordHash per Prisma schema; fallback to password for backwards compatibility
-    const hashed = user.passwordHash || user.password;
-    if (!hashed) return res.status(401).json({ error: 'Invalid credentials' });
+    const hashed = user && (user.passwordHash || user.password);
+    const ok = hashed ? await bcrypt.compare(password, hashed) : false;
+    if (!ok) {
+      await recordLoginFailure(keys, { user, identifier, req });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // With 2FA on, the password only earns a challenge for POST /api/auth/2fa/verify
+    // – the failures are cleared once that succeeds
+    if (isEnabled(user)) {
+      return res.json({ twoFactorRequired: true, ...await createChallenge(prisma, user) });
+    }
 
-    const ok = await bcrypt.compare(password, hashed);
-    if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
+    await recordLoginSuccess(keys, { user, req });
 
-    const token = signToken({ userId: user.id, role: user.role });
+    // Short‑lived access token + refresh token for POST /api/auth/refresh
+    const { token, refreshToken, expiresIn } = await startSession(user, req);
 
     // safe user object to return
     const safeUser = {
@@ -31,8 +56,11 @@ module.exports = async (req, res) => {
       role: user.role
     };
 
-    return res.json({ user: safeUser, token });
+    // Admins must set 2FA up before anything but /api/auth/… works
+    const setup = user.role === 'ADMIN' && { twoFactorSetupRequired: true };
+    return res.json({ user: safeUser, token, refreshToken, expiresIn, ...setup });
   } catch (err) {
+    if (err.status === 429) throw err; // locked or throttled – with Retry‑After
     console.error('[AUTH LOGIN]', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
@@ -0,0 +1,33 @@
+// -----------------------------------------------------------------------------
+// src/auth/logout.js
+// -----------------------------------------------------------------------------
+// POST /api/auth/logout   { refreshToken?, all? } → 204
+//   • refreshToken – ends that session (works with an expired access token)
+//   • no refreshToken – ends the session of the access token
+//   • all: true – ends every session of the user ("log out all devices")
+// -----------------------------------------------------------------------------
+// Access tokens already issued stay valid until they expire (ACCESS_TOKEN_TTL).
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../lib/prisma');
+const { httpError } = require('../../lib/http-error');
+const { hashToken, revokeRefreshToken, revokeSession, revokeAllSessions } = require('../../lib/sessions');
+
+module.exports = async (req, res) => {
+  const { refreshToken, all } = req.body; // schemas.logout
+
+  // The person signed in, also when acting for an organisation
+  let userId = req.user && (req.user.actorId || req.user.userId);
+  if (all && !userId && refreshToken) {
+    const session = await prisma.session.findUnique({ where: { token: hashToken(refreshToken) }, select: { userId: true } });
+    userId = session?.userId;
+  }
+  if (!userId && !refreshToken) throw httpError(401, 'Missing or invalid token');
+
+  if (all && userId) await revokeAllSessions(userId);
+  else if (refreshToken) await revokeRefreshToken(refreshToken);
+  else if (req.user.sid) await revokeSession(userId, req.user.sid);
+
+  res.statusCode = 204;
+  return res.end();
+};
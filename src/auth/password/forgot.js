@@ -0,0 +1,43 @@
+// -----------------------------------------------------------------------------
+// src/auth/password/forgot.js
+// -----------------------------------------------------------------------------
+// POST /api/auth/password/forgot   { email } | { phoneNumber } → 202
+//   • email       – a reset link (auth.html?resetToken=…) by e‑mail
+//   • phoneNumber – a 6‑digit code by SMS (confirmed numbers only)
+// Then POST /api/auth/password/reset.
+// -----------------------------------------------------------------------------
+// The answer is the same whether or not the account exists, so the endpoint
+// cannot be used to find out who is registered.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { validationError } = require('../../../lib/schema');
+const { normalisePhone } = require('../../../lib/phone');
+const { sendPasswordReset } = require('../../../lib/one-time-tokens');
+
+module.exports = async (req, res) => {
+  const { email, phoneNumber } = req.body; // schemas.passwordForgot
+  if (!email && !phoneNumber) {
+    throw validationError([{ in: 'body', field: 'email', code: 'required', message: 'email or phoneNumber is required' }]);
+  }
+
+  const phone = !email && normalisePhone(phoneNumber);
+  const user = email
+    ? await prisma.user.findUnique({ where: { email } })
+    : phone && await prisma.user.findFirst({ where: { phoneNumber: phone, phoneVerifiedAt: { not: null } } });
+
+  if (user) {
+    try {
+      await sendPasswordReset(prisma, user, { phoneNumber: phone || undefined });
+    } catch (err) {
+      // Asked again within a minute, or the transport failed – same answer
+      if (err.status !== 429) console.error('[AUTH FORGOT]', err);
+    }
+  }
+
+  return res.status(202).json({
+    message: email
+      ? 'If the e‑mail is registered, a reset link is on its way'
+      : 'If the number is registered and confirmed, a code is on its way'
+  });
+};
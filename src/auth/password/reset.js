@@ -0,0 +1,44 @@
+// -----------------------------------------------------------------------------
+// src/auth/password/reset.js
+// -----------------------------------------------------------------------------
+// POST /api/auth/password/reset
+//   { token, password }               – token of the e‑mailed link
+//   { phoneNumber, code, password }   – code received by SMS
+// → { message }. Every session of the user is signed out.
+// -----------------------------------------------------------------------------
+
+const bcrypt = require('bcryptjs');
+const prisma = require('../../../lib/prisma');
+const { httpError } = require('../../../lib/http-error');
+const { validationError } = require('../../../lib/schema');
+const { normalisePhone } = require('../../../lib/phone');
+const { consumeToken, consumeCode } = require('../../../lib/one-time-tokens');
+const { revokeAllSessions } = require('../../../lib/sessions');
+
+module.exports = async (req, res) => {
+  const { token, phoneNumber, code, password } = req.body; // schemas.passwordReset
+  if (!token && !(phoneNumber && code)) {
+    throw validationError([{ in: 'body', field: 'token', code: 'required', message: 'token, or phoneNumber and code, is required' }]);
+  }
+
+  const passwordHash = await bcrypt.hash(password, 10);
+
+  let userId;
+  if (token) {
+    const used = await consumeToken(prisma, 'PASSWORD_RESET', token);
+    userId = used.userId;
+    // The link went to the e‑mail, so opening it proves the e‑mail too
+    await prisma.user.updateMany({ where: { id: userId, email: used.target, emailVerifiedAt: null }, data: { emailVerifiedAt: new Date() } });
+  } else {
+    const phone = normalisePhone(phoneNumber);
+    const user = phone && await prisma.user.findFirst({ where: { phoneNumber: phone, phoneVerifiedAt: { not: null } } });
+    if (!user) throw httpError(400, 'The code is invalid or has expired', undefined, 'INVALID_CODE');
+    // Outside a transaction so that a wrong code counts as an attempt
+    await consumeCode(prisma, user.id, 'PASSWORD_RESET', code);
+    userId = user.id;
+  }
+
+  await prisma.user.update({ where: { id: userId }, data: { passwordHash } });
+  await revokeAllSessions(userId);
+  return res.json({ message: 'Password changed – sign in with the new password' });
+};
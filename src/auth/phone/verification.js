@@ -0,0 +1,40 @@
+// -----------------------------------------------------------------------------
+// src/auth/phone/verification.js
+// -----------------------------------------------------------------------------
+// POST /api/auth/phone/verification   { phoneNumber? } → 202 { message, phoneNumber }
+// Sends a 6‑digit code by SMS to `phoneNumber` (a new number) or the profile
+// one. The number only becomes the user's once the code is confirmed
+// (POST /api/auth/phone/verify).
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { httpError } = require('../../../lib/http-error');
+const { validationError } = require('../../../lib/schema');
+const { normalisePhone } = require('../../../lib/phone');
+const { sendPhoneVerification } = require('../../../lib/one-time-tokens');
+
+module.exports = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.actorId || req.user.userId }, // the person, not an organisation they act for
+    select: { id: true, phoneNumber: true, phoneVerifiedAt: true }
+  });
+  if (!user) throw httpError(404, 'User not found');
+
+  const given = req.body.phoneNumber || user.phoneNumber; // schemas.phoneVerification
+  if (!given) {
+    throw validationError([{ in: 'body', field: 'phoneNumber', code: 'required', message: 'is required – the profile has none' }]);
+  }
+  const phoneNumber = normalisePhone(given);
+  if (!phoneNumber) {
+    throw validationError([{ in: 'body', field: 'phoneNumber', code: 'invalid_format', message: 'must be an Angolan mobile number' }]);
+  }
+  if (user.phoneVerifiedAt && user.phoneNumber === phoneNumber) throw httpError(409, 'Phone number already confirmed');
+  const taken = await prisma.user.findFirst({
+    where: { phoneNumber, phoneVerifiedAt: { not: null }, id: { not: user.id } },
+    select: { id: true }
+  });
+  if (taken) throw httpError(409, 'This phone number is already confirmed on another account');
+
+  const sent = await sendPhoneVerification(prisma, user, phoneNumber);
+  return res.status(202).json({ message: `Code sent to ${sent.phoneNumber}`, phoneNumber: sent.phoneNumber });
+};
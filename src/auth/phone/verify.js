@@ -0,0 +1,33 @@
+// -----------------------------------------------------------------------------
+// src/auth/phone/verify.js
+// -----------------------------------------------------------------------------
+// POST /api/auth/phone/verify   { code } → { message, phoneNumber, phoneVerifiedAt }
+// The number the code was sent to becomes the user's confirmed phone – usable
+// to sign in (POST /api/auth/login { phoneNumber, password }). 409 when another
+// account already confirmed it.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { httpError } = require('../../../lib/http-error');
+const { consumeCode } = require('../../../lib/one-time-tokens');
+
+module.exports = async (req, res) => {
+  const userId = req.user.actorId || req.user.userId; // the person, not an organisation they act for
+  const { code } = req.body; // schemas.phoneVerify
+
+  // Not in a transaction: a wrong code must count even though the call fails
+  const used = await consumeCode(prisma, userId, 'PHONE_VERIFICATION', code);
+  const taken = await prisma.user.findFirst({
+    where: { phoneNumber: used.target, phoneVerifiedAt: { not: null }, id: { not: userId } },
+    select: { id: true }
+  });
+  if (taken) throw httpError(409, 'This phone number is already confirmed on another account');
+
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { phoneNumber: used.target, phoneVerifiedAt: new Date() },
+    select: { phoneNumber: true, phoneVerifiedAt: true }
+  });
+
+  return res.json({ message: 'Phone number confirmed', ...user });
+};
@@ -0,0 +1,15 @@
+// -----------------------------------------------------------------------------
+// src/auth/refresh.js
+// -----------------------------------------------------------------------------
+// POST /api/auth/refresh   { refreshToken } → { token, refreshToken, expiresIn }
+// -----------------------------------------------------------------------------
+// The refresh token is single use: keep the new one. Sending a used one again
+// signs the user out everywhere (lib/sessions.js).
+// -----------------------------------------------------------------------------
+
+const { rotateSession } = require('../../lib/sessions');
+
+module.exports = async (req, res) => {
+  const { token, refreshToken, expiresIn } = await rotateSession(req.body.refreshToken, req); // schemas.refresh
+  return res.json({ token, refreshToken, expiresIn });
+};
@@ -1,7 +1,9 @@
 // -----------------------------------------------------------------------------
 // src/auth/register.js
 // -----------------------------------------------------------------------------
-// Registers a new user, creates a unique username, returns the user data + JWT.
+// Registers a new user, creates a unique username, returns the user data, an
+// access token (JWT) and a refresh token (lib/sessions.js). A confirmation link
+// goes to the e‑mail and, when given, an SMS code to the phone number.
 // -----------------------------------------------------------------------------
 // NOTE: This file lives in `src/auth/`, so the Prisma client and JWT helper are
 // imported with `../../lib/...` (two levels up). If you ever move the file, adjust
@@ -10,7 +12,10 @@
 
 const bcrypt = require('bcryptjs');
 const prisma = require('../../lib/prisma');          // ← correct path
-const { signToken } = require('../../lib/jwt');       // ← correct path
+const { startSession } = require('../../lib/sessions'); // ← correct path
+const { validationError } = require('../../lib/schema');
+const { normalisePhone } = require('../../lib/phone');
+const { sendEmailVerification, sendPhoneVerification } = require('../../lib/one-time-tokens');
 require('dotenv').config();
 
 /**
@@ -47,16 +52,17 @@ module.exports = async (req, res) => {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  try {
-    // --------------------------------------------------------------
-    // 1️⃣  Pull data from the request body (the global catch‑all already parsed JSON)
-    // --------------------------------------------------------------
-    const { email, password, name, role } = req.body || {};
+  // --------------------------------------------------------------
+  // 1️⃣  Pull data from the request body (the global catch‑all already parsed JSON)
+  // --------------------------------------------------------------
+  // Checked by schemas.register (src/routes.js) – `role` is never ADMIN
+  const { email, password, name, role } = req.body;
+  const phoneNumber = req.body.phoneNumber && normalisePhone(req.body.phoneNumber);
+  if (req.body.phoneNumber && !phoneNumber) {
+    throw validationError([{ in: 'body', field: 'phoneNumber', code: 'invalid_format', message: 'must be an Angolan mobile number' }]);
+  }
 
-    // ---- Basic validation ------------------------------------------------
-    if (!email || !password) {
-      return res.status(400).json({ error: 'email and password required' });
-    }
+  try {
 
     // --------------------------------------------------------------
     // 2️⃣  Guard against duplicate e‑mail (unique in the schema)
@@ -86,6 +92,7 @@ module.exports = async (req, res) => {
         passwordHash: hashed,
         fullName: name?.trim() || undefined,
         role: role?.trim() || undefined,
+        phoneNumber: phoneNumber || undefined,
         username,
       },
       // Return only the fields we need for the client – never the password hash!
@@ -95,16 +102,30 @@ module.exports = async (req, res) => {
         fullName: true,
         role: true,
         username: true,
+        phoneNumber: true,
       },
     });
 
     // --------------------------------------------------------------
-    // 6️⃣  Issue a JWT (you already have a `signToken` helper)
+    // 6️⃣  Ask to confirm e‑mail and phone – the account works without it,
+    //     so a transport failure does not fail the registration
+    // --------------------------------------------------------------
+    const sent = (promise) => promise.then(() => true, (err) => {
+      console.error('[AUTH REGISTER] verification not sent', err);
+      return false;
+    });
+    const verificationSent = {
+      email: await sent(sendEmailVerification(prisma, user)),
+      phone: phoneNumber ? await sent(sendPhoneVerification(prisma, user, phoneNumber)) : false,
+    };
+
+    // --------------------------------------------------------------
+    // 7️⃣  Sign in on this device: access token + refresh token
     // --------------------------------------------------------------
-    const token = signToken({ userId: user.id, role: user.role });
+    const { token, refreshToken, expiresIn } = await startSession(user, req);
 
     // --------------------------------------------------------------
-    // 7️⃣  Shape the response exactly as the front‑end expects
+    // 8️⃣  Shape the response exactly as the front‑end expects
     // --------------------------------------------------------------
     const safeUser = {
       id: user.id,
@@ -112,9 +133,10 @@ module.exports = async (req, res) => {
       name: user.fullName || null,
       role: user.role,
       username: user.username,
+      phoneNumber: user.phoneNumber,
     };
 
-    return res.status(201).json({ user: safeUser, token });
+    return res.status(201).json({ user: safeUser, token, refreshToken, expiresIn, verificationSent });
   } catch (err) {
     console.error('[AUTH REGISTER]', err);
     // Keep the generic message for security (no stack trace to the client)
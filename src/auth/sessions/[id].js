@@ -0,0 +1,16 @@
+// -----------------------------------------------------------------------------
+// src/auth/sessions/[id].js
+// -----------------------------------------------------------------------------
+// DELETE /api/auth/sessions/:id   → 204, signs that device out
+// -----------------------------------------------------------------------------
+
+const { httpError } = require('../../../lib/http-error');
+const { revokeSession } = require('../../../lib/sessions');
+
+module.exports = async (req, res) => {
+  const revoked = await revokeSession(req.user.actorId || req.user.userId, req.params.id);
+  if (!revoked) throw httpError(404, 'Session not found');
+
+  res.statusCode = 204;
+  return res.end();
+};
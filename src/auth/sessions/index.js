@@ -0,0 +1,15 @@
+// -----------------------------------------------------------------------------
+// src/auth/sessions/index.js
+// -----------------------------------------------------------------------------
+// GET /api/auth/sessions   → { data: [{ id, ipAddress, userAgent, createdAt,
+//                                      expiresAt, current }] }
+// -----------------------------------------------------------------------------
+// The devices the user is signed in on; `current` is the one making the call.
+// -----------------------------------------------------------------------------
+
+const { listSessions } = require('../../../lib/sessions');
+
+module.exports = async (req, res) => {
+  const { userId, actorId, sid } = req.user; // actorId: acting for an organisation
+  return res.json({ data: await listSessions(actorId || userId, sid) });
+};
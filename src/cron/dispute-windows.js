@@ -0,0 +1,34 @@
+// -----------------------------------------------------------------------------
+// src/cron/dispute-windows.js
+// -----------------------------------------------------------------------------
+// GET /api/cron/dispute-windows   → close dispute response windows that lapsed
+// -----------------------------------------------------------------------------
+// • Scheduled in vercel.json (`crons`), same CRON_SECRET check as escrow-release.
+// • Disputes still AWAITING_RESPONSE past responseDueAt move to UNDER_REVIEW
+//   and both parties are notified (lib/dispute.js); disputes that fail are
+//   listed under `failed` and retried on the next run.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../lib/prisma');
+const { closeLapsedResponses } = require('../../lib/dispute');
+require('dotenv').config();
+
+module.exports = async (req, res) => {
+  if (!process.env.CRON_SECRET) {
+    return res.status(500).json({ error: 'CRON_SECRET is not set' });
+  }
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Invalid cron secret' });
+  }
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const report = await closeLapsedResponses(prisma);
+    return res.json({ data: report });
+  } catch (err) {
+    console.error('[CRON DISPUTE WINDOWS]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
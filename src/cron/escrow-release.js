@@ -0,0 +1,38 @@
+// -----------------------------------------------------------------------------
+// src/cron/escrow-release.js
+// -----------------------------------------------------------------------------
+// GET /api/cron/escrow-release   → auto‑release expired seller confirmations
+// -----------------------------------------------------------------------------
+// • Scheduled in vercel.json (`crons`). Vercel calls it with
+//   `Authorization: Bearer $CRON_SECRET`; anything else gets a 401.
+// • ?days=N overrides ESCROW_AUTO_RELEASE_DAYS, ?dryRun=1 only lists candidates.
+// • Same code path as scripts/release-expired-escrow.js (lib/escrow.js).
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../lib/prisma');
+const { autoReleaseExpired, DEFAULT_AUTO_RELEASE_DAYS } = require('../../lib/escrow');
+require('dotenv').config();
+
+module.exports = async (req, res) => {
+  if (!process.env.CRON_SECRET) {
+    return res.status(500).json({ error: 'CRON_SECRET is not set' });
+  }
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Invalid cron secret' });
+  }
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const days = Number(req.query?.days) || DEFAULT_AUTO_RELEASE_DAYS;
+    const report = await autoReleaseExpired(prisma, {
+      days,
+      dryRun: req.query?.dryRun === '1'
+    });
+    return res.json({ data: report });
+  } catch (err) {
+    console.error('[CRON ESCROW RELEASE]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,14 @@
+// =============================================================
+// src/docs.js – GET /api/docs
+// -------------------------------------------------------------
+// Swagger UI over /api/openapi.json: every endpoint, its parameters and
+// response shapes, with "Try it out" (uses the token of the signed‑in user).
+// =============================================================
+
+const { docsPage } = require('../lib/openapi');
+
+module.exports = async (req, res) => {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  return res.end(docsPage('/api/openapi.json', 'AgriConnect Angola API'));
+};
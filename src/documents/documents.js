@@ -1,2 +0,0 @@
-import mod from '../../archived-api/src_app_api_documents_upload_route.js';
-export default mod;
@@ -3,7 +3,6 @@
 // ---------------------------------------------------------------------------
 
 const prisma = require('../../lib/prisma');
-const { verifyToken } = require('../../lib/jwt');
 const fs = require('fs');
 const path = require('path');
 const Busboy = require('busboy');
@@ -18,44 +17,14 @@ function json(res, payload, status = 200) {
   res.end(JSON.stringify(payload));
 }
 
-/* -------------------------------------------------------------------------
-   Helper – extract Bearer token from header **or** cookie
-   ------------------------------------------------------------------------- */
-function extractToken(req) {
-  const auth = req.headers.authorization || '';
-  if (auth.startsWith('Bearer ')) return auth.split(' ')[1];
-
-  const cookie = req.headers.cookie || '';
-  const match = cookie.match(/pdc_auth_token=([^;]+)/);
-  return match ? decodeURIComponent(match[1]) : null;
-}
-
 /* -------------------------------------------------------------------------
    Main exported handler – Vercel calls it with (req, res)
    ------------------------------------------------------------------------- */
 module.exports = async (req, res) => {
   // -------------------------------------------------
-  // CORS (same as all other API files)
+  // 1️⃣  Signed in – requireAuth() in src/routes.js
   // -------------------------------------------------
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  if (req.method === 'OPTIONS') return res.end();
-
-  // -------------------------------------------------
-  // 1️⃣  Authenticate – token can be in header OR cookie
-  // -------------------------------------------------
-  const token = extractToken(req);
-  if (!token) return json(res, { error: 'Missing token' }, 401);
-
-  let payload;
-  try {
-    payload = verifyToken(token);
-  } catch (_) {
-    return json(res, { error: 'Invalid token' }, 401);
-  }
-  const userId = payload.userId;
+  const { userId } = req.user;
 
   // -------------------------------------------------
   // 2️⃣  Only POST is supported
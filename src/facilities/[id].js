@@ -6,10 +6,7 @@
 //   PATCH  /api/facilities/:id → edit name / city / status
 // ---------------------------------------------------------------------------
 
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
-
-const { verifyToken } = require('../../lib/jwt');
+const prisma = require('../../lib/prisma');
 require('dotenv').config();
 
 // tiny json helper – identical to the other API files
@@ -23,28 +20,6 @@ function json(res, payload, status = 200) {
 // Main handler
 // ---------------------------------------------------------------------------
 module.exports = async (req, res) => {
-  // -------------------------------------------------
-  // CORS (same as the others)
-  // -------------------------------------------------
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'DELETE,PATCH,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  if (req.method === 'OPTIONS') return res.end();
-
-  // -------------------------------------------------
-  // 1️⃣ Authenticate
-  // -------------------------------------------------
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return json(res, { error: 'Missing token' }, 401);
-
-  try {
-    verifyToken(token); // we only need to check it – owner check is done later
-  } catch (e) {
-    return json(res, { error: 'Invalid token' }, 401);
-  }
-
   // -------------------------------------------------
   // Extract the facility ID from the URL (e.g. /api/facilities/ck1…)
   // -------------------------------------------------
@@ -70,24 +45,8 @@ module.exports = async (req, res) => {
   // PATCH – update name / city / status
   // -------------------------------------------------
   if (req.method === 'PATCH') {
-    // ---- Parse JSON body -------------------------------------------------
-    let body;
-    try {
-      body = await new Promise((resolve, reject) => {
-        let raw = '';
-        req.on('data', chunk => (raw += chunk));
-        req.on('end', () => {
-          try {
-            resolve(raw ? JSON.parse(raw) : {});
-          } catch (e) {
-            reject(e);
-          }
-        });
-        req.on('error', reject);
-      });
-    } catch {
-      return json(res, { error: 'Invalid JSON body' }, 400);
-    }
+    // ---- JSON body, checked by schemas.facilityUpdate in src/routes.js ----
+    const body = req.body;
 
     // ---- Build the Prisma update payload ---------------------------------
     const data = {};
@@ -6,10 +6,7 @@
 //   POST /api/facilities          → create a new facility
 // ---------------------------------------------------------------------------
 
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
-
-const { verifyToken } = require('../../lib/jwt');
+const prisma = require('../../lib/prisma');
 require('dotenv').config();   // loads JWT secret, DB URL, …
 
 // ------------------- tiny JSON helper (exactly like in transformation.js) -------------------
@@ -24,28 +21,9 @@ function json(res, payload, status = 200) {
 // ---------------------------------------------------------------------------
 module.exports = async (req, res) => {
   // -------------------------------------------------
-  // CORS (kept for safety – the global catch‑all also adds it)
-  // -------------------------------------------------
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  if (req.method === 'OPTIONS') return res.end();
-
-  // -------------------------------------------------
-  // 1️⃣ Authenticate – same logic as transformation.js
+  // 1️⃣ Signed in (requireAuth() in src/routes.js)
   // -------------------------------------------------
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return json(res, { error: 'Missing token' }, 401);
-
-  let payload;
-  try {
-    payload = verifyToken(token);
-  } catch (e) {
-    return json(res, { error: 'Invalid token' }, 401);
-  }
-  const userId = payload.userId; // the *owner* of the facility
+  const { userId } = req.user; // the *owner* of the facility
 
   // -------------------------------------------------
   // 2️⃣ GET – list facilities (optional owner filter)
@@ -81,30 +59,9 @@ module.exports = async (req, res) => {
   // 3️⃣ POST – create a new facility
   // -------------------------------------------------
   if (req.method === 'POST' && req.url === '/api/facilities') {
-    // ---- Parse JSON body -------------------------------------------------
-    let body;
-    try {
-      body = await new Promise((resolve, reject) => {
-        let raw = '';
-        req.on('data', chunk => (raw += chunk));
-        req.on('end', () => {
-          try {
-            resolve(raw ? JSON.parse(raw) : {});
-          } catch (e) {
-            reject(e);
-          }
-        });
-        req.on('error', reject);
-      });
-    } catch {
-      return json(res, { error: 'Invalid JSON body' }, 400);
-    }
-
-    // ---- Validate required UI fields ------------------------------------
+    // ---- JSON body, checked by schemas.facilityCreate in src/routes.js ----
+    const body = req.body;
     const { facilityName, city, status } = body;
-    if (!facilityName || !city) {
-      return json(res, { error: 'facilityName and city are required' }, 400);
-    }
 
     // ---- Map UI → DB ------------------------------------------------------
     const isActive = status === 'Disponível';
@@ -117,10 +74,8 @@ module.exports = async (req, res) => {
           location: city,
           isActive,
           // capacity & processingRate are optional – default to 0 in the schema
-          capacity: body.capacity ? Number(body.capacity) : 0,
-          processingRate: body.processingRate
-            ? Number(body.processingRate)
-            : undefined,
+          capacity: body.capacity ?? 0,
+          processingRate: body.processingRate,
         },
       });
 
@@ -1,22 +1,10 @@
 const prisma = require('../../lib/prisma');
-const { verifyToken } = require('../../lib/jwt');
 
 require('dotenv').config();
 
 module.exports = async (req, res) => {
   try {
-    const auth = req.headers.authorization || '';
-    const token = auth.startsWith('Bearer ') ? auth.split(' ')[1] : null;
-    if (!token) return res.status(401).json({ error: 'Missing token' });
-
-    let payload;
-    try {
-      payload = verifyToken(token);
-    } catch {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    const userId = payload.userId;
+    const { userId } = req.user;
 
     if (req.method === 'GET') {
       const { senderId, receiverId, conversationId, limit } = req.query || {};
@@ -70,16 +58,8 @@ module.exports = async (req, res) => {
     }
 
     if (req.method === 'POST') {
-      const { receiverId, messageContent, conversationId } = req.body || {};
-      if (!receiverId || !messageContent) {
-        return res.status(400).json({ error: 'Missing required fields' });
-      }
-      if (messageContent.trim().length === 0) {
-        return res.status(400).json({ error: 'Message cannot be empty' });
-      }
-      if (messageContent.length > 1000) {
-        return res.status(400).json({ error: 'Message too long' });
-      }
+      // Non‑empty, at most 1000 characters – schemas.messageCreate
+      const { receiverId, messageContent, conversationId } = req.body;
 
       const receiver = await prisma.user.findUnique({ where: { id: receiverId } });
       if (!receiver) {
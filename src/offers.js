@@ -11,7 +11,6 @@
    this file lives in src/ (one folder below the project root).
    -------------------------------------------------------------- */
    const prisma = require('../lib/prisma');          // ← corrected
-   const { verifyToken } = require('../lib/jwt');   // ← corrected
    require('dotenv').config();                        // loads JWT secret, DB URL, etc.
    
    /* --------------------------------------------------------------
@@ -28,57 +27,16 @@
       ----------------------------------------------------------------- */
    module.exports = async (req, res) => {
      // --------------------------------------------------------------
-     // CORS (already added by the global catch‑all, but keep for safety)
+     // 1️⃣  Signed in – requireAuth() in src/routes.js, for both POST and GET
      // --------------------------------------------------------------
-     res.setHeader('Access-Control-Allow-Origin', '*');
-     res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-   
-     if (req.method === 'OPTIONS') return res.end();
-   
-     // --------------------------------------------------------------
-     // 1️⃣  Authenticate – required for both POST and GET
-     // --------------------------------------------------------------
-     const authHeader = req.headers.authorization || '';
-     const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-     if (!token) return json(res, { error: 'Missing token' }, 401);
-   
-     let payload;
-     try {
-       payload = verifyToken(token);          // must contain at least { userId }
-     } catch (e) {
-       return json(res, { error: 'Invalid token' }, 401);
-     }
-     const userId = payload.userId;           // will become the `ownerId`
+     const { userId } = req.user;             // will become the `ownerId`
    
      // --------------------------------------------------------------
      // 2️⃣  POST /api/offers – create a new offering
      // --------------------------------------------------------------
      if (req.method === 'POST' && req.url === '/api/offers') {
-       // ---- Parse JSON body (same pattern you used elsewhere) ----
-       let body;
-       try {
-         body = await new Promise((resolve, reject) => {
-           let raw = '';
-           req.on('data', chunk => (raw += chunk));
-           req.on('end', () => {
-             try {
-               resolve(raw ? JSON.parse(raw) : {});
-             } catch (e) {
-               reject(e);
-             }
-           });
-           req.on('error', reject);
-         });
-       } catch (_) {
-         return json(res, { error: 'Invalid JSON body' }, 400);
-       }
-   
-       // ---- Validate required fields ---------------------------------
-       const { title, description, status } = body;
-       if (!title || !description) {
-         return json(res, { error: 'title & description are required' }, 400);
-       }
+       // ---- JSON body, checked by schemas.offerCreate in src/routes.js ----
+       const { title, description, status } = req.body;
    
        // ---- Create the offering (the DB model only knows title,
        //      description and ownerId) ---------------------------------
@@ -99,7 +57,7 @@
            id: newOffering.id,
            title: newOffering.title,
            description: newOffering.description,
-           status: status || 'Ativo',
+           status,
            ownerId: newOffering.ownerId,
          };
    
@@ -0,0 +1,789 @@
+// =============================================================
+// src/openapi.js – GET /api/openapi.json
+// -------------------------------------------------------------
+// The OpenAPI 3.1 document of the route table (src/routes.js), built by
+// lib/openapi.js. Paths, auth and request schemas come from the table;
+// below are the summaries and the response shapes – keep a response here in
+// step with what its handler returns. Browsable at /api/docs (src/docs.js).
+// =============================================================
+
+const { Prisma } = require('@prisma/client');
+const { s } = require('../lib/schema');
+const { buildOpenApi } = require('../lib/openapi');
+const { apiKeyScope } = require('../lib/api-keys');
+const requestSchemas = require('./schemas');
+const { version } = require('../package.json');
+
+const ref = s.ref;
+const list = (name) => s.array(ref(name));
+const data = (schema) => s.object({ data: schema });
+// A model plus the relations the handler includes
+const withRelations = (name, shape) => s.allOf([ref(name), s.object(shape)]);
+// List items of a near=lat,lng query (lib/geo.js)
+const distanceKm = () => s.number({ description: 'From `near`, in km – only with `near`' }).optional();
+
+// ---------- Response components ----------
+const components = {
+  UserSummary: s.object({
+    id: s.string(),
+    username: s.string(),
+    fullName: s.string().nullable()
+  }),
+  UserContact: s.object({
+    id: s.string(),
+    email: s.string(),
+    fullName: s.string().nullable()
+  }),
+  OrderParty: s.object({
+    id: s.string(),
+    username: s.string(),
+    email: s.string(),
+    fullName: s.string().nullable(),
+    companyName: s.string().nullable(),
+    phoneNumber: s.string().nullable()
+  }),
+  AuthResult: s.object({
+    user: s.object({
+      id: s.string(),
+      email: s.string(),
+      name: s.string().nullable(),
+      role: ref('UserRole'),
+      username: s.string().optional(),
+      phoneNumber: s.string().nullable().optional()
+    }),
+    token: s.string({ description: 'JWT – send as Authorization: Bearer <token>' }),
+    refreshToken: s.string({ description: 'For POST /api/auth/refresh' }),
+    expiresIn: s.integer({ description: 'Seconds the access token is valid' }),
+    verificationSent: s.object({ email: s.boolean(), phone: s.boolean() })
+      .describe('Registration only – confirmation link / SMS code sent')
+      .optional(),
+    twoFactorSetupRequired: s.boolean({ description: 'Admin without 2FA – only /api/auth/… works until it is set up' }).optional()
+  }),
+  BackupCodes: s.object({
+    backupCodes: s.array(s.string(), { description: 'Each works once instead of an app code – shown only now' })
+  }),
+  StatusMessage: s.object({ message: s.string() }),
+  TokenPair: s.object({
+    token: s.string(),
+    refreshToken: s.string({ description: 'Replaces the one sent – that one no longer works' }),
+    expiresIn: s.integer()
+  }),
+  SignedInSession: s.object({
+    id: s.string(),
+    ipAddress: s.string().nullable(),
+    userAgent: s.string().nullable(),
+    createdAt: s.date(),
+    expiresAt: s.date(),
+    current: s.boolean({ description: 'The session of this access token' })
+  }),
+  Deleted: s.object({ message: s.string() }),
+
+  // Organisations – named apart from the Organisation* models
+  OrganisationAccount: s.object({
+    id: s.string(),
+    username: s.string(),
+    email: s.string(),
+    companyName: s.string().nullable(),
+    taxId: s.string().nullable(),
+    role: ref('UserRole'),
+    entityType: ref('EntityType')
+  }),
+  OrganisationMembership: s.object({
+    id: s.string({ description: 'Organisation id' }),
+    name: s.string().nullable(),
+    account: ref('OrganisationAccount'),
+    role: ref('OrganisationMemberRole'),
+    permissions: s.array(s.string(), { description: 'Grants on top of the role, e.g. "UPDATE products"' })
+  }),
+  ApiKeyItem: withRelations('ApiKey', { createdBy: ref('UserSummary').nullable() }),
+  PendingInvitation: s.object({
+    id: s.string(),
+    role: ref('OrganisationMemberRole'),
+    email: s.string().nullable(),
+    phoneNumber: s.string().nullable(),
+    invitedById: s.string(),
+    expiresAt: s.date(),
+    createdAt: s.date()
+  }),
+
+  // Catalogue & services – several handlers answer in the UI's field names
+  ProductSearchItem: withRelations('ProductListing', { distanceKm: distanceKm() }),
+  ProductFacets: s.object({
+    category: s.array(s.object({ value: s.string(), count: s.integer() })),
+    priceRange: s.array(s.object({
+      key: s.string({ description: 'e.g. "1000-5000"' }),
+      min: s.number(),
+      max: s.number({ description: 'Exclusive' }).nullable(),
+      count: s.integer()
+    })),
+    city: s.array(s.object({ value: s.string(), count: s.integer() })),
+    certification: s.array(s.object({ value: s.string(), count: s.integer() }))
+  }),
+  StorageListingItem: withRelations('StorageListing', {
+    owner: ref('UserContact'),
+    capacidade: s.string({ description: 'totalCapacity + capacityUnit, for display' }).nullable(),
+    distanceKm: distanceKm()
+  }),
+  StorageSummary: s.object({
+    id: s.string(),
+    facilityName: s.string(),
+    description: s.string(),
+    city: s.string(),
+    availabilityStatus: s.string()
+  }),
+  Facility: s.object({
+    id: s.string(),
+    facilityName: s.string(),
+    description: s.string({ description: 'Not stored – always empty' }),
+    city: s.string(),
+    status: s.enum(['Disponível', 'Indisponível'])
+  }),
+  ProductionPlanSummary: s.object({
+    id: s.string(),
+    productName: s.string(),
+    areaSize: s.number(),
+    areaUnit: s.string(),
+    status: ref('ProductionStatus'),
+    estimatedHarvestDate: s.string({ format: 'date' }).nullable()
+  }),
+  TransportService: s.object({
+    id: s.string(),
+    title: s.string(),
+    vehicle: s.string(),
+    routes: s.string().nullable(),
+    status: s.string(),
+    transporterId: s.string(),
+    createdAt: s.date(),
+    updatedAt: s.date(),
+    distanceKm: distanceKm()
+  }),
+  TransformationService: s.object({
+    id: s.string(),
+    name: s.string(),
+    type: s.string().nullable(),
+    location: s.string(),
+    status: s.enum(['Disponível', 'Indisponível']),
+    ownerId: s.string()
+  }),
+  ProcurementRequest: s.object({
+    id: s.string(),
+    product: s.string({ description: 'Product title' }),
+    productId: s.string().optional(),
+    quantity: s.number(),
+    status: s.enum(['PENDENTE', 'APROVADO', 'REJEITADO']),
+    buyerId: s.string(),
+    buyerEmail: s.string().optional(),
+    buyerName: s.string().nullable().optional()
+  }),
+  OfferingSummary: s.object({
+    id: s.string(),
+    title: s.string(),
+    description: s.string().nullable(),
+    ownerId: s.string(),
+    status: s.string({ description: 'Only on create – echoed, not stored' }).optional()
+  }),
+  ReviewWithReviewer: withRelations('Review', { reviewer: ref('UserContact') }),
+  MessageWithUsers: withRelations('Message', {
+    sender: ref('UserSummary'),
+    receiver: ref('UserSummary')
+  }),
+
+  // Orders
+  OrderListItem: withRelations('Order', {
+    orderItems: s.array(withRelations('OrderItem', { productListing: ref('ProductListing') })),
+    buyer: ref('OrderParty'),
+    seller: ref('OrderParty')
+  }),
+  OrderDetail: withRelations('Order', {
+    orderItems: s.array(withRelations('OrderItem', { productListing: ref('ProductListing') })),
+    buyer: ref('OrderParty'),
+    seller: ref('OrderParty'),
+    transporter: ref('OrderParty').nullable(),
+    transportListing: ref('TransportListing').nullable(),
+    storage: ref('StorageListing').nullable(),
+    statusHistory: list('OrderStatusHistory'),
+    preOrder: ref('PreOrder').nullable(),
+    allowedTransitions: s.array(ref('OrderStatus'), { description: 'Statuses the caller may move the order to' })
+  }),
+  CreatedOrder: withRelations('Order', { orderItems: list('OrderItem') }),
+  CheckoutOrder: withRelations('Order', {
+    orderItems: s.array(withRelations('OrderItem', {
+      productListing: s.object({
+        id: s.string(),
+        title: s.string(),
+        pricePerUnit: s.number(),
+        unitOfMeasure: s.string()
+      })
+    })),
+    seller: ref('UserContact')
+  }),
+  CheckoutDetail: withRelations('Checkout', { orders: list('CheckoutOrder') }),
+  OrderStatusChange: withRelations('OrderStatusHistory', {
+    user: s.object({
+      id: s.string(),
+      username: s.string(),
+      fullName: s.string().nullable(),
+      role: ref('UserRole')
+    }).nullable()
+  }),
+  InvoiceDocument: withRelations('Invoice', {
+    originalInvoice: s.object({ invoiceNumber: s.string(), issuedAt: s.date() }).nullable()
+  }),
+
+  // Payments
+  PaymentTransactionListItem: withRelations('PaymentTransaction', {
+    buyer: ref('UserSummary'),
+    seller: ref('UserSummary')
+  }),
+  PaymentTransactionDetail: withRelations('PaymentTransaction', {
+    buyer: ref('UserSummary'),
+    seller: ref('UserSummary'),
+    escrows: list('EscrowTransaction'),
+    feeLines: list('PaymentFeeLine')
+  }),
+  TransactionEvent: withRelations('PaymentTransactionEvent', { actor: ref('UserSummary').nullable() }),
+  DisputeWithEvidence: withRelations('Dispute', {
+    evidence: s.array(withRelations('DisputeEvidence', {
+      document: s.object({
+        id: s.string(),
+        type: s.string(),
+        fileName: s.string(),
+        fileUrl: s.string(),
+        mimeType: s.string().nullable(),
+        fileSize: s.integer().nullable()
+      })
+    })),
+    transaction: s.object({
+      id: s.string(),
+      buyerId: s.string(),
+      sellerId: s.string(),
+      amount: s.string({ format: 'decimal' }),
+      currency: s.string(),
+      status: ref('PaymentStatus')
+    })
+  }),
+  DisputeDetail: s.allOf([ref('DisputeWithEvidence'), s.object({
+    openedBy: ref('UserSummary'),
+    respondent: ref('UserSummary'),
+    resolvedBy: ref('UserSummary').nullable()
+  })]),
+  PaymentReferenceWithProvider: withRelations('PaymentReference', {
+    provider: s.object({ name: s.string(), type: s.string() }).nullable()
+  }),
+  WebhookResult: s.object({
+    eventId: s.string(),
+    duplicate: s.boolean({ description: 'Already received – nothing was applied again' }),
+    reference: ref('PaymentReference').optional(),
+    transaction: ref('PaymentTransaction').optional()
+  }),
+
+  // Wallet
+  Wallet: s.object({
+    userId: s.string(),
+    balance: s.string({ format: 'decimal' }),
+    currency: s.string({ example: 'AOA' }),
+    pendingPayouts: s.number({ description: 'PENDING + APPROVED payouts, not yet paid' }),
+    payoutLimits: s.object({
+      minimum: s.number(),
+      daily: s.number(),
+      remainingToday: s.number()
+    }),
+    updatedAt: s.date()
+  }),
+  WalletEntry: s.object({
+    id: s.string(),
+    sequence: s.integer(),
+    entryType: s.enum(['CREDIT', 'DEBIT']),
+    amount: s.number(),
+    balance: s.number({ description: 'Wallet balance after the entry' }),
+    description: s.string(),
+    transactionId: s.string().nullable(),
+    createdAt: s.date()
+  }),
+  PayoutListItem: withRelations('PayoutRequest', {
+    user: s.object({ id: s.string(), fullName: s.string().nullable(), username: s.string(), email: s.string() })
+      .describe('Admins only')
+      .optional()
+  })
+};
+
+// ---------- Operations ----------
+const docs = {
+  // Auth
+  'POST /auth/login': {
+    tag: 'Auth',
+    summary: 'Sign in with e‑mail or confirmed phone number',
+    description: 'With two‑factor authentication on, the answer is `{ twoFactorRequired: true, challengeToken, expiresIn }` instead – finish with POST /api/auth/2fa/verify. ' +
+      'Failed attempts per account and per address slow further ones down and then lock them for a while: 429 LOGIN_THROTTLED / LOGIN_LOCKED with Retry‑After.',
+    status: 200,
+    response: ref('AuthResult'),
+    errors: [429]
+  },
+  'POST /auth/register': { tag: 'Auth', summary: 'Create an account', response: ref('AuthResult'), errors: [409] },
+  'POST /auth/refresh': {
+    tag: 'Auth',
+    summary: 'New access token',
+    description: 'Refresh tokens are single use. A used one sent again (code REFRESH_TOKEN_REUSED) ends every session of the user.',
+    status: 200,
+    response: ref('TokenPair'),
+    errors: [401]
+  },
+  'POST /auth/logout': {
+    tag: 'Auth',
+    summary: 'Sign out this device, or every device with `all`',
+    description: 'Send the access token, the refresh token or both. Access tokens already issued work until they expire.',
+    status: 204,
+    errors: [401]
+  },
+  'GET /auth/sessions': { tag: 'Auth', summary: 'Devices you are signed in on', response: data(list('SignedInSession')) },
+  'DELETE /auth/sessions/:id': { tag: 'Auth', summary: 'Sign a device out', status: 204 },
+  'POST /auth/password/forgot': {
+    tag: 'Auth',
+    summary: 'Send a password reset link (e‑mail) or code (SMS)',
+    description: 'Same answer whether or not the account exists.',
+    status: 202,
+    response: ref('StatusMessage')
+  },
+  'POST /auth/password/reset': {
+    tag: 'Auth',
+    summary: 'Set a new password with the link token or SMS code',
+    description: 'Signs out every session of the user.',
+    status: 200,
+    response: ref('StatusMessage')
+  },
+  'POST /auth/email/verification': { tag: 'Auth', summary: 'E‑mail a new confirmation link', status: 202, response: ref('StatusMessage'), errors: [409, 429] },
+  'POST /auth/email/verify': {
+    tag: 'Auth',
+    summary: 'Confirm the e‑mail with the link token',
+    status: 200,
+    response: s.object({ message: s.string(), emailVerifiedAt: s.date().nullable() })
+  },
+  'POST /auth/phone/verification': {
+    tag: 'Auth',
+    summary: 'Send a confirmation code by SMS',
+    status: 202,
+    response: s.object({ message: s.string(), phoneNumber: s.string({ description: 'Masked' }) }),
+    errors: [409, 429]
+  },
+  'POST /auth/acting': {
+    tag: 'Auth',
+    summary: 'Act for an organisation, or as yourself again',
+    description: 'The new access token is for the organisation\'s account; each request is limited to what your member role allows. The refresh token keeps the choice.',
+    status: 200,
+    response: s.object({
+      token: s.string(),
+      expiresIn: s.integer(),
+      organisation: ref('OrganisationMembership').nullable()
+    }),
+    errors: [404]
+  },
+  'GET /auth/2fa': {
+    tag: 'Auth',
+    summary: 'Two‑factor authentication status',
+    response: s.object({
+      enabled: s.boolean(),
+      enabledAt: s.date().nullable(),
+      backupCodesLeft: s.integer(),
+      required: s.boolean({ description: 'Admins must have it' }),
+      session: s.boolean({ description: 'This session signed in with a second factor' })
+    })
+  },
+  'POST /auth/2fa/setup': {
+    tag: 'Auth',
+    summary: 'New authenticator app secret',
+    description: 'Add it to the app (otpauthUri as a QR code), then confirm with POST /api/auth/2fa/enable.',
+    status: 200,
+    response: s.object({ secret: s.string({ description: 'Base32' }), otpauthUri: s.string() }),
+    errors: [409]
+  },
+  'POST /auth/2fa/enable': {
+    tag: 'Auth',
+    summary: 'Turn two‑factor authentication on',
+    description: 'This session then counts as signed in with a second factor – use the new access token.',
+    status: 200,
+    response: s.allOf([ref('BackupCodes'), s.object({ message: s.string(), token: s.string().optional(), expiresIn: s.integer().optional() })]),
+    errors: [409]
+  },
+  'POST /auth/2fa/disable': { tag: 'Auth', summary: 'Turn two‑factor authentication off', status: 200, response: ref('StatusMessage'), errors: [403] },
+  'POST /auth/2fa/backup-codes': { tag: 'Auth', summary: 'New backup codes', status: 200, response: ref('BackupCodes') },
+  'POST /auth/2fa/verify': {
+    tag: 'Auth',
+    summary: 'Second login step',
+    description: 'After 5 wrong codes or 5 minutes the challenge expires (code CHALLENGE_EXPIRED) – sign in with the password again. Wrong codes count as failed sign‑ins.',
+    status: 200,
+    response: ref('AuthResult'),
+    errors: [429]
+  },
+  'POST /auth/phone/verify': {
+    tag: 'Auth',
+    summary: 'Confirm the phone number with the SMS code',
+    status: 200,
+    response: s.object({ message: s.string(), phoneNumber: s.string(), phoneVerifiedAt: s.date() }),
+    errors: [409]
+  },
+
+  // Organisations
+  'GET /organisations': { tag: 'Organisations', summary: 'Organisations you are a member of', response: data(list('OrganisationMembership')) },
+  'POST /organisations': {
+    tag: 'Organisations',
+    summary: 'Create an organisation – you become its owner',
+    description: 'Without `email` your own company account becomes the organisation\'s account.',
+    response: data(ref('OrganisationMembership')),
+    errors: [409]
+  },
+  'POST /organisations/invitations/accept': {
+    tag: 'Organisations',
+    summary: 'Join through an invitation',
+    status: 200,
+    response: data(s.object({ organisationId: s.string(), role: ref('OrganisationMemberRole') })),
+    errors: [403]
+  },
+  'GET /organisations/:id': {
+    tag: 'Organisations',
+    summary: 'An organisation and its members',
+    response: data(s.allOf([ref('OrganisationMembership'), s.object({
+      createdAt: s.date(),
+      members: s.array(s.object({
+        userId: s.string(),
+        role: ref('OrganisationMemberRole'),
+        permissions: s.array(s.string()),
+        joinedAt: s.date(),
+        user: s.any()
+      }))
+    })]))
+  },
+  'GET /organisations/:id/invitations': { tag: 'Organisations', summary: 'Pending invitations', response: data(list('PendingInvitation')), errors: [403] },
+  'POST /organisations/:id/invitations': {
+    tag: 'Organisations',
+    summary: 'Invite by e‑mail or phone',
+    description: 'Managers invite drivers and accountants, owners anybody.',
+    response: data(ref('PendingInvitation')),
+    errors: [403, 409]
+  },
+  'DELETE /organisations/:id/invitations/:invitationId': { tag: 'Organisations', summary: 'Withdraw an invitation', status: 204, errors: [403] },
+  'PATCH /organisations/:id/members/:userId': {
+    tag: 'Organisations',
+    summary: 'Change a member\'s role or extra permissions (owners)',
+    response: data(ref('OrganisationMember')),
+    errors: [403, 409]
+  },
+  'DELETE /organisations/:id/members/:userId': {
+    tag: 'Organisations',
+    summary: 'Remove a member, or leave',
+    status: 204,
+    errors: [403, 409]
+  },
+
+  // API keys
+  'GET /api-keys': {
+    tag: 'API keys',
+    summary: 'API keys of your account',
+    description: 'The organisation\'s keys while acting for it.',
+    response: data(list('ApiKeyItem'))
+  },
+  'POST /api-keys': {
+    tag: 'API keys',
+    summary: 'Create an API key',
+    description: 'Send it as `X-API-Key` (or `Authorization: Bearer`) instead of a token. `key` is shown this once. While acting for an organisation the key is the organisation\'s, with at most the scopes your role has.',
+    response: data(withRelations('ApiKeyItem', { key: s.string({ description: 'The key – shown this once' }) })),
+    errors: [403, 409]
+  },
+  'DELETE /api-keys/:id': { tag: 'API keys', summary: 'Revoke an API key', status: 204 },
+
+  // Admin – the rest of /api/admin is routed by admin.js and not listed
+  'GET /admin/permissions': {
+    tag: 'Admin',
+    summary: 'Permission matrix',
+    description: 'ADMIN has every permission without rows. `resources` lists the resources and the fields that make a user the owner of a record (`{ "own": true }`).',
+    response: s.object({
+      data: list('RolePermission'),
+      resources: s.any({ description: '{ name: { owner: [field] } }' })
+    })
+  },
+  'POST /admin/permissions': {
+    tag: 'Admin',
+    summary: 'Grant a role an action on a resource',
+    description: 'Replaces the condition when the role already has that action on that resource (200).',
+    response: data(ref('RolePermission'))
+  },
+  'DELETE /admin/permissions/:id': { tag: 'Admin', summary: 'Revoke a grant', status: 204 },
+  'PATCH /admin/users/:id': {
+    tag: 'Admin',
+    summary: 'Approve, reject, change the role of or unlock an account',
+    description: 'Permission: MANAGE users. UNLOCK clears the sign‑in lock (`wasLocked` in the reply).',
+    response: data(s.any())
+  },
+  'PATCH /admin/documents/:id': {
+    tag: 'Admin',
+    summary: 'Approve or reject a document',
+    description: 'Permission: MANAGE documents.',
+    response: data(s.any())
+  },
+
+  // Catalogue & services
+  'GET /products': {
+    tag: 'Products',
+    summary: 'Search product listings',
+    description: 'Full‑text `q` over title, description, category, subcategory and tags – Portuguese word forms, accents ignored, best matches first. `near` keeps the listings within `radiusKm` of a point, nearest first; a listing without coordinates is placed at its producer. Each facet counts with the other filters applied, not its own.',
+    response: s.object({ data: list('ProductSearchItem'), total: s.integer(), facets: ref('ProductFacets') })
+  },
+  'POST /products': { tag: 'Products', summary: 'Create a listing', response: data(ref('ProductListing')) },
+  'GET /products/:id': { tag: 'Products', summary: 'One listing', response: data(ref('ProductListing')) },
+  'PATCH /products/:id': { tag: 'Products', summary: 'Update a listing', response: data(ref('ProductListing')), errors: [403] },
+  'PUT /products/:id': { tag: 'Products', summary: 'Update a listing (same as PATCH)', response: data(ref('ProductListing')), errors: [403] },
+  'DELETE /products/:id': { tag: 'Products', summary: 'Delete a listing', status: 204 },
+  'GET /storage': {
+    tag: 'Storage',
+    summary: 'Storage listings',
+    description: '`near` keeps the listings within `radiusKm` of a point, nearest first, `limit` per `page`; a listing without coordinates is placed at its owner.',
+    response: data(list('StorageListingItem'))
+  },
+  'POST /storage': { tag: 'Storage', summary: 'Create a storage listing', response: data(ref('StorageListingItem')) },
+  'GET /storage/:id': { tag: 'Storage', summary: 'One storage listing', response: ref('StorageSummary') },
+  'PATCH /storage/:id': { tag: 'Storage', summary: 'Update your listing', response: ref('StorageSummary'), errors: [403] },
+  'DELETE /storage/:id': { tag: 'Storage', summary: 'Delete your listing', status: 204, errors: [403] },
+  'GET /facilities': {
+    tag: 'Facilities',
+    summary: 'Transformation facilities',
+    query: s.object({ ownerId: s.string({ description: 'Only facilities of this owner' }).optional() }),
+    response: list('Facility')
+  },
+  'POST /facilities': { tag: 'Facilities', summary: 'Create a facility', response: ref('Facility'), errors: [409] },
+  'PATCH /facilities/:id': { tag: 'Facilities', summary: 'Update a facility', response: ref('Facility') },
+  'DELETE /facilities/:id': { tag: 'Facilities', summary: 'Delete a facility', response: ref('Deleted') },
+  'GET /production': {
+    tag: 'Production',
+    summary: 'Production plans',
+    query: s.object({ producerId: s.string({ description: 'Only plans of this producer' }).optional() }),
+    response: list('ProductionPlanSummary')
+  },
+  'POST /production': { tag: 'Production', summary: 'Create a production plan', response: ref('ProductionPlanSummary') },
+  'PATCH /production/:id': { tag: 'Production', summary: 'Update a plan', response: ref('ProductionPlanSummary') },
+  'DELETE /production/:id': { tag: 'Production', summary: 'Delete a plan', response: ref('Deleted') },
+  'GET /transport': {
+    tag: 'Transport',
+    summary: 'Transport services',
+    description: '`near` keeps the services whose transporter is within `radiusKm` of a point, nearest first, `limit` per `page`.',
+    response: data(list('TransportService'))
+  },
+  'POST /transport': { tag: 'Transport', summary: 'Offer a transport service', response: data(ref('TransportService')) },
+  'GET /transformation': {
+    tag: 'Transformation',
+    summary: 'Your transformation services',
+    response: data(list('TransformationService'))
+  },
+  'POST /transformation': {
+    tag: 'Transformation',
+    summary: 'Offer a transformation service',
+    response: data(ref('TransformationService'))
+  },
+  'GET /procurements': {
+    tag: 'Procurements',
+    summary: 'Procurement requests (admin: all)',
+    response: data(list('ProcurementRequest'))
+  },
+  'POST /procurements': { tag: 'Procurements', summary: 'Request a product', response: data(ref('ProcurementRequest')) },
+  'PATCH /procurements/:id': {
+    tag: 'Procurements',
+    summary: 'Approve or reject a request',
+    response: data(s.any()),
+    errors: [404]
+  },
+  'GET /offers': { tag: 'Offers', summary: 'Offerings', response: data(list('OfferingSummary')) },
+  'POST /offers': { tag: 'Offers', summary: 'Create an offering', response: ref('OfferingSummary'), errors: [409] },
+  'GET /reviews': { tag: 'Reviews', summary: 'Reviews you received', response: data(list('ReviewWithReviewer')) },
+  'POST /reviews': { tag: 'Reviews', summary: 'Review another user', response: data(ref('ReviewWithReviewer')), errors: [404, 409] },
+
+  // Documents & messages
+  'POST /documents/upload': {
+    tag: 'Documents',
+    summary: 'Upload a document (multipart/form-data)',
+    description: 'Send the file as multipart/form-data; the returned id goes in `documentIds` of disputes.',
+    response: s.any(),
+    errors: [400, 413]
+  },
+  'GET /messages': {
+    tag: 'Messages',
+    summary: 'A conversation',
+    description: 'With `receiverId`, that user’s unread messages are marked read.',
+    query: s.object({
+      conversationId: s.string().optional(),
+      senderId: s.string().optional(),
+      receiverId: s.string().optional(),
+      limit: s.integer({ min: 1, max: 200 }).default(100)
+    }),
+    response: s.object({ conversationId: s.string().nullable(), messages: list('MessageWithUsers') })
+  },
+  'POST /messages': { tag: 'Messages', summary: 'Send a message', response: data(ref('MessageWithUsers')), errors: [404] },
+
+  // Orders
+  'GET /orders': { summary: 'Orders you buy, sell or carry', response: data(list('OrderListItem')) },
+  'POST /orders': {
+    summary: 'Order from one seller',
+    description: 'Carts with several sellers go through POST /api/orders/checkout.',
+    response: data(ref('CreatedOrder')),
+    idempotent: true,
+    errors: [404, 409]
+  },
+  'GET /orders/checkout': {
+    summary: 'Checkout receipt',
+    description: 'A seller only sees their own order of the checkout.',
+    response: data(ref('CheckoutDetail')),
+    errors: [403, 404]
+  },
+  'POST /orders/checkout': {
+    summary: 'Checkout a cart – one order per seller',
+    response: data(ref('CheckoutDetail')),
+    idempotent: true,
+    errors: [404, 409]
+  },
+  'GET /orders/:id': { summary: 'One order', response: data(ref('OrderDetail')), errors: [403] },
+  'PATCH /orders/:id': {
+    summary: 'Move an order to another status',
+    description: 'Allowed moves are in `allowedTransitions` of GET /api/orders/{id}. PAID and REFUNDED follow the order\'s payment transaction; only an administrator can set them here.',
+    response: data(ref('Order')),
+    errors: [403, 409]
+  },
+  'GET /orders/:id/history': { summary: 'Status history', response: data(list('OrderStatusChange')), errors: [403] },
+  'GET /orders/:id/invoice': {
+    summary: 'Invoice or credit note',
+    description: 'Issued when the order is paid (invoice) or refunded (credit note).',
+    content: {
+      'application/pdf': null,
+      'text/html': s.string(),
+      'application/json': data(ref('InvoiceDocument'))
+    },
+    errors: [403]
+  },
+
+  // Payments
+  'GET /payments/transactions': {
+    tag: 'Payments',
+    summary: 'Payments you made or receive',
+    response: list('PaymentTransactionListItem')
+  },
+  'POST /payments/transactions': {
+    tag: 'Payments',
+    summary: 'Create a payment',
+    description: 'Pay it with POST /api/payments/references. With `orderId` the order becomes PAID once the payment is confirmed, and REFUNDED if the escrow goes back to the buyer.',
+    response: ref('PaymentTransaction'),
+    idempotent: true
+  },
+  'GET /payments/transactions/:id': { tag: 'Payments', summary: 'One payment', response: ref('PaymentTransactionDetail') },
+  'PATCH /payments/transactions/:id': {
+    tag: 'Payments',
+    summary: 'Confirm, release, split, dispute, refund or cancel',
+    description: 'DISPUTE answers with the dispute, every other action with the transaction. RELEASE, RELEASE_MILESTONE and REFUND by an administrator who is not a party need a session signed in with two‑factor authentication.',
+    response: s.any({ description: 'PaymentTransaction, or Dispute for DISPUTE' }),
+    idempotent: true,
+    errors: [403, 409]
+  },
+  'GET /payments/transactions/:id/events': { tag: 'Payments', summary: 'Audit trail', response: list('TransactionEvent') },
+  'GET /payments/disputes': { tag: 'Disputes', summary: 'Disputes you are a party to (admin: all)', response: list('DisputeWithEvidence') },
+  'POST /payments/disputes': {
+    tag: 'Disputes',
+    summary: 'Open a dispute',
+    response: ref('Dispute'),
+    idempotent: true,
+    errors: [403, 404, 409]
+  },
+  'GET /payments/disputes/:id': { tag: 'Disputes', summary: 'One dispute', response: ref('DisputeDetail'), errors: [403] },
+  'PATCH /payments/disputes/:id': {
+    tag: 'Disputes',
+    summary: 'Respond, add evidence or rule (admin)',
+    description: 'RULE by an administrator who is not a party needs a session signed in with two‑factor authentication.',
+    response: ref('Dispute'),
+    idempotent: true,
+    errors: [403, 409]
+  },
+  'GET /payments/references': {
+    tag: 'Payments',
+    summary: 'Payment references of a transaction',
+    response: list('PaymentReferenceWithProvider'),
+    errors: [403, 404]
+  },
+  'POST /payments/references': {
+    tag: 'Payments',
+    summary: 'Get a reference to pay a PENDING transaction',
+    response: ref('PaymentReference'),
+    idempotent: true,
+    errors: [404, 409, 502]
+  },
+  'POST /payments/simulator': {
+    tag: 'Payments',
+    summary: 'Pay or fail a simulator reference (testing)',
+    status: 200,
+    response: s.allOf([ref('WebhookResult'), s.object({ event: s.any({ description: 'The simulated provider event' }) })]),
+    errors: [404, 409]
+  },
+  'POST /payments/webhooks/:provider': {
+    tag: 'Payments',
+    summary: 'Provider webhook (signed, no token)',
+    status: 200,
+    response: s.object({
+      received: s.boolean(),
+      eventId: s.string(),
+      duplicate: s.boolean(),
+      reference: s.string({ description: 'Reference status after the event' }).nullable().optional(),
+      transaction: s.string({ description: 'Transaction status after the event' }).nullable().optional()
+    }),
+    errors: [400, 401]
+  },
+
+  // Wallet
+  'GET /wallet': { summary: 'Balance and payout limits', response: ref('Wallet') },
+  'GET /wallet/transactions': {
+    summary: 'Wallet statement, newest first',
+    response: s.object({
+      data: list('WalletEntry'),
+      nextBefore: s.integer({ description: 'Pass as `before` for the next page' }).nullable()
+    })
+  },
+  'GET /wallet/payouts': { summary: 'Payout requests (admin: all)', response: list('PayoutListItem') },
+  'POST /wallet/payouts': {
+    summary: 'Request a payout',
+    description: 'When this payout takes your last 24 hours of payouts above TWO_FACTOR_PAYOUT_THRESHOLD (AOA), send `twoFactorCode` – without it, or without 2FA on, the answer is 403 TWO_FACTOR_REQUIRED.',
+    response: ref('PayoutRequest'),
+    idempotent: true,
+    errors: [403, 409]
+  },
+  'GET /wallet/payouts/:id': { summary: 'One payout request', response: ref('PayoutRequest'), errors: [403] },
+  'PATCH /wallet/payouts/:id': {
+    summary: 'Cancel, or approve / reject / complete (admin)',
+    response: ref('PayoutRequest'),
+    idempotent: true,
+    errors: [403, 409]
+  },
+
+  // This document
+  'GET /openapi.json': { tag: 'Docs', summary: 'This OpenAPI document', response: s.any() },
+  'GET /docs': { tag: 'Docs', summary: 'Browsable API documentation', content: { 'text/html': s.string() } }
+};
+
+let spec;
+
+function openApiDocument() {
+  if (!spec) {
+    spec = buildOpenApi(require('./routes'), {
+      info: {
+        title: 'AgriConnect Angola API',
+        version,
+        description: 'Errors always answer `{ error, code, details? }`; see the Error and ValidationError schemas.'
+      },
+      docs,
+      components,
+      requestSchemas,
+      datamodel: Prisma.dmmf?.datamodel,
+      omit: { User: ['passwordHash'], ApiKey: ['keyHash', 'userId', 'createdById'] },
+      apiKeyScope
+    });
+  }
+  return spec;
+}
+
+module.exports = async (req, res) => {
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.json(openApiDocument());
+};
+
+module.exports.openApiDocument = openApiDocument;
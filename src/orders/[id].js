@@ -1,23 +1,16 @@
 const prisma = require('../../lib/prisma');
-const { verifyToken } = require('../../lib/jwt');
+const { PARTY_SELECT } = require('../../lib/checkout');
+const { transitionOrder, allowedTransitions } = require('../../lib/order-status');
+const { can } = require('../../lib/permissions');
+const { validationError } = require('../../lib/schema');
 
 require('dotenv').config();
 
 module.exports = async (req, res) => {
   try {
-    const auth = req.headers.authorization || '';
-    const token = auth.startsWith('Bearer ') ? auth.split(' ')[1] : null;
-    if (!token) return res.status(401).json({ error: 'Missing token' });
-
-    let payload;
-    try {
-      payload = verifyToken(token);
-    } catch {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
+    const payload = req.user;
 
     const { id } = req.query;
-    if (!id) return res.status(400).json({ error: 'Missing order ID' });
 
     if (req.method === 'GET') {
       const order = await prisma.order.findUnique({
@@ -28,45 +21,51 @@ module.exports = async (req, res) => {
               productListing: true
             }
           },
-          buyer: true,
-          seller: true,
-          transporter: true,
+          buyer: { select: PARTY_SELECT },
+          seller: { select: PARTY_SELECT },
+          transporter: { select: PARTY_SELECT },
           transportListing: true,
           storage: true,
-          statusHistory: true,
+          statusHistory: { orderBy: { createdAt: 'asc' } },
           preOrder: true
         }
       });
 
       if (!order) return res.status(404).json({ error: 'Order not found' });
 
-      const isAuthorized =
-        payload.role === 'ADMIN' ||
-        [order.buyerId, order.sellerId, order.transporterId].includes(payload.userId);
+      // The parties by default, admins always (lib/permissions.js)
+      const isAuthorized = await can(payload, 'READ', 'orders', order);
 
       if (!isAuthorized) return res.status(403).json({ error: 'Access denied' });
 
-      return res.json({ data: order });
+      return res.json({
+        data: { ...order, allowedTransitions: await allowedTransitions(order, payload) }
+      });
     }
 
     if (req.method === 'PATCH') {
-      const { orderStatus } = req.body;
-      if (!orderStatus) return res.status(400).json({ error: 'Missing orderStatus' });
+      // `status` is what js/api-client.js historically sent
+      const { orderStatus = req.body?.status, notes } = req.body || {};
+      if (!orderStatus) {
+        throw validationError([{ in: 'body', field: 'orderStatus', code: 'required', message: 'is required' }]);
+      }
 
-      const updated = await prisma.order.update({
-        where: { id },
-        data: { orderStatus },
-        include: {
-          orderItems: true
-        }
-      });
+      const updated = await prisma.$transaction((tx) =>
+        transitionOrder(tx, {
+          orderId: id,
+          toStatus: String(orderStatus).toUpperCase(),
+          actor: { userId: payload.userId, role: payload.role },
+          notes
+        })
+      );
 
       return res.json({ data: updated });
     }
 
     return res.status(405).json({ error: 'Method not allowed' });
   } catch (err) {
+    if (err.status) throw err; // 4xx – the router answers with its code and details
     console.error('[ORDER ID API]', err);
-    return res.status(500).json({ error: err.message || 'Internal server error' });
+    return res.status(500).json({ error: 'Internal server error' });
   }
 };
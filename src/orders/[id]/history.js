@@ -0,0 +1,33 @@
+const prisma = require('../../../lib/prisma');
+const { can } = require('../../../lib/permissions');
+
+module.exports = async (req, res) => {
+  try {
+    const { userId, role } = req.user;
+
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+    const orderId = req.query.id;
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { buyerId: true, sellerId: true, transporterId: true }
+    });
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    const isAuthorized = await can({ userId, role }, 'READ', 'orders', order);
+    if (!isAuthorized) return res.status(403).json({ error: 'Access denied' });
+
+    const history = await prisma.orderStatusHistory.findMany({
+      where: { orderId },
+      include: {
+        user: { select: { id: true, username: true, fullName: true, role: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return res.json({ data: history });
+  } catch (err) {
+    console.error('[ORDER HISTORY]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,54 @@
+// GET /api/orders/:id/invoice
+//   ?format=pdf (default) | html | json
+//   ?type=INVOICE (default) | CREDIT_NOTE
+// The invoice (or credit note) of an order, for its buyer, seller or an admin.
+
+const prisma = require('../../../lib/prisma');
+const { renderInvoiceHtml, renderInvoicePdf } = require('../../../lib/invoices');
+const { can } = require('../../../lib/permissions');
+
+module.exports = async (req, res) => {
+  try {
+    const { userId, role } = req.user;
+
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+    const { format, type } = req.query; // schemas.invoiceQuery – defaults pdf / INVOICE
+
+    const orderId = req.query.id;
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { buyerId: true, sellerId: true }
+    });
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    // Buyer and seller by default – not the transporter
+    if (!(await can({ userId, role }, 'READ', 'invoices', order))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const invoice = await prisma.invoice.findUnique({
+      where: { orderId_type: { orderId, type } },
+      include: { originalInvoice: { select: { invoiceNumber: true, issuedAt: true } } }
+    });
+    if (!invoice) {
+      return res.status(404).json({
+        error: type === 'INVOICE' ? 'No invoice yet – it is issued when the order is paid' : 'No credit note for this order'
+      });
+    }
+
+    if (format === 'json') return res.json({ data: invoice });
+
+    const filename = `${invoice.invoiceNumber.replace(/[^\w-]+/g, '_')}.${format}`;
+    const body = format === 'pdf'
+      ? renderInvoicePdf(invoice, { original: invoice.originalInvoice })
+      : renderInvoiceHtml(invoice, { original: invoice.originalInvoice });
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', format === 'pdf' ? 'application/pdf' : 'text/html; charset=utf-8');
+    res.setHeader('Content-Disposition', `${format === 'pdf' ? 'attachment' : 'inline'}; filename="${filename}"`);
+    return res.end(body);
+  } catch (err) {
+    console.error('[ORDER INVOICE]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,79 @@
+// -----------------------------------------------------------------------------
+// src/orders/checkout.js
+// -----------------------------------------------------------------------------
+// End‑points:
+//   POST /api/orders/checkout          → turn a whole cart into one order per seller
+//   GET  /api/orders/checkout?id=…     → the checkout receipt
+// -----------------------------------------------------------------------------
+// • Body: { items: [{ productId, quantity }], shippingAddressLine1?, shippingCity?,
+//   shippingPostalCode?, shippingCountry?, notesForSeller?: { [sellerId]: "…" } }
+//   Missing shipping fields fall back to the buyer's profile address.
+// • Items are grouped by ProductListing.producerId – every seller gets their own
+//   Order (and only sees that one in GET /api/orders), the buyer gets the parent
+//   Checkout id and one receipt with every order in it.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../lib/prisma');
+const { createCheckout, ORDER_INCLUDE } = require('../../lib/checkout');
+const { idempotent } = require('../../lib/idempotency');
+const { can } = require('../../lib/permissions');
+
+require('dotenv').config();
+
+module.exports = idempotent(async (req, res) => {
+  try {
+    const payload = req.user;
+
+    // --------------------------------------------------------------
+    // 1️⃣  POST – checkout the cart
+    // --------------------------------------------------------------
+    if (req.method === 'POST') {
+      const body = req.body || {};
+      const checkout = await createCheckout(prisma, {
+        buyerId: payload.userId,
+        items: body.items,
+        body
+      });
+
+      return res.status(201).json({ data: checkout });
+    }
+
+    // --------------------------------------------------------------
+    // 2️⃣  GET – receipt (whoever may READ the checkout – the buyer,
+    //     admins – sees everything, a seller only
+    //     sees the order that belongs to them)
+    // --------------------------------------------------------------
+    if (req.method === 'GET') {
+      const { id } = req.query; // schemas.checkoutQuery
+
+      const checkout = await prisma.checkout.findUnique({
+        where: { id },
+        include: { orders: { include: ORDER_INCLUDE, orderBy: { createdAt: 'asc' } } }
+      });
+      if (!checkout) return res.status(404).json({ error: 'Checkout not found' });
+
+      if (await can(payload, 'READ', 'checkouts', checkout)) {
+        return res.json({ data: checkout });
+      }
+
+      const ownOrders = checkout.orders.filter((o) => o.sellerId === payload.userId);
+      if (!ownOrders.length) return res.status(403).json({ error: 'Access denied' });
+
+      return res.json({
+        data: {
+          id: checkout.id,
+          buyerId: checkout.buyerId,
+          currency: checkout.currency,
+          createdAt: checkout.createdAt,
+          orders: ownOrders
+        }
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    if (err.status) throw err; // 4xx – the router answers with its code and details
+    console.error('[CHECKOUT API]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
@@ -1,66 +1,44 @@
 const prisma = require('../../lib/prisma');
-const { verifyToken } = require('../../lib/jwt');
+const { httpError } = require('../../lib/http-error');
+const { PARTY_SELECT, groupCartBySeller, resolveShipping, buildOrderData } = require('../../lib/checkout');
+const { reserveOrderStock } = require('../../lib/inventory');
+const { recordOrderStatus } = require('../../lib/order-status');
+const { idempotent } = require('../../lib/idempotency');
+const { scope } = require('../../lib/permissions');
 
 require('dotenv').config();
 
-module.exports = async (req, res) => {
+module.exports = idempotent(async (req, res) => {
   try {
-    const auth = req.headers.authorization || '';
-    const token = auth.startsWith('Bearer ') ? auth.split(' ')[1] : null;
-    if (!token) return res.status(401).json({ error: 'Missing token' });
-
-    let payload;
-    try {
-      payload = verifyToken(token);
-    } catch (e) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
+    const payload = req.user;
 
     // -------------------------------------------------
     // POST – create a new order
     // -------------------------------------------------
     if (req.method === 'POST') {
-      const { items = [] } = req.body || {};
-      if (!items.length) return res.status(400).json({ error: 'items required' });
-
-      const productIds = items.map((i) => i.productId);
-      const products = await prisma.productListing.findMany({
-        where: { id: { in: productIds } }
-      });
+      const body = req.body || {};
 
-      const productMap = new Map(products.map((p) => [p.id, p]));
-      let total = 0;
+      // A single order has a single seller – carts that span several
+      // producers go through /api/orders/checkout, which splits them.
+      const order = await prisma.$transaction(async (tx) => {
+        const groups = await groupCartBySeller(tx, body.items, payload.userId);
+        if (groups.length > 1) {
+          throw httpError(400, 'Items belong to several sellers – use POST /api/orders/checkout');
+        }
+        const shipping = await resolveShipping(tx, payload.userId, body);
 
-      const orderItemsData = items.map((it) => {
-        const prod = productMap.get(it.productId);
-        if (!prod) throw new Error(`Product ${it.productId} not found`);
-        const qty = Number(it.quantity || 1);
-        const price = Number(prod.pricePerUnit);
-        const subtotal = qty * price;
-        total += subtotal;
-        return {
-          productListing: { connect: { id: prod.id } },
-          quantityOrdered: qty,
-          pricePerUnitAtOrder: price,
-          subtotal
-        };
-      });
+        const created = await tx.order.create({
+          data: buildOrderData(payload.userId, groups[0], shipping, {
+            notesForSeller: body.notesForSeller || null
+          })
+        });
+        await reserveOrderStock(tx, created.id, payload.userId);
+        await recordOrderStatus(tx, created.id, 'PENDING', payload.userId, 'Order created');
 
-      const order = await prisma.order.create({
-        data: {
-          buyer: { connect: { id: payload.userId } },
-          seller: { connect: { id: products[0].producerId } }, // assumes all items from same seller
-          totalAmount: total,
-          currency: 'AOA',
-          orderStatus: 'PENDING',
-          paymentStatus: 'PENDING',
-          shippingAddressLine1: 'Rua Principal',
-          shippingCity: 'Luanda',
-          shippingPostalCode: '1000',
-          shippingCountry: 'Angola',
-          orderItems: { create: orderItemsData }   // ✅ corrected relation
-        },
-        include: { orderItems: true }              // ✅ corrected relation
+        return tx.order.findUnique({
+          where: { id: created.id },
+          include: { orderItems: true }
+        });
       });
 
       return res.status(201).json({ data: order });
@@ -70,18 +48,21 @@ module.exports = async (req, res) => {
     // GET – list orders
     // -------------------------------------------------
     if (req.method === 'GET') {
-      const { all } = req.query;
+      // schemas.orderListQuery – `role` narrows to one side of the order
+      const { all, role, status } = req.query;
 
-      const where =
-        all === '1' && payload.role === 'ADMIN'
-          ? {}
-          : {
-              OR: [
-                { buyerId: payload.userId },
-                { sellerId: payload.userId },
-                { transporterId: payload.userId }
-              ]
-            };
+      const parties = {
+        buyer: { buyerId: payload.userId },
+        seller: { sellerId: payload.userId },
+        transporter: { transporterId: payload.userId }
+      };
+      const mine = role ? parties[role] : { OR: Object.values(parties) };
+      // `all`: every order the caller may READ (all of them for admins)
+      const visible = all ? (await scope(payload, 'READ', 'orders')) || mine : mine;
+      const where = {
+        ...visible,
+        ...(status && { orderStatus: status })
+      };
 
       const orders = await prisma.order.findMany({
         where,
@@ -91,8 +72,8 @@ module.exports = async (req, res) => {
               productListing: true
             }
           },
-          buyer: true,
-          seller: true
+          buyer: { select: PARTY_SELECT },
+          seller: { select: PARTY_SELECT }
         },
         orderBy: { createdAt: 'desc' }
       });
@@ -105,7 +86,8 @@ module.exports = async (req, res) => {
     // -------------------------------------------------
     return res.status(405).json({ error: 'Method not allowed' });
   } catch (err) {
+    if (err.status) throw err; // 4xx – the router answers with its code and details
     console.error('[ORDERS API]', err);
-    return res.status(500).json({ error: err.message || 'Internal server error' });
+    return res.status(500).json({ error: 'Internal server error' });
   }
-};
+});
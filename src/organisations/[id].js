@@ -0,0 +1,32 @@
+// -----------------------------------------------------------------------------
+// src/organisations/[id].js
+// -----------------------------------------------------------------------------
+// GET /api/organisations/:id   → { data: { id, name, account, role, members } }
+// -----------------------------------------------------------------------------
+// Members only – anybody else gets 404.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../lib/prisma');
+const { membershipOf } = require('../../lib/organisations');
+
+const MEMBER_USER = { id: true, username: true, fullName: true, email: true, phoneNumber: true };
+
+module.exports = async (req, res) => {
+  const { organisation, role, permissions } = await membershipOf(prisma, req.params.id, req.user.actorId || req.user.userId);
+  const members = await prisma.organisationMember.findMany({
+    where: { organisationId: organisation.id },
+    include: { user: { select: MEMBER_USER } },
+    orderBy: { createdAt: 'asc' }
+  });
+  return res.json({
+    data: {
+      id: organisation.id,
+      name: organisation.account.companyName,
+      account: organisation.account,
+      createdAt: organisation.createdAt,
+      role,
+      permissions,
+      members: members.map((m) => ({ userId: m.userId, role: m.role, permissions: m.permissions, joinedAt: m.createdAt, user: m.user }))
+    }
+  });
+};
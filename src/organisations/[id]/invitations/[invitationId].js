@@ -0,0 +1,23 @@
+// -----------------------------------------------------------------------------
+// src/organisations/[id]/invitations/[invitationId].js
+// -----------------------------------------------------------------------------
+// DELETE /api/organisations/:id/invitations/:invitationId   → 204, the link stops working
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../../lib/prisma');
+const { httpError } = require('../../../../lib/http-error');
+const { membershipOf, requireMember } = require('../../../../lib/organisations');
+
+module.exports = async (req, res) => {
+  const actor = await membershipOf(prisma, req.params.id, req.user.actorId || req.user.userId);
+  requireMember(actor, 'MANAGE', 'members');
+
+  const { count } = await prisma.organisationInvitation.updateMany({
+    where: { id: req.params.invitationId, organisationId: actor.organisationId, acceptedAt: null, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  if (!count) throw httpError(404, 'Invitation not found');
+
+  res.statusCode = 204;
+  return res.end();
+};
@@ -0,0 +1,48 @@
+// -----------------------------------------------------------------------------
+// src/organisations/[id]/invitations/index.js
+// -----------------------------------------------------------------------------
+// GET  /api/organisations/:id/invitations   → { data: [pending invitations] }
+// POST /api/organisations/:id/invitations   { email | phoneNumber, role } → 201 { data }
+// -----------------------------------------------------------------------------
+// The link goes by e‑mail, or by SMS for a phone number, and works for 7
+// days for the user with that e‑mail / confirmed phone
+// (POST /api/organisations/invitations/accept). Owners and managers invite;
+// managers only drivers and accountants.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../../lib/prisma');
+const { validationError } = require('../../../../lib/schema');
+const { normalisePhone } = require('../../../../lib/phone');
+const { membershipOf, requireMember, inviteMember } = require('../../../../lib/organisations');
+
+const INVITATION_SELECT = {
+  id: true, role: true, email: true, phoneNumber: true, invitedById: true, expiresAt: true, createdAt: true
+};
+
+module.exports = async (req, res) => {
+  const actor = await membershipOf(prisma, req.params.id, req.user.actorId || req.user.userId);
+
+  if (req.method === 'GET') {
+    requireMember(actor, 'READ', 'members');
+    const invitations = await prisma.organisationInvitation.findMany({
+      where: { organisationId: actor.organisationId, acceptedAt: null, revokedAt: null, expiresAt: { gt: new Date() } },
+      select: INVITATION_SELECT,
+      orderBy: { createdAt: 'desc' }
+    });
+    return res.json({ data: invitations });
+  }
+
+  // Checked by schemas.invitationCreate (src/routes.js)
+  const { email, role } = req.body;
+  const phoneNumber = req.body.phoneNumber && normalisePhone(req.body.phoneNumber);
+  if (!email && !req.body.phoneNumber) {
+    throw validationError([{ in: 'body', field: 'email', code: 'required', message: 'email or phoneNumber is required' }]);
+  }
+  if (req.body.phoneNumber && !phoneNumber) {
+    throw validationError([{ in: 'body', field: 'phoneNumber', code: 'invalid_format', message: 'must be an Angolan mobile number' }]);
+  }
+
+  const invitation = await inviteMember(prisma, actor, { email, phoneNumber: email ? undefined : phoneNumber, role });
+  const data = Object.fromEntries(Object.keys(INVITATION_SELECT).map((key) => [key, invitation[key]]));
+  return res.status(201).json({ data });
+};
@@ -0,0 +1,33 @@
+// -----------------------------------------------------------------------------
+// src/organisations/[id]/members/[userId].js
+// -----------------------------------------------------------------------------
+// PATCH  /api/organisations/:id/members/:userId   { role?, permissions? } → { data }
+//        owners only
+// DELETE /api/organisations/:id/members/:userId   → 204
+//        owners remove anybody, managers drivers and accountants, anybody
+//        themselves (leave)
+// -----------------------------------------------------------------------------
+// An organisation always keeps one owner (409).
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../../lib/prisma');
+const { httpError } = require('../../../../lib/http-error');
+const { membershipOf, updateMember, removeMember } = require('../../../../lib/organisations');
+
+module.exports = async (req, res) => {
+  const { id, userId } = req.params;
+  const actor = await membershipOf(prisma, id, req.user.actorId || req.user.userId);
+  const target = await prisma.organisationMember.findUnique({
+    where: { organisationId_userId: { organisationId: id, userId } }
+  });
+  if (!target) throw httpError(404, 'Member not found');
+
+  if (req.method === 'PATCH') {
+    const member = await prisma.$transaction((tx) => updateMember(tx, actor, target, req.body)); // schemas.memberUpdate
+    return res.json({ data: member });
+  }
+
+  await prisma.$transaction((tx) => removeMember(tx, actor, target));
+  res.statusCode = 204;
+  return res.end();
+};
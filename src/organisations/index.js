@@ -0,0 +1,40 @@
+// -----------------------------------------------------------------------------
+// src/organisations/index.js
+// -----------------------------------------------------------------------------
+// GET  /api/organisations   → { data: [{ id, name, account, role, permissions }] }
+//                             the organisations you are a member of
+// POST /api/organisations   { name, email?, taxId?, role } → 201 { data }
+//                             you become its OWNER
+// -----------------------------------------------------------------------------
+// Always the person signed in, also while acting for an organisation.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../lib/prisma');
+const { ACCOUNT_SELECT, createOrganisation } = require('../../lib/organisations');
+
+module.exports = async (req, res) => {
+  const userId = req.user.actorId || req.user.userId;
+
+  if (req.method === 'GET') {
+    const memberships = await prisma.organisationMember.findMany({
+      where: { userId },
+      include: { organisation: { include: { account: { select: ACCOUNT_SELECT } } } },
+      orderBy: { createdAt: 'asc' }
+    });
+    return res.json({
+      data: memberships.map(({ organisation, role, permissions }) => ({
+        id: organisation.id,
+        name: organisation.account.companyName,
+        account: organisation.account,
+        role,
+        permissions
+      }))
+    });
+  }
+
+  // Checked by schemas.organisationCreate (src/routes.js)
+  const organisation = await prisma.$transaction((tx) => createOrganisation(tx, { id: userId }, req.body));
+  return res.status(201).json({
+    data: { id: organisation.id, name: organisation.account.companyName, account: organisation.account, role: 'OWNER', permissions: [] }
+  });
+};
@@ -0,0 +1,23 @@
+// -----------------------------------------------------------------------------
+// src/organisations/invitations/accept.js
+// -----------------------------------------------------------------------------
+// POST /api/organisations/invitations/accept   { token } → { data: { organisationId, role } }
+// -----------------------------------------------------------------------------
+// The signed‑in user joins with the role of the invitation. It must have
+// been sent to their e‑mail or confirmed phone number (403 otherwise).
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { httpError } = require('../../../lib/http-error');
+const { acceptInvitation } = require('../../../lib/organisations');
+
+module.exports = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.actorId || req.user.userId },
+    select: { id: true, email: true, phoneNumber: true, phoneVerifiedAt: true }
+  });
+  if (!user) throw httpError(401, 'Missing or invalid token');
+
+  const member = await acceptInvitation(prisma, user, req.body.token); // schemas.invitationAccept
+  return res.json({ data: { organisationId: member.organisationId, role: member.role } });
+};
@@ -0,0 +1,89 @@
+// -----------------------------------------------------------------------------
+// src/payments/disputes/[id].js
+// -----------------------------------------------------------------------------
+// End‑points:
+//   GET   /api/payments/disputes/:id   → dispute, evidence and the transaction
+//   PATCH /api/payments/disputes/:id   → { action, … }
+//     RESPOND       (the other party)  { response, documentIds? }
+//     ADD_EVIDENCE  (either party)     { documentIds, note? }
+//     RULE          (admin, 2FA)       { ruling: REFUND|RELEASE|SPLIT, notes,
+//                                         buyerAmount?, sellerAmount? }  ← SPLIT
+// -----------------------------------------------------------------------------
+// • An admin can only rule once the other party responded or the response
+//   window (DISPUTE_RESPONSE_DAYS) lapsed.
+// • Every action is logged on the transaction (GET …/transactions/:id/events)
+//   and notifies both parties.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { httpError } = require('../../../lib/http-error');
+const { respondToDispute, addDisputeEvidence, ruleOnDispute, DISPUTE_INCLUDE } = require('../../../lib/dispute');
+const { idempotent } = require('../../../lib/idempotency');
+const { can } = require('../../../lib/permissions');
+const { twoFactorRequired } = require('../../../lib/two-factor');
+
+module.exports = idempotent(async (req, res) => {
+  try {
+    const { userId, role, mfa } = req.user;
+    const disputeId = req.query.id;
+
+    if (req.method === 'GET') {
+      const dispute = await prisma.dispute.findUnique({
+        where: { id: disputeId },
+        include: {
+          ...DISPUTE_INCLUDE,
+          openedBy: { select: { id: true, fullName: true, username: true } },
+          respondent: { select: { id: true, fullName: true, username: true } },
+          resolvedBy: { select: { id: true, fullName: true, username: true } }
+        }
+      });
+      if (!dispute) return res.status(404).json({ error: 'Not found' });
+      if (!(await can({ userId, role }, 'READ', 'disputes', dispute))) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      return res.json(dispute);
+    }
+
+    if (req.method === 'PATCH') {
+      const { action, response, documentIds, note, ruling, notes, buyerAmount, sellerAmount } = req.body; // schemas.disputeAction
+
+      const result = await prisma.$transaction(async (tx) => {
+        const dispute = await tx.dispute.findUnique({ where: { id: disputeId } });
+        if (!dispute) return null;
+
+        switch (action) {
+          case 'RESPOND':
+            return respondToDispute(tx, dispute, { actorId: userId, response, documentIds });
+
+          case 'ADD_EVIDENCE':
+            return addDisputeEvidence(tx, dispute, { actorId: userId, documentIds, note });
+
+          case 'RULE':
+            if (!(await can({ userId, role }, 'MANAGE', 'disputes', dispute))) {
+              throw httpError(403, 'Only an admin can rule on a dispute');
+            }
+            // Same rule as RELEASE / REFUND on the transaction – a ruling moves escrow
+            if (!mfa) {
+              const txn = await tx.paymentTransaction.findUnique({ where: { id: dispute.transactionId } });
+              if (txn.buyerId !== userId && txn.sellerId !== userId) {
+                throw twoFactorRequired('Ruling on a dispute needs a sign‑in with two‑factor authentication');
+              }
+            }
+            return ruleOnDispute(tx, dispute, { actorId: userId, ruling, notes, buyerAmount, sellerAmount });
+
+          default:
+            throw httpError(400, 'Unknown action');
+        }
+      });
+      if (!result) return res.status(404).json({ error: 'Not found' });
+
+      return res.json(result);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    if (err.status) throw err; // 4xx – the router answers with its code and details
+    console.error('[DISPUTE PATCH]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
@@ -0,0 +1,62 @@
+// -----------------------------------------------------------------------------
+// src/payments/disputes/index.js
+// -----------------------------------------------------------------------------
+// End‑points:
+//   GET  /api/payments/disputes                → disputes I am a party to (admin: all)
+//        ?status=AWAITING_RESPONSE|UNDER_REVIEW|RESOLVED  &transactionId=…
+//   POST /api/payments/disputes                → open a dispute
+//        { transactionId, reason, description, documentIds?: [] }
+// -----------------------------------------------------------------------------
+// • Evidence is uploaded first through POST /api/documents/upload; the returned
+//   Document ids go in `documentIds`.
+// • Responding, more evidence and the admin ruling: /api/payments/disputes/:id
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { openDispute, DISPUTE_INCLUDE } = require('../../../lib/dispute');
+const { idempotent } = require('../../../lib/idempotency');
+const { scope } = require('../../../lib/permissions');
+
+module.exports = idempotent(async (req, res) => {
+  try {
+    const { userId, role } = req.user;
+
+    if (req.method === 'GET') {
+      const { status, transactionId } = req.query; // schemas.disputeListQuery
+
+      // The parties' own disputes, all of them for admins (lib/permissions.js)
+      const visible = await scope({ userId, role }, 'READ', 'disputes');
+      if (!visible) return res.status(403).json({ error: 'Forbidden' });
+
+      const disputes = await prisma.dispute.findMany({
+        where: {
+          AND: [visible],
+          ...(status && { status }),
+          ...(transactionId && { transactionId })
+        },
+        orderBy: { createdAt: 'desc' },
+        include: DISPUTE_INCLUDE
+      });
+      return res.json(disputes);
+    }
+
+    if (req.method === 'POST') {
+      const { transactionId, reason, description, documentIds } = req.body; // schemas.disputeCreate
+
+      const dispute = await prisma.$transaction(async (tx) => {
+        const txn = await tx.paymentTransaction.findUnique({ where: { id: transactionId } });
+        if (!txn) return null;
+        return openDispute(tx, txn, { actorId: userId, reason, description, documentIds });
+      });
+      if (!dispute) return res.status(404).json({ error: 'Transaction not found' });
+
+      return res.status(201).json(dispute);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    if (err.status) throw err; // 4xx – the router answers with its code and details
+    console.error('[DISPUTES]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
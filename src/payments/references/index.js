@@ -0,0 +1,60 @@
+// -----------------------------------------------------------------------------
+// src/payments/references/index.js
+// -----------------------------------------------------------------------------
+// End‑points:
+//   POST /api/payments/references                     → pay a PENDING transaction
+//        { transactionId, provider?: "simulator" }     (buyer only)
+//   GET  /api/payments/references?transactionId=…     → references of a transaction
+// -----------------------------------------------------------------------------
+// • The response carries the entity + reference the buyer pays at an ATM or in
+//   a mobile‑money app. The transaction is FUNDED only when the provider
+//   confirms the payment (lib/payment-providers).
+// • Asking for a new reference cancels the previous unpaid one.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { createPaymentReference } = require('../../../lib/payment-providers');
+const { idempotent } = require('../../../lib/idempotency');
+const { can } = require('../../../lib/permissions');
+
+module.exports = idempotent(async (req, res) => {
+  try {
+    const { userId, role } = req.user;
+
+    if (req.method === 'GET') {
+      const { transactionId } = req.query; // schemas.paymentReferenceQuery
+
+      const txn = await prisma.paymentTransaction.findUnique({ where: { id: transactionId } });
+      if (!txn) return res.status(404).json({ error: 'Transaction not found' });
+      if (!(await can({ userId, role }, 'READ', 'transactions', txn))) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      const references = await prisma.paymentReference.findMany({
+        where: { transactionId },
+        orderBy: { createdAt: 'desc' },
+        include: { provider: { select: { name: true, type: true } } }
+      });
+      return res.json(references);
+    }
+
+    if (req.method === 'POST') {
+      const { transactionId, provider } = req.body; // schemas.paymentReferenceCreate
+
+      const reference = await prisma.$transaction(async (tx) => {
+        const txn = await tx.paymentTransaction.findUnique({ where: { id: transactionId } });
+        if (!txn) return null;
+        return createPaymentReference(tx, txn, { actorId: userId, providerName: provider });
+      });
+      if (!reference) return res.status(404).json({ error: 'Transaction not found' });
+
+      return res.status(201).json(reference);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    if (err.status) throw err; // 4xx – the router answers with its code and details
+    console.error('[PAYMENT REFERENCES]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
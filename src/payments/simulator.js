@@ -0,0 +1,46 @@
+// -----------------------------------------------------------------------------
+// src/payments/simulator.js
+// -----------------------------------------------------------------------------
+// POST /api/payments/simulator   → "pay" a simulator reference
+//      { reference, outcome?: "PAID" | "FAILED", amount? }
+// -----------------------------------------------------------------------------
+// • Development only: disabled in production unless PAYMENT_SIMULATOR=true.
+// • Builds the event a real provider would send, signs it with the simulator's
+//   webhook secret and delivers it through the webhook path
+//   (POST /api/payments/webhooks/simulator → lib/payment-providers/webhooks.js).
+// • `amount` lets you test an under/over‑payment; it defaults to the
+//   reference amount.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../lib/prisma');
+const { simulatorEnabled, resolveProvider } = require('../../lib/payment-providers');
+const { signPayload, receiveWebhook, SIGNATURE_HEADER } = require('../../lib/payment-providers/webhooks');
+require('dotenv').config();
+
+module.exports = async (req, res) => {
+  if (!simulatorEnabled()) return res.status(404).json({ error: 'Not found' });
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { reference, outcome, amount } = req.body; // schemas.simulatePayment
+
+    const { provider, adapter } = await resolveProvider(prisma, 'simulator');
+    const ref = await prisma.paymentReference.findUnique({ where: { reference: String(reference) } });
+    if (!ref || ref.providerId !== provider.id) return res.status(404).json({ error: 'Unknown simulator reference' });
+    if (outcome === 'PAID' && ref.expiresAt && ref.expiresAt < new Date()) {
+      return res.status(409).json({ error: 'Reference expired' });
+    }
+
+    const event = adapter.simulatePayment(ref, { outcome, amount });
+    const rawBody = JSON.stringify(event);
+    const result = await receiveWebhook(prisma, provider.name, {
+      headers: { [SIGNATURE_HEADER]: signPayload(provider.config.webhookSecret, rawBody) },
+      rawBody
+    });
+    return res.json({ event, ...result });
+  } catch (err) {
+    if (err.status) throw err; // 4xx – the router answers with its code and details
+    console.error('[PAYMENT SIMULATOR]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -1,19 +1,14 @@
 const prisma = require('../../../lib/prisma');
-const { verifyToken } = require('../../../lib/jwt');
-const { ensureWallet, creditWallet } = require('../../../lib/wallet');
-
-async function logEvent(tx, transactionId, actorId, action) {
-  await tx.paymentTransactionEvent.create({
-    data: { transactionId, actorId, action }
-  });
-}
-
-module.exports = async (req, res) => {
+const { httpError } = require('../../../lib/http-error');
+const { splitEscrow, releaseEscrow, refundEscrow, logEscrowEvent: logEvent } = require('../../../lib/escrow');
+const { openDispute, ruleOnDispute } = require('../../../lib/dispute');
+const { idempotent } = require('../../../lib/idempotency');
+const { can } = require('../../../lib/permissions');
+const { twoFactorRequired } = require('../../../lib/two-factor');
+
+module.exports = idempotent(async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) return res.status(401).json({ error: 'Missing token' });
-
-    const { userId, role } = verifyToken(token);
+    const { userId, role, mfa } = req.user;
     const txnId = req.query.id;
 
     if (req.method === 'GET') {
@@ -21,36 +16,40 @@ module.exports = async (req, res) => {
         where: { id: txnId },
         include: {
           buyer: { select: { id: true, fullName: true, username: true } },
-          seller: { select: { id: true, fullName: true, username: true } }
+          seller: { select: { id: true, fullName: true, username: true } },
+          escrows: { orderBy: [{ position: 'asc' }, { createdAt: 'asc' }] },
+          feeLines: { orderBy: { createdAt: 'asc' } }
         }
       });
       if (!txn) return res.status(404).json({ error: 'Not found' });
+      if (!(await can({ userId, role }, 'READ', 'transactions', txn))) return res.status(403).json({ error: 'Forbidden' });
       return res.json(txn);
     }
 
     if (req.method === 'PATCH') {
-      const { action } = req.body || {};
-      if (!action) return res.status(400).json({ error: 'Missing action' });
+      // `action` is one of the cases below – schemas.transactionAction
+      const { action, milestones, milestoneId, reason, description, documentIds, notes } = req.body;
+
+      // Moving escrow by authority (not as a party) needs a session signed in
+      // with a second factor – lib/two-factor.js
+      const needsTwoFactor = (txn) => !mfa && txn.buyerId !== userId && txn.sellerId !== userId;
 
       const result = await prisma.$transaction(async tx => {
         const txn = await tx.paymentTransaction.findUnique({ where: { id: txnId } });
-        if (!txn) throw new Error('Transaction not found');
+        if (!txn) throw httpError(404, 'Transaction not found');
 
         const isBuyer = txn.buyerId === userId;
         const isSeller = txn.sellerId === userId;
-        const isAdmin = role === 'ADMIN';
+        const isAdmin = await can({ userId, role }, 'MANAGE', 'transactions', txn);
 
         switch (action) {
           case 'FUND':
-            if (!isBuyer || txn.status !== 'PENDING') throw new Error('Unauthorized or invalid state');
-            await logEvent(tx, txnId, userId, 'FUND');
-            return tx.paymentTransaction.update({
-              where: { id: txnId },
-              data: { status: 'FUNDED', escrowHeldAt: new Date() }
-            });
+            // Funding only happens when the payment provider confirms the payment
+            throw httpError(400, 'Pay through a payment reference: POST /api/payments/references { transactionId }');
 
           case 'SELLER_CONFIRM':
-            if (!isSeller || txn.status !== 'FUNDED') throw new Error('Unauthorized or invalid state');
+            if (!isSeller) throw httpError(403, 'Only the seller can confirm');
+            if (txn.status !== 'FUNDED') throw httpError(409, `Cannot confirm a ${txn.status} transaction`);
             await logEvent(tx, txnId, userId, 'SELLER_CONFIRM');
             return tx.paymentTransaction.update({
               where: { id: txnId },
@@ -58,7 +57,8 @@ module.exports = async (req, res) => {
             });
 
           case 'BUYER_CONFIRM':
-            if (!isBuyer || !['FUNDED', 'SELLER_CONFIRMED'].includes(txn.status)) throw new Error('Unauthorized or invalid state');
+            if (!isBuyer) throw httpError(403, 'Only the buyer can confirm receipt');
+            if (!['FUNDED', 'SELLER_CONFIRMED'].includes(txn.status)) throw httpError(409, `Cannot confirm a ${txn.status} transaction`);
             await logEvent(tx, txnId, userId, 'BUYER_CONFIRM');
             return tx.paymentTransaction.update({
               where: { id: txnId },
@@ -66,38 +66,58 @@ module.exports = async (req, res) => {
             });
 
           case 'RELEASE':
-            if (!isAdmin && !(txn.status === 'BUYER_CONFIRMED' || txn.status === 'SELLER_CONFIRMED')) throw new Error('Unauthorized');
-            await ensureWallet(tx, txn.sellerId);
-            await creditWallet(tx, txn.sellerId, Number(txn.amount), { paymentTransactionId: txnId });
-            await logEvent(tx, txnId, userId, 'RELEASE');
-            return tx.paymentTransaction.update({
+            // Everything still held (all remaining milestones)
+            if (!isAdmin) throw httpError(403, 'Only an administrator can release the whole escrow');
+            if (needsTwoFactor(txn)) throw twoFactorRequired('Releasing escrow needs a sign‑in with two‑factor authentication');
+            return releaseEscrow(tx, txn, { actorId: userId });
+
+          case 'SPLIT_ESCROW':
+            // body.milestones: [{ milestone: 'Pickup', percentage: 30 }, { milestone: 'Delivery', percentage: 70 }]
+            if (!(isAdmin || isSeller)) throw httpError(403, 'Only the seller or an administrator can split the escrow');
+            await splitEscrow(tx, txn, milestones, userId);
+            return tx.paymentTransaction.findUnique({
               where: { id: txnId },
-              data: { status: 'RELEASED', releasedAt: new Date() }
+              include: { escrows: { orderBy: [{ position: 'asc' }, { createdAt: 'asc' }] } }
             });
 
+          case 'RELEASE_MILESTONE':
+            // The buyer (or an admin) pays out one milestone to the seller
+            if (!(isAdmin || isBuyer)) throw httpError(403, 'Only the buyer or an administrator can release a milestone');
+            if (!milestoneId) throw httpError(400, 'milestoneId required');
+            if (needsTwoFactor(txn)) throw twoFactorRequired('Releasing escrow needs a sign‑in with two‑factor authentication');
+            return releaseEscrow(tx, txn, { escrowId: milestoneId, actorId: userId, action: 'RELEASE_MILESTONE' });
+
           case 'DISPUTE':
-            if (!(isBuyer || isSeller)) throw new Error('Unauthorized');
-            if (!['FUNDED', 'SELLER_CONFIRMED', 'BUYER_CONFIRMED'].includes(txn.status)) throw new Error('Invalid state');
-            await logEvent(tx, txnId, userId, 'DISPUTE');
-            return tx.paymentTransaction.update({ where: { id: txnId }, data: { status: 'DISPUTED' } });
-
-          case 'REFUND':
-            if (!isAdmin || txn.status !== 'DISPUTED') throw new Error('Unauthorized or invalid state');
-            await ensureWallet(tx, txn.buyerId);
-            await creditWallet(tx, txn.buyerId, Number(txn.amount), { paymentTransactionId: txnId, refund: true });
-            await logEvent(tx, txnId, userId, 'REFUND');
-            return tx.paymentTransaction.update({
-              where: { id: txnId },
-              data: { status: 'REFUNDED', refundedAt: new Date() }
+            // Opens a Dispute – see /api/payments/disputes for the rest of the flow
+            return openDispute(tx, txn, { actorId: userId, reason, description, documentIds });
+
+          case 'REFUND': {
+            // Whatever is still held goes back to the buyer. With an open
+            // dispute this is a REFUND ruling on it.
+            if (!isAdmin) throw httpError(403, 'Only an administrator can refund');
+            if (txn.status !== 'DISPUTED') throw httpError(409, `Cannot refund a ${txn.status} transaction – open a dispute first`);
+            if (needsTwoFactor(txn)) throw twoFactorRequired('Refunding escrow needs a sign‑in with two‑factor authentication');
+            const dispute = await tx.dispute.findFirst({
+              where: { transactionId: txnId, status: { not: 'RESOLVED' } },
+              orderBy: { createdAt: 'desc' }
             });
+            if (!dispute) return refundEscrow(tx, txn, { actorId: userId });
+            await ruleOnDispute(tx, dispute, { actorId: userId, ruling: 'REFUND', notes });
+            return tx.paymentTransaction.findUnique({ where: { id: txnId } });
+          }
 
           case 'CANCEL':
-            if (!isBuyer || txn.status !== 'PENDING') throw new Error('Unauthorized or invalid state');
+            if (!isBuyer) throw httpError(403, 'Only the buyer can cancel');
+            if (txn.status !== 'PENDING') throw httpError(409, `Cannot cancel a ${txn.status} transaction`);
             await logEvent(tx, txnId, userId, 'CANCEL');
+            await tx.paymentReference.updateMany({
+              where: { transactionId: txnId, status: 'PENDING' },
+              data: { status: 'CANCELLED', failureReason: 'Transaction cancelled' }
+            });
             return tx.paymentTransaction.update({ where: { id: txnId }, data: { status: 'CANCELLED' } });
 
           default:
-            throw new Error('Unknown action');
+            throw httpError(400, `Unknown action "${action}"`);
         }
       });
 
@@ -106,7 +126,8 @@ module.exports = async (req, res) => {
 
     return res.status(405).json({ error: 'Method not allowed' });
   } catch (err) {
+    if (err.status) throw err; // 4xx – the router answers with its code and details
     console.error('[TXN PATCH]', err);
-    return res.status(500).json({ error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
   }
-};
+});
@@ -1,12 +1,29 @@
 const prisma = require('../../../lib/prisma');
-const { verifyToken } = require('../../../lib/jwt');
+const { idempotent } = require('../../../lib/idempotency');
+const { httpError } = require('../../../lib/http-error');
+const { validationError } = require('../../../lib/schema');
 
-module.exports = async (req, res) => {
-  try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) return res.status(401).json({ error: 'Missing token' });
+/**
+ * The PENDING order the transaction pays for, with nothing else paying for
+ * it. Its PAID / REFUNDED status then follows the escrow (lib/order-status.js).
+ */
+async function orderToPay(tx, orderId, buyerId) {
+  const order = await tx.order.findUnique({ where: { id: orderId } });
+  if (!order) throw httpError(404, 'Order not found');
+  if (order.buyerId !== buyerId) throw httpError(403, 'Only the buyer can pay for an order');
+  if (order.orderStatus !== 'PENDING') throw httpError(409, `Order is ${order.orderStatus}, not PENDING`);
+  if (order.transactionId) {
+    const current = await tx.paymentTransaction.findUnique({ where: { id: order.transactionId } });
+    if (current && current.status !== 'CANCELLED') {
+      throw httpError(409, 'This order already has a payment transaction', { transactionId: current.id });
+    }
+  }
+  return order;
+}
 
-    const { userId } = verifyToken(token);
+module.exports = idempotent(async (req, res) => {
+  try {
+    const { userId } = req.user;
 
     if (req.method === 'GET') {
       const txns = await prisma.paymentTransaction.findMany({
@@ -23,27 +40,59 @@ module.exports = async (req, res) => {
     }
 
     if (req.method === 'POST') {
-      const { sellerId, amount, description } = req.body || {};
-      if (!sellerId || !amount || Number(amount) <= 0) {
-        return res.status(400).json({ error: 'Invalid sellerId or amount' });
+      // amount > 0 and a 3‑letter currency – schemas.transactionCreate. For
+      // an order the seller, amount and currency are the order's.
+      const { orderId, description } = req.body;
+      if (!orderId) {
+        const missing = ['sellerId', 'amount'].filter((field) => req.body[field] === undefined);
+        if (missing.length) {
+          throw validationError(missing.map((field) => ({ in: 'body', field, code: 'required', message: 'is required without orderId' })));
+        }
       }
 
-      const txn = await prisma.paymentTransaction.create({
-        data: {
-          buyerId: userId,
-          sellerId,
-          amount: Number(amount),
-          description: description || '',
-          status: 'PENDING'
-        }
-      });
+      // The Idempotency-Key is also stored on the transaction (scoped to the
+      // buyer) so the same payment can never exist twice, even past the
+      // 24h window of the idempotency record.
+      const idempotencyKey = req.idempotencyKey ? `${userId}:${req.idempotencyKey}` : null;
+
+      const txn = await prisma.$transaction(async (tx) => {
+        const order = orderId ? await orderToPay(tx, orderId, userId) : null;
+        const { sellerId, amount, currency } = order
+          ? { sellerId: order.sellerId, amount: order.totalAmount, currency: order.currency }
+          : req.body;
+
+        const created = await tx.paymentTransaction.create({
+          data: {
+            buyerId: userId,
+            sellerId,
+            amount: Number(amount),
+            currency: currency || 'AOA',
+            type: 'PAYMENT',
+            status: 'PENDING',
+            idempotencyKey,
+            metadata: description ? JSON.stringify({ description }) : null
+          }
+        });
 
-      await prisma.paymentTransactionEvent.create({
-        data: {
-          transactionId: txn.id,
-          actorId: userId,
-          action: 'CREATE'
+        if (order) {
+          // Guarded – two transactions racing for the same order, one wins
+          const { count } = await tx.order.updateMany({
+            where: { id: order.id, orderStatus: 'PENDING', transactionId: order.transactionId },
+            data: { transactionId: created.id }
+          });
+          if (count === 0) throw httpError(409, 'Order was updated by someone else, reload and retry');
         }
+
+        await tx.paymentTransactionEvent.create({
+          data: {
+            transactionId: created.id,
+            actorId: userId,
+            action: 'CREATE',
+            ...(order && { metadata: { orderId: order.id } })
+          }
+        });
+
+        return created;
       });
 
       return res.status(201).json(txn);
@@ -51,7 +100,11 @@ module.exports = async (req, res) => {
 
     return res.status(405).json({ error: 'Method not allowed' });
   } catch (err) {
+    if (err.status) throw err; // 4xx – the router answers with its code and details
     console.error('[TXN INDEX]', err);
-    return res.status(500).json({ error: err.message });
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'A transaction with this Idempotency-Key already exists' });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
   }
-};
+});
@@ -0,0 +1,38 @@
+// -----------------------------------------------------------------------------
+// src/payments/webhooks/[provider].js
+// -----------------------------------------------------------------------------
+// POST /api/payments/webhooks/:provider   → payment outcome from a provider
+// -----------------------------------------------------------------------------
+// • No user token – the request is authenticated by its HMAC signature
+//   (X-PDC-Signature, secret in PaymentProvider.config.webhookSecret).
+// • 401 for a bad or stale signature, 200 { duplicate: true } for an event id
+//   that was already applied, 4xx when the event does not fit the reference
+//   (unknown, already settled, wrong amount) so the provider can flag it.
+// • See lib/payment-providers/webhooks.js.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { receiveWebhook } = require('../../../lib/payment-providers/webhooks');
+require('dotenv').config();
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const providerName = req.query.provider;
+  try {
+    const result = await receiveWebhook(prisma, providerName, {
+      headers: req.headers,
+      rawBody: req.rawBody ?? JSON.stringify(req.body || {})
+    });
+    return res.json({
+      received: true,
+      eventId: result.eventId,
+      duplicate: result.duplicate,
+      reference: result.reference?.status,
+      transaction: result.transaction?.status
+    });
+  } catch (err) {
+    console.error(`[PAYMENT WEBHOOK ${providerName}]`, err.message);
+    return res.status(err.status || 500).json({ error: err.status ? err.message : 'Internal server error' });
+  }
+};
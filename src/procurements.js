@@ -10,8 +10,8 @@
 // All responses are JSON { data: … } (or { error: … }).
 // ===============================================================
 
-const prisma = require('../../lib/prisma');          // ← corrected
-const { verifyToken } = require('../../lib/jwt');    // ← corrected
+const prisma = require('../lib/prisma');
+const { can, scope } = require('../lib/permissions');
 require('dotenv').config();
 
 // ---------- Tiny JSON helper ----------
@@ -25,38 +25,20 @@ function json(res, payload, status = 200) {
 // Main exported handler – Vercel calls it with (req, res)
 // -----------------------------------------------------------------
 module.exports = async (req, res) => {
-  // ---------- CORS (the outer catch‑all already adds this, but keep it safe) ----------
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PATCH,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  if (req.method === 'OPTIONS') return res.end();
-
   // -----------------------------------------------------------------
-  // 1️⃣ Authenticate – required for all endpoints
+  // 1️⃣ Signed in – requireAuth() in src/routes.js, for all endpoints
   // -----------------------------------------------------------------
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return json(res, { error: 'Missing token' }, 401);
-
-  let payload;
-  try {
-    payload = verifyToken(token);
-  } catch (e) {
-    return json(res, { error: 'Invalid token' }, 401);
-  }
-
+  const payload = req.user;
   const currentUserId = payload.userId;   // the logged‑in user (buyer)
 
   // -----------------------------------------------------------------
-  // 2️⃣ GET /api/procurements → list all requests (admin sees all, buyer sees own)
+  // 2️⃣ GET /api/procurements → list the requests the user may READ
+  //    (buyers their own, admins all – lib/permissions.js)
   // -----------------------------------------------------------------
   if (req.method === 'GET' && req.url.startsWith('/api/procurements')) {
     try {
-      const where = {}; // admin sees everything; non‑admin sees only own
-      if (payload.role !== 'ADMIN') {
-        where.buyerId = currentUserId;
-      }
+      const where = await scope(payload, 'READ', 'procurements');
+      if (!where) return json(res, { error: 'Insufficient permissions' }, 403);
 
       const requests = await prisma.procurementRequest.findMany({
         where,
@@ -90,35 +72,15 @@ module.exports = async (req, res) => {
   // 3️⃣ POST /api/procurements → create a new request (buyer only)
   // -----------------------------------------------------------------
   if (req.method === 'POST' && req.url === '/api/procurements') {
-    // ---- Parse JSON body ----------------------------------------------------
-    let body;
-    try {
-      body = await new Promise((resolve, reject) => {
-        let raw = '';
-        req.on('data', chunk => (raw += chunk));
-        req.on('end', () => {
-          try {
-            resolve(JSON.parse(raw));
-          } catch (err) {
-            reject(err);
-          }
-        });
-        req.on('error', reject);
-      });
-    } catch {
-      return json(res, { error: 'Invalid JSON body' }, 400);
-    }
-
-    const { productId, quantity } = body;
-    if (!productId) return json(res, { error: 'productId required' }, 400);
-    if (!quantity || quantity <= 0) return json(res, { error: 'valid quantity required' }, 400);
+    // ---- JSON body, checked by schemas.procurementCreate in src/routes.js ----
+    const { productId, quantity } = req.body;
 
     try {
       const newReq = await prisma.procurementRequest.create({
         data: {
           productId,
           buyerId: currentUserId,
-          quantity: Number(quantity),
+          quantity,
           status: 'PENDENTE'
         },
         include: {
@@ -142,44 +104,24 @@ module.exports = async (req, res) => {
   }
 
   // -----------------------------------------------------------------
-  // 4️⃣ PATCH /api/procurements/:id → admin updates status (APPROVE / REJECT)
+  // 4️⃣ PATCH /api/procurements/:id → status (APPROVE / REJECT), for whoever
+  //    MANAGEs the request (admins)
   // -----------------------------------------------------------------
   const patchMatch = req.url.match(/^\/api\/procurements\/([^/]+)$/);
   if (req.method === 'PATCH' && patchMatch) {
     const procId = patchMatch[1];
 
-    // Only ADMIN can change status
-    if (payload.role !== 'ADMIN') {
-      return json(res, { error: 'Insufficient permissions' }, 403);
-    }
-
-    // ---- Parse JSON body (expects { action: "APPROVE" | "REJECT" }) ---------
-    let body;
-    try {
-      body = await new Promise((resolve, reject) => {
-        let raw = '';
-        req.on('data', chunk => (raw += chunk));
-        req.on('end', () => {
-          try {
-            resolve(JSON.parse(raw));
-          } catch (err) {
-            reject(err);
-          }
-        });
-        req.on('error', reject);
-      });
-    } catch {
-      return json(res, { error: 'Invalid JSON body' }, 400);
-    }
-
-    const action = (body.action || '').toUpperCase();
-    if (!['APPROVE', 'REJECT'].includes(action)) {
-      return json(res, { error: 'Invalid action' }, 400);
-    }
+    // ---- { action: "APPROVE" | "REJECT" } – schemas.procurementAction ---------
+    const { action } = req.body;
 
     const newStatus = action === 'APPROVE' ? 'APROVADO' : 'REJEITADO';
 
     try {
+      const request = await prisma.procurementRequest.findUnique({ where: { id: procId } });
+      if (!request) return json(res, { error: 'Request not found' }, 404);
+      if (!(await can(payload, 'MANAGE', 'procurements', request))) {
+        return json(res, { error: 'Insufficient permissions' }, 403);
+      }
       const updated = await prisma.procurementRequest.update({
         where: { id: procId },
         data: { status: newStatus }
@@ -6,10 +6,7 @@
 //   POST /api/production          → create a new plan
 // ---------------------------------------------------------------------------
 
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
-
-const { verifyToken } = require('../lib/jwt');
+const prisma = require('../lib/prisma');
 require('dotenv').config();               // loads JWT secret, DB URL, …
 
 // ------------------- tiny JSON helper (identical to transformation.js) -------------------
@@ -24,28 +21,9 @@ function json(res, payload, status = 200) {
 // ---------------------------------------------------------------------------
 module.exports = async (req, res) => {
   // -------------------------------------------------
-  // CORS (kept for safety – the global catch‑all also adds it)
-  // -------------------------------------------------
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  if (req.method === 'OPTIONS') return res.end();
-
-  // -------------------------------------------------
-  // 1️⃣ Authenticate – same flow as other APIs
+  // 1️⃣ Signed in (requireAuth() in src/routes.js)
   // -------------------------------------------------
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return json(res, { error: 'Missing token' }, 401);
-
-  let payload;
-  try {
-    payload = verifyToken(token);
-  } catch (e) {
-    return json(res, { error: 'Invalid token' }, 401);
-  }
-  const userId = payload.userId; // producer who owns the plan
+  const { userId } = req.user; // producer who owns the plan
 
   // -------------------------------------------------
   // 2️⃣ GET – list production plans (optional filter by producerId)
@@ -83,26 +61,10 @@ module.exports = async (req, res) => {
   // 3️⃣ POST – create a new production plan
   // -------------------------------------------------
   if (req.method === 'POST' && req.url === '/api/production') {
-    // ---- Parse JSON body -------------------------------------------------
-    let body;
-    try {
-      body = await new Promise((resolve, reject) => {
-        let raw = '';
-        req.on('data', chunk => (raw += chunk));
-        req.on('end', () => {
-          try {
-            resolve(raw ? JSON.parse(raw) : {});
-          } catch (e) {
-            reject(e);
-          }
-        });
-        req.on('error', reject);
-      });
-    } catch {
-      return json(res, { error: 'Invalid JSON body' }, 400);
-    }
+    // ---- JSON body, parsed by the router -------------------------------------------------
+    const body = req.body || {};
 
-    // ---- Validate required UI fields ------------------------------------
+    // ---- Fields checked by schemas.productionCreate (src/routes.js) ---------
     const {
       productName,
       areaSize,
@@ -111,22 +73,16 @@ module.exports = async (req, res) => {
       estimatedHarvestDate,
     } = body;
 
-    if (!productName || !areaSize || !areaUnit) {
-      return json(res, { error: 'productName, areaSize & areaUnit are required' }, 400);
-    }
-
     // ---- Build Prisma payload -------------------------------------------
     try {
       const created = await prisma.productionPlan.create({
         data: {
           producerId: userId,
           productName,
-          areaSize: Number(areaSize),
+          areaSize,
           areaUnit,
           status: status || 'PLANNED',            // default if not supplied
-          estimatedHarvestDate: estimatedHarvestDate
-            ? new Date(estimatedHarvestDate)
-            : undefined,
+          estimatedHarvestDate,
         },
       });
 
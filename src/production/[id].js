@@ -6,10 +6,7 @@
 //   DELETE /api/production/:id  → delete the plan
 // ---------------------------------------------------------------------------
 
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
-
-const { verifyToken } = require('../../lib/jwt');
+const prisma = require('../../lib/prisma');
 require('dotenv').config();
 
 // tiny json helper – same as other API files
@@ -23,28 +20,6 @@ function json(res, payload, status = 200) {
 // Main handler
 // ---------------------------------------------------------------------------
 module.exports = async (req, res) => {
-  // -------------------------------------------------
-  // CORS
-  // -------------------------------------------------
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'PATCH,DELETE,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  if (req.method === 'OPTIONS') return res.end();
-
-  // -------------------------------------------------
-  // 1️⃣ Authenticate
-  // -------------------------------------------------
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return json(res, { error: 'Missing token' }, 401);
-
-  try {
-    verifyToken(token); // we only need to ensure it’s valid
-  } catch (e) {
-    return json(res, { error: 'Invalid token' }, 401);
-  }
-
   // -------------------------------------------------
   // Extract ID from URL (e.g. /api/production/ck1abc123)
   // -------------------------------------------------
@@ -68,34 +43,16 @@ module.exports = async (req, res) => {
   // PATCH – update a plan
   // -------------------------------------------------
   if (req.method === 'PATCH') {
-    // ---- Parse JSON body -------------------------------------------------
-    let body;
-    try {
-      body = await new Promise((resolve, reject) => {
-        let raw = '';
-        req.on('data', chunk => (raw += chunk));
-        req.on('end', () => {
-          try {
-            resolve(raw ? JSON.parse(raw) : {});
-          } catch (e) {
-            reject(e);
-          }
-        });
-        req.on('error', reject);
-      });
-    } catch {
-      return json(res, { error: 'Invalid JSON body' }, 400);
-    }
+    // ---- JSON body, checked by schemas.productionUpdate in src/routes.js ----
+    const body = req.body;
 
     // ---- Build Prisma update payload ---------------------------------
     const data = {};
     if (body.productName) data.productName = body.productName;
-    if (body.areaSize) data.areaSize = Number(body.areaSize);
+    if (body.areaSize) data.areaSize = body.areaSize;
     if (body.areaUnit) data.areaUnit = body.areaUnit;
     if (body.status) data.status = body.status;
-    if (body.estimatedHarvestDate) {
-      data.estimatedHarvestDate = new Date(body.estimatedHarvestDate);
-    }
+    if (body.estimatedHarvestDate) data.estimatedHarvestDate = body.estimatedHarvestDate;
 
     try {
       const updated = await prisma.productionPlan.update({
@@ -2,14 +2,12 @@
 // api/products/[id].js – Single product handler (GET, PATCH, DELETE)
 // ---------------------------------------------------------------
 // GET    → fetch a product by id
-// PATCH  → update fields (requires ADMIN / PRODUCER)
-// DELETE → delete product (requires ADMIN)
+// PATCH  → update fields (UPDATE products – producers: their own listings)
+// DELETE → delete product (DELETE products)
 // ================================================================
 
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
-
-const { verifyToken } = require('../../lib/jwt');
+const prisma = require('../../lib/prisma');
+const { can } = require('../../lib/permissions');
 require('dotenv').config();
 
 // ------------------- tiny JSON helper (same as other APIs) -------------------
@@ -23,21 +21,10 @@ function json(res, payload, status = 200) {
 // Main exported handler – Vercel calls it with (req, res)
 // ---------------------------------------------------------------------------
 module.exports = async (req, res) => {
-  // -------------------------------------------------
-  // CORS (kept for safety – the global catch‑all also adds it)
-  // -------------------------------------------------
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,PATCH,DELETE,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  if (req.method === 'OPTIONS') return res.end();
-
   // -------------------------------------------------
   // 1️⃣ Extract ID from URL (e.g. /api/products/ck1abc123)
   // -------------------------------------------------
-  const parts = req.url.split('/');
-  const id = Number(parts[parts.length - 1]); // last segment
-  if (!id) return json(res, { error: 'Invalid id' }, 400);
+  const { id } = req.query; // ProductListing ids are UUIDs, from the route table
 
   // -------------------------------------------------
   // 2️⃣ GET – public, no auth needed
@@ -54,54 +41,36 @@ module.exports = async (req, res) => {
   }
 
   // -------------------------------------------------
-  // 3️⃣ Authenticated routes (PATCH, DELETE)
+  // 3️⃣ Authenticated routes (PATCH, DELETE) – requireAuth() in src/routes.js
   // -------------------------------------------------
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return json(res, { error: 'Missing token' }, 401);
-
-  let payload;
-  try {
-    payload = verifyToken(token);
-  } catch (e) {
-    return json(res, { error: 'Invalid token' }, 401);
-  }
+  const payload = req.user;
 
   // -------------------------------------------------
-  // 4️⃣ PATCH – update product (admin / producer only)
+  // 4️⃣ PATCH – update product (whoever may update this listing)
   // -------------------------------------------------
   if (req.method === 'PATCH' || req.method === 'PUT') {
-    // ---- Only allowed roles -------------------------------------------------
-    if (!['ADMIN', 'PRODUCER', 'FACILITY_OWNER'].includes(payload.role)) {
-      return json(res, { error: 'Insufficient permissions' }, 403);
-    }
-
-    // ---- Parse JSON body ----------------------------------------------------
-    let body;
+    // ---- Permission on this listing (e.g. a producer's own) ----------------
     try {
-      body = await new Promise((resolve, reject) => {
-        let raw = '';
-        req.on('data', chunk => (raw += chunk));
-        req.on('end', () => {
-          try {
-            resolve(raw ? JSON.parse(raw) : {});
-          } catch (e) {
-            reject(e);
-          }
-        });
-        req.on('error', reject);
-      });
-    } catch {
-      return json(res, { error: 'Invalid JSON body' }, 400);
+      const product = await prisma.productListing.findUnique({ where: { id } });
+      if (!product) return json(res, { error: 'Not found' }, 404);
+      if (!(await can(payload, 'UPDATE', 'products', product))) {
+        return json(res, { error: 'Insufficient permissions' }, 403);
+      }
+    } catch (e) {
+      console.error('[product PATCH]', e);
+      return json(res, { error: 'Server error while updating' }, 500);
     }
 
+    // ---- JSON body, checked by schemas.productUpdate in src/routes.js --------
+    const body = req.body;
+
     // ---- Build Prisma update payload ----------------------------------------
     const data = {};
     if (body.title) data.title = body.title;
     if (body.description) data.description = body.description;
     if (body.category) data.category = body.category;
-    if (body.price) data.pricePerUnit = Number(body.price);
-    if (body.quantity) data.quantityAvailable = Number(body.quantity);
+    if (body.price) data.pricePerUnit = body.price;
+    if (body.quantity !== undefined) data.quantityAvailable = body.quantity; // 0 = sold out
     if (body.unit) data.unitOfMeasure = body.unit;
     if (body.status) data.status = body.status;
 
@@ -118,14 +87,15 @@ module.exports = async (req, res) => {
   }
 
   // -------------------------------------------------
-  // 5️⃣ DELETE – remove product (admin only)
+  // 5️⃣ DELETE – remove product (whoever may delete this listing)
   // -------------------------------------------------
   if (req.method === 'DELETE') {
-    if (!['ADMIN'].includes(payload.role)) {
-      return json(res, { error: 'Insufficient permissions' }, 403);
-    }
-
     try {
+      const product = await prisma.productListing.findUnique({ where: { id } });
+      if (!product) return json(res, { error: 'Not found' }, 404);
+      if (!(await can(payload, 'DELETE', 'products', product))) {
+        return json(res, { error: 'Insufficient permissions' }, 403);
+      }
       await prisma.productListing.delete({ where: { id } });
       // 204 No Content – we still send a tiny JSON payload for consistency
       return json(res, { message: 'Deleted' }, 204);
@@ -12,28 +12,14 @@
 // -----------------------------------------------------------------------------
 
 const prisma = require('../../lib/prisma');          // two levels up from src/reviews
-const { verifyToken } = require('../../lib/jwt');   // same
+const { validationError } = require('../../lib/schema');
 require('dotenv').config();                         // loads DB URL, JWT secret, etc.
 
 module.exports = async (req, res) => {
   // --------------------------------------------------------------
-  // 1️⃣  Authenticate (required for both GET & POST)
+  // 1️⃣  Signed in (requireAuth() in src/routes.js, for both GET & POST)
   // --------------------------------------------------------------
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-
-  if (!token) {
-    return res.status(401).json({ error: 'Missing token' });
-  }
-
-  let payload;
-  try {
-    payload = verifyToken(token); // must contain at least { userId }
-  } catch (e) {
-    return res.status(401).json({ error: 'Invalid token' });
-  }
-
-  const currentUserId = payload.userId; // the logged‑in user (the reviewer)
+  const currentUserId = req.user.userId; // the logged‑in user (the reviewer)
 
   // --------------------------------------------------------------
   // 2️⃣  GET – list reviews **received** by the current user
@@ -69,19 +55,9 @@ module.exports = async (req, res) => {
     // The global catch‑all already parsed JSON, so we can use req.body
     const body = req.body || {};
 
+    // targetId and an integer rating 1‑5 are checked by schemas.reviewCreate
     const { targetId, rating, comment } = body;
 
-    // ---- Basic validation ----
-    if (!targetId) {
-      return res.status(400).json({ error: 'targetId is required (email or UUID)' });
-    }
-    const ratingNum = Number(rating);
-    if (!ratingNum || ratingNum < 1 || ratingNum > 5) {
-      return res
-        .status(400)
-        .json({ error: 'rating must be an integer between 1 and 5' });
-    }
-
     // ---- Resolve the target user (UUID first, then email) ----
     let targetUser;
     try {
@@ -110,7 +86,7 @@ module.exports = async (req, res) => {
 
     // ---- Prevent self‑review ----
     if (targetUser.id === currentUserId) {
-      return res.status(400).json({ error: 'You cannot review yourself' });
+      throw validationError([{ in: 'body', field: 'targetId', code: 'self_review', message: 'You cannot review yourself' }]);
     }
 
     // ---- Optional: prevent duplicate reviews from the same reviewer ----
@@ -131,7 +107,7 @@ module.exports = async (req, res) => {
       reviewerId: currentUserId,
       reviewedUserId: targetUser.id,
       reviewedEntityType: 'USER', // UI only deals with user‑to‑user reviews
-      rating: ratingNum,
+      rating,
       comment: comment?.trim() || '',
       // reviewDate defaults to now()
       // isApprovedByAdmin defaults to true (change if you need moderation)
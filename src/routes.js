@@ -0,0 +1,178 @@
+// =============================================================
+// src/routes.js – the /api route table
+// -------------------------------------------------------------
+// Every request goes through the global middleware (errors, CORS, JSON body,
+// optional JWT or API key → req.user, the key's scopes, the member's role
+// when acting for an organisation, 2FA for admins), then the route's own middleware and handler.
+// `:id`‑style params land in req.params and req.query, a trailing `*` in
+// req.query.slug (see lib/router.js).
+//
+// Handler files are required on first use. Handlers rely on the middleware
+// here (and lib/prisma.js) instead of parsing tokens and bodies or setting
+// CORS headers themselves:
+//
+//   router.patch('/things/:id', requireAuth(), validate({ body: schemas.thingUpdate }), handler('things/[id]'));
+//   module.exports = async (req, res) => { req.user.userId; req.params.id; req.body; … };
+//
+// Who may do what comes from the RolePermission table (lib/permissions.js):
+// requirePermission(action, resource) here, authorize() / scope() in the
+// handler once the record is loaded.
+//
+// validate() answers 400 { error, code: 'VALIDATION_ERROR', details } and
+// hands the handler coerced values (src/schemas.js). One line per method: the
+// table is also the source of /api/openapi.json (src/openapi.js), which
+// leaves out `all` and wildcard routes.
+// =============================================================
+
+const path = require('path');
+const { createRouter, lazy } = require('../lib/router');
+const {
+  errorHandler,
+  responseHelpers,
+  cors,
+  jsonBody,
+  authenticate,
+  apiKeyAccess,
+  actingMember,
+  twoFactorGate,
+  requireAuth,
+  requirePermission,
+  validate
+} = require('../lib/middleware');
+const schemas = require('./schemas');
+
+const handler = (file) => lazy(path.join(__dirname, `${file}.js`));
+
+const router = createRouter({ prefix: '/api' });
+
+router.use(errorHandler(), responseHelpers(), cors(), jsonBody(), authenticate(), apiKeyAccess(), actingMember(), twoFactorGate());
+
+// ---------- Auth ----------
+router.post('/auth/login', validate({ body: schemas.login }), handler('auth/login'));
+router.post('/auth/register', validate({ body: schemas.register }), handler('auth/register'));
+router.post('/auth/refresh', validate({ body: schemas.refresh }), handler('auth/refresh'));
+router.post('/auth/logout', validate({ body: schemas.logout }), handler('auth/logout'));
+router.get('/auth/sessions', requireAuth(), handler('auth/sessions/index'));
+router.delete('/auth/sessions/:id', requireAuth(), handler('auth/sessions/[id]'));
+router.post('/auth/password/forgot', validate({ body: schemas.passwordForgot }), handler('auth/password/forgot'));
+router.post('/auth/password/reset', validate({ body: schemas.passwordReset }), handler('auth/password/reset'));
+router.post('/auth/email/verification', requireAuth(), handler('auth/email/verification'));
+router.post('/auth/email/verify', validate({ body: schemas.emailVerify }), handler('auth/email/verify'));
+router.post('/auth/phone/verification', requireAuth(), validate({ body: schemas.phoneVerification }), handler('auth/phone/verification'));
+router.post('/auth/phone/verify', requireAuth(), validate({ body: schemas.phoneVerify }), handler('auth/phone/verify'));
+router.post('/auth/acting', requireAuth(), validate({ body: schemas.acting }), handler('auth/acting'));
+router.get('/auth/2fa', requireAuth(), handler('auth/2fa/index'));
+router.post('/auth/2fa/setup', requireAuth(), handler('auth/2fa/setup'));
+router.post('/auth/2fa/enable', requireAuth(), validate({ body: schemas.twoFactorCode }), handler('auth/2fa/enable'));
+router.post('/auth/2fa/disable', requireAuth(), validate({ body: schemas.twoFactorCode }), handler('auth/2fa/disable'));
+router.post('/auth/2fa/backup-codes', requireAuth(), validate({ body: schemas.twoFactorCode }), handler('auth/2fa/backup-codes'));
+router.post('/auth/2fa/verify', validate({ body: schemas.twoFactorVerify }), handler('auth/2fa/verify'));
+
+// ---------- Organisations (members act for them through /auth/acting) ----------
+router.get('/organisations', requireAuth(), handler('organisations/index'));
+router.post('/organisations', requireAuth(), validate({ body: schemas.organisationCreate }), handler('organisations/index'));
+router.post('/organisations/invitations/accept', requireAuth(), validate({ body: schemas.invitationAccept }), handler('organisations/invitations/accept'));
+router.get('/organisations/:id', requireAuth(), handler('organisations/[id]'));
+router.get('/organisations/:id/invitations', requireAuth(), handler('organisations/[id]/invitations/index'));
+router.post('/organisations/:id/invitations', requireAuth(), validate({ body: schemas.invitationCreate }), handler('organisations/[id]/invitations/index'));
+router.delete('/organisations/:id/invitations/:invitationId', requireAuth(), handler('organisations/[id]/invitations/[invitationId]'));
+router.patch('/organisations/:id/members/:userId', requireAuth(), validate({ body: schemas.memberUpdate }), handler('organisations/[id]/members/[userId]'));
+router.delete('/organisations/:id/members/:userId', requireAuth(), handler('organisations/[id]/members/[userId]'));
+
+// ---------- API keys (the organisation's while acting for it) ----------
+router.get('/api-keys', requireAuth(), handler('api-keys/index'));
+router.post('/api-keys', requireAuth(), validate({ body: schemas.apiKeyCreate }), handler('api-keys/index'));
+router.delete('/api-keys/:id', requireAuth(), handler('api-keys/[id]'));
+
+// ---------- Admin (admin.js routes its own sub‑paths and checks MANAGE per section;
+// the ones with a body are listed first for validate()) ----------
+router.get('/admin/permissions', requirePermission('MANAGE', 'permissions'), handler('admin/permissions/index'));
+router.post('/admin/permissions', requirePermission('MANAGE', 'permissions'), validate({ body: schemas.permissionGrant }), handler('admin/permissions/index'));
+router.delete('/admin/permissions/:id', requirePermission('MANAGE', 'permissions'), handler('admin/permissions/[id]'));
+router.patch('/admin/users/:id', requireAuth(), validate({ body: schemas.adminUserAction }), handler('admin'));
+router.patch('/admin/documents/:id', requireAuth(), validate({ body: schemas.adminDocumentAction }), handler('admin'));
+router.all('/admin', requireAuth(), handler('admin'));
+router.all('/admin/*', requireAuth(), handler('admin'));
+
+// ---------- Scheduled jobs (authenticated with CRON_SECRET) ----------
+router.all('/cron/escrow-release', handler('cron/escrow-release'));
+router.all('/cron/dispute-windows', handler('cron/dispute-windows'));
+
+// ---------- Catalogue & services ----------
+router.get('/products', validate({ query: schemas.productQuery }), handler('products/index'));
+router.post('/products', requirePermission('CREATE', 'products'), validate({ body: schemas.productCreate }), handler('products/index'));
+router.get('/products/:id', handler('products/[id]'));
+router.patch('/products/:id', requireAuth(), validate({ body: schemas.productUpdate }), handler('products/[id]'));
+router.put('/products/:id', requireAuth(), validate({ body: schemas.productUpdate }), handler('products/[id]'));
+router.delete('/products/:id', requirePermission('DELETE', 'products'), handler('products/[id]'));
+router.get('/storage', requireAuth(), validate({ query: schemas.storageQuery }), handler('storage/index'));
+router.post('/storage', requireAuth(), validate({ body: schemas.storageCreate }), handler('storage/index'));
+router.get('/storage/:id', handler('storage/[id]'));
+router.patch('/storage/:id', requireAuth(), validate({ body: schemas.storageUpdate }), handler('storage/[id]'));
+router.delete('/storage/:id', requireAuth(), handler('storage/[id]'));
+router.get('/facilities', requireAuth(), handler('facilities/facilities'));
+router.post('/facilities', requireAuth(), validate({ body: schemas.facilityCreate }), handler('facilities/facilities'));
+router.patch('/facilities/:id', requireAuth(), validate({ body: schemas.facilityUpdate }), handler('facilities/[id]'));
+router.delete('/facilities/:id', requireAuth(), handler('facilities/[id]'));
+router.get('/production', requireAuth(), handler('production'));
+router.post('/production', requireAuth(), validate({ body: schemas.productionCreate }), handler('production'));
+router.patch('/production/:id', requireAuth(), validate({ body: schemas.productionUpdate }), handler('production/[id]'));
+router.delete('/production/:id', requireAuth(), handler('production/[id]'));
+router.get('/transport', validate({ query: schemas.transportQuery }), handler('transport/index'));
+router.post('/transport', requireAuth(), validate({ body: schemas.transportCreate }), handler('transport/index'));
+router.get('/transformation', requireAuth(), handler('transformation/index'));
+router.post('/transformation', requireAuth(), validate({ body: schemas.transformationCreate }), handler('transformation/index'));
+router.get('/procurements', requireAuth(), handler('procurements'));
+router.post('/procurements', requireAuth(), validate({ body: schemas.procurementCreate }), handler('procurements'));
+router.patch('/procurements/:id', requirePermission('MANAGE', 'procurements'), validate({ body: schemas.procurementAction }), handler('procurements'));
+router.get('/offers', requireAuth(), handler('offers'));
+router.post('/offers', requireAuth(), validate({ body: schemas.offerCreate }), handler('offers'));
+router.get('/reviews', requireAuth(), handler('reviews/index'));
+router.post('/reviews', requireAuth(), validate({ body: schemas.reviewCreate }), handler('reviews/index'));
+
+// ---------- Documents, messages, notifications ----------
+router.post('/documents/upload', requireAuth(), handler('documents/upload'));
+router.get('/messages', requireAuth(), handler('messages/index'));
+router.post('/messages', requireAuth(), validate({ body: schemas.messageCreate }), handler('messages/index'));
+router.all('/notifications', handler('notifications'));
+router.all('/notifications/*', handler('notifications'));
+
+// ---------- Orders ----------
+router.get('/orders', requireAuth(), validate({ query: schemas.orderListQuery }), handler('orders/index'));
+router.post('/orders', requireAuth(), validate({ body: schemas.orderCreate }), handler('orders/index'));
+router.get('/orders/checkout', requireAuth(), validate({ query: schemas.checkoutQuery }), handler('orders/checkout'));
+router.post('/orders/checkout', requireAuth(), validate({ body: schemas.checkoutCreate }), handler('orders/checkout'));
+router.get('/orders/:id', requireAuth(), handler('orders/[id]'));
+router.patch('/orders/:id', requireAuth(), validate({ body: schemas.orderStatusUpdate }), handler('orders/[id]'));
+router.get('/orders/:id/history', requireAuth(), handler('orders/[id]/history'));
+router.get('/orders/:id/invoice', requireAuth(), validate({ query: schemas.invoiceQuery }), handler('orders/[id]/invoice'));
+
+// ---------- Payments ----------
+router.get('/payments/transactions', requireAuth(), handler('payments/transactions/index'));
+router.post('/payments/transactions', requireAuth(), validate({ body: schemas.transactionCreate }), handler('payments/transactions/index'));
+router.get('/payments/transactions/:id', requireAuth(), handler('payments/transactions/[id]'));
+router.patch('/payments/transactions/:id', requireAuth(), validate({ body: schemas.transactionAction }), handler('payments/transactions/[id]'));
+router.get('/payments/transactions/:id/events', requireAuth(), handler('payments/transactions/[id]/events'));
+router.get('/payments/disputes', requireAuth(), validate({ query: schemas.disputeListQuery }), handler('payments/disputes/index'));
+router.post('/payments/disputes', requireAuth(), validate({ body: schemas.disputeCreate }), handler('payments/disputes/index'));
+router.get('/payments/disputes/:id', requireAuth(), handler('payments/disputes/[id]'));
+router.patch('/payments/disputes/:id', requireAuth(), validate({ body: schemas.disputeAction }), handler('payments/disputes/[id]'));
+router.get('/payments/references', requireAuth(), validate({ query: schemas.paymentReferenceQuery }), handler('payments/references/index'));
+router.post('/payments/references', requireAuth(), validate({ body: schemas.paymentReferenceCreate }), handler('payments/references/index'));
+router.post('/payments/simulator', requireAuth(), validate({ body: schemas.simulatePayment }), handler('payments/simulator'));
+// Providers sign their calls instead of sending a token
+router.post('/payments/webhooks/:provider', handler('payments/webhooks/[provider]'));
+
+// ---------- Wallet ----------
+router.get('/wallet', requireAuth(), handler('wallet/index'));
+router.get('/wallet/transactions', requireAuth(), validate({ query: schemas.walletTransactionsQuery }), handler('wallet/transactions'));
+router.get('/wallet/payouts', requireAuth(), validate({ query: schemas.payoutListQuery }), handler('wallet/payouts/index'));
+router.post('/wallet/payouts', requireAuth(), validate({ body: schemas.payoutCreate }), handler('wallet/payouts/index'));
+router.get('/wallet/payouts/:id', requireAuth(), handler('wallet/payouts/[id]'));
+router.patch('/wallet/payouts/:id', requireAuth(), validate({ body: schemas.payoutAction }), handler('wallet/payouts/[id]'));
+
+// ---------- API documentation ----------
+router.get('/openapi.json', handler('openapi'));
+router.get('/docs', handler('docs'));
+
+module.exports = router;
@@ -0,0 +1,503 @@
+// =============================================================
+// src/schemas.js – request schemas used by the route table
+// -------------------------------------------------------------
+// Attached with validate({ body, query, params }) in src/routes.js; the
+// handler then gets coerced values (numbers, booleans, dates, trimmed
+// strings). The same definitions are turned into the API docs
+// (/api/openapi.json, src/openapi.js). See lib/schema.js for the builders.
+// =============================================================
+
+const { s } = require('../lib/schema');
+const { ACTIONS, RESOURCES } = require('../lib/permissions');
+const { MEMBER_ROLES } = require('../lib/organisations');
+const { SCOPES } = require('../lib/api-keys');
+const { SORTS: PRODUCT_SORTS } = require('../lib/product-search');
+
+const ROLES = ['PRODUCER', 'CONSUMER', 'STORAGE_OWNER', 'TRANSPORTER', 'TRANSFORMER'];
+const ORDER_STATUSES = ['PENDING', 'PAID', 'SHIPPED', 'DELIVERED', 'CANCELLED', 'REFUNDED'];
+
+const id = (description) => s.string({ min: 1, max: 64, description });
+const money = (description) => s.number({ positive: true, description });
+
+const phone = (description) => s.string({ max: 30, description: description || 'Angolan mobile number, e.g. 923 456 789' });
+const code = () => s.string({ pattern: /^\d{6}$/, patternMessage: 'must be the 6 digits received', description: 'Code received by SMS' });
+
+const pagination = {
+  page: s.integer({ min: 1 }).default(1),
+  limit: s.integer({ min: 1, max: 100 }).default(20)
+};
+
+// "Near me" – lib/geo.js
+const nearby = {
+  near: s.array(s.number(), { min: 2, max: 2, description: 'latitude,longitude – only listings around it, nearest first, with distanceKm' }).optional(),
+  radiusKm: s.number({ positive: true, max: 2000, description: 'With `near` – default NEAR_DEFAULT_RADIUS_KM (50)' }).optional()
+};
+
+// Listing endpoints page only what `near` finds
+const nearbyPage = {
+  page: s.integer({ min: 1, description: 'With `near`' }).default(1),
+  limit: s.integer({ min: 1, max: 100, description: 'With `near` – listings per page, nearest first' }).default(20)
+};
+
+// ---------- Auth ----------
+// email or phoneNumber – the handlers check that one is given
+const login = s.object({
+  email: s.string({ format: 'email', max: 254 }).optional(),
+  phoneNumber: phone('Confirmed phone number, instead of email').optional(),
+  password: s.string({ min: 1, max: 200, trim: false })
+});
+
+const register = s.object({
+  email: s.string({ format: 'email', max: 254 }),
+  password: s.string({ min: 1, max: 200, trim: false }),
+  name: s.string({ max: 120 }).optional(),
+  role: s.enum(ROLES, { uppercase: true }).optional(),
+  phoneNumber: phone('Gets an SMS code to confirm it').optional()
+});
+
+const passwordForgot = s.object({
+  email: s.string({ format: 'email', max: 254, description: 'Sends a reset link' }).optional(),
+  phoneNumber: phone('Confirmed phone number – sends a code by SMS').optional()
+});
+
+const passwordReset = s.object({
+  token: s.string({ max: 200, description: 'From the e‑mailed link' }).optional(),
+  phoneNumber: phone('With `code`, instead of `token`').optional(),
+  code: code().optional(),
+  password: s.string({ min: 1, max: 200, trim: false, description: 'The new password' })
+});
+
+const emailVerify = s.object({
+  token: s.string({ max: 200, description: 'From the e‑mailed link' })
+});
+
+const phoneVerification = s.object({
+  phoneNumber: phone('Number to confirm – defaults to the profile one').optional()
+});
+
+const phoneVerify = s.object({
+  code: code()
+});
+
+const refresh = s.object({
+  refreshToken: s.string({ max: 200, trim: false })
+});
+
+const logout = s.object({
+  refreshToken: s.string({ max: 200, trim: false, description: 'Session to end – defaults to the access token’s' }).optional(),
+  all: s.boolean({ description: 'End every session of the user' }).default(false)
+});
+
+const totpCode = () => s.string({ min: 6, max: 20, description: '6 digits from the authenticator app, or a backup code' });
+
+const twoFactorCode = s.object({
+  code: totpCode()
+});
+
+const twoFactorVerify = s.object({
+  challengeToken: s.string({ max: 200, trim: false, description: 'From the login reply' }),
+  code: totpCode()
+});
+
+const acting = s.object({
+  organisationId: id('Organisation to act for – null to act as yourself again').nullable()
+});
+
+// ---------- Organisations ----------
+// email or phoneNumber – the handler checks that one is given
+const organisationCreate = s.object({
+  name: s.string({ min: 2, max: 120, description: 'Company or cooperative name' }),
+  email: s.string({ format: 'email', max: 254, description: 'Of the new organisation account – leave out to turn your own company account into the organisation' }).optional(),
+  taxId: s.string({ max: 40 }).optional(),
+  role: s.enum(ROLES, { uppercase: true, description: 'What the organisation does on the platform' }).default('PRODUCER')
+});
+
+const invitationCreate = s.object({
+  email: s.string({ format: 'email', max: 254 }).optional(),
+  phoneNumber: phone('Instead of email – the invitation link goes by SMS').optional(),
+  role: s.enum(MEMBER_ROLES, { uppercase: true })
+});
+
+const invitationAccept = s.object({
+  token: s.string({ max: 200, description: 'From the invitation link' })
+});
+
+const memberUpdate = s.object({
+  role: s.enum(MEMBER_ROLES, { uppercase: true }).optional(),
+  permissions: s.array(s.string({
+    pattern: /^(CREATE|READ|UPDATE|DELETE|MANAGE) ([a-z-]+|\*)$/,
+    patternMessage: 'must look like "UPDATE products"'
+  }), { max: 30, description: 'Grants on top of the role – replaces the current list' }).optional()
+});
+
+// ---------- API keys ----------
+const apiKeyCreate = s.object({
+  name: s.string({ min: 1, max: 80, description: 'What the key is for, e.g. "ERP stock sync"' }),
+  scopes: s.array(s.enum(SCOPES), { min: 1, max: SCOPES.length, description: '"<area>:read" or "<area>:write" – write also reads' }),
+  expiresAt: s.date({ description: 'Defaults to, and at most, API_KEY_MAX_TTL_DAYS (365) from now' }).optional()
+});
+
+// ---------- Catalogue & services ----------
+const productQuery = s.object({
+  ...pagination,
+  q: s.string({ max: 100, description: 'Search text – title, description, category, subcategory and tags; accents do not matter' }).optional(),
+  category: s.string({ max: 60 }).optional(),
+  subcategory: s.string({ max: 60 }).optional(),
+  city: s.string({ max: 100, description: 'The producer\'s city' }).optional(),
+  certification: s.string({ max: 100, description: 'A verified certification, e.g. "Organic"' }).optional(),
+  minPrice: s.number({ min: 0, description: 'Price per unit (AOA), inclusive' }).optional(),
+  maxPrice: s.number({ min: 0, description: 'Price per unit (AOA), exclusive' }).optional(),
+  sort: s.enum(PRODUCT_SORTS, { description: 'Default: distance with `near`, relevance with `q`, newest otherwise' }).optional(),
+  producerId: id('Only listings of this producer').optional(),
+  ...nearby
+});
+
+const productCreate = s.object({
+  name: s.string({ max: 200 }),
+  description: s.string({ max: 5000 }).optional(),
+  price: money('Price per unit'),
+  quantity: s.number({ min: 0 }),
+  unit: s.string({ max: 20 }).default('kg'),
+  category: s.string({ max: 60 }).default('general'),
+  status: s.string({ max: 30 }).default('Active')
+});
+
+// Only the fields given change
+const productUpdate = s.object({
+  title: s.string({ max: 200 }).optional(),
+  description: s.string({ max: 5000 }).optional(),
+  price: money('Price per unit').optional(),
+  quantity: s.number({ min: 0 }).optional(),
+  unit: s.string({ max: 20 }).optional(),
+  category: s.string({ max: 60 }).optional(),
+  status: s.string({ max: 30 }).optional()
+});
+
+const productionCreate = s.object({
+  productName: s.string({ max: 200 }),
+  areaSize: s.number({ positive: true }),
+  areaUnit: s.string({ max: 20 }),
+  status: s.string({ max: 30 }).optional(),
+  estimatedHarvestDate: s.date().optional()
+});
+
+const productionUpdate = s.object({
+  productName: s.string({ max: 200 }).optional(),
+  areaSize: s.number({ positive: true }).optional(),
+  areaUnit: s.string({ max: 20 }).optional(),
+  status: s.string({ max: 30 }).optional(),
+  estimatedHarvestDate: s.date().optional()
+});
+
+const storageQuery = s.object({
+  ownerId: id('Only listings of this owner').optional(),
+  ...nearby,
+  ...nearbyPage
+});
+
+const storageCreate = s.object({
+  facilityName: s.string({ max: 200 }),
+  storageType: s.string({ max: 60 }),
+  totalCapacity: s.number({ positive: true }),
+  city: s.string({ max: 100 }),
+  description: s.string({ max: 5000 }),
+  addressLine1: s.string({ max: 200 }),
+  postalCode: s.string({ max: 20 }),
+  pricingStructure: s.string({ max: 200 }).optional(),
+  availabilityStatus: s.string({ max: 30 }).optional(),
+  latitude: s.number({ min: -90, max: 90 }).optional(),
+  longitude: s.number({ min: -180, max: 180 }).optional()
+});
+
+const storageUpdate = s.object({
+  facilityName: s.string({ max: 200 }).optional(),
+  description: s.string({ max: 5000 }).optional(),
+  city: s.string({ max: 100 }).optional(),
+  availabilityStatus: s.string({ max: 30 }).optional()
+});
+
+const FACILITY_STATUSES = ['Disponível', 'Indisponível'];
+
+const facilityCreate = s.object({
+  facilityName: s.string({ max: 200 }),
+  city: s.string({ max: 100 }),
+  status: s.enum(FACILITY_STATUSES).optional(),
+  capacity: s.number({ min: 0 }).optional(),
+  processingRate: s.number({ min: 0 }).optional()
+});
+
+const facilityUpdate = s.object({
+  facilityName: s.string({ max: 200 }).optional(),
+  city: s.string({ max: 100 }).optional(),
+  status: s.enum(FACILITY_STATUSES).optional()
+});
+
+const transportCreate = s.object({
+  title: s.string({ max: 200 }),
+  vehicle: s.string({ max: 100 }),
+  routes: s.string({ max: 1000 }),
+  status: s.string({ max: 30 }),
+  description: s.string({ max: 5000 }).optional()
+});
+
+const transportQuery = s.object({
+  ...nearby,
+  ...nearbyPage
+});
+
+const transformationCreate = s.object({
+  name: s.string({ max: 200 }),
+  type: s.string({ max: 100 }),
+  location: s.string({ max: 200 }),
+  status: s.string({ max: 30 }),
+  capacity: s.number({ min: 0 }).optional(),
+  processingRate: s.number({ min: 0 }).optional()
+});
+
+const procurementCreate = s.object({
+  productId: id('ProductListing id'),
+  quantity: s.number({ positive: true })
+});
+
+const procurementAction = s.object({
+  action: s.enum(['APPROVE', 'REJECT'], { uppercase: true })
+});
+
+const offerCreate = s.object({
+  title: s.string({ max: 200 }),
+  description: s.string({ max: 5000 }),
+  status: s.string({ max: 30, description: 'Echoed back, not stored' }).default('Ativo')
+});
+
+// ---------- Admin ----------
+const adminUserAction = s.object({
+  action: s.enum(['APPROVE', 'REJECT', 'SET_ROLE', 'UNLOCK'], { uppercase: true }),
+  // The roles an admin may give (ADMIN only through the database); the
+  // handler checks one is given with SET_ROLE
+  role: s.enum([...ROLES, 'COOPERATIVE_MANAGER'], { uppercase: true, description: 'With SET_ROLE' }).optional()
+});
+
+const adminDocumentAction = s.object({
+  action: s.enum(['APPROVE', 'REJECT'], { uppercase: true })
+});
+
+const reviewCreate = s.object({
+  targetId: s.string({ max: 254, description: 'E‑mail or id of the user reviewed' }),
+  rating: s.integer({ min: 1, max: 5 }),
+  comment: s.string({ max: 2000 }).optional()
+});
+
+const messageCreate = s.object({
+  receiverId: id('Recipient user id'),
+  messageContent: s.string({ max: 1000 }),
+  conversationId: id('Existing conversation').optional()
+});
+
+// ---------- Orders ----------
+const cartItem = s.object({
+  productId: id('ProductListing id'),
+  quantity: s.number({ positive: true })
+});
+
+// Shipping defaults to the buyer's profile address
+const shipping = {
+  shippingAddressLine1: s.string({ max: 200 }).optional(),
+  shippingCity: s.string({ max: 100 }).optional(),
+  shippingPostalCode: s.string({ max: 20 }).optional(),
+  shippingCountry: s.string({ max: 60 }).optional()
+};
+
+const orderCreate = s.object({
+  items: s.array(cartItem, { min: 1, max: 100 }),
+  ...shipping,
+  notesForSeller: s.string({ max: 2000 }).optional()
+});
+
+const checkoutQuery = s.object({
+  id: id('Checkout id')
+});
+
+const checkoutCreate = s.object({
+  items: s.array(cartItem, { min: 1, max: 100 }),
+  ...shipping,
+  notesForSeller: s.any({ description: 'Notes per seller: { [sellerId]: text }' }).optional()
+});
+
+const orderListQuery = s.object({
+  role: s.enum(['buyer', 'seller', 'transporter'], { description: 'Only orders where the caller has this part' }).optional(),
+  status: s.enum(ORDER_STATUSES, { uppercase: true }).optional(),
+  all: s.boolean({ description: 'Every order the caller may read – all of them for admins' }).default(false)
+});
+
+const orderStatusUpdate = s.object({
+  orderStatus: s.enum(ORDER_STATUSES, { uppercase: true }).optional(),
+  status: s.enum(ORDER_STATUSES, { uppercase: true, description: 'Older name of orderStatus' }).optional(),
+  notes: s.string({ max: 2000, description: 'Required for CANCELLED and REFUNDED' }).optional()
+});
+
+const invoiceQuery = s.object({
+  format: s.enum(['pdf', 'html', 'json']).default('pdf'),
+  type: s.enum(['INVOICE', 'CREDIT_NOTE'], { uppercase: true }).default('INVOICE')
+});
+
+// ---------- Payments ----------
+// orderId, or sellerId and amount – the handler checks that one is given
+const transactionCreate = s.object({
+  orderId: id('PENDING order of the caller to pay – seller, amount and currency are then the order\'s; it becomes PAID when the escrow is funded').optional(),
+  sellerId: id('User paid – required without orderId').optional(),
+  amount: money('Amount in the transaction currency – required without orderId').optional(),
+  currency: s.string({ pattern: /^[A-Z]{3}$/, patternMessage: 'must be an ISO 4217 code' }).default('AOA'),
+  description: s.string({ max: 500 }).optional()
+});
+
+const transactionAction = s.object({
+  action: s.enum(
+    ['SELLER_CONFIRM', 'BUYER_CONFIRM', 'RELEASE', 'SPLIT_ESCROW', 'RELEASE_MILESTONE', 'DISPUTE', 'REFUND', 'CANCEL', 'FUND'],
+    { uppercase: true }
+  ),
+  milestones: s.array(s.object({
+    milestone: s.string({ max: 100 }),
+    percentage: s.number({ positive: true, max: 100 }).optional(),
+    amount: money().optional()
+  }), { min: 2, max: 10 }).optional(),
+  milestoneId: id('Escrow milestone to release').optional(),
+  reason: s.string({ max: 40, description: 'Dispute reason' }).optional(),
+  description: s.string({ max: 5000 }).optional(),
+  documentIds: s.array(id()).optional(),
+  notes: s.string({ max: 2000 }).optional()
+});
+
+const disputeCreate = s.object({
+  transactionId: id('Disputed PaymentTransaction'),
+  reason: s.string({ max: 40 }),
+  description: s.string({ max: 5000 }),
+  documentIds: s.array(id(), { max: 20 }).optional()
+});
+
+const disputeListQuery = s.object({
+  status: s.enum(['AWAITING_RESPONSE', 'UNDER_REVIEW', 'RESOLVED'], { uppercase: true }).optional(),
+  transactionId: id('Only disputes of this transaction').optional()
+});
+
+const disputeAction = s.object({
+  action: s.enum(['RESPOND', 'ADD_EVIDENCE', 'RULE'], { uppercase: true }),
+  response: s.string({ max: 5000, description: 'RESPOND: the respondent’s side' }).optional(),
+  documentIds: s.array(id(), { max: 20 }).optional(),
+  note: s.string({ max: 2000, description: 'ADD_EVIDENCE' }).optional(),
+  ruling: s.enum(['REFUND', 'RELEASE', 'SPLIT'], { uppercase: true, description: 'RULE (admin)' }).optional(),
+  notes: s.string({ max: 2000, description: 'RULE: explanation sent to both parties' }).optional(),
+  buyerAmount: s.number({ min: 0, description: 'RULE SPLIT' }).optional(),
+  sellerAmount: s.number({ min: 0, description: 'RULE SPLIT' }).optional()
+});
+
+const paymentReferenceQuery = s.object({
+  transactionId: id('Transaction id')
+});
+
+const paymentReferenceCreate = s.object({
+  transactionId: id('PENDING transaction to pay'),
+  provider: s.string({ max: 60 }).optional()
+});
+
+const simulatePayment = s.object({
+  reference: s.string({ max: 40 }),
+  outcome: s.enum(['PAID', 'FAILED'], { uppercase: true }).default('PAID'),
+  amount: money('Defaults to the reference amount').optional()
+});
+
+// ---------- Wallet ----------
+const payoutListQuery = s.object({
+  status: s.enum(['PENDING', 'APPROVED', 'REJECTED', 'CANCELLED', 'COMPLETED'], { uppercase: true }).optional(),
+  userId: id('Admins: payouts of this user').optional()
+});
+
+const payoutCreate = s.object({
+  amount: money('Amount to withdraw (AOA)'),
+  method: s.enum(['BANK_TRANSFER', 'MOBILE_MONEY'], { uppercase: true }),
+  iban: s.string({ max: 40 }).optional(),
+  accountHolder: s.string({ max: 120 }).optional(),
+  phoneNumber: s.string({ max: 20 }).optional(),
+  mobileProvider: s.string({ max: 40 }).optional(),
+  twoFactorCode: s.string({ max: 20, description: 'Needed once the last 24 hours go above TWO_FACTOR_PAYOUT_THRESHOLD (lib/two-factor.js)' }).optional()
+});
+
+const payoutAction = s.object({
+  action: s.enum(['CANCEL', 'APPROVE', 'REJECT', 'COMPLETE'], { uppercase: true }),
+  reason: s.string({ max: 500 }).optional(),
+  externalReference: s.string({ max: 100 }).optional()
+});
+
+const walletTransactionsQuery = s.object({
+  limit: s.integer({ min: 1, max: 200 }).default(50),
+  before: s.integer({ min: 1, description: 'Cursor – nextBefore of the previous page' }).optional()
+});
+
+// ---------- Admin ----------
+// ADMIN is left out – it has every permission without rows
+const permissionGrant = s.object({
+  role: s.enum([...ROLES, 'COOPERATIVE_MANAGER'], { uppercase: true }),
+  resource: s.enum([...Object.keys(RESOURCES), '*'], { description: "'*' for every resource" }),
+  action: s.enum(ACTIONS, { uppercase: true, description: 'MANAGE implies every action and the administrative ones' }),
+  condition: s.any({
+    description: 'null for every record, { own: true | [fields] } for the user\'s own, { match: { field: value } } for records with these values'
+  }).nullable().optional()
+});
+
+module.exports = {
+  login,
+  register,
+  refresh,
+  logout,
+  passwordForgot,
+  passwordReset,
+  emailVerify,
+  phoneVerification,
+  phoneVerify,
+  twoFactorCode,
+  twoFactorVerify,
+  acting,
+  organisationCreate,
+  invitationCreate,
+  invitationAccept,
+  memberUpdate,
+  apiKeyCreate,
+  productQuery,
+  productCreate,
+  productUpdate,
+  productionCreate,
+  productionUpdate,
+  storageQuery,
+  storageCreate,
+  storageUpdate,
+  facilityCreate,
+  facilityUpdate,
+  transportQuery,
+  transportCreate,
+  transformationCreate,
+  procurementCreate,
+  procurementAction,
+  offerCreate,
+  adminUserAction,
+  adminDocumentAction,
+  reviewCreate,
+  messageCreate,
+  orderListQuery,
+  orderCreate,
+  checkoutQuery,
+  checkoutCreate,
+  orderStatusUpdate,
+  invoiceQuery,
+  transactionCreate,
+  transactionAction,
+  disputeListQuery,
+  disputeCreate,
+  disputeAction,
+  paymentReferenceQuery,
+  paymentReferenceCreate,
+  simulatePayment,
+  payoutListQuery,
+  payoutCreate,
+  payoutAction,
+  walletTransactionsQuery,
+  permissionGrant
+};
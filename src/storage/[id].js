@@ -7,10 +7,7 @@
 //   DELETE /api/storage/:id       → delete (owner only)
 // ---------------------------------------------------------------------------
 
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
-
-const { verifyToken } = require('../../lib/jwt');
+const prisma = require('../../lib/prisma');
 require('dotenv').config();
 
 // tiny json helper – identical to the other API files
@@ -24,15 +21,6 @@ function json(res, payload, status = 200) {
 // Main handler
 // ---------------------------------------------------------------------------
 module.exports = async (req, res) => {
-  // -------------------------------------------------
-  // CORS (same as other APIs)
-  // -------------------------------------------------
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,PATCH,DELETE,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  if (req.method === 'OPTIONS') return res.end();
-
   // -------------------------------------------------
   // Extract the warehouse ID from the URL (last segment)
   // -------------------------------------------------
@@ -62,18 +50,9 @@ module.exports = async (req, res) => {
   }
 
   // -------------------------------------------------
-  // 2️⃣ Authenticated routes (PATCH, DELETE)
+  // 2️⃣ Authenticated routes (PATCH, DELETE) – requireAuth() in src/routes.js
   // -------------------------------------------------
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return json(res, { error: 'Missing token' }, 401);
-
-  let payload;
-  try {
-    payload = verifyToken(token);
-  } catch (e) {
-    return json(res, { error: 'Invalid token' }, 401);
-  }
+  const payload = req.user;
 
   // -------------------------------------------------
   // Verify that the logged‑in user is the **owner** of the warehouse
@@ -92,23 +71,7 @@ module.exports = async (req, res) => {
   // -------------------------------------------------
   if (req.method === 'PATCH') {
     // ---- Parse body -------------------------------------------------
-    let body;
-    try {
-      body = await new Promise((resolve, reject) => {
-        let raw = '';
-        req.on('data', chunk => (raw += chunk));
-        req.on('end', () => {
-          try {
-            resolve(raw ? JSON.parse(raw) : {});
-          } catch (e) {
-            reject(e);
-          }
-        });
-        req.on('error', reject);
-      });
-    } catch {
-      return json(res, { error: 'Invalid JSON body' }, 400);
-    }
+    const body = req.body; // checked by schemas.storageUpdate in src/routes.js
 
     // ---- Build Prisma update payload ---------------------------------
     const data = {};
@@ -1,9 +1,10 @@
 // -----------------------------------------------------------------------------
 // src/storage/index.js
 // -----------------------------------------------------------------------------
-// Handles GET (list all storage listings) and POST (create a new listing)
+// Handles GET (list all storage listings – or those near=lat,lng, nearest
+// first with distanceKm) and POST (create a new listing)
 // -----------------------------------------------------------------------------
-// • Verifies the JWT from the Authorization header.
+// • Signed in only – requireAuth() in src/routes.js.
 // • Uses the *optional* latitude/longitude fields (they are now Float? in the
 //   Prisma schema).
 // • Returns JSON in the same shape the front‑end expects.
@@ -11,46 +12,39 @@
 
 // ----------- FIXED IMPORT PATHS -----------------
 const prisma = require('../../lib/prisma');          // <-- two levels up
-const { verifyToken } = require('../../lib/jwt');   // <-- two levels up
+const { nearPoint, nearby, inDistanceOrder } = require('../../lib/geo');
 require('dotenv').config();
 
 module.exports = async (req, res) => {
   // --------------------------------------------------------------
-  // 1️⃣  Auth – extract bearer token and verify it
+  // 1️⃣  Signed in – requireAuth() in src/routes.js
   // --------------------------------------------------------------
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-
-  if (!token) {
-    return res.status(401).json({ error: 'Missing token' });
-  }
-
-  let payload;
-  try {
-    payload = verifyToken(token); // must contain at least { userId: … }
-  } catch (e) {
-    return res.status(401).json({ error: 'Invalid token' });
-  }
+  const payload = req.user;
 
   // --------------------------------------------------------------
   // 2️⃣  GET – public list of storage listings (optional owner filter)
   // --------------------------------------------------------------
   if (req.method === 'GET') {
+    // near=lat,lng&radiusKm=&page=&limit= – checked by schemas.storageQuery
+    const point = nearPoint(req.query);
     try {
       // If the client wants only its own listings they can call
       // /api/storage?ownerId=xxxxx – the UI does not use it now, but we keep it.
-      const urlObj = new URL(req.url, `http://${req.headers.host}`);
-      const ownerId = urlObj.searchParams.get('ownerId');
+      const { ownerId, page, limit } = req.query;
 
       const where = ownerId ? { ownerId } : {};
+      // One page within the radius, nearest first (lib/geo.js)
+      const found = point ? await nearby(prisma, 'storage', point, { page, limit, ownerId }) : null;
+      if (found) where.id = { in: found.map((f) => f.id) };
 
-      const listings = await prisma.storageListing.findMany({
+      let listings = await prisma.storageListing.findMany({
         where,
         include: {
           owner: { select: { id: true, email: true, fullName: true } },
         },
         orderBy: { createdAt: 'desc' },
       });
+      if (found) listings = inDistanceOrder(found, listings);
 
       // Add the computed “capacidade” field that the UI expects
       const withCapacidade = listings.map(l => ({
@@ -61,11 +55,8 @@ module.exports = async (req, res) => {
             : null,
       }));
 
-      // If an owner filter was supplied we return a plain array,
-      // otherwise we wrap it in { data: … } (what the dashboard expects).
-      return ownerId
-        ? res.json(withCapacidade)
-        : res.json({ data: withCapacidade });
+      // Always { data: … } – with or without the owner filter
+      return res.json({ data: withCapacidade });
     } catch (e) {
       console.error('[STORAGE GET]', e);
       return res.status(500).json({ error: 'Server error' });
@@ -89,20 +80,7 @@ module.exports = async (req, res) => {
       // Optional coordinates – the front‑end does **not** send them yet.
       latitude,
       longitude,
-    } = req.body || {};
-
-    // ---------- Basic required‑field validation ----------
-    if (
-      !facilityName ||
-      !storageType ||
-      !totalCapacity ||
-      !city ||
-      !description ||
-      !addressLine1 ||
-      !postalCode
-    ) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+    } = req.body; // checked, trimmed and coerced by schemas.storageCreate
 
     // ---------- Build the Prisma create payload ----------
     const data = {
@@ -15,28 +15,13 @@
 // -----------------------------------------------------------------------------
 
 const prisma = require('../../lib/prisma');          // two levels up from src/transformation
-const { verifyToken } = require('../../lib/jwt');   // same
 require('dotenv').config();                         // loads DB URL, JWT secret, etc.
 
 module.exports = async (req, res) => {
   // --------------------------------------------------------------
-  // 1️⃣  Authenticate (required for both GET and POST)
+  // 1️⃣  Signed in (requireAuth() in src/routes.js, for both GET and POST)
   // --------------------------------------------------------------
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-
-  if (!token) {
-    return res.status(401).json({ error: 'Missing token' });
-  }
-
-  let payload;
-  try {
-    payload = verifyToken(token);           // must contain at least { userId }
-  } catch (e) {
-    return res.status(401).json({ error: 'Invalid token' });
-  }
-
-  const userId = payload.userId;           // the owner of the facilities
+  const { userId } = req.user;           // the owner of the facilities
 
   // --------------------------------------------------------------
   // 2️⃣  GET – list the logged‑in user's transformation facilities
@@ -72,13 +57,7 @@ module.exports = async (req, res) => {
     // The global catch‑all already parsed the JSON body:
     const body = req.body || {};
 
-    // ---- Validate required UI fields ----
-    const required = ['name', 'type', 'location', 'status'];
-    for (const f of required) {
-      if (!body[f]) {
-        return res.status(400).json({ error: `${f} is required` });
-      }
-    }
+    // Required fields and numbers checked by schemas.transformationCreate
 
     // ---- Convert UI `status` → DB `isActive` (boolean) ----
     const isActive = body.status === 'Disponível';
@@ -91,11 +70,8 @@ module.exports = async (req, res) => {
       location: body.location.trim(),
       isActive,
       // Optional fields that have defaults in the schema:
-      capacity: body.capacity !== undefined ? Number(body.capacity) : 0,
-      processingRate:
-        body.processingRate !== undefined
-          ? Number(body.processingRate)
-          : undefined, // will default to 0 in the DB
+      capacity: body.capacity ?? 0,
+      processingRate: body.processingRate, // will default to 0 in the DB
     };
 
     try {
@@ -2,10 +2,12 @@
 // src/transport/index.js
 // -----------------------------------------------------------------------------
 // End‑points:
-//   GET  /api/transport   → list all transport listings (public)
+//   GET  /api/transport   → list all transport listings (public); with
+//                           near=lat,lng&radiusKm= those around, nearest first
+//                           with distanceKm
 //   POST /api/transport   → create a new transport service (auth required)
 // -----------------------------------------------------------------------------
-// • Auth via JWT (`Authorization: Bearer <token>`).
+// • Auth via req.user – set by authenticate() in lib/middleware.js.
 // • The global catch‑all already parses JSON bodies, so we use `req.body`.
 // • Prisma model is `transportListing`. The DB columns are:
 //     serviceTitle, vehicleType, operationalRoutes, availabilityStatus,
@@ -16,47 +18,36 @@
 // -----------------------------------------------------------------------------
 
 const prisma = require('../../lib/prisma');          // two levels up from src/transport
-const { verifyToken } = require('../../lib/jwt');   // same
+const { nearPoint, nearby, inDistanceOrder } = require('../../lib/geo');
 require('dotenv').config();                       // loads DB URL, JWT secret, etc.
 
 module.exports = async (req, res) => {
   // --------------------------------------------------------------
-  // 1️⃣  Authenticate (required for POST, optional for GET)
+  // 1️⃣  Caller – required for POST (requireAuth() in src/routes.js),
+  //     null for an anonymous GET
   // --------------------------------------------------------------
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-
-  if (!token) {
-    // GET is public; we still need `payload` for POST, so we only
-    // abort when the request is POST.
-    if (req.method === 'POST') {
-      return res.status(401).json({ error: 'Missing token' });
-    }
-  }
-
-  let payload = null;
-  if (token) {
-    try {
-      payload = verifyToken(token); // must contain at least { userId }
-    } catch (e) {
-      if (req.method === 'POST') {
-        return res.status(401).json({ error: 'Invalid token' });
-      }
-    }
-  }
+  const payload = req.user;
 
   // --------------------------------------------------------------
   // 2️⃣  GET – list every transport listing (public)
   // --------------------------------------------------------------
   if (req.method === 'GET') {
+    // near=lat,lng&radiusKm=&page=&limit= – checked by schemas.transportQuery;
+    // a service is where its transporter is (lib/geo.js)
+    const point = nearPoint(req.query);
     try {
-      const listings = await prisma.transportListing.findMany({
+      const { page, limit } = req.query;
+      const found = point ? await nearby(prisma, 'transport', point, { page, limit }) : null;
+
+      let listings = await prisma.transportListing.findMany({
+        where: found ? { id: { in: found.map((f) => f.id) } } : {},
         include: {
           // UI only needs the transporter id to filter “my services”
           transporter: { select: { id: true, email: true, fullName: true } },
         },
         orderBy: { createdAt: 'desc' },
       });
+      if (found) listings = inDistanceOrder(found, listings);
 
       // ------- Map DB fields → UI fields -------
       const uiListings = listings.map(l => ({
@@ -69,6 +60,7 @@ module.exports = async (req, res) => {
         // keep any other fields you might want to display
         createdAt: l.createdAt,
         updatedAt: l.updatedAt,
+        ...(found && { distanceKm: l.distanceKm }),
       }));
 
       // UI expects `{ data: [...] }`
@@ -83,25 +75,13 @@ module.exports = async (req, res) => {
   // 3️⃣  POST – create a new transport service (auth required)
   // --------------------------------------------------------------
   if (req.method === 'POST') {
-    // --------------------------------------------------------------
-    // We already have the token payload (`payload.userId`) from step 1
-    // --------------------------------------------------------------
-    if (!payload) {
-      return res.status(401).json({ error: 'Missing token' });
-    }
-
     // --------------------------------------------------------------
     // Body is already parsed by the global catch‑all (`src/index.js`)
     // --------------------------------------------------------------
     const body = req.body || {};
 
-    // ---- Validate required fields (UI sends `title`, `vehicle`, `routes`, `status`) ----
-    const required = ['title', 'vehicle', 'routes', 'status'];
-    for (const f of required) {
-      if (!body[f]) {
-        return res.status(400).json({ error: `${f} is required` });
-      }
-    }
+    // UI sends `title`, `vehicle`, `routes`, `status` – checked by
+    // schemas.transportCreate in src/routes.js
 
     // ---- Build the Prisma payload (DB column names) ----
     const data = {
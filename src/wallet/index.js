@@ -0,0 +1,46 @@
+// -----------------------------------------------------------------------------
+// src/wallet/index.js
+// -----------------------------------------------------------------------------
+// GET /api/wallet   → { balance, currency, pendingPayouts, payoutLimits }
+// -----------------------------------------------------------------------------
+// • Ledger history: GET /api/wallet/transactions
+// • Withdrawals:    /api/wallet/payouts
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../lib/prisma');
+const { ensureWallet } = require('../../lib/wallet');
+const { PAYOUT_MIN_AMOUNT, PAYOUT_DAILY_LIMIT, requestedToday } = require('../../lib/payouts');
+require('dotenv').config();
+
+module.exports = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+    const [wallet, pending, today] = await Promise.all([
+      prisma.$transaction((tx) => ensureWallet(tx, userId)),
+      prisma.payoutRequest.aggregate({
+        where: { userId, status: { in: ['PENDING', 'APPROVED'] } },
+        _sum: { amount: true }
+      }),
+      requestedToday(prisma, userId)
+    ]);
+
+    return res.json({
+      userId,
+      balance: wallet.balance,
+      currency: 'AOA',
+      pendingPayouts: Number(pending._sum.amount || 0),
+      payoutLimits: {
+        minimum: PAYOUT_MIN_AMOUNT,
+        daily: PAYOUT_DAILY_LIMIT,
+        remainingToday: Math.max(0, PAYOUT_DAILY_LIMIT - today)
+      },
+      updatedAt: wallet.updatedAt
+    });
+  } catch (err) {
+    if (err.status) throw err; // 4xx – the router answers with its code and details
+    console.error('[WALLET]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
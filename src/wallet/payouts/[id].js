@@ -0,0 +1,65 @@
+// -----------------------------------------------------------------------------
+// src/wallet/payouts/[id].js
+// -----------------------------------------------------------------------------
+// End‑points:
+//   GET   /api/wallet/payouts/:id   → one payout request (owner or admin)
+//   PATCH /api/wallet/payouts/:id   → { action, … }
+//     CANCEL    (owner, PENDING)            → money back to the wallet
+//     APPROVE   (admin, PENDING)
+//     REJECT    (admin, PENDING|APPROVED)   { reason } → money back to the wallet
+//     COMPLETE  (admin, APPROVED)           { externalReference } → transfer done
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { httpError } = require('../../../lib/http-error');
+const { approvePayout, rejectPayout, cancelPayout, completePayout } = require('../../../lib/payouts');
+const { idempotent } = require('../../../lib/idempotency');
+const { can } = require('../../../lib/permissions');
+require('dotenv').config();
+
+module.exports = idempotent(async (req, res) => {
+  try {
+    const { userId, role } = req.user;
+    const payoutId = req.query.id;
+
+    if (req.method === 'GET') {
+      const payout = await prisma.payoutRequest.findUnique({ where: { id: payoutId } });
+      if (!payout) return res.status(404).json({ error: 'Not found' });
+      if (!(await can({ userId, role }, 'READ', 'payouts', payout))) return res.status(403).json({ error: 'Forbidden' });
+      return res.json(payout);
+    }
+
+    if (req.method === 'PATCH') {
+      const { action, reason, externalReference } = req.body; // schemas.payoutAction
+
+      const result = await prisma.$transaction(async (tx) => {
+        const payout = await tx.payoutRequest.findUnique({ where: { id: payoutId } });
+        if (!payout) throw httpError(404, 'Not found');
+
+        if (action === 'CANCEL') return cancelPayout(tx, payout, userId);
+
+        if (!(await can({ userId, role }, 'MANAGE', 'payouts', payout))) {
+          throw httpError(403, 'Only an admin can review payouts');
+        }
+        switch (action) {
+          case 'APPROVE':
+            return approvePayout(tx, payout, userId);
+          case 'REJECT':
+            return rejectPayout(tx, payout, userId, reason);
+          case 'COMPLETE':
+            return completePayout(tx, payout, userId, externalReference);
+          default:
+            throw httpError(400, 'Unknown action');
+        }
+      });
+
+      return res.json(result);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    if (err.status) throw err; // 4xx – the router answers with its code and details
+    console.error('[PAYOUT PATCH]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
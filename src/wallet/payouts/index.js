@@ -0,0 +1,75 @@
+// -----------------------------------------------------------------------------
+// src/wallet/payouts/index.js
+// -----------------------------------------------------------------------------
+// End‑points:
+//   GET  /api/wallet/payouts            → my payout requests
+//        (MANAGE payouts: everybody's, ?status=PENDING|APPROVED|…  &userId=…)
+//   POST /api/wallet/payouts            → request a withdrawal
+//        { amount, method: "BANK_TRANSFER", iban, accountHolder }
+//        { amount, method: "MOBILE_MONEY", phoneNumber, mobileProvider }
+//        + twoFactorCode once the last 24h go above TWO_FACTOR_PAYOUT_THRESHOLD
+//          (lib/two-factor.js)
+// -----------------------------------------------------------------------------
+// • The amount is taken from the wallet immediately and given back if the
+//   request is cancelled or rejected (lib/payouts.js).
+// • PAYOUT_MIN_AMOUNT / PAYOUT_DAILY_LIMIT (AOA, rolling 24h) apply.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../../lib/prisma');
+const { requestPayout, requestedToday, lockPayouts } = require('../../../lib/payouts');
+const { idempotent } = require('../../../lib/idempotency');
+const { can, scope } = require('../../../lib/permissions');
+const { PAYOUT_THRESHOLD, requireFreshCode } = require('../../../lib/two-factor');
+require('dotenv').config();
+
+module.exports = idempotent(async (req, res) => {
+  try {
+    const { userId, role, actorId } = req.user;
+
+    if (req.method === 'GET') {
+      const { status } = req.query; // schemas.payoutListQuery
+
+      // Own payouts by default, everybody's for whoever MANAGEs payouts
+      const visible = await scope({ userId, role }, 'READ', 'payouts');
+      if (!visible) return res.status(403).json({ error: 'Forbidden' });
+      const isManager = await can({ userId, role }, 'MANAGE', 'payouts');
+
+      const payouts = await prisma.payoutRequest.findMany({
+        where: {
+          AND: [visible],
+          ...(isManager && req.query.userId && { userId: req.query.userId }),
+          ...(status && { status })
+        },
+        orderBy: { createdAt: 'desc' },
+        take: 200,
+        include: isManager ? { user: { select: { id: true, fullName: true, username: true, email: true } } } : undefined
+      });
+      return res.json(payouts);
+    }
+
+    if (req.method === 'POST') {
+      const payout = await prisma.$transaction(async (tx) => {
+        // Withdrawing more than the threshold in 24 hours – in one request or
+        // in several smaller ones – needs a fresh code from the authenticator
+        // app of whoever is signed in (also when acting for an organisation).
+        // Locked first, so concurrent requests see each other in `today`
+        await lockPayouts(tx, userId);
+        const today = await requestedToday(tx, userId);
+        if (today + Number(req.body.amount) > PAYOUT_THRESHOLD) {
+          const person = await tx.user.findUnique({ where: { id: actorId || userId } });
+          await requireFreshCode(tx, person, req.body.twoFactorCode, `withdraw more than ${PAYOUT_THRESHOLD} AOA in 24 hours`);
+        }
+        return requestPayout(tx, userId, req.body);
+      });
+      return res.status(201).json(payout);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    // 4xx – the router answers with its code; TWO_FACTOR_REQUIRED / INVALID_CODE
+    // tell the app to ask for a code
+    if (err.status) throw err;
+    console.error('[PAYOUTS]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
@@ -0,0 +1,51 @@
+// -----------------------------------------------------------------------------
+// src/wallet/transactions.js
+// -----------------------------------------------------------------------------
+// GET /api/wallet/transactions   → the caller's WALLET ledger entries, newest first
+//     ?limit=50 (max 200)  &before=<sequence>  → next page
+// -----------------------------------------------------------------------------
+// • Each entry: { sequence, entryType (CREDIT = in, DEBIT = out), amount,
+//   balance (after the entry), description, transactionId, createdAt }
+// • `nextBefore` in the response is the cursor for the following page.
+// -----------------------------------------------------------------------------
+
+const prisma = require('../../lib/prisma');
+require('dotenv').config();
+
+module.exports = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+    const { limit, before } = req.query; // schemas.walletTransactionsQuery
+
+    const entries = await prisma.transactionLedger.findMany({
+      where: {
+        accountType: 'WALLET',
+        userId,
+        ...(before && { sequence: { lt: before } })
+      },
+      orderBy: { sequence: 'desc' },
+      take: limit,
+      select: {
+        id: true,
+        sequence: true,
+        entryType: true,
+        amount: true,
+        balance: true,
+        description: true,
+        transactionId: true,
+        createdAt: true
+      }
+    });
+
+    return res.json({
+      data: entries,
+      nextBefore: entries.length === limit ? entries[entries.length - 1].sequence : null
+    });
+  } catch (err) {
+    if (err.status) throw err; // 4xx – the router answers with its code and details
+    console.error('[WALLET TRANSACTIONS]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
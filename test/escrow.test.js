@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeDb } = require('./helpers/fake-db');
+const { releaseEscrow, refundEscrow } = require('../lib/escrow');
+const { accountBalance } = require('../lib/ledger');
+
+// A FUNDED transaction of 100 held in escrow, as two milestones when given.
+// No FeeRule rows, so the default SALE fee (5%) applies to the PRODUCER seller.
+function fundedDb(milestones = [100]) {
+  return createFakeDb({
+    user: [
+      { id: 'buyer', role: 'CONSUMER', isVerified: false },
+      { id: 'seller', role: 'PRODUCER', isVerified: false }
+    ],
+    paymentTransaction: [{ id: 't1', buyerId: 'buyer', sellerId: 'seller', amount: 100, currency: 'AOA', status: 'FUNDED' }],
+    escrowTransaction: milestones.map((amount, i) => ({
+      id: `e${i + 1}`,
+      paymentTransactionId: 't1',
+      milestone: milestones.length > 1 ? `Milestone ${i + 1}` : null,
+      position: i,
+      amount,
+      status: 'HELD',
+      createdAt: new Date()
+    }))
+  });
+}
+
+const wallet = (db, userId) => db.rows('walletBalance').find((w) => w.userId === userId)?.balance ?? 0;
+const escrowStatus = (db) => db.rows('escrowTransaction').map((e) => e.status);
+const txn = (db) => db.rows('paymentTransaction')[0];
+
+test('release pays whatever is held to the seller, less the fee', async () => {
+  const db = fundedDb();
+  const result = await db.$transaction((tx) => releaseEscrow(tx, txn(db), { actorId: 'buyer' }));
+
+  assert.equal(result.status, 'RELEASED');
+  assert.deepEqual(escrowStatus(db), ['RELEASED']);
+  assert.equal(wallet(db, 'seller'), 95);
+  assert.equal(await accountBalance(db, 'ESCROW'), -100);
+  assert.equal(await accountBalance(db, 'REVENUE'), 5);
+});
+
+test('releasing one milestone leaves the rest held', async () => {
+  const db = fundedDb([30, 70]);
+  const result = await db.$transaction((tx) => releaseEscrow(tx, txn(db), { escrowId: 'e1', actorId: 'buyer' }));
+
+  assert.equal(result.status, 'FUNDED');
+  assert.deepEqual(escrowStatus(db), ['RELEASED', 'HELD']);
+  assert.equal(wallet(db, 'seller'), 28.5);
+
+  await assert.rejects(
+    db.$transaction((tx) => releaseEscrow(tx, txn(db), { escrowId: 'e1', actorId: 'buyer' })),
+    { status: 404, message: 'Milestone not found or already released' }
+  );
+});
+
+test('a milestone released twice at once is paid once', async () => {
+  const db = fundedDb();
+  const stale = txn(db);
+  const results = await Promise.allSettled([1, 2].map(() =>
+    db.$transaction((tx) => releaseEscrow(tx, stale, { actorId: 'buyer' }))));
+
+  assert.deepEqual(results.map((r) => r.status).sort(), ['fulfilled', 'rejected']);
+  const { reason } = results.find((r) => r.status === 'rejected');
+  assert.equal(reason.status, 409);
+  assert.equal(wallet(db, 'seller'), 95);
+});
+
+test('only transactions in a releasable status can be released', async () => {
+  const db = fundedDb();
+  await assert.rejects(
+    db.$transaction((tx) => releaseEscrow(tx, { ...txn(db), status: 'DISPUTED' }, { actorId: 'admin' })),
+    { status: 409, message: 'Cannot release escrow of a DISPUTED transaction' }
+  );
+  assert.deepEqual(escrowStatus(db), ['HELD']);
+});
+
+test('refund returns only what is still held', async () => {
+  const db = fundedDb([30, 70]);
+  await db.$transaction((tx) => releaseEscrow(tx, txn(db), { escrowId: 'e1', actorId: 'buyer' }));
+  const result = await db.$transaction((tx) => refundEscrow(tx, txn(db), { actorId: 'admin' }));
+
+  assert.equal(result.status, 'REFUNDED');
+  assert.deepEqual(escrowStatus(db), ['RELEASED', 'CANCELLED']);
+  assert.equal(wallet(db, 'buyer'), 70);
+  assert.equal(wallet(db, 'seller'), 28.5);
+  assert.equal(await accountBalance(db, 'ESCROW'), -100);
+});
+
+test('an escrow refunded twice at once is refunded once', async () => {
+  const db = fundedDb();
+  const stale = txn(db);
+  const results = await Promise.allSettled([1, 2].map(() =>
+    db.$transaction((tx) => refundEscrow(tx, stale, { actorId: 'admin' }))));
+
+  const rejected = results.filter((r) => r.status === 'rejected');
+  assert.equal(rejected.length, 1);
+  assert.equal(rejected[0].reason.status, 409);
+  assert.equal(rejected[0].reason.message, 'Escrow was settled concurrently');
+  assert.equal(wallet(db, 'buyer'), 100);
+});
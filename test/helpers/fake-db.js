@@ -0,0 +1,224 @@
+// test/helpers/fake-db.js
+// An in‑memory stand‑in for the Prisma client – just enough of it for the
+// lib/ helpers under test:
+//
+//   db.<model>.findUnique / findFirst / findMany / count / create / createMany /
+//             update / updateMany / delete / deleteMany / aggregate / groupBy
+//   db.$transaction(fn | [promises]), db.$executeRaw`…`
+//
+// `where` understands plain values, AND / OR / NOT and the equals, in, notIn,
+// not, lt, lte, gt and gte filters; `data` understands increment / decrement.
+// select and include are ignored – whole rows come back. Decimals are stored
+// as numbers.
+//
+// pg_advisory_xact_lock(key) really locks: a second transaction asking for
+// the same key waits until the first one ends, so races can be tested. There
+// is no rollback – a transaction that throws keeps whatever it wrote.
+
+// Column defaults from prisma/schema.prisma that the code relies on
+const DEFAULTS = { payoutRequest: { status: 'PENDING' } };
+const AUTOINCREMENT = { transactionLedger: 'sequence' };
+const FILTERS = ['equals', 'in', 'notIn', 'not', 'lt', 'lte', 'gt', 'gte'];
+
+const isDecimal = (v) => v != null && typeof v === 'object' && typeof v.toNumber === 'function';
+const plain = (v) => (isDecimal(v) ? v.toNumber() : v);
+const comparable = (v) => (v instanceof Date ? v.getTime() : plain(v));
+const same = (a, b) => JSON.stringify(plain(a) ?? null) === JSON.stringify(plain(b) ?? null);
+const isFilter = (c) => c && typeof c === 'object' && !Array.isArray(c) && !(c instanceof Date) && !isDecimal(c);
+
+function matchesValue(value, condition) {
+  if (!isFilter(condition)) return same(value, condition);
+  return Object.entries(condition).every(([op, arg]) => {
+    if (!FILTERS.includes(op)) throw new Error(`fake-db: unsupported filter "${op}"`);
+    if (op === 'equals') return same(value, arg);
+    if (op === 'in') return arg.some((a) => same(value, a));
+    if (op === 'notIn') return !arg.some((a) => same(value, a));
+    if (op === 'not') return !matchesValue(value, arg);
+    if (value == null) return false;
+    const [v, a] = [comparable(value), comparable(arg)];
+    return { lt: v < a, lte: v <= a, gt: v > a, gte: v >= a }[op];
+  });
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (condition === undefined) return true;
+    if (key === 'AND') return [].concat(condition).every((w) => matches(row, w));
+    if (key === 'OR') return condition.some((w) => matches(row, w));
+    if (key === 'NOT') return ![].concat(condition).some((w) => matches(row, w));
+    return matchesValue(row[key], condition);
+  });
+}
+
+function sortRows(rows, orderBy) {
+  const keys = [].concat(orderBy || []).flatMap((o) => Object.entries(o));
+  return [...rows].sort((a, b) => {
+    for (const [field, direction] of keys) {
+      const [x, y] = [comparable(a[field]), comparable(b[field])];
+      if (x === y) continue;
+      const less = x == null || (y != null && x < y);
+      return (less ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+    }
+    return 0;
+  });
+}
+
+function applyData(row, data) {
+  for (const [field, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+    if (isFilter(value) && 'increment' in value) row[field] = plain(row[field] || 0) + plain(value.increment);
+    else if (isFilter(value) && 'decrement' in value) row[field] = plain(row[field] || 0) - plain(value.decrement);
+    else if (isFilter(value) && 'set' in value) row[field] = plain(value.set);
+    else row[field] = plain(value);
+  }
+  return row;
+}
+
+function createModel(name, rows, nextId) {
+  const find = (where) => rows.filter((row) => matches(row, where));
+  const copy = (row) => (row ? structuredClone(row) : null);
+
+  const insert = (data) => {
+    const row = applyData({ id: nextId(name), ...DEFAULTS[name], createdAt: new Date(), updatedAt: new Date() }, data);
+    if (AUTOINCREMENT[name]) row[AUTOINCREMENT[name]] = rows.length + 1;
+    rows.push(row);
+    return row;
+  };
+
+  return {
+    async findUnique({ where }) {
+      return copy(find(where)[0]);
+    },
+    async findFirst({ where, orderBy } = {}) {
+      return copy(sortRows(find(where), orderBy)[0]);
+    },
+    async findMany({ where, orderBy, skip = 0, take, distinct } = {}) {
+      let found = sortRows(find(where), orderBy);
+      if (distinct) {
+        const seen = new Set();
+        found = found.filter((row) => {
+          const key = JSON.stringify(distinct.map((field) => row[field]));
+          return !seen.has(key) && seen.add(key);
+        });
+      }
+      return found.slice(skip, take === undefined ? undefined : skip + take).map(copy);
+    },
+    async count({ where } = {}) {
+      return find(where).length;
+    },
+    async create({ data }) {
+      return copy(insert(data));
+    },
+    async createMany({ data }) {
+      data.forEach(insert);
+      return { count: data.length };
+    },
+    async update({ where, data }) {
+      const row = find(where)[0];
+      if (!row) throw Object.assign(new Error(`fake-db: no ${name} to update`), { code: 'P2025' });
+      return copy(applyData(row, { ...data, updatedAt: new Date() }));
+    },
+    async updateMany({ where, data }) {
+      const found = find(where);
+      found.forEach((row) => applyData(row, { ...data, updatedAt: new Date() }));
+      return { count: found.length };
+    },
+    async delete({ where }) {
+      const row = find(where)[0];
+      if (!row) throw Object.assign(new Error(`fake-db: no ${name} to delete`), { code: 'P2025' });
+      rows.splice(rows.indexOf(row), 1);
+      return copy(row);
+    },
+    async deleteMany({ where } = {}) {
+      const found = find(where);
+      found.forEach((row) => rows.splice(rows.indexOf(row), 1));
+      return { count: found.length };
+    },
+    async aggregate({ where, _sum = {} }) {
+      const found = find(where);
+      const sums = Object.fromEntries(Object.keys(_sum).map((field) => [
+        field,
+        found.length ? found.reduce((total, row) => total + Number(row[field] || 0), 0) : null
+      ]));
+      return { _sum: sums };
+    },
+    async groupBy({ by, where, _sum = {} }) {
+      const groups = new Map();
+      for (const row of find(where)) {
+        const key = JSON.stringify(by.map((field) => row[field]));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      }
+      return [...groups.values()].map((group) => ({
+        ...Object.fromEntries(by.map((field) => [field, group[0][field]])),
+        _sum: Object.fromEntries(Object.keys(_sum).map((field) => [
+          field,
+          group.reduce((total, row) => total + Number(row[field] || 0), 0)
+        ]))
+      }));
+    }
+  };
+}
+
+/**
+ * A fresh database. `seed` maps model names to their rows:
+ *   createFakeDb({ user: [{ id: 'u1', role: 'PRODUCER' }] })
+ * `db.rows(model)` is the live table, for assertions.
+ */
+function createFakeDb(seed = {}) {
+  const tables = new Map();
+  const models = new Map();
+  const locks = new Map(); // key → promise that settles when the last waiter is done
+  let counter = 0;
+  const nextId = (model) => `${model}-${++counter}`;
+
+  const table = (name) => {
+    if (!tables.has(name)) tables.set(name, []);
+    return tables.get(name);
+  };
+  for (const [name, rows] of Object.entries(seed)) {
+    table(name).push(...rows.map((row) => structuredClone(row)));
+  }
+
+  async function lock(key, held) {
+    if (held.has(key)) return;
+    const previous = locks.get(key) || Promise.resolve();
+    let release;
+    const mine = new Promise((resolve) => { release = resolve; });
+    locks.set(key, previous.then(() => mine));
+    held.set(key, release);
+    await previous;
+  }
+
+  function client(held) {
+    const own = {
+      rows: table,
+      async $executeRaw(strings, ...values) {
+        if (held && strings.join('?').includes('pg_advisory_xact_lock')) await lock(String(values[0]), held);
+        return 1;
+      },
+      async $transaction(work) {
+        if (Array.isArray(work)) return Promise.all(work);
+        if (held) return work(proxy); // nested – same transaction
+        const locksHeld = new Map();
+        try {
+          return await work(client(locksHeld));
+        } finally {
+          for (const release of locksHeld.values()) release();
+        }
+      }
+    };
+    const proxy = new Proxy(own, {
+      get(target, prop) {
+        if (prop in target || typeof prop !== 'string') return target[prop];
+        if (!models.has(prop)) models.set(prop, createModel(prop, table(prop), nextId));
+        return models.get(prop);
+      }
+    });
+    return proxy;
+  }
+
+  return client(null);
+}
+
+module.exports = { createFakeDb };
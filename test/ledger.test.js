@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeDb } = require('./helpers/fake-db');
+const { postEntries, accountBalance, reconcilePostings, reconcileWallets } = require('../lib/ledger');
+const { creditWallet, debitWallet } = require('../lib/wallet');
+
+const fund = (amount) => [
+  { accountType: 'EXTERNAL', entryType: 'DEBIT', amount },
+  { accountType: 'ESCROW', entryType: 'CREDIT', amount }
+];
+
+test('a posting keeps a running balance per account', async () => {
+  const db = createFakeDb();
+  await postEntries(db, { description: 'Funded', entries: fund(100) });
+  await postEntries(db, {
+    description: 'Released',
+    entries: [
+      { accountType: 'ESCROW', entryType: 'DEBIT', amount: 40 },
+      { accountType: 'WALLET', userId: 'u1', entryType: 'CREDIT', amount: 40 }
+    ]
+  });
+
+  assert.equal(await accountBalance(db, 'EXTERNAL'), -100);
+  assert.equal(await accountBalance(db, 'ESCROW'), 60);
+  assert.equal(await accountBalance(db, 'WALLET', 'u1'), 40);
+  assert.equal(await accountBalance(db, 'WALLET', 'u2'), 0);
+  assert.deepEqual(await reconcilePostings(db), { postings: 2, unbalanced: [] });
+});
+
+test('an unbalanced posting is refused and writes nothing', async () => {
+  const db = createFakeDb();
+  await assert.rejects(
+    postEntries(db, {
+      description: 'Broken',
+      entries: [
+        { accountType: 'EXTERNAL', entryType: 'DEBIT', amount: 100 },
+        { accountType: 'ESCROW', entryType: 'CREDIT', amount: 99.99 }
+      ]
+    }),
+    { status: 500, message: /Unbalanced ledger posting/ }
+  );
+  assert.equal(db.rows('transactionLedger').length, 0);
+});
+
+test('entries must be positive and only WALLET accounts have a user', async () => {
+  const db = createFakeDb();
+  await assert.rejects(postEntries(db, { description: 'Zero', entries: fund(0) }), { status: 400 });
+  await assert.rejects(
+    postEntries(db, {
+      description: 'No owner',
+      entries: [
+        { accountType: 'EXTERNAL', entryType: 'DEBIT', amount: 10 },
+        { accountType: 'WALLET', entryType: 'CREDIT', amount: 10 }
+      ]
+    }),
+    { status: 500, message: 'Only WALLET ledger accounts belong to a user' }
+  );
+  await assert.rejects(postEntries(db, { description: 'Empty', entries: [] }), { status: 500 });
+});
+
+test('concurrent postings to one account do not lose an update', async () => {
+  const db = createFakeDb();
+  await Promise.all([10, 20, 30].map((amount) =>
+    db.$transaction((tx) => creditWallet(tx, 'u1', amount))));
+
+  assert.equal(await accountBalance(db, 'WALLET', 'u1'), 60);
+  assert.equal(await accountBalance(db, 'EXTERNAL'), -60);
+});
+
+test('wallet balances reconcile with their ledger accounts', async () => {
+  const db = createFakeDb();
+  await db.$transaction(async (tx) => {
+    await creditWallet(tx, 'u1', 100);
+    await debitWallet(tx, 'u1', 25.5, { contra: 'PAYOUT' });
+    await creditWallet(tx, 'u2', 10);
+  });
+
+  assert.equal(db.rows('walletBalance').find((w) => w.userId === 'u1').balance, 74.5);
+  assert.deepEqual(await reconcileWallets(db), { wallets: 2, mismatches: [] });
+  await assert.rejects(
+    db.$transaction((tx) => debitWallet(tx, 'u2', 10.01)),
+    { status: 409, message: 'Insufficient wallet balance' }
+  );
+});
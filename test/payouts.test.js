@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { createFakeDb } = require('./helpers/fake-db');
+
+process.env.JWT_SECRET = 'payouts-test-secret';
+process.env.LOGIN_THROTTLE_STORE = 'memory';
+
+// lib/prisma.js hands out global.prisma outside production
+global.prisma = createFakeDb();
+const { signToken } = require('../lib/jwt');
+const router = require('../src/routes');
+
+const MOBILE = { method: 'MOBILE_MONEY', phoneNumber: '923456789', mobileProvider: 'UNITEL_MONEY' };
+
+async function requestPayout(userId, body) {
+  const req = Readable.from([Buffer.from(JSON.stringify(body))]);
+  Object.assign(req, {
+    method: 'POST',
+    url: '/api/wallet/payouts',
+    headers: {
+      host: 'localhost',
+      'content-type': 'application/json',
+      authorization: `Bearer ${signToken({ userId, role: 'PRODUCER' })}`
+    }
+  });
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    getHeader(name) { return this.headers[name.toLowerCase()]; },
+    end(body) { this.body = body; this.writableEnded = true; }
+  };
+  await router.handle(req, res);
+  return { status: res.statusCode, body: JSON.parse(res.body) };
+}
+
+function seed(userId, balance) {
+  global.prisma.rows('user').push({ id: userId, role: 'PRODUCER', twoFactorEnabledAt: null });
+  global.prisma.rows('walletBalance').push({ userId, balance });
+}
+
+test('payouts under the 2FA threshold go through without a code', async () => {
+  seed('u1', 200000);
+  const { status, body } = await requestPayout('u1', { ...MOBILE, amount: 60000 });
+
+  assert.equal(status, 201);
+  assert.equal(body.status, 'PENDING');
+  assert.equal(global.prisma.rows('walletBalance').find((w) => w.userId === 'u1').balance, 140000);
+});
+
+test('concurrent payouts that together pass the 2FA threshold cannot both skip the code', async () => {
+  seed('u2', 200000);
+  const results = await Promise.all([1, 2].map(() => requestPayout('u2', { ...MOBILE, amount: 60000 })));
+
+  assert.deepEqual(results.map((r) => r.status).sort(), [201, 403]);
+  assert.equal(results.find((r) => r.status === 403).body.code, 'TWO_FACTOR_REQUIRED');
+  assert.equal(global.prisma.rows('payoutRequest').filter((p) => p.userId === 'u2').length, 1);
+  assert.equal(global.prisma.rows('walletBalance').find((w) => w.userId === 'u2').balance, 140000);
+});
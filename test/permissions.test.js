@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeDb } = require('./helpers/fake-db');
+
+// lib/prisma.js hands out global.prisma outside production
+global.prisma = createFakeDb({
+  rolePermission: [
+    { role: 'PRODUCER', resource: 'products', action: 'CREATE', condition: null },
+    { role: 'PRODUCER', resource: 'products', action: 'UPDATE', condition: { own: true } },
+    { role: 'PRODUCER', resource: 'transactions', action: 'READ', condition: { own: ['sellerId'] } },
+    { role: 'PRODUCER', resource: 'payouts', action: 'UPDATE', condition: { own: true, match: { status: 'PENDING' } } },
+    { role: 'PRODUCER', resource: 'payouts', action: 'MANAGE', condition: { match: { status: 'DRAFT' } } },
+    { role: 'COOPERATIVE_MANAGER', resource: 'disputes', action: 'MANAGE', condition: null },
+    { role: 'TRANSFORMER', resource: '*', action: 'READ', condition: null }
+  ]
+});
+
+const { can, authorize, scope } = require('../lib/permissions');
+
+const producer = { userId: 'p1', role: 'PRODUCER' };
+
+test('ADMIN may do anything, to every record', async () => {
+  const admin = { userId: 'a1', role: 'ADMIN' };
+  assert.equal(await can(admin, 'DELETE', 'users', { id: 'someone' }), true);
+  assert.deepEqual(await scope(admin, 'READ', 'ledger'), {});
+});
+
+test('without a grant nothing is allowed', async () => {
+  assert.equal(await can(producer, 'DELETE', 'products'), false);
+  assert.equal(await scope(producer, 'DELETE', 'products'), null);
+  assert.equal(await can(null, 'READ', 'products'), false);
+  await assert.rejects(authorize(producer, 'DELETE', 'products'), { status: 403, message: 'Not allowed to delete products' });
+});
+
+test('an unconditional grant covers every record', async () => {
+  assert.equal(await can(producer, 'CREATE', 'products'), true);
+  assert.deepEqual(await scope(producer, 'CREATE', 'products'), {});
+});
+
+test('own: only records the user owns', async () => {
+  assert.equal(await can(producer, 'UPDATE', 'products'), true);
+  assert.equal(await can(producer, 'UPDATE', 'products', { producerId: 'p1' }), true);
+  assert.equal(await can(producer, 'UPDATE', 'products', { producerId: 'p2' }), false);
+  assert.deepEqual(await scope(producer, 'UPDATE', 'products'), { OR: [{ producerId: 'p1' }] });
+});
+
+test('own with fields: only through those fields', async () => {
+  assert.equal(await can(producer, 'READ', 'transactions', { sellerId: 'p1', buyerId: 'b1' }), true);
+  assert.equal(await can(producer, 'READ', 'transactions', { sellerId: 's1', buyerId: 'p1' }), false);
+  assert.deepEqual(await scope(producer, 'READ', 'transactions'), { OR: [{ sellerId: 'p1' }] });
+});
+
+test('own and match must both hold; several grants add up', async () => {
+  assert.equal(await can(producer, 'UPDATE', 'payouts', { userId: 'p1', status: 'PENDING' }), true);
+  assert.equal(await can(producer, 'UPDATE', 'payouts', { userId: 'p1', status: 'APPROVED' }), false);
+  assert.equal(await can(producer, 'UPDATE', 'payouts', { userId: 'p2', status: 'PENDING' }), false);
+  assert.equal(await can(producer, 'UPDATE', 'payouts', { userId: 'p2', status: 'DRAFT' }), true);
+  assert.deepEqual(await scope(producer, 'UPDATE', 'payouts'), {
+    OR: [
+      { AND: [{ OR: [{ userId: 'p1' }] }, { status: 'PENDING' }] },
+      { status: 'DRAFT' }
+    ]
+  });
+});
+
+test('MANAGE grants every action; * covers every resource', async () => {
+  const manager = { userId: 'm1', role: 'COOPERATIVE_MANAGER' };
+  assert.equal(await can(manager, 'UPDATE', 'disputes', { openedById: 'x' }), true);
+  assert.equal(await can(manager, 'MANAGE', 'disputes'), true);
+  assert.equal(await can(manager, 'MANAGE', 'transactions'), false);
+
+  const transformer = { userId: 'tf1', role: 'TRANSFORMER' };
+  assert.equal(await can(transformer, 'READ', 'ledger'), true);
+  assert.equal(await can(transformer, 'UPDATE', 'ledger'), false);
+});
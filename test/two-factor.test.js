@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeDb } = require('./helpers/fake-db');
+
+process.env.TWO_FACTOR_KEY = 'two-factor-test-key';
+const { setupTwoFactor, enableTwoFactor, checkSecondFactor, totp } = require('../lib/two-factor');
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const base32Decode = (text) => {
+  const bits = [...text].map((c) => BASE32.indexOf(c).toString(2).padStart(5, '0')).join('');
+  return Buffer.from(bits.match(/.{8}/g).map((byte) => parseInt(byte, 2)));
+};
+const stepNow = () => Math.floor(Date.now() / 1000 / 30);
+
+// A user with 2FA on, enabled with the code of the current step
+async function enrolled() {
+  const db = createFakeDb({ user: [{ id: 'u1', email: 'u1@example.ao', role: 'PRODUCER', twoFactorBackupCodes: [] }] });
+  const { secret } = await setupTwoFactor(db, await db.user.findUnique({ where: { id: 'u1' } }));
+  const key = base32Decode(secret);
+  const step = stepNow();
+  const backupCodes = await enableTwoFactor(db, await db.user.findUnique({ where: { id: 'u1' } }), totp(key, step));
+  const user = () => db.user.findUnique({ where: { id: 'u1' } });
+  return { db, key, step, backupCodes, user };
+}
+
+const INVALID = { status: 400, code: 'INVALID_CODE' };
+
+test('an app code is accepted once, and never an older one', async () => {
+  const { db, key, step, user } = await enrolled();
+
+  // The code used to turn 2FA on is spent already
+  await assert.rejects(checkSecondFactor(db, await user(), totp(key, step)), INVALID);
+
+  const next = totp(key, step + 1);
+  assert.equal(await checkSecondFactor(db, await user(), next), 'totp');
+  await assert.rejects(checkSecondFactor(db, await user(), next), INVALID);
+  await assert.rejects(checkSecondFactor(db, await user(), totp(key, step - 1)), INVALID);
+});
+
+test('the same app code sent twice at once is accepted once', async () => {
+  const { db, key, step, user } = await enrolled();
+  const stale = await user();
+  const results = await Promise.allSettled([1, 2].map(() => checkSecondFactor(db, stale, totp(key, step + 1))));
+
+  assert.deepEqual(results.map((r) => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find((r) => r.status === 'rejected').reason.code, 'INVALID_CODE');
+});
+
+test('codes far from now and malformed codes are refused', async () => {
+  const { db, key, step, user } = await enrolled();
+  await assert.rejects(checkSecondFactor(db, await user(), totp(key, step + 5)), INVALID);
+  await assert.rejects(checkSecondFactor(db, await user(), '12345'), INVALID);
+  await assert.rejects(checkSecondFactor(db, await user(), ''), INVALID);
+});
+
+test('a backup code works once, however it is typed', async () => {
+  const { db, backupCodes, user } = await enrolled();
+  const [code] = backupCodes;
+
+  assert.equal(await checkSecondFactor(db, await user(), ` ${code.replace('-', '').toUpperCase()} `), 'backup');
+  await assert.rejects(checkSecondFactor(db, await user(), code), INVALID);
+  assert.equal((await user()).twoFactorBackupCodes.length, backupCodes.length - 1);
+});
+
+test('the same backup code sent twice at once is accepted once', async () => {
+  const { db, backupCodes, user } = await enrolled();
+  const stale = await user();
+  const results = await Promise.allSettled([1, 2].map(() => checkSecondFactor(db, stale, backupCodes[0])));
+
+  assert.deepEqual(results.map((r) => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal((await user()).twoFactorBackupCodes.length, backupCodes.length - 1);
+});
+
+test('without 2FA on there is nothing to check', async () => {
+  const db = createFakeDb({ user: [{ id: 'u2', twoFactorBackupCodes: [] }] });
+  await assert.rejects(
+    checkSecondFactor(db, await db.user.findUnique({ where: { id: 'u2' } }), '123456'),
+    { status: 400, message: 'Two‑factor authentication is not on' }
+  );
+});